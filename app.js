@@ -25,6 +25,8 @@
 const TEMPLATE_AUTO_ID = '__auto__';
 
 /** @typedef {"Issue"|"RFI"|"Submittal"|"Generic"} RecordType */
+// How a file's bytes are compressed ("a+b": a, then b inside it)
+/** @typedef {'gzip'|'deflate-raw'|'deflate-raw+gzip'|null} Compression */
 
 /**
  * Represents a loaded file and its parsed content (or error).
@@ -33,19 +35,75 @@ class LoadedFile {
   /**
    * @param {File} file
    * @param {number} id
+   * @param {{ compression?: Compression, archiveName?: string|null, archiveId?: number|null, folderPath?: string, pasted?: boolean, size?: number, error?: string|null }=} source
+   *   Where the bytes came from when they are not a plain JSON file
+   *   (a .json.gz, an entry inside a .zip, a file in a dropped folder,
+   *   or text pasted from the clipboard).
    */
-  constructor(file, id) {
+  constructor(file, id, source) {
+    const src = source || {};
     this.id = id;
     this.file = file;
     this.name = file.name;
-    this.size = file.size;
+    this.size = Number.isFinite(src.size) ? src.size : file.size;
     this.lastModified = file.lastModified;
+    // Bytes in this.file are compressed with this format (decoded while reading)
+    /** @type {Compression} */
+    this.compression = src.compression || null;
+    // Zip entries: the archive this file was expanded from, and an id shared
+    // by its entries (two archives can have the same name)
+    /** @type {string|null} */
+    this.archiveName = src.archiveName || null;
+    /** @type {number|null} */
+    this.archiveId = src.archiveId != null ? src.archiveId : null;
+    // Folder the file sat in, relative to the dropped folder (or zip root)
+    this.folderPath = src.folderPath || '';
+    // Created from pasted text (in memory only, no file on disk)
+    this.pasted = !!src.pasted;
     this.text = '';
     this.json = null;
     /** @type {string|null} */
-    this.error = null;
+    this.error = src.error || null;
+    // Error known before parsing (e.g. an encrypted zip entry); kept when
+    // the workspace is saved so restoring does not try to read it again
+    this.sourceError = this.error;
+    // Where the JSON broke (set by our own locator, same in every browser)
+    /** @type {{ line: number, column: number, message: string }|null} */
+    this.errorLocation = null;
     /** @type {RecordType} */
     this.recordType = 'Generic';
+    /** @type {'json'|'jsonl'} */
+    this.format = 'json';
+    // JSON Lines only: lines that failed to parse (the rest still load)
+    /** @type {{ line: number, message: string }[]} */
+    this.lineErrors = [];
+    // How many numbers were kept as LosslessNumber (0 = plain JSON.parse)
+    this.losslessCount = 0;
+    /** @type {'queued'|'loading'|'ready'|'cancelled'} */
+    this.status = 'queued';
+    // Loading progress (null once ready)
+    /** @type {{ phase: 'reading'|'parsing', loaded: number, total: number }|null} */
+    this.progress = null;
+  }
+}
+
+/**
+ * A JSON number kept as its original source text, because converting it
+ * to a JS number would change it (64-bit IDs, high-precision decimals).
+ * Renderers, labels and search show .text, never a rounded value.
+ */
+class LosslessNumber {
+  /** @param {string} text */
+  constructor(text) {
+    this.text = text;
+  }
+
+  toString() {
+    return this.text;
+  }
+
+  valueOf() {
+    return Number(this.text);
   }
 }
 
@@ -72,14 +130,28 @@ const els = {
   pathToggle: document.getElementById('pathToggle'),
   datasetBar: document.getElementById('datasetBar'),
   datasetFilter: document.getElementById('datasetFilter'),
+  datasetFilterError: document.getElementById('datasetFilterError'),
   datasetJump: document.getElementById('datasetJump'),
   datasetGoBtn: document.getElementById('datasetGoBtn'),
   datasetResetBtn: document.getElementById('datasetResetBtn'),
 
+  // Workspace (remember across reloads)
+  rememberToggle: document.getElementById('rememberToggle'),
+  forgetWorkspaceBtn: document.getElementById('forgetWorkspaceBtn'),
+
+  // Paste JSON
+  pasteJsonBtn: document.getElementById('pasteJsonBtn'),
+  pasteDialog: document.getElementById('pasteDialog'),
+  pasteForm: document.getElementById('pasteForm'),
+  pasteText: document.getElementById('pasteText'),
+  pasteLoadBtn: document.getElementById('pasteLoadBtn'),
+  pasteCancelBtn: document.getElementById('pasteCancelBtn'),
+
   // Templates (Session 10)
   templateInput: document.getElementById('templateInput'),
   uploadTemplateBtn: document.getElementById('uploadTemplateBtn'),
   templateSelect: document.getElementById('templateSelect'),
+  templateReport: document.getElementById('templateReport'),
 
   clearBtn: document.getElementById('clearBtn'),
 };
@@ -103,6 +175,10 @@ const state = {
   /** @type {Record<number, number>} */
   selectedRecordIndexByFileId: {},
 
+  // File list folder tree: open/closed per folder key (unset = automatic)
+  /** @type {Record<string, boolean>} */
+  folderOpenByKey: {},
+
   // Per-file viewer mode override: 'auto' | 'dataset' | 'records'
   /** @type {Record<number, 'auto'|'dataset'|'records'>} */
   viewModeByFileId: {},
@@ -112,11 +188,18 @@ const state = {
   showPaths: false,
   showRaw: false,
 
+  // Raw view: line to scroll to and mark once (set by "Jump to error")
+  /** @type {number|null} */
+  rawJumpLine: null,
+
   // Theme: 'light' or 'dark'
   theme: 'light',
 
   // Dataset mode UI state per file (Session 6)
-  /** @type {Record<number, { filter: string, jumpIndex: number|null, lastJumpInput: string }>} */
+  // layout/columns/columnWidths drive the grid (columns: null = automatic)
+  // sort: keys in priority order (first key wins, later keys break ties)
+  // facets: paths counted in the facet panel (null = suggested)
+  /** @type {Record<number, { filter: string, jumpIndex: number|null, lastJumpInput: string, layout?: 'grid'|'cards', columns?: string[]|null, columnWidths?: Record<string, number>, columnsOpen?: boolean, sort?: { path: string, dir: 'asc'|'desc' }[], sortOpen?: boolean, facets?: string[]|null, facetsOpen?: boolean, facetShowAll?: string[], exportOpen?: boolean, exportAllColumns?: boolean }>} */
   datasetUiByFileId: {},
 
   // Templates (Session 10)
@@ -124,6 +207,23 @@ const state = {
   templates: [],
   /** @type {string|null} */
   activeTemplateId: null,
+  // Problems found in the last template upload (shown under the picker)
+  /** @type {{ fileName: string, rejected: boolean, problems: any[] }[]} */
+  templateReport: [],
+
+  // Template designer (null until first opened). targetSection is where
+  // clicked fields go; savedId is the state.templates entry it saved to.
+  /** @type {{ open: boolean, draft: any, targetSection: number, savedId: string|null, message: string }|null} */
+  designer: null,
+
+  // Template editor (null until first opened): which template, and its
+  // text when the editor opened (for Revert)
+  /** @type {{ open: boolean, templateId: string, originalText: string }|null} */
+  templateEditor: null,
+
+  // Template coverage card (Records mode): open, and which template
+  /** @type {{ open: boolean, templateId: string|null }|null} */
+  coverage: null,
 };
 
 /* ------------------------------------------------------------
@@ -135,6 +235,54 @@ function looksLikeUrl(s) {
   return /^https?:\/\/\S+/i.test(s);
 }
 
+/**
+ * Stricter than looksLikeUrl(): the whole string is one http(s) URL that
+ * the browser can parse (no spaces, no text after it). Exports write these
+ * as links; anything else stays plain text.
+ * @param {any} s
+ */
+function isLinkableUrl(s) {
+  if (typeof s !== 'string' || !/^https?:\/\/[^\s<>"]+$/i.test(s)) return false;
+  try {
+    new URL(s);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** @returns {v is LosslessNumber} */
+function isLosslessNumber(v) {
+  return v instanceof LosslessNumber;
+}
+
+/**
+ * True for arrays and objects (a LosslessNumber is a value, not a container).
+ * @param {any} v
+ */
+function isContainer(v) {
+  return v !== null && typeof v === 'object' && !isLosslessNumber(v);
+}
+
+/**
+ * JSON.stringify that writes LosslessNumber values as their exact digits.
+ * @param {any} value
+ * @param {number=} indent
+ */
+function stringifyJson(value, indent) {
+  let found = false;
+  const text = JSON.stringify(
+    value,
+    (k, v) => {
+      if (!isLosslessNumber(v)) return v;
+      found = true;
+      return `\u0000${v.text}\u0000`;
+    },
+    indent
+  );
+  return found ? text.replace(/"\\u0000([^"\\]*)\\u0000"/g, '$1') : text;
+}
+
 function clamp(n, min, max) {
   if (!Number.isFinite(n)) return min;
   return Math.min(max, Math.max(min, n));
@@ -243,6 +391,338 @@ function writeThemePreference(theme) {
   }
 }
 
+/* ------------------------------------------------------------
+    Workspace (opt-in, stored in IndexedDB)
+    - files: the original bytes plus where they came from
+    - templates: raw text (parsed again on restore)
+    - view: active file/template, modes, selected records, search, filters
+------------------------------------------------------------ */
+
+const WORKSPACE_DB_NAME = 'jtf-workspace';
+const WORKSPACE_STORE = 'workspace';
+const WORKSPACE_SAVE_DELAY_MS = 400;
+
+const workspace = {
+  enabled: false,
+  // True while a saved workspace is being loaded (nothing is saved then)
+  restoring: false,
+  /** @type {number|null} */
+  saveTimer: null,
+  // What was last written, so unchanged files/templates are not rewritten
+  savedFilesKey: '',
+  savedTemplatesKey: '',
+};
+
+function readWorkspacePreference() {
+  try {
+    return localStorage.getItem('jtfRememberWorkspace') === 'on';
+  } catch {
+    return false;
+  }
+}
+
+/** @param {boolean} on */
+function writeWorkspacePreference(on) {
+  try {
+    if (on) localStorage.setItem('jtfRememberWorkspace', 'on');
+    else localStorage.removeItem('jtfRememberWorkspace');
+  } catch {
+    // Ignore storage failures (private mode, blocked storage, etc.)
+  }
+}
+
+/**
+ * Wrap an IndexedDB request (or transaction) in a Promise.
+ * @param {IDBRequest|IDBTransaction} req
+ */
+function idbDone(req) {
+  return new Promise((resolve, reject) => {
+    if ('oncomplete' in req) {
+      req.oncomplete = () => resolve(undefined);
+      req.onabort = () => reject(req.error);
+    } else {
+      req.onsuccess = () => resolve(req.result);
+    }
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** @returns {Promise<IDBDatabase>} */
+function openWorkspaceDb() {
+  const req = indexedDB.open(WORKSPACE_DB_NAME, 1);
+  req.onupgradeneeded = () => {
+    req.result.createObjectStore(WORKSPACE_STORE);
+  };
+  return idbDone(req);
+}
+
+/** Set up the "Remember workspace" toggle and restore a saved workspace. */
+function initWorkspace() {
+  if (!els.rememberToggle) return;
+
+  if (typeof indexedDB === 'undefined') {
+    els.rememberToggle.disabled = true;
+    els.rememberToggle.closest('label').title =
+      'This browser does not allow local storage for this page.';
+    return;
+  }
+
+  workspace.enabled = readWorkspacePreference();
+  syncWorkspaceControls();
+
+  els.rememberToggle.addEventListener('change', () => {
+    if (els.rememberToggle.checked) {
+      workspace.enabled = true;
+      writeWorkspacePreference(true);
+      workspace.savedFilesKey = '';
+      workspace.savedTemplatesKey = '';
+      saveWorkspace();
+    } else {
+      deleteSavedWorkspace();
+    }
+    syncWorkspaceControls();
+  });
+
+  els.forgetWorkspaceBtn.addEventListener('click', () => {
+    deleteSavedWorkspace();
+
+    // Shared machines: also drop what is on screen
+    state.templates = [];
+    state.activeTemplateId = null;
+    renderTemplateSelect();
+    clearAll();
+    syncWorkspaceControls();
+  });
+
+  if (workspace.enabled) restoreWorkspace();
+}
+
+function syncWorkspaceControls() {
+  els.rememberToggle.checked = workspace.enabled;
+  els.forgetWorkspaceBtn.disabled = !workspace.enabled;
+}
+
+/** Stop remembering and delete everything stored for this workspace. */
+function deleteSavedWorkspace() {
+  workspace.enabled = false;
+  writeWorkspacePreference(false);
+
+  if (workspace.saveTimer != null) {
+    clearTimeout(workspace.saveTimer);
+    workspace.saveTimer = null;
+  }
+  workspace.savedFilesKey = '';
+  workspace.savedTemplatesKey = '';
+
+  try {
+    indexedDB.deleteDatabase(WORKSPACE_DB_NAME);
+  } catch (err) {
+    console.warn('JTF: Could not delete the saved workspace:', err);
+  }
+}
+
+/**
+ * Save soon (debounced). Called from the render functions, which run
+ * after every state change worth keeping.
+ */
+function scheduleWorkspaceSave() {
+  if (!workspace.enabled || workspace.restoring) return;
+
+  if (workspace.saveTimer != null) clearTimeout(workspace.saveTimer);
+  workspace.saveTimer = setTimeout(() => {
+    workspace.saveTimer = null;
+    saveWorkspace();
+  }, WORKSPACE_SAVE_DELAY_MS);
+}
+
+/** Write the current workspace to IndexedDB. */
+async function saveWorkspace() {
+  if (!workspace.enabled || workspace.restoring) return;
+
+  // Files still loading are saved once they are ready
+  const files = state.files.filter((f) => f.status === 'ready');
+  const filesKey = files.map((f) => f.id).join(',');
+  const templatesKey = state.templates
+    .map((t) => `${t.id}:${t.rawText}`)
+    .join('\n');
+
+  const view = {
+    activeFileId: state.activeFileId,
+    activeTemplateId: state.activeTemplateId,
+    selectedRecordIndexByFileId: state.selectedRecordIndexByFileId,
+    viewModeByFileId: state.viewModeByFileId,
+    datasetUiByFileId: state.datasetUiByFileId,
+    folderOpenByKey: state.folderOpenByKey,
+    searchQuery: state.searchQuery,
+    includeCollapsedInSearch: state.includeCollapsedInSearch,
+  };
+
+  let db = null;
+  try {
+    db = await openWorkspaceDb();
+    const tx = db.transaction(WORKSPACE_STORE, 'readwrite');
+    const store = tx.objectStore(WORKSPACE_STORE);
+
+    if (filesKey !== workspace.savedFilesKey) {
+      store.put(
+        files.map((f) => ({
+          id: f.id,
+          // Name/type are stored separately: some browsers keep only the Blob
+          blob: f.file,
+          name: f.file.name,
+          type: f.file.type,
+          lastModified: f.file.lastModified,
+          size: f.size,
+          compression: f.compression,
+          archiveName: f.archiveName,
+          archiveId: f.archiveId,
+          folderPath: f.folderPath,
+          pasted: f.pasted,
+          error: f.sourceError,
+        })),
+        'files'
+      );
+    }
+
+    if (templatesKey !== workspace.savedTemplatesKey) {
+      store.put(
+        state.templates.map((t) => ({
+          id: t.id,
+          name: t.name,
+          rawText: t.rawText,
+          sourceFileName: t.sourceFileName,
+        })),
+        'templates'
+      );
+    }
+
+    store.put(view, 'view');
+    await idbDone(tx);
+
+    // Forgotten while this save was in flight: do not leave data behind
+    if (!workspace.enabled) {
+      db.close();
+      db = null;
+      deleteSavedWorkspace();
+      return;
+    }
+
+    workspace.savedFilesKey = filesKey;
+    workspace.savedTemplatesKey = templatesKey;
+  } catch (err) {
+    console.warn('JTF: Could not save the workspace:', err);
+  } finally {
+    if (db) db.close();
+  }
+}
+
+/** Load a saved workspace (files are parsed again, one at a time). */
+async function restoreWorkspace() {
+  let saved = null;
+  let db = null;
+  try {
+    db = await openWorkspaceDb();
+    const store = db
+      .transaction(WORKSPACE_STORE, 'readonly')
+      .objectStore(WORKSPACE_STORE);
+    const [files, templates, view] = await Promise.all([
+      idbDone(store.get('files')),
+      idbDone(store.get('templates')),
+      idbDone(store.get('view')),
+    ]);
+    saved = { files: files || [], templates: templates || [], view };
+  } catch (err) {
+    console.warn('JTF: Could not restore the saved workspace:', err);
+    return;
+  } finally {
+    if (db) db.close();
+  }
+
+  workspace.restoring = true;
+  try {
+    // Templates are parsed and checked again, like a fresh upload
+    saved.templates.forEach((t) => {
+      try {
+        const parsed = parseJsonOrJsonc(t.rawText);
+        if (!validateTemplate(parsed).ok) return;
+        state.templates.push({ ...t, template: parsed });
+      } catch (err) {
+        console.warn(`JTF: Saved template failed to load (${t.name}):`, err);
+      }
+    });
+
+    const loaded = saved.files
+      .filter((entry) => !state.files.some((f) => f.id === entry.id))
+      .map((entry) => {
+        const file = new File([entry.blob], entry.name, {
+          type: entry.type,
+          lastModified: entry.lastModified,
+        });
+        const lf = new LoadedFile(file, entry.id, entry);
+        if (lf.error) lf.status = 'ready';
+        return lf;
+      });
+    state.files.push(...loaded);
+
+    const view = saved.view || {};
+    const known = (map) =>
+      Object.fromEntries(
+        Object.entries(map || {}).filter(([id]) =>
+          loaded.some((f) => String(f.id) === id)
+        )
+      );
+
+    Object.assign(
+      state.selectedRecordIndexByFileId,
+      known(view.selectedRecordIndexByFileId)
+    );
+    Object.assign(state.viewModeByFileId, known(view.viewModeByFileId));
+    Object.assign(state.datasetUiByFileId, known(view.datasetUiByFileId));
+    Object.assign(state.folderOpenByKey, view.folderOpenByKey || {});
+
+    const tplId = view.activeTemplateId;
+    if (
+      tplId === TEMPLATE_AUTO_ID ||
+      state.templates.some((t) => t.id === tplId)
+    ) {
+      state.activeTemplateId = tplId;
+    } else if (!state.activeTemplateId && state.templates.length) {
+      state.activeTemplateId = state.templates[0].id;
+    }
+
+    state.searchQuery = String(view.searchQuery || '');
+    state.includeCollapsedInSearch = Boolean(view.includeCollapsedInSearch);
+    els.searchInput.value = state.searchQuery;
+
+    if (loaded.length) els.clearBtn.disabled = false;
+    renderTemplateSelect();
+    renderFileList();
+
+    for (const lf of loaded) {
+      if (lf.status === 'cancelled' || lf.status === 'ready') continue;
+      await readAndParse(lf);
+      renderFileList();
+    }
+
+    const kept = loaded.filter(
+      (f) => f.status === 'ready' && state.files.includes(f)
+    );
+    const active =
+      kept.find((f) => f.id === view.activeFileId) ||
+      [...kept].reverse().find((f) => !f.error) ||
+      kept[kept.length - 1];
+
+    // Files dropped while restoring win over the saved selection
+    if (active && state.activeFileId == null) setActiveFile(active.id);
+  } finally {
+    workspace.restoring = false;
+  }
+
+  renderFileList();
+  renderViewer();
+  renderTemplateSelect();
+}
+
 const RECORD_SEARCH_PLACEHOLDER = 'Records: search fields and values…';
 const DATASET_SEARCH_PLACEHOLDER =
   'Dataset: use the filter box above (templates do not apply)';
@@ -275,6 +755,29 @@ function init() {
     }
   });
 
+  // Paste JSON: Ctrl+V anywhere, or the "Paste JSON" dialog
+  document.addEventListener('paste', onPaste);
+
+  // Copy value / path / template snippet buttons on field rows
+  els.viewer.addEventListener('click', onKvActionClick);
+
+  if (els.pasteJsonBtn && els.pasteDialog) {
+    els.pasteJsonBtn.addEventListener('click', openPasteDialog);
+
+    els.pasteText.addEventListener('input', () => {
+      els.pasteLoadBtn.disabled = !els.pasteText.value.trim();
+    });
+
+    els.pasteCancelBtn.addEventListener('click', closePasteDialog);
+
+    els.pasteForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const text = els.pasteText.value;
+      closePasteDialog();
+      await addPastedText(text);
+    });
+  }
+
   els.recordSelect.addEventListener('change', () => {
     const lf = getActiveFile();
     if (!lf) return;
@@ -351,6 +854,19 @@ function init() {
     });
   }
 
+  // Template upload report: Dismiss
+  if (els.templateReport) {
+    els.templateReport.addEventListener('click', (e) => {
+      const btn =
+        e.target instanceof Element
+          ? e.target.closest('[data-template-report-close]')
+          : null;
+      if (!btn) return;
+      state.templateReport = [];
+      renderTemplateReport();
+    });
+  }
+
   // Download starter template (Session 10)
   if (els.downloadTemplateBtn) {
     els.downloadTemplateBtn.addEventListener('click', () => {
@@ -457,11 +973,11 @@ function init() {
       const lf = getActiveFile();
       if (!lf) return;
 
-      state.datasetUiByFileId[lf.id] = {
-        filter: '',
-        jumpIndex: null,
-        lastJumpInput: '',
-      };
+      // Keep grid layout and columns; only the filter and jump reset
+      const entry = getDatasetUi(lf.id);
+      entry.filter = '';
+      entry.jumpIndex = null;
+      entry.lastJumpInput = '';
       els.datasetFilter.value = '';
       els.datasetJump.value = '';
       renderViewer();
@@ -472,6 +988,8 @@ function init() {
 
   renderFileList();
   renderViewer();
+
+  initWorkspace();
 }
 
 /** Drag events */
@@ -494,34 +1012,229 @@ async function onDrop(e) {
   const dt = e.dataTransfer;
   if (!dt) return;
 
+  // Entries must be grabbed now: dataTransfer items expire after this tick.
+  const entries = Array.from(dt.items || [])
+    .filter((it) => it.kind === 'file' && it.webkitGetAsEntry)
+    .map((it) => it.webkitGetAsEntry())
+    .filter(Boolean);
+
+  if (entries.some((en) => en.isDirectory)) {
+    await addFiles(await collectDroppedEntries(entries));
+    return;
+  }
+
   const files = Array.from(dt.files || []);
   await addFiles(files);
 }
 
+/**
+ * Walk dropped files and folders (recursively) into a flat list.
+ * Each file keeps the folder it came from, relative to what was dropped.
+ * Hidden files and folders (".git", ".DS_Store") are skipped.
+ * @param {FileSystemEntry[]} entries
+ * @returns {Promise<{ file: File, folderPath: string }[]>}
+ */
+async function collectDroppedEntries(entries) {
+  const out = [];
+
+  const walk = async (entry) => {
+    if (entry.name.startsWith('.')) return;
+
+    if (entry.isFile) {
+      try {
+        const file = await new Promise((resolve, reject) =>
+          entry.file(resolve, reject)
+        );
+        const folderPath = entry.fullPath
+          .replace(/^\//, '')
+          .split('/')
+          .slice(0, -1)
+          .join('/');
+        out.push({ file, folderPath });
+      } catch (err) {
+        console.warn(
+          `JTF: Could not read dropped file (${entry.fullPath}):`,
+          err
+        );
+      }
+      return;
+    }
+
+    if (entry.isDirectory) {
+      const reader = entry.createReader();
+
+      // readEntries returns results in batches until it returns an empty one
+      while (true) {
+        const batch = await new Promise((resolve, reject) =>
+          reader.readEntries(resolve, reject)
+        ).catch(() => []);
+        if (!batch.length) break;
+        for (const child of batch) await walk(child);
+      }
+    }
+  };
+
+  for (const entry of entries) await walk(entry);
+  return out;
+}
+
+/* ------------------------------------------------------------
+    Paste JSON
+------------------------------------------------------------ */
+
+/**
+ * Ctrl+V anywhere on the page (outside text fields) loads the clipboard.
+ * Pasted files are added like dropped files; pasted text must look like
+ * JSON (starts with { or [) so stray text does not turn into error files.
+ * @param {ClipboardEvent} e
+ */
+async function onPaste(e) {
+  if (isEditableTarget(e.target)) return;
+
+  const cd = e.clipboardData;
+  if (!cd) return;
+
+  const files = Array.from(cd.files || []);
+  if (files.length) {
+    e.preventDefault();
+    await addFiles(files);
+    return;
+  }
+
+  const text = cd.getData('text/plain') || '';
+  if (!/^\s*[[{]/.test(text)) return;
+
+  e.preventDefault();
+  await addPastedText(text);
+}
+
+/**
+ * True for inputs, textareas, selects and contenteditable elements,
+ * where a paste belongs to the field and not to the file list.
+ * @param {EventTarget|null} target
+ */
+function isEditableTarget(target) {
+  if (!(target instanceof Element)) return false;
+  if (target.closest('input, textarea, select, [contenteditable=""]')) {
+    return true;
+  }
+  return !!target.closest('[contenteditable="true"]');
+}
+
+/**
+ * Turn pasted text into an in-memory file and load it like a dropped one.
+ * @param {string} text
+ */
+async function addPastedText(text) {
+  if (!text.trim()) return;
+
+  const file = new File([text], nextPastedFileName(), {
+    type: 'application/json',
+    lastModified: Date.now(),
+  });
+
+  await addFiles([{ file, folderPath: '', pasted: true }]);
+}
+
+/**
+ * Generated names: pasted-1.json, pasted-2.json, ... (skipping names in use).
+ */
+function nextPastedFileName() {
+  const used = new Set(state.files.map((f) => f.name));
+  let n = 1;
+  while (used.has(`pasted-${n}.json`)) n++;
+  return `pasted-${n}.json`;
+}
+
+function openPasteDialog() {
+  const dlg = /** @type {HTMLDialogElement} */ (els.pasteDialog);
+  els.pasteText.value = '';
+  els.pasteLoadBtn.disabled = true;
+
+  if (typeof dlg.showModal === 'function') dlg.showModal();
+  else dlg.setAttribute('open', '');
+
+  els.pasteText.focus();
+}
+
+function closePasteDialog() {
+  const dlg = /** @type {HTMLDialogElement} */ (els.pasteDialog);
+  if (typeof dlg.close === 'function') dlg.close();
+  else dlg.removeAttribute('open');
+
+  els.pasteText.value = '';
+}
+
 /**
  * Add files to state (JSON only), parse them, update UI.
- * @param {File[]} files
+ * Files from a folder drop come wrapped with their relative folder path;
+ * pasted text arrives as an in-memory file flagged with pasted: true.
+ * @param {(File|{ file: File, folderPath: string, pasted?: boolean })[]} files
  */
 async function addFiles(files) {
-  const jsonFiles = files.filter((f) => isProbablyJsonFile(f));
-  if (jsonFiles.length === 0) return;
+  // Expand .zip archives into one entry per JSON file inside
+  const sources = [];
+  for (const item of files) {
+    const file = item instanceof File ? item : item.file;
+    const folderPath = item instanceof File ? '' : item.folderPath;
+    const pasted = !(item instanceof File) && !!item.pasted;
+
+    if (isZipFile(file)) {
+      const archiveIndex = sources.length;
+      const entries = await listZipJsonEntries(file);
+      sources.push(...entries.map((src) => ({ ...src, archiveIndex })));
+    } else if (pasted || isProbablyJsonFile(file)) {
+      sources.push({
+        file,
+        compression: isGzipFile(file) ? 'gzip' : null,
+        folderPath,
+        pasted,
+      });
+    }
+  }
+  if (sources.length === 0) return;
 
   const startId = state.files.length
     ? Math.max(...state.files.map((f) => f.id)) + 1
     : 1;
 
-  const loaded = jsonFiles.map((file, i) => new LoadedFile(file, startId + i));
+  // Entries of one archive share the id of its first entry
+  const loaded = sources.map(
+    (src, i) =>
+      new LoadedFile(src.file, startId + i, {
+        ...src,
+        archiveId: src.archiveIndex != null ? startId + src.archiveIndex : null,
+      })
+  );
+
+  // Archive entries that could not be opened arrive with an error already
+  loaded.forEach((lf) => {
+    if (lf.error) lf.status = 'ready';
+  });
+
+  // Show every file right away (with progress), then parse one at a time.
+  state.files.push(...loaded);
+  els.clearBtn.disabled = false;
+  renderFileList();
 
-  // Parse sequentially to keep it simple and predictable
   for (const lf of loaded) {
+    if (lf.status === 'cancelled' || lf.status === 'ready') continue;
     await readAndParse(lf);
-    state.files.push(lf);
+    if (lf.status === 'cancelled') continue;
+
+    renderFileList();
+    if (state.activeFileId === lf.id) renderViewer();
   }
 
+  const kept = loaded.filter(
+    (f) => f.status === 'ready' && state.files.includes(f)
+  );
+  if (!kept.length) return;
+
   // Auto-select the most recently added file that parsed successfully,
   // otherwise select the newest error (so users see what happened).
-  const newestGood = [...loaded].reverse().find((f) => !f.error);
-  const newestAny = loaded[loaded.length - 1];
+  const newestGood = [...kept].reverse().find((f) => !f.error);
+  const newestAny = kept[kept.length - 1];
   setActiveFile((newestGood || newestAny).id);
 
   renderFileList();
@@ -532,902 +1245,4412 @@ async function addFiles(files) {
 /**
  * Basic filter for JSON-ish files.
  * Accepts:
- * - .json file extension
- * - application/json mimetype (when provided)
+ * - .json, .jsonl and .ndjson file extensions (optionally gzipped: .json.gz)
+ * - application/json (or an NDJSON/JSON Lines mimetype) when provided
  * @param {File} file
  */
 function isProbablyJsonFile(file) {
-  const nameOk = file.name.toLowerCase().endsWith('.json');
-  const typeOk = file.type === 'application/json';
+  const n = stripGzipExtension(file.name.toLowerCase());
+  const nameOk =
+    n.endsWith('.json') || n.endsWith('.jsonl') || n.endsWith('.ndjson');
+  const typeOk =
+    file.type === 'application/json' || JSON_LINES_MIME_TYPES.has(file.type);
   return nameOk || typeOk;
 }
 
+const JSON_LINES_MIME_TYPES = new Set([
+  'application/x-ndjson',
+  'application/ndjson',
+  'application/jsonl',
+  'application/x-jsonlines',
+]);
+
+/**
+ * True if the file name or mimetype says "one JSON value per line".
+ * @param {File} file
+ */
+function isJsonLinesFile(file) {
+  const n = stripGzipExtension(file.name.toLowerCase());
+  return (
+    n.endsWith('.jsonl') ||
+    n.endsWith('.ndjson') ||
+    JSON_LINES_MIME_TYPES.has(file.type)
+  );
+}
+
 /**
  * Read file text and parse JSON safely.
+ * Reading and parsing run in a Web Worker when the browser allows it,
+ * so big files do not freeze the page. Falls back to the main thread.
  * @param {LoadedFile} lf
  */
 async function readAndParse(lf) {
-  try {
-    lf.text = await lf.file.text();
-
-    // Guard: empty file
-    if (!lf.text.trim()) {
-      lf.error = 'File is empty. Please provide a JSON file with content.';
-      lf.json = null;
-      return;
-    }
+  lf.status = 'loading';
+  lf.progress = { phase: 'reading', loaded: 0, total: lf.size };
+  updateFileProgress(lf);
 
-    lf.json = JSON.parse(lf.text);
-    lf.error = null;
+  const jsonLines = isJsonLinesFile(lf.file);
 
-    // Detect type (Issue/RFI/Submittal/Generic) based on the JSON we parsed.
-    lf.recordType = detectRecordType(lf.json);
+  let result = null;
+  try {
+    result = await parseFileInWorker(lf, jsonLines);
   } catch (err) {
-    lf.json = null;
-    lf.recordType = 'Generic';
-    lf.error = buildJsonErrorMessage(err);
+    // Worker could not start or crashed: parse here instead.
+    console.warn(
+      `JTF: Worker parse failed (${lf.name}), retrying inline:`,
+      err
+    );
+    result = null;
   }
-}
 
-/**
- * Create a friendlier JSON parse error message.
- * @param {unknown} err
- */
-function buildJsonErrorMessage(err) {
-  if (err instanceof SyntaxError) {
-    // Browsers often include position info in the message.
-    return `Invalid JSON: ${err.message}`;
+  if (result && result.cancelled) {
+    lf.status = 'cancelled';
+    return;
   }
-  return 'Could not read or parse this file as JSON.';
+
+  if (!result) {
+    try {
+      const text = await readBlobText(lf.file, lf.compression, (loaded) => {
+        lf.progress = { phase: 'reading', loaded, total: lf.file.size };
+        updateFileProgress(lf);
+      });
+      result = { text, ...parseFileText(text, jsonLines) };
+    } catch (err) {
+      result = {
+        text: '',
+        json: null,
+        error:
+          err instanceof SyntaxError || !(err && err.message)
+            ? buildJsonErrorMessage(err, null)
+            : `Could not read this file: ${err.message}`,
+        errorLocation: null,
+        format: 'json',
+        lineErrors: [],
+        losslessCount: 0,
+        recordType: 'Generic',
+      };
+    }
+  }
+
+  // Cancelled while we were parsing inline: drop the result.
+  if (lf.status === 'cancelled') return;
+
+  lf.text = result.text;
+  lf.json = result.json;
+  lf.error = result.error;
+  lf.errorLocation = result.errorLocation;
+  lf.format = result.format;
+  lf.lineErrors = result.lineErrors;
+  lf.recordType = result.recordType;
+  lf.losslessCount = result.losslessCount || 0;
+  if (lf.losslessCount) {
+    lf.json = reviveLosslessNumbers(lf.json, result.losslessMarker);
+  }
+  lf.status = 'ready';
+  lf.progress = null;
 }
 
 /**
- * Set the active file by id.
- * @param {number} id
+ * Parse already-read file text.
+ * Pure function (no DOM, no state) so it can also run inside the parse worker.
+ * JSON Lines files (by extension, or by content when a plain parse fails)
+ * are parsed line by line into an array, so the rest of the app sees
+ * an ordinary array of records.
+ * Numbers that JSON.parse would round come back as { [losslessMarker]:
+ * "digits" } markers (plain data survives the trip out of the worker); see
+ * reviveLosslessNumbers(). The marker key is random per parse, so no object
+ * in the file can look like one.
+ * @param {string} text
+ * @param {boolean} jsonLines
+ * @returns {{ json: any, error: string|null, errorLocation: { line: number, column: number, message: string }|null, format: 'json'|'jsonl', lineErrors: { line: number, column: number, message: string }[], losslessCount: number, losslessMarker: string, recordType: RecordType }}
  */
-function setActiveFile(id) {
-  state.activeFileId = id;
+function parseFileText(text, jsonLines) {
+  const out = {
+    json: null,
+    error: null,
+    errorLocation: null,
+    format: 'json',
+    lineErrors: [],
+    losslessCount: 0,
+    losslessMarker: `__jtfLosslessNumber:${Math.random()
+      .toString(36)
+      .slice(2)}`,
+    recordType: 'Generic',
+  };
 
-  // Default record selection for this file
-  if (state.selectedRecordIndexByFileId[id] == null) {
-    state.selectedRecordIndexByFileId[id] = 0;
+  // Guard: empty file
+  if (!text.trim()) {
+    out.error = 'File is empty. Please provide a JSON file with content.';
+    return out;
   }
 
-  // Default mode for this file
-  if (state.viewModeByFileId[id] == null) {
-    state.viewModeByFileId[id] = 'auto';
-  }
+  try {
+    let lines = null;
 
-  els.clearBtn.disabled = state.files.length === 0;
-  syncViewerControlsEnabled();
+    if (jsonLines) {
+      lines = parseJsonLines(text, out.losslessMarker);
+    } else {
+      try {
+        out.json = JSON.parse(text);
+
+        // Long digit runs: re-read so big IDs keep their exact digits
+        if (mayLosePrecision(text)) {
+          const exact = parseJsonLossless(text, out.losslessMarker);
+          if (exact.count) {
+            out.json = exact.value;
+            out.losslessCount = exact.count;
+          }
+        }
+      } catch (err) {
+        // A .json file that is really JSON Lines (common for log exports)
+        if (!looksLikeJsonLines(text)) throw err;
+        lines = parseJsonLines(text, out.losslessMarker);
+      }
+    }
 
-  // Keep toggle UI in sync with state
-  els.includeCollapsedToggle.checked = Boolean(state.includeCollapsedInSearch);
+    if (lines) {
+      out.format = 'jsonl';
+      out.lineErrors = lines.lineErrors;
+      out.losslessCount = lines.losslessCount;
+
+      // The file only counts as failed when no line parsed at all.
+      if (!lines.records.length) {
+        const first = lines.lineErrors[0];
+        out.errorLocation = first || null;
+        out.error = first
+          ? `Invalid JSON Lines: no line could be parsed (line ${first.line}, column ${first.column}: ${first.message})`
+          : 'File is empty. Please provide a JSON file with content.';
+        return out;
+      }
+      out.json = lines.records;
+    }
+
+    // Detect type (Issue/RFI/Submittal/Generic) based on the JSON we parsed.
+    out.recordType = detectRecordType(out.json);
+  } catch (err) {
+    out.json = null;
+    out.recordType = 'Generic';
+    out.errorLocation =
+      err instanceof SyntaxError ? locateJsonError(text) : null;
+    out.error = buildJsonErrorMessage(err, out.errorLocation);
+  }
+
+  return out;
 }
 
-/** Enable or disable viewer controls based on active file availability. */
-function syncViewerControlsEnabled() {
-  const lf = getActiveFile();
-  const hasFile = Boolean(lf);
-  if (els.modeSelect) els.modeSelect.disabled = !hasFile;
+/**
+ * Parse JSON Lines / NDJSON text: one JSON value per line.
+ * Blank lines are skipped. Bad lines are reported by line and column (1-based)
+ * and do not stop the rest of the file from loading.
+ * @param {string} text
+ * @param {string} marker Key for exact-number markers (see parseJsonLossless)
+ * @returns {{ records: any[], lineErrors: { line: number, column: number, message: string }[], losslessCount: number }}
+ */
+function parseJsonLines(text, marker) {
+  const records = [];
+  const lineErrors = [];
+  let losslessCount = 0;
+  const lines = text.split(/\r?\n/);
 
-  els.searchInput.disabled = !hasFile;
-  els.includeCollapsedToggle.disabled = !hasFile;
-  els.pathToggle.disabled = !hasFile;
-  els.rawToggle.disabled = !hasFile;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim()) continue;
 
-  // recordSelect will be enabled in renderViewer if there are multiple records
-  els.recordSelect.disabled = true;
+    try {
+      let value = JSON.parse(line);
+      if (mayLosePrecision(line)) {
+        const exact = parseJsonLossless(line, marker);
+        if (exact.count) {
+          value = exact.value;
+          losslessCount += exact.count;
+        }
+      }
+      records.push(value);
+    } catch {
+      const loc = locateJsonError(line);
+      lineErrors.push({
+        line: i + 1,
+        column: loc ? loc.column : 1,
+        message: loc ? loc.message : 'Could not parse this line.',
+      });
+    }
+  }
+
+  return { records, lineErrors, losslessCount };
 }
 
-/** @returns {LoadedFile|null} */
-function getActiveFile() {
-  if (state.activeFileId == null) return null;
-  return state.files.find((f) => f.id === state.activeFileId) || null;
+/**
+ * Cheap content sniff for JSON Lines: at least two non-empty lines,
+ * and the first two each parse as a standalone object or array.
+ * @param {string} text
+ */
+function looksLikeJsonLines(text) {
+  const lines = text
+    .split(/\r?\n/, 50)
+    .map((l) => l.trim())
+    .filter(Boolean);
+  if (lines.length < 2) return false;
+
+  return lines.slice(0, 2).every((l) => {
+    if (l[0] !== '{' && l[0] !== '[') return false;
+    try {
+      JSON.parse(l);
+      return true;
+    } catch {
+      return false;
+    }
+  });
 }
 
-/** Clear all loaded files and reset UI. */
-function clearAll() {
-  state.files = [];
-  state.activeFileId = null;
-  state.selectedRecordIndexByFileId = {};
-  state.viewModeByFileId = {};
-  state.datasetUiByFileId = {};
+/**
+ * Short summary of JSON Lines problems, e.g. "2 bad lines (3, 17)".
+ * @param {LoadedFile} lf
+ * @returns {string}
+ */
+function summarizeLineErrors(lf) {
+  const errs = lf.lineErrors || [];
+  if (!errs.length) return '';
+
+  const shown = errs.slice(0, 5).map((e) => e.line);
+  const more = errs.length > shown.length ? ', …' : '';
+  const noun = errs.length === 1 ? 'bad line' : 'bad lines';
+  return `${errs.length} ${noun} (${shown.join(', ')}${more})`;
+}
 
-  state.searchQuery = '';
-  state.includeCollapsedInSearch = false;
-  state.showPaths = false;
-  state.showRaw = false;
+/**
+ * Card listing JSON Lines that were skipped, shown above the viewer content.
+ * @param {LoadedFile} lf
+ */
+function renderLineErrorsCard(lf) {
+  const errs = lf.lineErrors || [];
+  if (!errs.length) return '';
+
+  const MAX_LISTED = 20;
+  const rows = errs
+    .slice(0, MAX_LISTED)
+    .map((e) => renderKV(`Line ${e.line}, col ${e.column}`, e.message));
+  const more =
+    errs.length > MAX_LISTED
+      ? `<div class="array-note">…and ${
+          errs.length - MAX_LISTED
+        } more. Flip on "Raw JSON" to see the file contents.</div>`
+      : '';
 
-  els.includeCollapsedToggle.checked = false;
-  els.pathToggle.checked = false;
+  return renderCollapsibleCard(
+    `Skipped ${errs.length} JSON Lines ${
+      errs.length === 1 ? 'entry' : 'entries'
+    }`,
+    false,
+    [...rows, more]
+  );
+}
 
-  els.recordSelect.innerHTML = `<option value="0">1</option>`;
+/**
+ * Create a friendlier JSON parse error message.
+ * When our locator found the spot, use its wording (identical in every
+ * browser) instead of the engine's SyntaxError text.
+ * @param {unknown} err
+ * @param {{ line: number, column: number, message: string }|null} loc
+ */
+function buildJsonErrorMessage(err, loc) {
+  if (loc) {
+    return `Invalid JSON at line ${loc.line}, column ${loc.column}: ${loc.message}`;
+  }
+  if (err instanceof SyntaxError) {
+    // Browsers often include position info in the message.
+    return `Invalid JSON: ${err.message}`;
+  }
+  return 'Could not read or parse this file as JSON.';
+}
 
-  els.recordSelect.disabled = true;
+/**
+ * Find the first JSON syntax error in text.
+ * A small recursive-descent scanner: it validates, it does not build values.
+ * Only called after JSON.parse has already failed.
+ *
+ * Returns null if no error is found (should not happen in practice).
+ *
+ * @param {string} text
+ * @returns {{ offset: number, line: number, column: number, message: string }|null}
+ */
+function locateJsonError(text) {
+  let i = 0;
 
-  renderFileList();
-  renderViewer();
-  syncViewerControlsEnabled();
-  els.clearBtn.disabled = true;
-}
+  const fail = (message, at) => {
+    const err = new Error(message);
+    err.offset = at == null ? i : at;
+    throw err;
+  };
 
-/** Render file list panel. */
-function renderFileList() {
-  if (state.files.length === 0) {
-    els.fileList.innerHTML = `<div class="empty-state">No files loaded yet.</div>`;
-    return;
-  }
+  const describe = (c) =>
+    c === undefined ? 'end of input' : `character ${JSON.stringify(c)}`;
+
+  const skipWs = () => {
+    while (i < text.length) {
+      const c = text[i];
+      if (c === ' ' || c === '\t' || c === '\n' || c === '\r') i++;
+      else break;
+    }
+  };
 
-  const html = state.files
-    .map((f) => {
-      const isActive = f.id === state.activeFileId;
-      const modified = f.lastModified
-        ? new Date(f.lastModified).toLocaleString()
-        : 'Unknown';
-      const size = formatBytes(f.size);
+  const expectWord = (word) => {
+    for (let k = 0; k < word.length; k++) {
+      if (text[i + k] !== word[k]) {
+        fail(`Unexpected ${describe(text[i + k])} (expected "${word}")`, i + k);
+      }
+    }
+    i += word.length;
+  };
 
-      return `
-        <div class="file-item ${isActive ? 'active' : ''}" data-file-id="${
-        f.id
-      }" role="button" tabindex="0">
-          <div class="file-name" title="${escapeHtml(f.name)}">${escapeHtml(
-        f.name
-      )}</div>
-          <div class="file-meta">
-            <span class="file-badge">Size: ${size}</span>
-            <span class="file-badge">Modified: ${escapeHtml(modified)}</span>
-            <span class="file-badge">Type: ${escapeHtml(f.recordType)}</span>
-          </div>
-          ${
-            f.error
-              ? `<div class="file-error">${escapeHtml(f.error)}</div>`
-              : ''
+  const scanString = () => {
+    const start = i;
+    i++; // opening quote
+    while (i < text.length) {
+      const c = text[i];
+      if (c === '"') {
+        i++;
+        return;
+      }
+      if (c === '\\') {
+        const e = text[i + 1];
+        if (e === 'u') {
+          if (!/^[0-9a-fA-F]{4}$/.test(text.slice(i + 2, i + 6))) {
+            fail('Bad \\u escape (expected 4 hex digits)', i);
           }
-        </div>
-      `;
-    })
-    .join('');
+          i += 6;
+          continue;
+        }
+        if (e === undefined || '"\\/bfnrt'.indexOf(e) === -1) {
+          fail(`Bad escape sequence "\\${e === undefined ? '' : e}"`, i);
+        }
+        i += 2;
+        continue;
+      }
+      if (c === '\n' || c === '\r') fail('Line break inside a string', i);
+      if (c < ' ') fail('Control character inside a string', i);
+      i++;
+    }
+    fail('Unterminated string', start);
+  };
 
-  els.fileList.innerHTML = html;
+  const scanNumber = () => {
+    const m = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(
+      text.slice(i, i + 400)
+    );
+    if (!m || !m[0] || m[0] === '-') fail('Invalid number', i);
+    i += m[0].length;
+    if (/[0-9.eE+-]/.test(text[i] || '')) fail('Invalid number', i);
+  };
 
-  // Click/keyboard handlers for selecting a file
-  els.fileList.querySelectorAll('.file-item').forEach((node) => {
-    node.addEventListener('click', () => {
-      const id = Number(node.getAttribute('data-file-id'));
-      setActiveFile(id);
-      renderFileList();
-      renderViewer();
-    });
+  const scanValue = (depth) => {
+    if (depth > 5000) fail('Nesting is too deep to check', i);
+    skipWs();
+    const c = text[i];
 
-    node.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' || e.key === ' ') {
-        e.preventDefault();
-        const id = Number(node.getAttribute('data-file-id'));
-        setActiveFile(id);
-        renderFileList();
-        renderViewer();
+    if (c === '{') {
+      i++;
+      skipWs();
+      if (text[i] === '}') {
+        i++;
+        return;
       }
-    });
-  });
-}
+      // Where the last comma was: a trailing comma is reported there, not
+      // at the closing bracket
+      let comma = -1;
+      while (true) {
+        skipWs();
+        if (text[i] === '}') fail('Trailing comma is not allowed', comma);
+        if (text[i] !== '"') {
+          fail(
+            `Expected a double-quoted property name, found ${describe(text[i])}`
+          );
+        }
+        scanString();
+        skipWs();
+        if (text[i] !== ':') {
+          fail(`Expected ':' after property name, found ${describe(text[i])}`);
+        }
+        i++;
+        scanValue(depth + 1);
+        skipWs();
+        if (text[i] === ',') {
+          comma = i++;
+          continue;
+        }
+        if (text[i] === '}') {
+          i++;
+          return;
+        }
+        fail(
+          `Expected ',' or '}' after property value, found ${describe(text[i])}`
+        );
+      }
+    }
 
-/** Render main viewer based on active file and toggle state. */
-function renderViewer() {
-  const lf = getActiveFile();
+    if (c === '[') {
+      i++;
+      skipWs();
+      if (text[i] === ']') {
+        i++;
+        return;
+      }
+      let comma = -1;
+      while (true) {
+        skipWs();
+        if (text[i] === ']') fail('Trailing comma is not allowed', comma);
+        scanValue(depth + 1);
+        skipWs();
+        if (text[i] === ',') {
+          comma = i++;
+          continue;
+        }
+        if (text[i] === ']') {
+          i++;
+          return;
+        }
+        fail(
+          `Expected ',' or ']' after array item, found ${describe(text[i])}`
+        );
+      }
+    }
 
-  if (!lf) {
-    els.viewerTitle.textContent = 'No file selected';
-    els.viewerMeta.textContent = '';
-    els.viewer.innerHTML = `<div class="empty-state">Drop a JSON file on the left to start snooping. 🕵️</div>`;
-    return;
-  }
+    if (c === '"') return scanString();
+    if (c === '-' || (c >= '0' && c <= '9')) return scanNumber();
+    if (c === 't') return expectWord('true');
+    if (c === 'f') return expectWord('false');
+    if (c === 'n') return expectWord('null');
 
-  els.viewerTitle.textContent = lf.name;
-  if (els.modeSelect) {
-    const userMode = state.viewModeByFileId?.[lf.id] || 'auto';
-    els.modeSelect.value = userMode;
+    if (c === "'") fail('Strings must use double quotes', i);
+    fail(`Unexpected ${describe(c)} (expected a value)`);
+  };
+
+  let offset = -1;
+  let message = '';
+
+  try {
+    scanValue(0);
+    skipWs();
+    if (i < text.length) fail('Unexpected content after the JSON value');
+    return null;
+  } catch (err) {
+    if (!err || typeof err.offset !== 'number') return null;
+    offset = err.offset;
+    message = err.message;
   }
 
-  if (lf.error) {
-    els.viewerMeta.textContent =
-      'This file has errors. Raw view may still show what was read.';
-  } else {
-    const { records, sourcePath } = extractRecords(lf.json);
-    const countText =
-      records && records.length > 1 ? ` • Records: ${records.length}` : '';
-    const fromText =
-      sourcePath && sourcePath !== '$' ? ` • From: ${sourcePath}` : '';
-    els.viewerMeta.textContent = `Detected: ${lf.recordType}${countText}${fromText}`;
+  return { offset, ...offsetToLineColumn(text, offset), message };
+}
+
+/**
+ * 1-based line/column of a character offset.
+ * @param {string} text
+ * @param {number} offset
+ */
+function offsetToLineColumn(text, offset) {
+  let line = 1;
+  let lineStart = 0;
+  for (let k = 0; k < offset && k < text.length; k++) {
+    if (text[k] === '\n') {
+      line++;
+      lineStart = k + 1;
+    }
   }
+  return { line, column: offset - lineStart + 1 };
+}
 
-  // If raw toggle is on, always show raw (even if parse failed).
-  if (state.showRaw) {
-    els.recordSelect.disabled = true;
-    const raw = lf.text || '';
+/**
+ * A few lines of context around an error, with a caret under the column.
+ * Very long lines (minified JSON) are clipped to a window around the column.
+ * @param {string} text
+ * @param {number} line 1-based
+ * @param {number} column 1-based
+ * @returns {string} plain text (escape before rendering)
+ */
+function buildErrorExcerpt(text, line, column) {
+  const CONTEXT = 2;
+  const WINDOW = 60;
+
+  // Only split what we need (the file may be huge)
+  const lines = text.split('\n', line + CONTEXT);
+  const first = Math.max(1, line - CONTEXT);
+  const last = Math.min(lines.length, line + CONTEXT);
+  const gutter = String(last).length;
+
+  // Clip every line to the same horizontal window so the caret lines up
+  const from = Math.max(0, column - 1 - WINDOW);
+  const to = column - 1 + WINDOW;
+
+  const clip = (s) => {
+    const body = s.replace(/\r$/, '').slice(from, to);
+    return `${from > 0 ? '…' : ''}${body}${s.length > to ? '…' : ''}`;
+  };
 
-    els.viewer.innerHTML = `
-  <pre class="raw-json language-json"><code class="language-json">${escapeHtml(
-    raw
-  )}</code></pre>
-`;
+  const out = [];
+  for (let n = first; n <= last; n++) {
+    const num = String(n).padStart(gutter, ' ');
+    out.push(`${n === line ? '>' : ' '} ${num} | ${clip(lines[n - 1] || '')}`);
 
-    highlightJsonIn(els.viewer);
-    return;
+    if (n === line) {
+      const pad = column - 1 - from + (from > 0 ? 1 : 0);
+      out.push(`  ${' '.repeat(gutter)} | ${' '.repeat(Math.max(0, pad))}^`);
+    }
   }
 
-  // Build record list and populate record selector if needed
-  const parsedOk = !lf.error && lf.json != null;
-  const userMode = state.viewModeByFileId?.[lf.id] || 'auto';
-  const autoDataset = parsedOk && isLargeFlatArrayDataset(lf.json);
+  return out.join('\n');
+}
 
-  const datasetMode =
-    parsedOk &&
-    Array.isArray(lf.json) &&
-    (userMode === 'dataset'
-      ? true
-      : userMode === 'records'
-      ? false
-      : autoDataset);
+// ===============================
+// Lossless numbers
+// Keep 64-bit IDs and long decimals exactly as written
+// ===============================
 
-  // Records search is not applicable in Dataset Mode (dataset has its own filter)
-  if (els.searchInput) {
-    els.searchInput.disabled = datasetMode;
-    // Hide the record-search UI completely in Dataset mode
-    if (els.recordSearchGroup) els.recordSearchGroup.hidden = datasetMode;
+/**
+ * Cheap pre-check: could any number in this text lose precision?
+ * Looks for 16+ digits in a row (dots allowed). Hits inside strings are
+ * harmless; they only cost a second, exact parse.
+ * @param {string} text
+ */
+function mayLosePrecision(text) {
+  return /\d[\d.]{15}/.test(text);
+}
 
-    if (els.recordSearchGroup) {
-      els.recordSearchGroup.classList.toggle('is-disabled', datasetMode);
+/**
+ * True if Number(numberText) would not give back the same digits.
+ * @param {string} numberText a valid JSON number literal
+ */
+function numberLosesPrecision(numberText) {
+  const n = Number(numberText);
+  if (!Number.isFinite(n)) return true;
+
+  // Significant digits only: drop sign, dot, exponent and edge zeros
+  const digits = (s) =>
+    s
+      .replace(/[eE].*$/, '')
+      .replace(/\D/g, '')
+      .replace(/^0+/, '')
+      .replace(/0+$/, '');
+
+  const sig = digits(numberText);
+  if (sig.length <= 15) return false;
+  return digits(String(n)) !== sig;
+}
+
+/**
+ * Parse JSON that is already known to be valid (JSON.parse succeeded),
+ * keeping numbers that would lose precision as
+ * { [marker]: "<source digits>" } objects.
+ * Keys are defined like JSON.parse does, so "__proto__" is a plain field.
+ * @param {string} text
+ * @param {string} marker
+ * @returns {{ value: any, count: number }}
+ */
+function parseJsonLossless(text, marker) {
+  let i = 0;
+  let count = 0;
+  const numberRe = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+
+  const skipWs = () => {
+    while (i < text.length) {
+      const c = text.charCodeAt(i);
+      if (c === 32 || c === 9 || c === 10 || c === 13) i++;
+      else break;
     }
+  };
 
-    if (datasetMode) {
-      // Clear any record-search state so we don't show stale highlights
-      state.searchQuery = '';
-      els.searchInput.value = '';
-      els.searchInput.placeholder = DATASET_SEARCH_PLACEHOLDER;
-    } else {
-      els.searchInput.placeholder = RECORD_SEARCH_PLACEHOLDER;
+  const readString = () => {
+    const start = i;
+    let q = i;
+
+    // Find the closing quote (one not preceded by an odd run of backslashes)
+    while (true) {
+      q = text.indexOf('"', q + 1);
+      let b = q - 1;
+      while (text.charCodeAt(b) === 92) b--;
+      if ((q - 1 - b) % 2 === 0) break;
     }
-  }
 
-  // Include-collapsed is only relevant for record searching
-  if (els.includeCollapsedToggle) {
-    els.includeCollapsedToggle.disabled = datasetMode;
-    if (els.includeCollapsedLabel)
-      els.includeCollapsedLabel.hidden = datasetMode;
+    i = q + 1;
+    const raw = text.slice(start, i);
+    return raw.indexOf('\\') === -1 ? raw.slice(1, -1) : JSON.parse(raw);
+  };
 
-    if (els.includeCollapsedLabel) {
-      els.includeCollapsedLabel.classList.toggle('is-disabled', datasetMode);
+  const readValue = () => {
+    skipWs();
+    const c = text[i];
+
+    if (c === '{') {
+      i++;
+      const obj = {};
+      skipWs();
+      if (text[i] === '}') {
+        i++;
+        return obj;
+      }
+      while (true) {
+        skipWs();
+        const key = readString();
+        skipWs();
+        i++; // :
+        const v = readValue();
+        if (key === '__proto__') {
+          Object.defineProperty(obj, key, {
+            value: v,
+            writable: true,
+            enumerable: true,
+            configurable: true,
+          });
+        } else {
+          obj[key] = v;
+        }
+        skipWs();
+        if (text[i++] === '}') return obj; // else ','
+      }
     }
 
-    if (datasetMode) {
-      state.includeCollapsedInSearch = false;
-      els.includeCollapsedToggle.checked = false;
+    if (c === '[') {
+      i++;
+      const arr = [];
+      skipWs();
+      if (text[i] === ']') {
+        i++;
+        return arr;
+      }
+      while (true) {
+        arr.push(readValue());
+        skipWs();
+        if (text[i++] === ']') return arr; // else ','
+      }
     }
-  }
 
-  let records = [];
-  let sourcePath = null;
+    if (c === '"') return readString();
 
-  if (parsedOk) {
-    const extracted = extractRecords(lf.json);
-    records = extracted.records || [];
-    sourcePath = extracted.sourcePath;
+    if (c === 't') {
+      i += 4;
+      return true;
+    }
+    if (c === 'f') {
+      i += 5;
+      return false;
+    }
+    if (c === 'n') {
+      i += 4;
+      return null;
+    }
 
-    // Toggle dataset bar vs record picker
-    if (els.datasetBar) {
-      els.datasetBar.hidden = !datasetMode;
+    numberRe.lastIndex = i;
+    const m = numberRe.exec(text);
+    const numText = m ? m[0] : '';
+    i += numText.length;
+
+    if (numberLosesPrecision(numText)) {
+      count++;
+      return { [marker]: numText };
     }
+    return Number(numText);
+  };
 
-    if (datasetMode) {
-      // Dataset mode: record picker is not used
-      els.recordSelect.disabled = true;
-      els.recordSelect.innerHTML = `<option value="0">Dataset</option>`;
+  const value = readValue();
+  return { value, count };
+}
 
-      // Treat the dataset as a single "record" for internal flow
-      records = [lf.json];
-      sourcePath = '$';
-    } else {
-      const hasMany = records.length > 1;
-      els.recordSelect.disabled = !hasMany;
+/**
+ * Turn { [marker]: "digits" } objects into LosslessNumber instances.
+ * Runs on the main thread (class instances do not survive postMessage).
+ * @param {any} value
+ * @param {string} marker The losslessMarker of this parse
+ */
+function reviveLosslessNumbers(value, marker) {
+  if (!value || typeof value !== 'object') return value;
 
-      if (hasMany) {
-        const currentIdx = state.selectedRecordIndexByFileId[lf.id] ?? 0;
-        const safeIdx = clamp(currentIdx, 0, records.length - 1);
-        state.selectedRecordIndexByFileId[lf.id] = safeIdx;
+  if (Array.isArray(value)) {
+    for (let k = 0; k < value.length; k++) {
+      value[k] = reviveLosslessNumbers(value[k], marker);
+    }
+    return value;
+  }
 
-        // Multi-record labels: template-aware + match-aware
-        els.recordSelect.innerHTML = records
-          .map((rec, i) => {
-            const resolved = getTemplateForRecord(rec);
-            const tplForThisRecord = resolved ? resolved.templateObj : null;
+  const keys = Object.keys(value);
+  if (
+    keys.length === 1 &&
+    keys[0] === marker &&
+    typeof value[marker] === 'string'
+  ) {
+    return new LosslessNumber(value[marker]);
+  }
 
-            const label = buildRecordLabel(
-              lf.recordType,
-              rec,
-              i,
-              tplForThisRecord
-            );
-            return `<option value="${i}">${escapeHtml(label)}</option>`;
-          })
-          .join('');
+  for (const k of keys) value[k] = reviveLosslessNumbers(value[k], marker);
+  return value;
+}
 
-        els.recordSelect.value = String(safeIdx);
-      } else {
-        // Single-record label: template-aware + match-aware
-        const firstRecord = records[0] || lf.json;
+/**
+ * Small marker shown next to numbers we kept exact.
+ * @param {LosslessNumber} n
+ */
+function renderLosslessMark(n) {
+  const rounded = String(Number(n.text));
+  return `<span class="lossless-mark" title="${escapeHtml(
+    `Exact value from the file. A plain JSON parse would show ${rounded}.`
+  )}">exact</span>`;
+}
 
-        const resolved = getTemplateForRecord(firstRecord);
-        const tplForThisRecord = resolved ? resolved.templateObj : null;
+// ===============================
+// Compressed files (.json.gz) and zip archives
+// Decompressed in the browser with DecompressionStream. Nothing leaves the page.
+// ===============================
 
-        const label = buildRecordLabel(
-          lf.recordType,
-          firstRecord,
-          0,
-          tplForThisRecord
-        );
+/** @param {string} lowerName */
+function stripGzipExtension(lowerName) {
+  return lowerName.endsWith('.gz') ? lowerName.slice(0, -3) : lowerName;
+}
 
-        els.recordSelect.innerHTML = `<option value="0">${escapeHtml(
-          label
-        )}</option>`;
-      }
+/** @param {File} file */
+function isGzipFile(file) {
+  return (
+    file.name.toLowerCase().endsWith('.gz') ||
+    file.type === 'application/gzip' ||
+    file.type === 'application/x-gzip'
+  );
+}
+
+/** @param {File} file */
+function isZipFile(file) {
+  return (
+    file.name.toLowerCase().endsWith('.zip') ||
+    file.type === 'application/zip' ||
+    file.type === 'application/x-zip-compressed'
+  );
+}
+
+/**
+ * Read a Blob as text, decompressing on the way when needed.
+ * Pure (no DOM, no state) so the parse worker can use it too.
+ * @param {Blob} blob
+ * @param {Compression} compression
+ * @param {(loaded: number, total: number) => void=} onProgress bytes read from blob
+ * @returns {Promise<string>}
+ */
+async function readBlobText(blob, compression, onProgress) {
+  const total = blob.size;
+  let loaded = 0;
+
+  let stream = blob.stream().pipeThrough(
+    new TransformStream({
+      transform(chunk, controller) {
+        loaded += chunk.byteLength;
+        if (onProgress) onProgress(loaded, total);
+        controller.enqueue(chunk);
+      },
+    })
+  );
+
+  if (compression) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('this browser cannot decompress files');
+    }
+    for (const format of compression.split('+')) {
+      stream = stream.pipeThrough(new DecompressionStream(format));
     }
-  } else {
-    els.recordSelect.disabled = true;
-    els.recordSelect.innerHTML = `<option value="0">Record 1</option>`;
   }
 
-  // v1 scaffold: this will become templated view.
-  if (lf.error) {
-    els.viewer.innerHTML = `
-      <div class="card">
-        <div class="card-header">
-          <h3 class="card-title">Error</h3>
-          <div class="chevron">!</div>
-        </div>
-        <div class="card-body">
-          <div class="field">
-            <div class="field-label">Problem</div>
-            <div class="field-value">${escapeHtml(lf.error)}</div>
-          </div>
-          <div class="field">
-            <div class="field-label">Tip</div>
-            <div class="field-value">Flip on "Raw JSON" to see the file contents.</div>
-          </div>
-        </div>
-      </div>
-    `;
-    return;
-  }
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  const parts = [];
 
-  const idx = state.selectedRecordIndexByFileId[lf.id] ?? 0;
-  const record = records.length
-    ? records[clamp(idx, 0, records.length - 1)]
-    : lf.json;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parts.push(decoder.decode(value, { stream: true }));
+  }
+  parts.push(decoder.decode());
 
-  if (datasetMode && Array.isArray(lf.json)) {
-    // Show + enable dataset controls
-    if (els.datasetBar) els.datasetBar.hidden = false;
-    if (els.datasetFilter) els.datasetFilter.disabled = false;
-    if (els.datasetJump) els.datasetJump.disabled = false;
-    if (els.datasetGoBtn) els.datasetGoBtn.disabled = false;
-    if (els.datasetResetBtn) els.datasetResetBtn.disabled = false;
+  return parts.join('');
+}
 
-    // Ensure state exists
-    if (!state.datasetUiByFileId[lf.id]) {
-      state.datasetUiByFileId[lf.id] = {
-        filter: '',
-        jumpIndex: null,
-        lastJumpInput: '',
-      };
-    }
+/**
+ * List the JSON files inside a .zip as LoadedFile sources.
+ * Entries stay compressed: each one is a slice of the zip Blob that
+ * readBlobText() inflates when it is that file's turn to load.
+ *
+ * Supported: stored and deflated entries (what every zip tool writes),
+ * including .json.gz entries. Not supported: encrypted entries, Zip64
+ * archives (over 4 GB).
+ *
+ * @param {File} zipFile
+ * @returns {Promise<{ file: File, compression: Compression, archiveName: string, folderPath?: string, size?: number, error?: string }[]>}
+ */
+async function listZipJsonEntries(zipFile) {
+  const archiveName = zipFile.name;
+  const failed = (message) => [
+    {
+      file: zipFile,
+      compression: null,
+      archiveName,
+      error: `Could not open archive: ${message}`,
+    },
+  ];
 
-    // Restore UI values (so switching modes doesn't wipe what the user typed)
-    const dsEntry = state.datasetUiByFileId[lf.id];
-    if (els.datasetFilter) els.datasetFilter.value = dsEntry.filter || '';
-    if (els.datasetJump) {
-      els.datasetJump.value =
-        dsEntry.lastJumpInput ||
-        (Number.isFinite(dsEntry.jumpIndex)
-          ? String(dsEntry.jumpIndex + 1)
-          : '');
+  try {
+    // End of central directory: last 22 bytes + up to 64 KB of comment
+    const tailLen = Math.min(zipFile.size, 22 + 0xffff);
+    const tailStart = zipFile.size - tailLen;
+    const tail = new DataView(await zipFile.slice(tailStart).arrayBuffer());
+
+    let eocd = -1;
+    for (let p = tail.byteLength - 22; p >= 0; p--) {
+      if (tail.getUint32(p, true) === 0x06054b50) {
+        eocd = p;
+        break;
+      }
     }
+    if (eocd < 0) return failed('not a zip file.');
 
-    els.viewer.innerHTML = renderDatasetView(lf.json, lf.id);
-  } else {
-    // If we are leaving Dataset mode and we had a jumped row selected,
-    // keep Records mode aligned to that same row.
-    const dsEntry = state.datasetUiByFileId?.[lf.id];
-    if (dsEntry && Number.isFinite(dsEntry.jumpIndex) && records.length) {
-      const safe = clamp(dsEntry.jumpIndex, 0, records.length - 1);
-      state.selectedRecordIndexByFileId[lf.id] = safe;
+    const cdSize = tail.getUint32(eocd + 12, true);
+    const cdOffset = tail.getUint32(eocd + 16, true);
+    if (cdOffset === 0xffffffff || cdSize === 0xffffffff) {
+      return failed('Zip64 archives are not supported.');
     }
 
-    // Disable dataset controls
-    if (els.datasetFilter) els.datasetFilter.disabled = true;
-    if (els.datasetJump) els.datasetJump.disabled = true;
-    if (els.datasetGoBtn) els.datasetGoBtn.disabled = true;
-    if (els.datasetResetBtn) els.datasetResetBtn.disabled = true;
-    if (els.datasetBar) els.datasetBar.hidden = true;
+    const cd = new DataView(
+      await zipFile.slice(cdOffset, cdOffset + cdSize).arrayBuffer()
+    );
+    const out = [];
+
+    let p = 0;
+    while (p + 46 <= cd.byteLength && cd.getUint32(p, true) === 0x02014b50) {
+      const flags = cd.getUint16(p + 8, true);
+      const method = cd.getUint16(p + 10, true);
+      const dosTime = cd.getUint16(p + 12, true);
+      const dosDate = cd.getUint16(p + 14, true);
+      const compSize = cd.getUint32(p + 20, true);
+      const size = cd.getUint32(p + 24, true);
+      const nameLen = cd.getUint16(p + 28, true);
+      const extraLen = cd.getUint16(p + 30, true);
+      const commentLen = cd.getUint16(p + 32, true);
+      const localOffset = cd.getUint32(p + 42, true);
+      const name = decodeZipEntryName(
+        new Uint8Array(cd.buffer, cd.byteOffset + p + 46, nameLen),
+        flags
+      );
+      p += 46 + nameLen + extraLen + commentLen;
 
-    // Recompute idx/record AFTER syncing
-    const recordIndex = state.selectedRecordIndexByFileId[lf.id] ?? 0;
-    const activeRecord = records.length
-      ? records[clamp(recordIndex, 0, records.length - 1)]
-      : lf.json;
+      // Folders, macOS resource forks, and non-JSON files are skipped
+      const base = name.split('/').pop() || '';
+      if (!base || name.startsWith('__MACOSX/') || base.startsWith('._')) {
+        continue;
+      }
+      if (!isProbablyJsonFile({ name, type: '' })) continue;
+
+      const lastModified = dosDateTimeToMs(dosDate, dosTime);
+      const folderPath = name.split('/').slice(0, -1).join('/');
+      const entryError = (message) =>
+        out.push({
+          file: new File([], base, { lastModified }),
+          compression: null,
+          archiveName,
+          folderPath,
+          size,
+          error: message,
+        });
+
+      if (flags & 0x1) {
+        entryError('Encrypted zip entries are not supported.');
+        continue;
+      }
+      if (method !== 0 && method !== 8) {
+        entryError(`Unsupported zip compression method (${method}).`);
+        continue;
+      }
 
-    // Templates apply ONLY in Records Mode, and only if the template matches this record
-    const resolved = getTemplateForRecord(activeRecord);
-    const tplForThisRecord = resolved ? resolved.templateObj : null;
+      // Local header has its own name/extra lengths; data starts after them
+      const local = new DataView(
+        await zipFile.slice(localOffset, localOffset + 30).arrayBuffer()
+      );
+      const dataStart =
+        localOffset +
+        30 +
+        local.getUint16(26, true) +
+        local.getUint16(28, true);
+
+      const gzipped = isGzipFile({ name: base, type: '' });
+      out.push({
+        file: new File([zipFile.slice(dataStart, dataStart + compSize)], base, {
+          lastModified,
+        }),
+        compression:
+          method === 8
+            ? gzipped
+              ? 'deflate-raw+gzip'
+              : 'deflate-raw'
+            : gzipped
+            ? 'gzip'
+            : null,
+        archiveName,
+        folderPath,
+        size,
+      });
+    }
 
-    els.viewer.innerHTML = renderRecordView(
-      lf.recordType,
-      activeRecord,
-      tplForThisRecord
-    );
+    if (!out.length) return failed('no JSON files found inside.');
+    return out;
+  } catch (err) {
+    return failed(err && err.message ? err.message : 'unreadable.');
   }
+}
 
-  // Wire collapsible handlers inside the viewer
-  wireViewerInteractions();
+// Upper half of code page 437, the zip default for names not flagged UTF-8
+const CP437_HIGH =
+  'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼' +
+  '╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00a0';
 
-  // Syntax highlight any JSON blocks (expanded arrays/objects, etc.)
-  highlightJsonIn(els.viewer);
+/**
+ * Decode a zip entry name: UTF-8 when flag bit 11 is set, else CP437.
+ * @param {Uint8Array} bytes
+ * @param {number} flags
+ */
+function decodeZipEntryName(bytes, flags) {
+  if (flags & 0x0800) return new TextDecoder().decode(bytes);
 
-  // Apply search (Issue template first)
-  applySearchToViewer(lf.recordType);
+  let name = '';
+  for (const b of bytes) {
+    name += b < 0x80 ? String.fromCharCode(b) : CP437_HIGH[b - 0x80];
+  }
+  return name;
 }
 
 /**
- * Try to detect the record type for a loaded JSON payload.
- * Handles:
- * - single object
- * - array of objects
- * - wrapper object with an array inside (Issues, Items, Results, Data, etc.)
- * @param {any} json
- * @returns {RecordType}
+ * Convert zip (MS-DOS) date/time fields to a timestamp (local time).
+ * @param {number} dosDate
+ * @param {number} dosTime
  */
-function detectRecordType(json) {
-  const { records } = extractRecords(json);
+function dosDateTimeToMs(dosDate, dosTime) {
+  const year = ((dosDate >> 9) & 0x7f) + 1980;
+  const month = ((dosDate >> 5) & 0x0f) - 1;
+  const day = dosDate & 0x1f;
+  const h = (dosTime >> 11) & 0x1f;
+  const m = (dosTime >> 5) & 0x3f;
+  const sec = (dosTime & 0x1f) * 2;
+  return new Date(year, month, day, h, m, sec).getTime();
+}
 
-  // No records found (or record is not an object we can inspect)
-  if (!records || records.length === 0) return 'Generic';
+// ===============================
+// Parse worker
+// Off-main-thread reading + parsing, with progress and cancel
+// ===============================
 
-  // If mixed types, we will call it Generic for v1.
-  // (Later we can display per-item templates.)
-  const types = new Set(records.map((r) => detectRecordTypeFromObject(r)));
-  if (types.size === 1)
-    return /** @type {RecordType} */ (types.values().next().value);
+/**
+ * Functions the parse worker needs. Their source is copied into the worker,
+ * so they must stay pure: no DOM, no state, no other helpers.
+ */
+const PARSE_WORKER_FUNCTIONS = [
+  readBlobText,
+  parseFileText,
+  parseJsonLines,
+  looksLikeJsonLines,
+  buildJsonErrorMessage,
+  locateJsonError,
+  offsetToLineColumn,
+  mayLosePrecision,
+  numberLosesPrecision,
+  parseJsonLossless,
+  detectRecordType,
+  extractRecords,
+  detectRecordTypeFromObject,
+  firstString,
+  hasAny,
+];
 
-  return 'Generic';
-}
+/**
+ * In-flight worker jobs by file id. Each entry can cancel its own job.
+ * @type {Map<number, { cancel: () => void }>}
+ */
+const parseJobs = new Map();
+
+/** @type {string|null} */
+let parseWorkerUrl = null;
 
 /**
- * Extract a list of “records” from common API response shapes.
- *
- * Supported shapes:
- * - Array payload: records = array (objects only)
- * - Object payload: tries to find an inner array under common keys (data/items/results/records)
- *   otherwise treats the object itself as a single record: records = [object]
- *
- * Returns:
- * - records: array of objects (best effort)
- * - sourcePath: a simple JSONPath-ish hint (best effort), used for UI messaging/debugging
- *
- * @param {any} json
- * @returns {{ records: any[], sourcePath: string|null }}
+ * Runs inside the worker (its source is serialized, never called here).
+ * Streams the file so we can report progress, then parses it.
  */
-function extractRecords(json) {
-  // Array payload: most common for list endpoints
-  if (Array.isArray(json)) {
-    return {
-      records: json.filter((x) => x && typeof x === 'object'),
-      sourcePath: '$',
-    };
-  }
+function parseWorkerMain() {
+  self.onmessage = async (e) => {
+    const { file, jsonLines, compression } = e.data;
 
-  // Single object payload
-  if (json && typeof json === 'object') {
-    // Look for likely array containers first.
-    // Add to this list anytime you see new API shapes.
-    const candidateKeys = [
-      'items',
-      'results',
-      'data',
-      'value',
-      'records',
-      'issues',
-      'rfis',
-      'submittals',
-      'Issues',
-      'RFIs',
-      'Submittals',
-      'Items',
-      'Results',
-      'Data',
-      'Value',
-      'Records',
-    ];
+    try {
+      let lastPost = 0;
+
+      const text = await readBlobText(file, compression, (loaded, total) => {
+        // Throttle progress messages (~10 per second is plenty)
+        const now = Date.now();
+        if (now - lastPost > 100) {
+          lastPost = now;
+          self.postMessage({
+            type: 'progress',
+            phase: 'reading',
+            loaded,
+            total,
+          });
+        }
+      });
 
-    for (const key of candidateKeys) {
-      if (Array.isArray(json[key])) {
-        const arr = json[key].filter((x) => x && typeof x === 'object');
-        return { records: arr, sourcePath: `$.${key}` };
-      }
+      self.postMessage({
+        type: 'progress',
+        phase: 'parsing',
+        loaded: file.size,
+        total: file.size,
+      });
+
+      const parsed = parseFileText(text, jsonLines);
+
+      // The text goes back as transferred bytes (moved, not copied)
+      const textBuffer = new TextEncoder().encode(text).buffer;
+      self.postMessage({ type: 'done', result: parsed, textBuffer }, [
+        textBuffer,
+      ]);
+    } catch (err) {
+      self.postMessage({
+        type: 'failed',
+        message: err && err.message ? err.message : String(err),
+      });
     }
+  };
+}
 
-    // If no obvious array container, treat the object itself as a single record.
-    return { records: [json], sourcePath: '$' };
-  }
+/**
+ * Create a parse worker from a Blob (no extra file to host or fetch).
+ * Returns null when workers are not available.
+ * @returns {Worker|null}
+ */
+function createParseWorker() {
+  if (typeof Worker === 'undefined' || typeof Blob === 'undefined') return null;
 
-  // Anything else (string, number, null, etc.)
-  return { records: [], sourcePath: null };
+  try {
+    if (!parseWorkerUrl) {
+      const source = [
+        "'use strict';",
+        ...PARSE_WORKER_FUNCTIONS.map((fn) => fn.toString()),
+        `(${parseWorkerMain.toString()})();`,
+      ].join('\n\n');
+
+      parseWorkerUrl = URL.createObjectURL(
+        new Blob([source], { type: 'text/javascript' })
+      );
+    }
+    return new Worker(parseWorkerUrl);
+  } catch {
+    return null;
+  }
 }
 
-// ===============================
-// Session 6 – Dataset helpers
-// ===============================
+/**
+ * Read + parse one file in a worker.
+ * Resolves with the parse result, { cancelled: true } if the user cancelled,
+ * or null when no worker could be created (caller parses inline).
+ * Rejects if the worker fails.
+ * @param {LoadedFile} lf
+ * @param {boolean} jsonLines
+ */
+function parseFileInWorker(lf, jsonLines) {
+  const worker = createParseWorker();
+  if (!worker) return Promise.resolve(null);
+
+  return new Promise((resolve, reject) => {
+    const finish = () => {
+      parseJobs.delete(lf.id);
+      worker.terminate();
+    };
 
-function isLargeFlatArrayDataset(json) {
-  if (!Array.isArray(json)) return false;
+    parseJobs.set(lf.id, {
+      cancel: () => {
+        finish();
+        resolve({ cancelled: true });
+      },
+    });
 
-  // Only treat bigger arrays as “dataset candidates”
-  if (json.length < 80) return false;
+    worker.onmessage = (e) => {
+      const msg = e.data || {};
 
-  // Sample some objects
-  const sample = json
-    .filter((x) => x && typeof x === 'object' && !Array.isArray(x))
-    .slice(0, 25);
+      if (msg.type === 'progress') {
+        lf.progress = {
+          phase: msg.phase,
+          loaded: msg.loaded,
+          total: msg.total,
+        };
+        updateFileProgress(lf);
+        return;
+      }
 
-  if (sample.length < 10) return false;
+      finish();
+      if (msg.type !== 'done') {
+        reject(new Error(msg.message || 'Worker failed'));
+        return;
+      }
+      const text = new TextDecoder().decode(msg.textBuffer);
+      resolve({ text, ...msg.result });
+    };
 
-  // How consistent are keys?
-  const keySets = sample.map((o) => new Set(Object.keys(o)));
-  const allKeys = new Set();
-  keySets.forEach((s) => s.forEach((k) => allKeys.add(k)));
+    worker.onerror = (e) => {
+      e.preventDefault();
+      finish();
+      reject(new Error(e.message || 'Worker failed'));
+    };
 
-  if (allKeys.size === 0) return false;
+    worker.postMessage({
+      file: lf.file,
+      jsonLines,
+      compression: lf.compression,
+    });
+  });
+}
 
-  let commonCount = 0;
-  for (const k of allKeys) {
-    let hits = 0;
-    for (const s of keySets) if (s.has(k)) hits++;
-    if (hits / keySets.length >= 0.6) commonCount++;
-  }
+/**
+ * Cancel loading a file and drop it from the list.
+ * Works for files still waiting in the queue too.
+ * @param {number} id
+ */
+function cancelFileLoad(id) {
+  const lf = state.files.find((f) => f.id === id);
+  if (!lf || lf.status === 'ready') return;
 
-  const commonRatio = commonCount / allKeys.size;
+  const job = parseJobs.get(id);
+  if (job) job.cancel();
 
-  // How “flat” are the values? (primitive-heavy)
-  let totalVals = 0;
-  let nestedVals = 0;
+  lf.status = 'cancelled';
+  state.files = state.files.filter((f) => f.id !== id);
+  forgetFileState(id);
 
-  for (const o of sample) {
-    for (const k of Object.keys(o)) {
-      totalVals++;
-      const v = o[k];
-      if (v && typeof v === 'object') nestedVals++;
-    }
+  if (state.activeFileId === id) {
+    state.activeFileId = null;
+    syncViewerControlsEnabled();
   }
+  els.clearBtn.disabled = state.files.length === 0;
 
-  const nestedRatio = totalVals ? nestedVals / totalVals : 1;
-
-  return commonRatio >= 0.25 && nestedRatio <= 0.25;
+  renderFileList();
+  renderViewer();
 }
 
-function rowMatchesFilter(row, filter) {
-  if (!filter) return true;
-  if (!row || typeof row !== 'object') return false;
-
-  const f = filter.toLowerCase();
-
-  // Cheap and useful: common “identity” fields first
-  const candidates = [
-    pickFirst(row, ['Id', 'id', 'ID']),
-    pickFirst(row, ['Number', 'number', 'No', 'no', 'code', 'Code']),
-    pickFirst(row, ['Title', 'title', 'Name', 'name', 'Subject', 'subject']),
-    pickFirst(row, ['Status', 'status']),
-    pickFirst(row, ['Type', 'type']),
-  ]
-    .filter((v) => v != null)
-    .map((v) => String(v).toLowerCase());
+/**
+ * Drop the per-file view state of a file that left the list. Ids are
+ * handed out again (highest + 1), so a later file must not inherit them.
+ * @param {number} id
+ */
+function forgetFileState(id) {
+  delete state.selectedRecordIndexByFileId[id];
+  delete state.viewModeByFileId[id];
+  delete state.datasetUiByFileId[id];
+}
 
-  if (candidates.some((t) => t.includes(f))) return true;
+/**
+ * Human-readable progress line for a loading file.
+ * @param {LoadedFile} lf
+ */
+function describeFileProgress(lf) {
+  const p = lf.progress;
+  if (lf.status === 'queued' || !p) return { pct: 0, text: 'Waiting…' };
 
-  // Fall back: scan primitive fields only (avoid stringify the whole thing)
-  for (const k of Object.keys(row)) {
-    const v = row[k];
-    if (v == null) continue;
-    if (typeof v === 'string' && v.toLowerCase().includes(f)) return true;
-    if (typeof v === 'number' && String(v).includes(filter)) return true;
-    if (typeof v === 'boolean' && String(v).includes(f)) return true;
+  if (p.phase === 'parsing') {
+    return { pct: 100, text: 'Parsing…', indeterminate: true };
   }
 
-  return false;
+  const pct = p.total ? Math.round((p.loaded / p.total) * 100) : 0;
+  return {
+    pct,
+    text: `Reading… ${pct}% (${formatBytes(p.loaded)} of ${formatBytes(
+      p.total
+    )})`,
+  };
 }
 
-function buildDatasetSummary(arr) {
-  if (!Array.isArray(arr)) return null;
-
-  const total = arr.length;
-  const sample = arr
-    .filter((x) => x && typeof x === 'object' && !Array.isArray(x))
-    .slice(0, 30);
+/**
+ * Progress bar + Cancel button for a file that is still loading.
+ * @param {LoadedFile} lf
+ */
+function renderFileProgress(lf) {
+  const d = describeFileProgress(lf);
+  return `
+    <div class="file-progress${
+      d.indeterminate ? ' is-indeterminate' : ''
+    }" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${
+    d.pct
+  }">
+      <div class="file-progress-bar" style="width:${d.pct}%"></div>
+    </div>
+    <div class="file-progress-row">
+      <span class="file-progress-text">${escapeHtml(d.text)}</span>
+      <button class="mini-btn" type="button" data-cancel-file-id="${
+        lf.id
+      }">Cancel</button>
+    </div>
+  `;
+}
 
-  const objectRows = sample.length;
+/**
+ * Update one file's progress in place (no full list re-render).
+ * @param {LoadedFile} lf
+ */
+function updateFileProgress(lf) {
+  const item = els.fileList.querySelector(
+    `.file-item[data-file-id="${lf.id}"]`
+  );
+  if (!item) return;
+
+  const bar = item.querySelector('.file-progress');
+  const fill = item.querySelector('.file-progress-bar');
+  const text = item.querySelector('.file-progress-text');
+  if (!bar || !fill || !text) return;
+
+  const d = describeFileProgress(lf);
+  bar.classList.toggle('is-indeterminate', Boolean(d.indeterminate));
+  bar.setAttribute('aria-valuenow', String(d.pct));
+  fill.style.width = `${d.pct}%`;
+  text.textContent = d.text;
+}
 
-  // Common keys hint (reuses existing helper)
-  const commonKeys = commonKeysFromArrayOfObjects(sample, 6);
+/**
+ * Set the active file by id.
+ * @param {number} id
+ */
+function setActiveFile(id) {
+  state.activeFileId = id;
 
-  // Lightweight nesting hint (sample only)
-  let totalFields = 0;
-  let nestedFields = 0;
+  // Default record selection for this file
+  if (state.selectedRecordIndexByFileId[id] == null) {
+    state.selectedRecordIndexByFileId[id] = 0;
+  }
 
-  for (const row of sample) {
-    for (const k of Object.keys(row)) {
-      totalFields++;
-      const v = row[k];
-      if (v && typeof v === 'object') nestedFields++;
-    }
+  // Default mode for this file
+  if (state.viewModeByFileId[id] == null) {
+    state.viewModeByFileId[id] = 'auto';
   }
 
-  const nestedRatio = totalFields ? nestedFields / totalFields : 0;
-  const shapeHint =
-    nestedRatio <= 0.15
-      ? 'Mostly flat (table-like)'
-      : nestedRatio <= 0.35
-      ? 'Some nested fields'
-      : 'Nested-heavy rows';
+  els.clearBtn.disabled = state.files.length === 0;
+  syncViewerControlsEnabled();
 
-  return {
-    total,
-    objectRows,
-    sampleSize: sample.length,
-    commonKeys,
-    nestedRatio,
-    shapeHint,
-  };
+  // Keep toggle UI in sync with state
+  els.includeCollapsedToggle.checked = Boolean(state.includeCollapsedInSearch);
 }
 
-function renderDatasetSummaryCard(arr) {
-  const s = buildDatasetSummary(arr);
-  if (!s) return '';
+/** Enable or disable viewer controls based on active file availability. */
+function syncViewerControlsEnabled() {
+  const lf = getActiveFile();
+  const hasFile = Boolean(lf);
+  if (els.modeSelect) els.modeSelect.disabled = !hasFile;
 
-  const keyHint = s.commonKeys.length
-    ? s.commonKeys.join(', ')
-    : '(none found)';
-  const nestedPct = `${Math.round(s.nestedRatio * 100)}%`;
+  els.searchInput.disabled = !hasFile;
+  els.includeCollapsedToggle.disabled = !hasFile;
+  els.pathToggle.disabled = !hasFile;
+  els.rawToggle.disabled = !hasFile;
 
-  return `
-    <div class="card">
-      <div class="card-header">
-        <h3 class="card-title">Dataset summary</h3>
-        <div class="chevron">Hint</div>
-      </div>
-      <div class="card-body">
-        ${renderKV('Rows', s.total)}
-        ${renderKV(
-          'Sampled rows',
-          `${s.sampleSize} (object rows: ${s.objectRows})`
-        )}
-        ${renderKV(
-          'Shape',
-          `${s.shapeHint} • Nested fields (sample): ${nestedPct}`
-        )}
-        ${renderKV('Common keys (sample)', keyHint)}
-      </div>
-    </div>
-  `;
+  // recordSelect will be enabled in renderViewer if there are multiple records
+  els.recordSelect.disabled = true;
 }
 
-function renderDatasetView(arr, lfId) {
-  const entry = state.datasetUiByFileId[lfId] || {
-    filter: '',
-    jumpIndex: null,
-  };
-  const filter = entry.filter || '';
-  const jumpIndex = Number.isFinite(entry.jumpIndex) ? entry.jumpIndex : null;
+/** @returns {LoadedFile|null} */
+function getActiveFile() {
+  if (state.activeFileId == null) return null;
+  return state.files.find((f) => f.id === state.activeFileId) || null;
+}
 
-  // Jump mode: show a single row (no paging, no drama)
-  if (jumpIndex != null) {
-    const safe = clamp(jumpIndex, 0, arr.length - 1);
-    const item = arr[safe];
+/** Clear all loaded files and reset UI. */
+function clearAll() {
+  // Stop any files still loading
+  state.files.forEach((f) => {
+    if (f.status === 'ready') return;
+    const job = parseJobs.get(f.id);
+    if (job) job.cancel();
+    f.status = 'cancelled';
+  });
 
-    const requestedLabel = entry.lastJumpInput
-      ? entry.lastJumpInput
-      : String(jumpIndex + 1);
-    const outOfRange = jumpIndex < 0 || jumpIndex > arr.length - 1;
+  state.files = [];
+  state.activeFileId = null;
+  state.folderOpenByKey = {};
+  state.selectedRecordIndexByFileId = {};
+  state.viewModeByFileId = {};
+  state.datasetUiByFileId = {};
 
-    const jumpNote = outOfRange
-      ? `<div class="array-note">Row ${escapeHtml(
-          requestedLabel
-        )} is out of range (valid: 1–${arr.length}). Showing Row ${
-          safe + 1
-        } instead.</div>`
-      : '';
+  state.searchQuery = '';
+  state.includeCollapsedInSearch = false;
+  state.showPaths = false;
+  state.showRaw = false;
 
-    const summaryCard = renderDatasetSummaryCard(arr);
+  els.includeCollapsedToggle.checked = false;
+  els.pathToggle.checked = false;
 
-    return `
-    ${summaryCard}
-    <div class="card">
-      <div class="card-header">
-        <h3 class="card-title">Row ${safe + 1} of ${arr.length}</h3>
-        <div class="chevron">Dataset</div>
-      </div>
-      ${jumpNote}
-      <div class="card-body">
-        ${renderObjectAsKv(item, `$[${safe}]`)}
-      </div>
-    </div>
-  `;
+  els.recordSelect.innerHTML = `<option value="0">1</option>`;
+
+  els.recordSelect.disabled = true;
+
+  renderFileList();
+  renderViewer();
+  syncViewerControlsEnabled();
+  els.clearBtn.disabled = true;
+}
+
+/** Render file list panel. */
+function renderFileList() {
+  scheduleWorkspaceSave();
+
+  if (state.files.length === 0) {
+    els.fileList.innerHTML = `<div class="empty-state">No files loaded yet.</div>`;
+    return;
   }
 
-  // Filtered list mode (capped)
-  const indexed = arr.map((row, idx) => ({ row, idx }));
-  const matches = filter
-    ? indexed.filter(({ row }) => rowMatchesFilter(row, filter))
-    : indexed;
-
-  const HARD_MAX = 80; // list cap for dataset mode (separate from generic arrays)
-  const show = matches.slice(0, HARD_MAX);
-
-  const meta =
-    matches.length > show.length
-      ? `Showing ${show.length} of ${matches.length} matching rows (dataset has ${arr.length})`
-      : `Showing ${show.length} rows (dataset has ${arr.length})`;
-
-  const note =
-    matches.length > HARD_MAX
-      ? `<div class="array-note">
-         Showing the first ${HARD_MAX} rows for performance.
-         Use the filter or jump to a specific row to explore the rest.
-       </div>`
-      : '';
+  const html = renderFileTreeNode(buildFileTree(state.files), 0);
+
+  els.fileList.innerHTML = html;
+
+  // Folder / archive toggles
+  els.fileList.querySelectorAll('[data-folder-key]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const key = btn.getAttribute('data-folder-key') || '';
+      state.folderOpenByKey[key] = btn.getAttribute('aria-expanded') !== 'true';
+      renderFileList();
+    });
+  });
 
-  const cards = show.map(({ row, idx }) => {
-    return renderArrayItem(arr, row, idx);
+  // Cancel buttons on files that are still loading
+  els.fileList.querySelectorAll('[data-cancel-file-id]').forEach((btn) => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      cancelFileLoad(Number(btn.getAttribute('data-cancel-file-id')));
+    });
+    btn.addEventListener('keydown', (e) => e.stopPropagation());
   });
 
-  const summaryCard = renderDatasetSummaryCard(arr);
+  // Click/keyboard handlers for selecting a file
+  els.fileList.querySelectorAll('.file-item').forEach((node) => {
+    node.addEventListener('click', () => {
+      const id = Number(node.getAttribute('data-file-id'));
+      setActiveFile(id);
+      renderFileList();
+      renderViewer();
+    });
 
-  return `
-    ${summaryCard}
-    <div class="array-meta-row">
-      <div class="array-meta">${escapeHtml(meta)}</div>
-    </div>
-    ${note}
-    <div class="array-list">
-      ${cards.join('')}
-    </div>
-  `;
+    node.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        const id = Number(node.getAttribute('data-file-id'));
+        setActiveFile(id);
+        renderFileList();
+        renderViewer();
+      }
+    });
+  });
 }
 
 /**
- * Detect record type for a single object record.
- * Uses:
- * - explicit "type/entity/resource" string hints if present
- * - otherwise key-based heuristics
- * @param {any} obj
- * @returns {RecordType}
+ * Group files into a folder tree (zip archives are top-level folders).
+ * Children keep first-seen order, so loose files stay where they were added.
+ * @param {LoadedFile[]} files
  */
-function detectRecordTypeFromObject(obj) {
-  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return 'Generic';
-
-  // 1) Explicit hint fields (string values)
-  const hint = firstString(obj, [
-    'type',
-    'Type',
-    'entity',
-    'Entity',
-    'resource',
-    'Resource',
-    'recordType',
-    'RecordType',
-  ]);
-  if (hint) {
-    const norm = hint.toLowerCase();
-    if (norm.includes('issue')) return 'Issue';
-    if (norm === 'rfi' || norm.includes('request for information'))
-      return 'RFI';
-    if (norm.includes('submittal')) return 'Submittal';
-  }
+function buildFileTree(files) {
+  const makeNode = (name, key, isArchive) => ({
+    name,
+    key,
+    isArchive,
+    /** @type {({ type: 'folder', node: any }|{ type: 'file', file: LoadedFile })[]} */
+    children: [],
+    folders: new Map(),
+    fileCount: 0,
+  });
 
-  // 2) Shape sniffing (heuristics)
-  // Your Issue example has many of these: Title, Number, Status, Priority, AssignedTo, Viewpoints, History
-  const has = (k) => Object.prototype.hasOwnProperty.call(obj, k);
+  const root = makeNode('', '', false);
+
+  for (const f of files) {
+    const segs = [];
+    if (f.archiveName) segs.push({ name: f.archiveName, isArchive: true });
+    f.folderPath
+      .split('/')
+      .filter(Boolean)
+      .forEach((name) => segs.push({ name, isArchive: false }));
+
+    let node = root;
+    node.fileCount++;
+
+    for (const seg of segs) {
+      // Archives group by id: two zips can have the same name
+      const id = seg.isArchive
+        ? `zip:${f.archiveId != null ? `${f.archiveId}:` : ''}${seg.name}`
+        : seg.name;
+      let next = node.folders.get(id);
+      if (!next) {
+        next = makeNode(seg.name, `${node.key}/${id}`, seg.isArchive);
+        node.folders.set(id, next);
+        node.children.push({ type: 'folder', node: next });
+      }
+      node = next;
+      node.fileCount++;
+    }
 
-  // Issue signals
-  const issueSignals =
-    (has('Title') || has('title')) &&
-    (has('Status') || has('status')) &&
-    (has('Priority') || has('priority')) &&
-    (has('AssignedTo') || has('assignedTo') || has('Author') || has('author'));
+    node.children.push({ type: 'file', file: f });
+  }
 
-  const issueExtraSignals =
-    has('Viewpoints') ||
-    has('viewpoints') ||
-    has('Disciplines') ||
-    has('disciplines') ||
-    has('History') ||
-    has('history');
+  return root;
+}
 
-  if (issueSignals && issueExtraSignals) return 'Issue';
+/**
+ * True if the active file sits somewhere under this tree node.
+ * @param {any} node
+ */
+function fileTreeHasActive(node) {
+  return node.children.some((c) =>
+    c.type === 'file'
+      ? c.file.id === state.activeFileId
+      : fileTreeHasActive(c.node)
+  );
+}
 
-  // RFI signals (common-ish naming patterns across systems)
-  // We keep this broad, because RFI schemas vary wildly.
-  const rfiSignals =
-    hasAny(obj, ['Question', 'question', 'RfiQuestion', 'rfiQuestion']) ||
-    hasAny(obj, ['Answer', 'answer', 'Response', 'response']) ||
-    (hasAny(obj, ['BallInCourt', 'ballInCourt', 'DueDate', 'dueDate']) &&
-      hasAny(obj, ['RfiNumber', 'rfiNumber', 'RfiId', 'rfiId']));
+/**
+ * Render a tree node's children. Folders are collapsible; big folders start
+ * collapsed unless they hold the active file, so hundreds of files stay tidy.
+ * @param {any} node
+ * @param {number} depth
+ */
+function renderFileTreeNode(node, depth) {
+  const FOLDER_AUTO_OPEN_MAX = 25;
 
-  if (rfiSignals) return 'RFI';
+  return node.children
+    .map((c) => {
+      if (c.type === 'file') return renderFileItem(c.file);
 
-  // Submittal signals
-  const submittalSignals =
-    hasAny(obj, ['SpecSection', 'specSection', 'SpecificationSection']) ||
-    hasAny(obj, ['Revision', 'revision', 'RevisionNumber']) ||
-    hasAny(obj, [
-      'SubmittalNumber',
-      'submittalNumber',
-      'SubmittalId',
-      'submittalId',
-    ]) ||
-    (hasAny(obj, [
-      'ReviewStatus',
-      'reviewStatus',
-      'ReviewDate',
-      'reviewDate',
-    ]) &&
-      hasAny(obj, ['DueDate', 'dueDate']));
+      const folder = c.node;
+      const saved = state.folderOpenByKey[folder.key];
+      const open =
+        saved != null
+          ? saved
+          : folder.fileCount <= FOLDER_AUTO_OPEN_MAX ||
+            fileTreeHasActive(folder);
 
-  if (submittalSignals) return 'Submittal';
+      const count = `${folder.fileCount} ${
+        folder.fileCount === 1 ? 'file' : 'files'
+      }`;
 
-  return 'Generic';
+      return `
+        <div class="file-group${
+          folder.isArchive ? ' is-archive' : ''
+        }" data-depth="${depth}">
+          <button class="file-group-title" type="button" data-folder-key="${escapeHtml(
+            folder.key
+          )}" aria-expanded="${open ? 'true' : 'false'}" title="${escapeHtml(
+        folder.name
+      )}">
+            <span class="chevron">${open ? 'v' : '>'}</span>
+            <span class="file-group-name">${escapeHtml(folder.name)}${
+        folder.isArchive ? '' : '/'
+      }</span>
+            <span class="file-group-count">${count}</span>
+          </button>
+          ${open ? renderFileTreeNode(folder, depth + 1) : ''}
+        </div>
+      `;
+    })
+    .join('');
 }
 
 /**
- * Return the first non-empty string found in obj for the given keys.
- * @param {any} obj
- * @param {string[]} keys
- * @returns {string|null}
+ * Path shown in the viewer title: archive / folders / file name.
+ * @param {LoadedFile} lf
  */
-function firstString(obj, keys) {
-  for (const k of keys) {
-    if (
-      obj &&
-      typeof obj === 'object' &&
-      typeof obj[k] === 'string' &&
-      obj[k].trim()
-    ) {
-      return obj[k].trim();
-    }
-  }
-  return null;
+function getFileDisplayPath(lf) {
+  return [lf.archiveName, lf.folderPath, lf.name].filter(Boolean).join('/');
 }
 
 /**
- * True if any key exists on obj.
- * @param {any} obj
- * @param {string[]} keys
+ * One entry in the file list.
+ * @param {LoadedFile} f
  */
-function hasAny(obj, keys) {
-  return keys.some((k) => Object.prototype.hasOwnProperty.call(obj, k));
-}
+function renderFileItem(f) {
+  const isActive = f.id === state.activeFileId;
+  const isLoading = f.status === 'queued' || f.status === 'loading';
+  const modified = f.lastModified
+    ? new Date(f.lastModified).toLocaleString()
+    : 'Unknown';
+  const size = formatBytes(f.size);
 
-function isUsablePrimitive(v) {
-  if (v == null) return false;
-  const t = typeof v;
-  return t === 'string' || t === 'number' || t === 'boolean';
+  return `
+    <div class="file-item ${isActive ? 'active' : ''}" data-file-id="${
+    f.id
+  }" role="button" tabindex="0">
+      <div class="file-name" title="${escapeHtml(
+        getFileDisplayPath(f)
+      )}">${escapeHtml(f.name)}</div>
+      <div class="file-meta">
+        <span class="file-badge">Size: ${size}</span>
+        <span class="file-badge">Modified: ${escapeHtml(modified)}</span>
+        ${
+          isLoading
+            ? ''
+            : `<span class="file-badge">Type: ${escapeHtml(
+                f.recordType
+              )}</span>`
+        }
+        ${
+          f.format === 'jsonl'
+            ? `<span class="file-badge">Format: JSON Lines</span>`
+            : ''
+        }
+        ${
+          f.compression && f.compression.endsWith('gzip')
+            ? `<span class="file-badge">Compressed: gzip</span>`
+            : ''
+        }
+        ${f.pasted ? `<span class="file-badge">Pasted</span>` : ''}
+      </div>
+      ${isLoading ? renderFileProgress(f) : ''}
+      ${f.error ? `<div class="file-error">${escapeHtml(f.error)}</div>` : ''}
+      ${
+        !f.error && f.lineErrors.length
+          ? `<div class="file-warning">${escapeHtml(
+              summarizeLineErrors(f)
+            )}</div>`
+          : ''
+      }
+    </div>
+  `;
 }
 
-function pickFirstPrimitive(obj, keys) {
-  const v = pickFirst(obj, keys);
-  return isUsablePrimitive(v) ? v : null;
-}
+/** Render main viewer based on active file and toggle state. */
+function renderViewer() {
+  scheduleWorkspaceSave();
+  virtualLists.clear();
+  kvRowSources.clear();
 
-function pickIdLike(obj) {
-  return pickFirstPrimitive(obj, [
-    'Id',
+  const lf = getActiveFile();
+
+  if (!lf) {
+    els.viewerTitle.textContent = 'No file selected';
+    els.viewerMeta.textContent = '';
+    els.viewer.innerHTML = `<div class="empty-state">Drop a JSON file on the left to start snooping. 🕵️</div>`;
+    return;
+  }
+
+  els.viewerTitle.textContent = getFileDisplayPath(lf);
+
+  if (lf.status === 'queued' || lf.status === 'loading') {
+    els.viewerMeta.textContent = 'Loading…';
+    els.viewer.innerHTML = `<div class="empty-state">Still loading this file. Progress is shown in the file list.</div>`;
+    return;
+  }
+
+  if (els.modeSelect) {
+    const userMode = state.viewModeByFileId?.[lf.id] || 'auto';
+    els.modeSelect.value = userMode;
+  }
+
+  if (lf.error) {
+    els.viewerMeta.textContent =
+      'This file has errors. Raw view may still show what was read.';
+  } else {
+    const { records, sourcePath } = extractRecords(lf.json);
+    const countText =
+      records && records.length > 1 ? ` • Records: ${records.length}` : '';
+    const fromText =
+      sourcePath && sourcePath !== '$' ? ` • From: ${sourcePath}` : '';
+    const skippedText = lf.lineErrors.length
+      ? ` • Skipped: ${summarizeLineErrors(lf)}`
+      : '';
+    const exactText = lf.losslessCount
+      ? ` • Exact numbers kept: ${lf.losslessCount}`
+      : '';
+    els.viewerMeta.textContent = `Detected: ${lf.recordType}${countText}${fromText}${skippedText}${exactText}`;
+  }
+
+  // If raw toggle is on, always show raw (even if parse failed).
+  if (state.showRaw) {
+    els.recordSelect.disabled = true;
+    const raw = lf.text || '';
+
+    els.viewer.innerHTML = `
+  <pre class="raw-json language-json"><code class="language-json">${escapeHtml(
+    raw
+  )}</code></pre>
+`;
+
+    highlightJsonIn(els.viewer);
+
+    if (state.rawJumpLine != null) {
+      scrollRawViewToLine(state.rawJumpLine);
+      state.rawJumpLine = null;
+    }
+    return;
+  }
+
+  // Build record list and populate record selector if needed
+  const parsedOk = !lf.error && lf.json != null;
+  const userMode = state.viewModeByFileId?.[lf.id] || 'auto';
+  const autoDataset = parsedOk && isLargeFlatArrayDataset(lf.json);
+
+  const datasetMode =
+    parsedOk &&
+    Array.isArray(lf.json) &&
+    (userMode === 'dataset'
+      ? true
+      : userMode === 'records'
+      ? false
+      : autoDataset);
+
+  // Records search is not applicable in Dataset Mode (dataset has its own filter)
+  if (els.searchInput) {
+    els.searchInput.disabled = datasetMode;
+    // Hide the record-search UI completely in Dataset mode
+    if (els.recordSearchGroup) els.recordSearchGroup.hidden = datasetMode;
+
+    if (els.recordSearchGroup) {
+      els.recordSearchGroup.classList.toggle('is-disabled', datasetMode);
+    }
+
+    if (datasetMode) {
+      // Clear any record-search state so we don't show stale highlights
+      state.searchQuery = '';
+      els.searchInput.value = '';
+      els.searchInput.placeholder = DATASET_SEARCH_PLACEHOLDER;
+    } else {
+      els.searchInput.placeholder = RECORD_SEARCH_PLACEHOLDER;
+    }
+  }
+
+  // Include-collapsed is only relevant for record searching
+  if (els.includeCollapsedToggle) {
+    els.includeCollapsedToggle.disabled = datasetMode;
+    if (els.includeCollapsedLabel)
+      els.includeCollapsedLabel.hidden = datasetMode;
+
+    if (els.includeCollapsedLabel) {
+      els.includeCollapsedLabel.classList.toggle('is-disabled', datasetMode);
+    }
+
+    if (datasetMode) {
+      state.includeCollapsedInSearch = false;
+      els.includeCollapsedToggle.checked = false;
+    }
+  }
+
+  let records = [];
+  let sourcePath = null;
+
+  if (parsedOk) {
+    const extracted = extractRecords(lf.json);
+    records = extracted.records || [];
+    sourcePath = extracted.sourcePath;
+
+    // Toggle dataset bar vs record picker
+    if (els.datasetBar) {
+      els.datasetBar.hidden = !datasetMode;
+    }
+
+    if (datasetMode) {
+      // Dataset mode: record picker is not used
+      els.recordSelect.disabled = true;
+      els.recordSelect.innerHTML = `<option value="0">Dataset</option>`;
+
+      // Treat the dataset as a single "record" for internal flow
+      records = [lf.json];
+      sourcePath = '$';
+    } else {
+      const hasMany = records.length > 1;
+      els.recordSelect.disabled = !hasMany;
+
+      if (hasMany) {
+        const currentIdx = state.selectedRecordIndexByFileId[lf.id] ?? 0;
+        const safeIdx = clamp(currentIdx, 0, records.length - 1);
+        state.selectedRecordIndexByFileId[lf.id] = safeIdx;
+
+        // Multi-record labels: template-aware + match-aware
+        els.recordSelect.innerHTML = records
+          .map((rec, i) => {
+            const resolved = getTemplateForRecord(rec);
+            const tplForThisRecord = resolved ? resolved.templateObj : null;
+
+            const label = buildRecordLabel(
+              lf.recordType,
+              rec,
+              i,
+              tplForThisRecord
+            );
+            return `<option value="${i}">${escapeHtml(label)}</option>`;
+          })
+          .join('');
+
+        els.recordSelect.value = String(safeIdx);
+      } else {
+        // Single-record label: template-aware + match-aware
+        const firstRecord = records[0] || lf.json;
+
+        const resolved = getTemplateForRecord(firstRecord);
+        const tplForThisRecord = resolved ? resolved.templateObj : null;
+
+        const label = buildRecordLabel(
+          lf.recordType,
+          firstRecord,
+          0,
+          tplForThisRecord
+        );
+
+        els.recordSelect.innerHTML = `<option value="0">${escapeHtml(
+          label
+        )}</option>`;
+      }
+    }
+  } else {
+    els.recordSelect.disabled = true;
+    els.recordSelect.innerHTML = `<option value="0">Record 1</option>`;
+  }
+
+  // v1 scaffold: this will become templated view.
+  if (lf.error) {
+    const loc = lf.errorLocation;
+    const excerpt =
+      loc && lf.text ? buildErrorExcerpt(lf.text, loc.line, loc.column) : '';
+
+    els.viewer.innerHTML = `
+      <div class="card">
+        <div class="card-header">
+          <h3 class="card-title">Error</h3>
+          <div class="chevron">!</div>
+        </div>
+        <div class="card-body">
+          <div class="field">
+            <div class="field-label">Problem</div>
+            <div class="field-value">${escapeHtml(lf.error)}</div>
+          </div>
+          ${
+            loc
+              ? `<div class="field">
+            <div class="field-label">Where</div>
+            <div class="field-value">Line ${loc.line}, column ${loc.column}</div>
+          </div>`
+              : ''
+          }
+          ${
+            excerpt
+              ? `<div class="field">
+            <div class="field-label">Excerpt</div>
+            <div class="field-value"><pre class="error-excerpt">${escapeHtml(
+              excerpt
+            )}</pre></div>
+          </div>`
+              : ''
+          }
+          <div class="field">
+            <div class="field-label">Tip</div>
+            <div class="field-value">${
+              loc
+                ? `<a href="#" data-jump-to-error="${loc.line}">Jump to error in Raw JSON</a>`
+                : 'Flip on "Raw JSON" to see the file contents.'
+            }</div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const jump = els.viewer.querySelector('[data-jump-to-error]');
+    if (jump) {
+      jump.addEventListener('click', (e) => {
+        e.preventDefault();
+        state.rawJumpLine = Number(jump.getAttribute('data-jump-to-error'));
+        state.showRaw = true;
+        els.rawToggle.checked = true;
+        renderViewer();
+      });
+    }
+    return;
+  }
+
+  const idx = state.selectedRecordIndexByFileId[lf.id] ?? 0;
+  const record = records.length
+    ? records[clamp(idx, 0, records.length - 1)]
+    : lf.json;
+
+  if (datasetMode && Array.isArray(lf.json)) {
+    // Show + enable dataset controls
+    if (els.datasetBar) els.datasetBar.hidden = false;
+    if (els.datasetFilter) els.datasetFilter.disabled = false;
+    if (els.datasetJump) els.datasetJump.disabled = false;
+    if (els.datasetGoBtn) els.datasetGoBtn.disabled = false;
+    if (els.datasetResetBtn) els.datasetResetBtn.disabled = false;
+
+    // Restore UI values (so switching modes doesn't wipe what the user typed)
+    const dsEntry = getDatasetUi(lf.id);
+    // Only write when it differs, so a trailing space being typed survives
+    if (
+      els.datasetFilter &&
+      els.datasetFilter.value.trim() !== (dsEntry.filter || '')
+    ) {
+      els.datasetFilter.value = dsEntry.filter || '';
+    }
+    renderDatasetFilterError(compileDatasetFilter(dsEntry.filter).error);
+    if (els.datasetJump) {
+      els.datasetJump.value =
+        dsEntry.lastJumpInput ||
+        (Number.isFinite(dsEntry.jumpIndex)
+          ? String(dsEntry.jumpIndex + 1)
+          : '');
+    }
+
+    els.viewer.innerHTML =
+      renderLineErrorsCard(lf) + renderDatasetView(lf.json, lf.id);
+    wireDatasetView(lf.id);
+  } else {
+    // If we are leaving Dataset mode and we had a jumped row selected,
+    // keep Records mode aligned to that same row.
+    const dsEntry = state.datasetUiByFileId?.[lf.id];
+    if (dsEntry && Number.isFinite(dsEntry.jumpIndex) && records.length) {
+      const safe = clamp(dsEntry.jumpIndex, 0, records.length - 1);
+      state.selectedRecordIndexByFileId[lf.id] = safe;
+    }
+
+    // Disable dataset controls
+    renderDatasetFilterError(null);
+    if (els.datasetFilter) els.datasetFilter.disabled = true;
+    if (els.datasetJump) els.datasetJump.disabled = true;
+    if (els.datasetGoBtn) els.datasetGoBtn.disabled = true;
+    if (els.datasetResetBtn) els.datasetResetBtn.disabled = true;
+    if (els.datasetBar) els.datasetBar.hidden = true;
+
+    // Recompute idx/record AFTER syncing
+    const recordIndex = state.selectedRecordIndexByFileId[lf.id] ?? 0;
+    const activeRecord = records.length
+      ? records[clamp(recordIndex, 0, records.length - 1)]
+      : lf.json;
+
+    // Templates apply ONLY in Records Mode, and only if the template matches this record
+    const resolved = getTemplateForRecord(activeRecord);
+    const tplForThisRecord = resolved ? resolved.templateObj : null;
+
+    // Designer: every field of the generic view is pickable, the draft
+    // panel previews the template. Editor: the record follows the edits.
+    els.viewer.innerHTML =
+      renderLineErrorsCard(lf) +
+      renderRecordActions() +
+      (isCoverageOpen()
+        ? renderTemplateCoverage(lf, records.length ? records : [lf.json])
+        : '') +
+      (isDesignerOpen()
+        ? renderTemplateDesigner(activeRecord)
+        : isTemplateEditorOpen()
+        ? renderTemplateEditor(activeRecord)
+        : renderRecordView(lf.recordType, activeRecord, tplForThisRecord));
+    wireRecordActions(lf);
+    wireTemplateCoverage();
+    if (isDesignerOpen()) wireTemplateDesigner(activeRecord);
+    else if (isTemplateEditorOpen()) wireTemplateEditor(activeRecord);
+  }
+
+  // Wire collapsible handlers inside the viewer
+  wireViewerInteractions();
+
+  // Syntax highlight any JSON blocks (expanded arrays/objects, etc.)
+  highlightJsonIn(els.viewer);
+
+  // Long lists render their visible items now
+  mountVirtualLists(els.viewer);
+
+  // Apply search (Issue template first)
+  applySearchToViewer(lf.recordType);
+}
+
+/**
+ * Scroll the Raw JSON view so a line is in view, and mark it.
+ * Uses line height math (Prism re-tokenizes the code, so we cannot
+ * wrap the line in our own element).
+ * @param {number} line 1-based
+ */
+function scrollRawViewToLine(line) {
+  const pre = els.viewer.querySelector('pre.raw-json');
+  const code = pre ? pre.querySelector('code') : null;
+  if (!pre || !code) return;
+
+  const cs = window.getComputedStyle(code);
+  const lineHeight =
+    parseFloat(cs.lineHeight) || (parseFloat(cs.fontSize) || 12) * 1.5;
+  const padTop = parseFloat(window.getComputedStyle(pre).paddingTop) || 0;
+  const top = padTop + (line - 1) * lineHeight;
+
+  const marker = document.createElement('div');
+  marker.className = 'raw-line-marker';
+  marker.style.top = `${top}px`;
+  marker.style.height = `${lineHeight}px`;
+  pre.appendChild(marker);
+
+  const preTop = pre.getBoundingClientRect().top + window.scrollY;
+  window.scrollTo({
+    top: Math.max(0, preTop + top - window.innerHeight / 3),
+  });
+}
+
+/**
+ * Try to detect the record type for a loaded JSON payload.
+ * Handles:
+ * - single object
+ * - array of objects
+ * - wrapper object with an array inside (Issues, Items, Results, Data, etc.)
+ * @param {any} json
+ * @returns {RecordType}
+ */
+function detectRecordType(json) {
+  const { records } = extractRecords(json);
+
+  // No records found (or record is not an object we can inspect)
+  if (!records || records.length === 0) return 'Generic';
+
+  // If mixed types, we will call it Generic for v1.
+  // (Later we can display per-item templates.)
+  const types = new Set(records.map((r) => detectRecordTypeFromObject(r)));
+  if (types.size === 1)
+    return /** @type {RecordType} */ (types.values().next().value);
+
+  return 'Generic';
+}
+
+/**
+ * Extract a list of “records” from common API response shapes.
+ *
+ * Supported shapes:
+ * - Array payload: records = array (objects only)
+ * - Object payload: tries to find an inner array under common keys (data/items/results/records)
+ *   otherwise treats the object itself as a single record: records = [object]
+ *
+ * Returns:
+ * - records: array of objects (best effort)
+ * - sourcePath: a simple JSONPath-ish hint (best effort), used for UI messaging/debugging
+ *
+ * @param {any} json
+ * @returns {{ records: any[], sourcePath: string|null }}
+ */
+function extractRecords(json) {
+  // Array payload: most common for list endpoints
+  if (Array.isArray(json)) {
+    return {
+      records: json.filter((x) => x && typeof x === 'object'),
+      sourcePath: '$',
+    };
+  }
+
+  // Single object payload
+  if (json && typeof json === 'object') {
+    // Look for likely array containers first.
+    // Add to this list anytime you see new API shapes.
+    const candidateKeys = [
+      'items',
+      'results',
+      'data',
+      'value',
+      'records',
+      'issues',
+      'rfis',
+      'submittals',
+      'Issues',
+      'RFIs',
+      'Submittals',
+      'Items',
+      'Results',
+      'Data',
+      'Value',
+      'Records',
+    ];
+
+    for (const key of candidateKeys) {
+      if (Array.isArray(json[key])) {
+        const arr = json[key].filter((x) => x && typeof x === 'object');
+        return { records: arr, sourcePath: `$.${key}` };
+      }
+    }
+
+    // If no obvious array container, treat the object itself as a single record.
+    return { records: [json], sourcePath: '$' };
+  }
+
+  // Anything else (string, number, null, etc.)
+  return { records: [], sourcePath: null };
+}
+
+// ===============================
+// Session 6 – Dataset helpers
+// ===============================
+
+function isLargeFlatArrayDataset(json) {
+  if (!Array.isArray(json)) return false;
+
+  // Only treat bigger arrays as “dataset candidates”
+  if (json.length < 80) return false;
+
+  // Sample some objects
+  const sample = json
+    .filter((x) => x && typeof x === 'object' && !Array.isArray(x))
+    .slice(0, 25);
+
+  if (sample.length < 10) return false;
+
+  // How consistent are keys?
+  const keySets = sample.map((o) => new Set(Object.keys(o)));
+  const allKeys = new Set();
+  keySets.forEach((s) => s.forEach((k) => allKeys.add(k)));
+
+  if (allKeys.size === 0) return false;
+
+  let commonCount = 0;
+  for (const k of allKeys) {
+    let hits = 0;
+    for (const s of keySets) if (s.has(k)) hits++;
+    if (hits / keySets.length >= 0.6) commonCount++;
+  }
+
+  const commonRatio = commonCount / allKeys.size;
+
+  // How “flat” are the values? (primitive-heavy)
+  let totalVals = 0;
+  let nestedVals = 0;
+
+  for (const o of sample) {
+    for (const k of Object.keys(o)) {
+      totalVals++;
+      const v = o[k];
+      if (isContainer(v)) nestedVals++;
+    }
+  }
+
+  const nestedRatio = totalVals ? nestedVals / totalVals : 1;
+
+  return commonRatio >= 0.25 && nestedRatio <= 0.25;
+}
+
+function rowMatchesFilter(row, filter) {
+  if (!filter) return true;
+  if (!row || typeof row !== 'object') return false;
+
+  const f = filter.toLowerCase();
+
+  // Cheap and useful: common “identity” fields first
+  const candidates = [
+    pickFirst(row, ['Id', 'id', 'ID']),
+    pickFirst(row, ['Number', 'number', 'No', 'no', 'code', 'Code']),
+    pickFirst(row, ['Title', 'title', 'Name', 'name', 'Subject', 'subject']),
+    pickFirst(row, ['Status', 'status']),
+    pickFirst(row, ['Type', 'type']),
+  ]
+    .filter((v) => v != null)
+    .map((v) => String(v).toLowerCase());
+
+  if (candidates.some((t) => t.includes(f))) return true;
+
+  // Fall back: scan primitive fields only (avoid stringify the whole thing)
+  for (const k of Object.keys(row)) {
+    const v = row[k];
+    if (v == null) continue;
+    if (typeof v === 'string' && v.toLowerCase().includes(f)) return true;
+    if (typeof v === 'number' && String(v).includes(filter)) return true;
+    if (isLosslessNumber(v) && v.text.includes(filter)) return true;
+    if (typeof v === 'boolean' && String(v).includes(f)) return true;
+  }
+
+  return false;
+}
+
+/* ------------------------------------------------------------
+    Dataset filter query language
+    Plain words still do the quick substring search above. Anything
+    with fields or operators is a query, for example:
+      Status.Name = Open AND DueDate < 2026-11-01
+      (Priority >= 2 OR Title ~ /urgent/i) AND NOT Assignee missing
+    - Field paths: Status.Name, Items[0].Id, Disciplines[*].Name
+      (arrays match if any item does)
+    - Operators: = != < <= > >= ~ (contains) !~ (does not contain),
+      == (exactly: same case, and numbers only match numbers)
+    - AND / OR / NOT (upper case only, so "fire and smoke" is still a text
+      search), parentheses; words side by side mean AND
+    - Values: words, "quoted strings", /regex/flags, null
+    - Path exists / Path missing (missing also means null) / Path absent
+      (no value at all; null does not count)
+    It only compares values: there is no way to run code.
+------------------------------------------------------------ */
+
+const FILTER_OPERATORS = ['<=', '>=', '!=', '!~', '==', '=', '<', '>', '~'];
+const FILTER_NUMBER_RE = /^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+
+// Last compiled filter (renders and filtering ask for the same text)
+let lastCompiledFilter = { text: null, result: null };
+
+/**
+ * Compile filter text into a row test.
+ * @param {string} text
+ * @returns {{ test: (row: any) => boolean, error: { message: string, column: number }|null }}
+ */
+function compileDatasetFilter(text) {
+  const src = String(text || '');
+  if (lastCompiledFilter.text === src) return lastCompiledFilter.result;
+
+  let result;
+  try {
+    const ast = parseFilterQuery(src);
+    result =
+      !ast || isPlainTextQuery(ast)
+        ? { test: (row) => rowMatchesFilter(row, src.trim()), error: null }
+        : { test: (row) => evalFilterNode(ast, row), error: null };
+  } catch (err) {
+    if (!(err instanceof FilterSyntaxError)) throw err;
+    result = isPlainSearchText(src)
+      ? { test: (row) => rowMatchesFilter(row, src.trim()), error: null }
+      : {
+          test: () => true,
+          error: { message: err.message, column: err.column },
+        };
+  }
+
+  lastCompiledFilter = { text: src, result };
+  return result;
+}
+
+/**
+ * True when filter text has nothing query-like in it (no operators,
+ * parentheses, keywords or field paths). Text like that that still fails to
+ * parse ("'Brien", "50/50") is searched as plain text, as it always was.
+ * @param {string} src
+ */
+function isPlainSearchText(src) {
+  if (/[=<>~()]/.test(src)) return false;
+
+  return !src
+    .split(/\s+/)
+    .some(
+      (w) =>
+        /^(AND|OR|NOT)$/.test(w) ||
+        /^(EXISTS|MISSING|ABSENT)$/i.test(w) ||
+        /^[A-Za-z_$@][\w$@]*(\.[A-Za-z_$@]|\[(\d+|\*)\])/.test(w)
+    );
+}
+
+class FilterSyntaxError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} column 1-based
+   */
+  constructor(message, column) {
+    super(message);
+    this.name = 'FilterSyntaxError';
+    this.column = column;
+  }
+}
+
+/**
+ * Split filter text into tokens.
+ * @param {string} src
+ * @returns {{ type: 'word'|'string'|'regex'|'op'|'('|')', value: any, pos: number }[]}
+ */
+function tokenizeFilterQuery(src) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, value: ch, pos: i });
+      i++;
+      continue;
+    }
+
+    const op = FILTER_OPERATORS.find((o) => src.startsWith(o, i));
+    if (op) {
+      tokens.push({ type: 'op', value: op, pos: i });
+      i += op.length;
+      continue;
+    }
+
+    // Quotes start a string only at the start of a token (O'Brien is a word)
+    if (ch === '"' || ch === "'") {
+      let j = i + 1;
+      let out = '';
+      while (j < src.length && src[j] !== ch) {
+        if (src[j] === '\\' && j + 1 < src.length) j++;
+        out += src[j++];
+      }
+      if (j >= src.length) {
+        throw new FilterSyntaxError('Missing closing quote', i + 1);
+      }
+      tokens.push({ type: 'string', value: out, pos: i });
+      i = j + 1;
+      continue;
+    }
+
+    if (ch === '/') {
+      let j = i + 1;
+      let body = '';
+      let inClass = false;
+      while (j < src.length && (src[j] !== '/' || inClass)) {
+        if (src[j] === '\\' && j + 1 < src.length) body += src[j++];
+        else if (src[j] === '[') inClass = true;
+        else if (src[j] === ']') inClass = false;
+        body += src[j++];
+      }
+      if (j >= src.length) {
+        throw new FilterSyntaxError('Missing closing / in regex', i + 1);
+      }
+      j++;
+      const flagsStart = j;
+      while (j < src.length && /[a-z]/i.test(src[j])) j++;
+      const flags = src.slice(flagsStart, j);
+
+      let re;
+      try {
+        // No g/y: they make .test() stateful
+        re = new RegExp(body, flags.replace(/[gy]/g, ''));
+      } catch (err) {
+        throw new FilterSyntaxError(`Invalid regex: ${err.message}`, i + 1);
+      }
+      tokens.push({ type: 'regex', value: re, pos: i });
+      i = j;
+      continue;
+    }
+
+    let j = i;
+    while (j < src.length && !/[\s()=<>!~]/.test(src[j])) j++;
+    if (j === i) {
+      throw new FilterSyntaxError(`Unexpected "${ch}"`, i + 1);
+    }
+    tokens.push({ type: 'word', value: src.slice(i, j), pos: i });
+    i = j;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse filter text into a small tree (null for empty text).
+ * @param {string} src
+ */
+function parseFilterQuery(src) {
+  const tokens = tokenizeFilterQuery(src);
+  if (!tokens.length) return null;
+
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const column = (t) => (t ? t.pos + 1 : src.length + 1);
+  // AND / OR / NOT only in upper case; exists / missing / absent in any
+  const isKeyword = (t, kw) => t && t.type === 'word' && t.value === kw;
+  const isPathKeyword = (t, kw) =>
+    t && t.type === 'word' && t.value.toUpperCase() === kw;
+
+  const parseOr = () => {
+    const items = [parseAnd()];
+    while (isKeyword(peek(), 'OR')) {
+      pos++;
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { type: 'or', items };
+  };
+
+  const parseAnd = () => {
+    const items = [parseNot()];
+    let explicit = false;
+    for (;;) {
+      const t = peek();
+      if (!t || t.type === ')' || isKeyword(t, 'OR')) break;
+      if (isKeyword(t, 'AND')) {
+        pos++;
+        explicit = true;
+      }
+      items.push(parseNot());
+    }
+    return items.length === 1 ? items[0] : { type: 'and', items, explicit };
+  };
+
+  const parseNot = () => {
+    if (isKeyword(peek(), 'NOT')) {
+      pos++;
+      return { type: 'not', item: parseNot() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const t = peek();
+    if (!t) throw new FilterSyntaxError('Expected a condition', column(t));
+
+    if (t.type === '(') {
+      pos++;
+      const inner = parseOr();
+      if (!peek() || peek().type !== ')') {
+        throw new FilterSyntaxError('Missing closing )', column(peek()));
+      }
+      pos++;
+      return inner;
+    }
+
+    if (t.type === ')') throw new FilterSyntaxError('Unexpected )', column(t));
+    if (t.type === 'op') {
+      throw new FilterSyntaxError(
+        `Expected a field before "${t.value}"`,
+        column(t)
+      );
+    }
+    if (isKeyword(t, 'AND') || isKeyword(t, 'OR')) {
+      throw new FilterSyntaxError(
+        `Expected a condition before ${t.value}`,
+        column(t)
+      );
+    }
+
+    pos++;
+    const next = peek();
+
+    // Field comparison: Path op value
+    if (t.type === 'word' && next && next.type === 'op') {
+      pos++;
+      const v = peek();
+      if (
+        !v ||
+        (v.type !== 'word' && v.type !== 'string' && v.type !== 'regex')
+      ) {
+        throw new FilterSyntaxError(
+          `Expected a value after "${next.value}"`,
+          column(v)
+        );
+      }
+      pos++;
+      if (v.type === 'regex' && !['=', '!=', '~', '!~'].includes(next.value)) {
+        throw new FilterSyntaxError(
+          `A regex only works with = != ~ !~`,
+          column(v)
+        );
+      }
+      return {
+        type: 'cmp',
+        path: t.value,
+        op: next.value,
+        value: buildFilterValue(v),
+      };
+    }
+
+    // Path exists / Path missing / Path absent
+    if (
+      t.type === 'word' &&
+      (isPathKeyword(next, 'EXISTS') ||
+        isPathKeyword(next, 'MISSING') ||
+        isPathKeyword(next, 'ABSENT'))
+    ) {
+      pos++;
+      const kw = next.value.toUpperCase();
+      return {
+        type: 'exists',
+        path: t.value,
+        negate: kw !== 'EXISTS',
+        strict: kw === 'ABSENT',
+      };
+    }
+
+    // Anything else is free text (or a regex) searched across the row
+    return {
+      type: 'term',
+      value: t.type === 'regex' ? null : String(t.value),
+      re: t.type === 'regex' ? t.value : null,
+      quoted: t.type !== 'word',
+    };
+  };
+
+  const ast = parseOr();
+  if (pos < tokens.length) {
+    const t = peek();
+    throw new FilterSyntaxError(
+      t.type === ')' ? 'Unexpected )' : `Unexpected "${t.value}"`,
+      column(t)
+    );
+  }
+  return ast;
+}
+
+/**
+ * True if the query is just words (no fields, operators, quotes or
+ * keywords): keep the classic substring search over the whole text.
+ * @param {any} ast
+ */
+function isPlainTextQuery(ast) {
+  if (ast.type === 'term') return !ast.quoted && !ast.re;
+  if (ast.type === 'and') {
+    return !ast.explicit && ast.items.every((n) => isPlainTextQuery(n));
+  }
+  return false;
+}
+
+/**
+ * Pre-compute what a value can be compared as.
+ * @param {{ type: string, value: any }} token
+ */
+function buildFilterValue(token) {
+  if (token.type === 'regex') return { re: token.value };
+
+  const text = String(token.value);
+  const bare = token.type === 'word';
+  const trimmed = text.trim();
+
+  return {
+    text,
+    bare,
+    lower: text.toLowerCase(),
+    isNull: bare && text.toLowerCase() === 'null',
+    num: FILTER_NUMBER_RE.test(trimmed) ? Number(trimmed) : null,
+    date: ISO_DATE_RE.test(trimmed)
+      ? parseDateTime(trimmed)?.getTime() ?? null
+      : null,
+    bool:
+      bare && /^(true|false)$/i.test(text)
+        ? Number(text.toLowerCase() === 'true')
+        : null,
+  };
+}
+
+/**
+ * Evaluate a parsed filter against one row.
+ * @param {any} node
+ * @param {any} row
+ * @returns {boolean}
+ */
+function evalFilterNode(node, row) {
+  switch (node.type) {
+    case 'or':
+      return node.items.some((n) => evalFilterNode(n, row));
+    case 'and':
+      return node.items.every((n) => evalFilterNode(n, row));
+    case 'not':
+      return !evalFilterNode(node.item, row);
+    case 'exists': {
+      // "absent" counts a null as present; exists/missing do not
+      const present = getFilterFieldValues(row, node.path).some((v) =>
+        node.strict ? v !== undefined : v != null
+      );
+      return node.negate ? !present : present;
+    }
+    case 'term':
+      return node.re
+        ? rowHasPrimitive(row, (v) => node.re.test(filterValueText(v)))
+        : rowMatchesFilter(row, node.value);
+    case 'cmp': {
+      const values = getFilterFieldValues(row, node.path);
+
+      // Negative operators pass only if no value matches the positive form
+      if (node.op === '!=' || node.op === '!~') {
+        const op = node.op === '!=' ? '=' : '~';
+        return !values.some((v) => filterValueMatches(v, op, node.value));
+      }
+      return values.some((v) => filterValueMatches(v, node.op, node.value));
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Values a field path points at. Arrays are opened up so a condition
+ * matches when any item matches.
+ * @param {any} row
+ * @param {string} path
+ */
+function getFilterFieldValues(row, path) {
+  const list = path.includes('[*]')
+    ? getValuesAtPath(row, path).flatMap((v) => (Array.isArray(v) ? v : [v]))
+    : [getColumnValue(row, path)].flatMap((v) => (Array.isArray(v) ? v : [v]));
+  return list.length ? list : [undefined];
+}
+
+/** @param {any} v */
+function filterValueText(v) {
+  return isLosslessNumber(v) ? v.text : String(v);
+}
+
+/**
+ * True if any top-level primitive field passes the check.
+ * @param {any} row
+ * @param {(v: any) => boolean} check
+ */
+function rowHasPrimitive(row, check) {
+  if (row == null || typeof row !== 'object') return check(row);
+  return Object.keys(row).some((k) => {
+    const v = row[k];
+    return v != null && !isContainer(v) && check(v);
+  });
+}
+
+/**
+ * Compare one field value with a filter value.
+ * Numbers compare as numbers, ISO dates as dates, everything else as
+ * case-insensitive text (with natural number ordering).
+ * @param {any} v
+ * @param {string} op
+ * @param {any} val From buildFilterValue()
+ */
+function filterValueMatches(v, op, val) {
+  if (v === undefined) return false;
+  if (op === '==') return filterValueEquals(v, val);
+
+  if (val.re) {
+    return v !== null && !isContainer(v) && val.re.test(filterValueText(v));
+  }
+
+  if (val.isNull) return op === '=' ? v === null : false;
+  if (v === null || isContainer(v)) return false;
+
+  if (op === '~') return filterValueText(v).toLowerCase().includes(val.lower);
+
+  const key = toSortKey(v);
+  let c;
+  if (key.rank === SORT_RANK_NUMBER && val.num != null) {
+    c = key.value < val.num ? -1 : key.value > val.num ? 1 : 0;
+  } else if (key.rank === SORT_RANK_DATE && val.date != null) {
+    c = key.value - val.date;
+  } else if (key.rank === SORT_RANK_BOOL && val.bool != null) {
+    c = key.value - val.bool;
+  } else if (key.rank === SORT_RANK_TEXT || op === '=') {
+    c = sortCollator.compare(filterValueText(v), val.text);
+  } else {
+    // A number/date/boolean field against a value of another kind
+    return false;
+  }
+
+  switch (op) {
+    case '=':
+      return c === 0;
+    case '<':
+      return c < 0;
+    case '<=':
+      return c <= 0;
+    case '>':
+      return c > 0;
+    case '>=':
+      return c >= 0;
+    default:
+      return false;
+  }
+}
+
+/**
+ * The == operator (and facet clicks): the same value, not just a similar
+ * one. Text is case-sensitive; a bare 5 matches the number 5 and a quoted
+ * "5" the text "5", never the other way round.
+ * @param {any} v
+ * @param {any} val From buildFilterValue()
+ */
+function filterValueEquals(v, val) {
+  if (val.isNull) return v === null;
+  if (v === null || isContainer(v)) return false;
+  // A bare 5 or true means the number or boolean, not the text
+  if (typeof v === 'string') {
+    return (
+      v === val.text && !(val.bare && (val.num != null || val.bool != null))
+    );
+  }
+
+  if (!val.bare) return false;
+  if (isLosslessNumber(v)) return v.text === val.text;
+  if (typeof v === 'number') return v === val.num;
+  return String(v) === val.text;
+}
+
+/**
+ * Show (or clear) the filter syntax error under the filter box.
+ * @param {{ message: string, column: number }|null} error
+ */
+function renderDatasetFilterError(error) {
+  if (els.datasetFilter) {
+    els.datasetFilter.setAttribute('aria-invalid', error ? 'true' : 'false');
+  }
+  if (!els.datasetFilterError) return;
+
+  els.datasetFilterError.hidden = !error;
+  els.datasetFilterError.textContent = error
+    ? `${error.message} (column ${error.column})`
+    : '';
+}
+
+function buildDatasetSummary(arr) {
+  if (!Array.isArray(arr)) return null;
+
+  const total = arr.length;
+  const sample = arr
+    .filter((x) => x && typeof x === 'object' && !Array.isArray(x))
+    .slice(0, 30);
+
+  const objectRows = sample.length;
+
+  // Common keys hint (reuses existing helper)
+  const commonKeys = commonKeysFromArrayOfObjects(sample, 6);
+
+  // Lightweight nesting hint (sample only)
+  let totalFields = 0;
+  let nestedFields = 0;
+
+  for (const row of sample) {
+    for (const k of Object.keys(row)) {
+      totalFields++;
+      const v = row[k];
+      if (isContainer(v)) nestedFields++;
+    }
+  }
+
+  const nestedRatio = totalFields ? nestedFields / totalFields : 0;
+  const shapeHint =
+    nestedRatio <= 0.15
+      ? 'Mostly flat (table-like)'
+      : nestedRatio <= 0.35
+      ? 'Some nested fields'
+      : 'Nested-heavy rows';
+
+  return {
+    total,
+    objectRows,
+    sampleSize: sample.length,
+    commonKeys,
+    nestedRatio,
+    shapeHint,
+  };
+}
+
+function renderDatasetSummaryCard(arr) {
+  const s = buildDatasetSummary(arr);
+  if (!s) return '';
+
+  const keyHint = s.commonKeys.length
+    ? s.commonKeys.join(', ')
+    : '(none found)';
+  const nestedPct = `${Math.round(s.nestedRatio * 100)}%`;
+
+  return `
+    <div class="card">
+      <div class="card-header">
+        <h3 class="card-title">Dataset summary</h3>
+        <div class="chevron">Hint</div>
+      </div>
+      <div class="card-body">
+        ${renderKV('Rows', s.total)}
+        ${renderKV(
+          'Sampled rows',
+          `${s.sampleSize} (object rows: ${s.objectRows})`
+        )}
+        ${renderKV(
+          'Shape',
+          `${s.shapeHint} • Nested fields (sample): ${nestedPct}`
+        )}
+        ${renderKV('Common keys (sample)', keyHint)}
+      </div>
+    </div>
+  `;
+}
+
+function renderDatasetView(arr, lfId) {
+  const entry = getDatasetUi(lfId);
+  const filter = entry.filter || '';
+  const jumpIndex = Number.isFinite(entry.jumpIndex) ? entry.jumpIndex : null;
+
+  // Jump mode: show a single row (no paging, no drama)
+  if (jumpIndex != null) {
+    const safe = clamp(jumpIndex, 0, arr.length - 1);
+    const item = arr[safe];
+
+    const requestedLabel = entry.lastJumpInput
+      ? entry.lastJumpInput
+      : String(jumpIndex + 1);
+    const outOfRange = jumpIndex < 0 || jumpIndex > arr.length - 1;
+
+    const jumpNote = outOfRange
+      ? `<div class="array-note">Row ${escapeHtml(
+          requestedLabel
+        )} is out of range (valid: 1–${arr.length}). Showing Row ${
+          safe + 1
+        } instead.</div>`
+      : '';
+
+    const summaryCard = renderDatasetSummaryCard(arr);
+
+    return `
+    ${summaryCard}
+    <div class="card">
+      <div class="card-header">
+        <h3 class="card-title">Row ${safe + 1} of ${arr.length}</h3>
+        <div class="card-actions">
+          <button class="mini-btn" type="button" data-dataset-back="true">Back to rows</button>
+        </div>
+      </div>
+      ${jumpNote}
+      <div class="card-body">
+        ${renderObjectAsKv(item, `$[${safe}]`)}
+      </div>
+    </div>
+  `;
+  }
+
+  // Filtered (and sorted) list mode
+  const matches = getDatasetRows(arr, entry);
+
+  // Every matching row is reachable by scrolling (virtual list)
+  const filterError = compileDatasetFilter(filter).error;
+  const meta = filterError
+    ? `Showing ${matches.length} of ${arr.length} rows (filter not applied: it has an error)`
+    : filter
+    ? `Showing ${matches.length} of ${arr.length} rows (filtered)`
+    : `Showing ${matches.length} of ${arr.length} rows`;
+
+  const summaryCard = renderDatasetSummaryCard(arr);
+
+  // Grid and profile need object rows to build columns from; otherwise cards
+  const available = buildDatasetColumns(arr);
+  const layout = !available.length ? 'cards' : entry.layout;
+
+  const body =
+    layout === 'profile'
+      ? renderDatasetProfile(arr)
+      : !matches.length
+      ? `<div class="empty-state">No rows match this filter.</div>`
+      : layout === 'grid'
+      ? renderDatasetGrid(
+          matches,
+          getVisibleDatasetColumns(available, entry),
+          entry
+        )
+      : renderVirtualList({
+          count: matches.length,
+          estimate: 44,
+          renderItem: (i) =>
+            renderArrayItem(arr, matches[i].row, matches[i].idx),
+        });
+
+  return `
+    ${summaryCard}
+    <div class="array-meta-row">
+      <div class="array-meta">${escapeHtml(
+        layout === 'profile'
+          ? `Profile of all ${arr.length} rows (filter and sort do not apply)`
+          : meta
+      )}</div>
+      <div class="dataset-view-actions">
+        ${available.length ? renderDatasetLayoutSwitch(layout) : ''}
+        <button class="mini-btn${
+          entry.facetsOpen ? ' is-active' : ''
+        }" type="button" data-facets-toggle="true" aria-pressed="${
+    entry.facetsOpen ? 'true' : 'false'
+  }" title="Value counts per field, over every row">Facets</button>
+      </div>
+    </div>
+    ${
+      layout === 'profile'
+        ? ''
+        : `<div class="dataset-tools">
+      ${layout === 'grid' ? renderDatasetColumnChooser(available, entry) : ''}
+      ${renderDatasetSortPanel(available, entry)}
+      ${renderDatasetExportPanel(matches.length, available, entry)}
+    </div>`
+    }
+    ${
+      entry.facetsOpen
+        ? `<div class="dataset-split">
+            <div class="dataset-main">${body}</div>
+            ${renderFacetPanel(arr, entry)}
+          </div>`
+        : body
+    }
+  `;
+}
+
+/* ------------------------------------------------------------
+    Dataset profile: what each field really holds, over every row
+    Same paths as the grid columns, but found across all rows.
+------------------------------------------------------------ */
+
+const PROFILE_TOP_VALUES = 5;
+
+/** @type {WeakMap<any[], ReturnType<typeof profileDatasetPath>[]>} */
+const datasetProfileCache = new WeakMap();
+
+/** @param {any[]} arr */
+function computeDatasetProfile(arr) {
+  if (datasetProfileCache.has(arr)) return datasetProfileCache.get(arr);
+
+  const profile = buildDatasetColumns(arr, Infinity).map((path) =>
+    profileDatasetPath(arr, path)
+  );
+  datasetProfileCache.set(arr, profile);
+  return profile;
+}
+
+/**
+ * Presence, nulls, type mix, distinct values, ranges and top values for
+ * one path.
+ * @param {any[]} arr
+ * @param {string} path
+ */
+function profileDatasetPath(arr, path) {
+  const values = [];
+  /** @type {Map<string, { label: string, count: number }>} */
+  const counts = new Map();
+  let nulls = 0;
+
+  /** @type {{ min: { n: number, text: string }|null, max: { n: number, text: string }|null }} */
+  const numbers = { min: null, max: null };
+  const dates = { min: null, max: null };
+  const lengths = { min: null, max: null };
+
+  const widen = (range, n, text) => {
+    if (!range.min || n < range.min.n) range.min = { n, text };
+    if (!range.max || n > range.max.n) range.max = { n, text };
+  };
+
+  for (const row of arr) {
+    const v = getColumnValue(row, path);
+    if (v === undefined) continue;
+
+    values.push(v);
+    if (v === null) {
+      nulls++;
+      continue;
+    }
+
+    const key = facetValueKey(v);
+    const hit = counts.get(key);
+    if (hit) hit.count++;
+    else counts.set(key, { label: facetValueLabel(v), count: 1 });
+
+    if (isLosslessNumber(v)) {
+      widen(numbers, Number(v.text), v.text);
+    } else if (typeof v === 'number') {
+      widen(numbers, v, String(v));
+    } else if (typeof v === 'string') {
+      widen(lengths, v.length, String(v.length));
+
+      const d = ISO_DATE_RE.test(v.trim()) ? parseDateTime(v.trim()) : null;
+      if (d) widen(dates, d.getTime(), v.trim());
+    }
+  }
+
+  const types = arrayTypeDistribution(values);
+  const top = [...counts.values()]
+    .sort((a, b) => b.count - a.count || sortCollator.compare(a.label, b.label))
+    .slice(0, PROFILE_TOP_VALUES);
+
+  return {
+    path,
+    present: values.length,
+    nulls,
+    types,
+    // The classic messy export: "12" in some rows, 12 in others
+    mixed: Boolean(types.string && types.number),
+    distinct: counts.size,
+    numbers,
+    dates,
+    lengths,
+    top,
+  };
+}
+
+/**
+ * @param {number} n
+ * @param {number} total
+ */
+function formatPercent(n, total) {
+  if (!total || !n) return '0%';
+  const pct = (n / total) * 100;
+  if (pct < 1) return '<1%';
+  if (pct > 99 && n < total) return '>99%';
+  return `${Math.round(pct)}%`;
+}
+
+/** @param {any[]} arr */
+function renderDatasetProfile(arr) {
+  const total = arr.length;
+  const range = (r, unit = '') =>
+    r.min
+      ? r.min.text === r.max.text
+        ? `${r.min.text}${unit}`
+        : `${r.min.text} – ${r.max.text}${unit}`
+      : '';
+
+  const rows = computeDatasetProfile(arr)
+    .map((p) => {
+      const types = Object.entries(p.types)
+        .sort((a, b) => b[1] - a[1])
+        .map(([t, n]) => `${t}: ${n}`)
+        .join(', ');
+
+      const ranges = [range(p.numbers), range(p.dates)]
+        .filter(Boolean)
+        .join('; ');
+
+      const top = p.top.map((t) => `${t.label} (${t.count})`).join(', ');
+
+      return `
+        <tr${p.mixed ? ' class="is-mixed"' : ''}>
+          <th scope="row" class="profile-path" title="${escapeHtml(
+            p.path
+          )}">${escapeHtml(p.path)}</th>
+          <td>${formatPercent(p.present, total)} <span class="profile-sub">(${
+        p.present
+      })</span></td>
+          <td>${formatPercent(p.nulls, total)}</td>
+          <td>${escapeHtml(types)}${
+        p.mixed
+          ? ` <span class="profile-flag" title="Sometimes a string, sometimes a number">mixed</span>`
+          : ''
+      }</td>
+          <td>${p.distinct}</td>
+          <td>${escapeHtml(ranges)}</td>
+          <td>${escapeHtml(range(p.lengths, ' chars'))}</td>
+          <td class="profile-top" title="${escapeHtml(top)}">${escapeHtml(
+        top
+      )}</td>
+        </tr>
+      `;
+    })
+    .join('');
+
+  return `
+    <div class="profile-wrap">
+      <table class="profile-table">
+        <thead>
+          <tr>
+            <th scope="col">Field</th>
+            <th scope="col" title="Rows where the field exists (null counts as present)">Present</th>
+            <th scope="col" title="Rows where the field is null">Null</th>
+            <th scope="col">Types</th>
+            <th scope="col" title="Distinct non-null values">Distinct</th>
+            <th scope="col" title="Smallest and largest number or ISO date">Min – max</th>
+            <th scope="col" title="Shortest and longest text">Length</th>
+            <th scope="col">Top values</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/* ------------------------------------------------------------
+    Facets: value counts per path over every row
+    Clicking a value adds "Path = value" to the filter (again removes it).
+------------------------------------------------------------ */
+
+const FACET_TOP_VALUES = 15;
+const FACET_SUGGEST_MAX = 3;
+
+// Counts per dataset and path (datasets do not change once loaded)
+/** @type {WeakMap<any[], Map<string, { value: any, label: string, count: number }[]>>} */
+const facetCountsCache = new WeakMap();
+
+/**
+ * Count rows per value of a path, most common first.
+ * A row counts once per distinct value (arrays can hold several).
+ * @param {any[]} arr
+ * @param {string} path
+ */
+function computeFacetCounts(arr, path) {
+  let byPath = facetCountsCache.get(arr);
+  if (!byPath) {
+    byPath = new Map();
+    facetCountsCache.set(arr, byPath);
+  }
+  if (byPath.has(path)) return byPath.get(path);
+
+  /** @type {Map<string, { value: any, label: string, count: number }>} */
+  const counts = new Map();
+
+  for (const row of arr) {
+    const seen = new Set();
+    for (const v of getFilterFieldValues(row, path)) {
+      const key = facetValueKey(v);
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const hit = counts.get(key);
+      if (hit) hit.count++;
+      else counts.set(key, { value: v, label: facetValueLabel(v), count: 1 });
+    }
+  }
+
+  const sorted = [...counts.values()].sort(
+    (a, b) => b.count - a.count || sortCollator.compare(a.label, b.label)
+  );
+  byPath.set(path, sorted);
+  return sorted;
+}
+
+/** @param {any} v */
+function facetValueKey(v) {
+  if (v === undefined) return 'missing';
+  if (v === null) return 'null';
+  if (isLosslessNumber(v)) return `n:${v.text}`;
+  if (typeof v === 'number') return `n:${v}`;
+  if (typeof v === 'boolean') return `b:${v}`;
+  if (typeof v === 'string') return `s:${v}`;
+  return `o:${formatGridCell(v).text}`;
+}
+
+/** @param {any} v */
+function facetValueLabel(v) {
+  if (v === undefined) return '(missing)';
+  if (v === '') return '(empty)';
+  return formatGridCell(v).text;
+}
+
+/**
+ * Filter clause for a facet value, or null if it cannot be expressed
+ * (objects, or paths the filter syntax cannot spell). Clauses use == so
+ * the rows they keep are exactly the ones the facet counted.
+ * @param {string} path
+ * @param {any} value
+ */
+function buildFacetClause(path, value) {
+  if (/[\s()"'=<>!~]/.test(path)) return null;
+
+  if (value === undefined) return `${path} absent`;
+  if (value === null) return `${path} == null`;
+  if (isLosslessNumber(value)) return `${path} == ${value.text}`;
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return `${path} == ${value}`;
+  }
+  if (typeof value === 'string') return `${path} == ${quoteFilterText(value)}`;
+  return null;
+}
+
+/**
+ * Add or remove a clause joined with AND.
+ * @param {string} filter
+ * @param {string} clause
+ * @returns {{ filter: string, active: boolean }} active = clause was present
+ */
+function toggleFilterClause(filter, clause) {
+  const f = String(filter || '').trim();
+  const joined = ` AND ${clause} AND `;
+
+  if (f === clause) return { filter: '', active: true };
+  if (f.startsWith(`${clause} AND `)) {
+    return {
+      filter: unwrapFilterText(f.slice(clause.length + 5)),
+      active: true,
+    };
+  }
+  if (f.endsWith(` AND ${clause}`)) {
+    return {
+      filter: unwrapFilterText(f.slice(0, -(clause.length + 5))),
+      active: true,
+    };
+  }
+  if (f.includes(joined)) {
+    return { filter: f.replace(joined, ' AND '), active: true };
+  }
+
+  return {
+    filter: f ? `${wrapFilterText(f)} AND ${clause}` : clause,
+    active: false,
+  };
+}
+
+/**
+ * Filter text made safe to put before " AND clause": OR queries get
+ * parentheses (AND binds tighter), and a plain-text search of more than
+ * one word is quoted so it stays one phrase.
+ * @param {string} f
+ */
+function wrapFilterText(f) {
+  let ast;
+  try {
+    ast = parseFilterQuery(f);
+  } catch (err) {
+    if (!(err instanceof FilterSyntaxError)) throw err;
+    return isPlainSearchText(f) ? quoteFilterText(f) : f;
+  }
+
+  if (!ast) return f;
+  if (isPlainTextQuery(ast)) {
+    return ast.type === 'and' ? quoteFilterText(f) : f;
+  }
+  return ast.type === 'or' ? `(${f})` : f;
+}
+
+/**
+ * Undo wrapFilterText() once the clause after it is gone: drop parentheses
+ * around the whole text, and quotes around a plain-text phrase.
+ * @param {string} f
+ */
+function unwrapFilterText(f) {
+  let tokens;
+  try {
+    tokens = tokenizeFilterQuery(f);
+  } catch (err) {
+    if (!(err instanceof FilterSyntaxError)) throw err;
+    return f;
+  }
+
+  // One (...) group around everything
+  if (tokens.length > 2 && tokens[0].type === '(' && f.endsWith(')')) {
+    let depth = 0;
+    const closes = tokens.findIndex((t) => {
+      if (t.type === '(') depth++;
+      if (t.type === ')') depth--;
+      return depth === 0;
+    });
+    if (closes === tokens.length - 1) return f.slice(1, -1).trim();
+  }
+
+  // One quoted phrase that reads the same without its quotes
+  if (
+    tokens.length === 1 &&
+    tokens[0].type === 'string' &&
+    f === quoteFilterText(tokens[0].value)
+  ) {
+    const text = tokens[0].value;
+    try {
+      const ast = parseFilterQuery(text);
+      if (ast && isPlainTextQuery(ast)) return text;
+    } catch (err) {
+      if (!(err instanceof FilterSyntaxError)) throw err;
+      if (isPlainSearchText(text)) return text;
+    }
+  }
+
+  return f;
+}
+
+/** @param {string} text */
+function quoteFilterText(text) {
+  return `"${text.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * True if the filter already holds this clause (as one of its AND parts).
+ * @param {string} filter
+ * @param {string} clause
+ */
+function filterHasClause(filter, clause) {
+  return toggleFilterClause(filter, clause).active;
+}
+
+/**
+ * Paths worth faceting by default: present in most rows, few distinct values.
+ * @param {any[]} arr
+ */
+function suggestFacetPaths(arr) {
+  const sample = arr.slice(0, GRID_COLUMN_SAMPLE);
+  const out = [];
+
+  for (const path of buildDatasetColumns(arr)) {
+    const values = new Set();
+    let present = 0;
+    for (const row of sample) {
+      const vs = getFilterFieldValues(row, path).filter((v) => v != null);
+      if (vs.length) present++;
+      vs.forEach((v) => values.add(facetValueKey(v)));
+    }
+    if (present >= sample.length / 2 && values.size >= 2 && values.size <= 15) {
+      out.push(path);
+      if (out.length >= FACET_SUGGEST_MAX) break;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Facet path ideas for the "Add facet" box: columns plus [*] paths into
+ * arrays of objects (Disciplines[*].Name).
+ * @param {any[]} arr
+ */
+function buildFacetPathOptions(arr) {
+  const sample = arr
+    .filter((x) => x && typeof x === 'object' && !Array.isArray(x))
+    .slice(0, GRID_COLUMN_SAMPLE);
+  const wildcard = [];
+
+  for (const key of commonKeysFromArrayOfObjects(sample, Infinity)) {
+    const items = sample
+      .map((r) => r[key])
+      .filter(Array.isArray)
+      .flat()
+      .filter((x) => x && typeof x === 'object' && !Array.isArray(x));
+    if (!items.length) continue;
+
+    commonKeysFromArrayOfObjects(items, Infinity).forEach((child) =>
+      wildcard.push(`${key}[*].${child}`)
+    );
+  }
+
+  return [...buildDatasetColumns(arr), ...wildcard];
+}
+
+/** @param {{ facets?: string[]|null }} entry @param {any[]} arr */
+function getFacetPaths(arr, entry) {
+  return entry.facets ? entry.facets : suggestFacetPaths(arr);
+}
+
+/**
+ * Facet sidebar.
+ * @param {any[]} arr
+ * @param {{ filter?: string, facets?: string[]|null, facetShowAll?: string[] }} entry
+ */
+function renderFacetPanel(arr, entry) {
+  const paths = getFacetPaths(arr, entry);
+  const filter = entry.filter || '';
+
+  const sections = paths
+    .map((path) => {
+      const counts = computeFacetCounts(arr, path);
+      const showAll = (entry.facetShowAll || []).includes(path);
+      const shown = showAll ? counts : counts.slice(0, FACET_TOP_VALUES);
+
+      const values = shown
+        .map((c, i) => {
+          const clause = buildFacetClause(path, c.value);
+          const active = clause != null && filterHasClause(filter, clause);
+          return `<li><button class="facet-value${
+            active ? ' is-active' : ''
+          }" type="button" data-facet-path="${escapeHtml(
+            path
+          )}" data-facet-index="${i}" aria-pressed="${
+            active ? 'true' : 'false'
+          }"${clause == null ? ' disabled' : ''} title="${escapeHtml(
+            clause || c.label
+          )}"><span class="facet-label">${escapeHtml(
+            c.label
+          )}</span><span class="facet-count">${c.count}</span></button></li>`;
+        })
+        .join('');
+
+      const more =
+        counts.length > FACET_TOP_VALUES
+          ? `<button class="mini-btn" type="button" data-facet-more="${escapeHtml(
+              path
+            )}">${
+              showAll ? 'Show top values' : `Show all ${counts.length} values`
+            }</button>`
+          : '';
+
+      return `
+        <section class="facet">
+          <div class="facet-head">
+            <span class="facet-path" title="${escapeHtml(path)}">${escapeHtml(
+        path
+      )}</span>
+            <button class="mini-btn" type="button" data-facet-remove="${escapeHtml(
+              path
+            )}" aria-label="Remove facet ${escapeHtml(path)}">Remove</button>
+          </div>
+          <ul class="facet-values">${values}</ul>
+          ${more}
+        </section>
+      `;
+    })
+    .join('');
+
+  return `
+    <aside class="facet-panel" aria-label="Facets">
+      <div class="sort-add">
+        <input type="text" list="datasetFacetPaths" data-facet-add-input="true" placeholder="Add facet, e.g. Disciplines[*].Name" autocomplete="off" spellcheck="false" aria-label="Add facet path" />
+        <datalist id="datasetFacetPaths">${buildFacetPathOptions(arr)
+          .map((p) => `<option value="${escapeHtml(p)}"></option>`)
+          .join('')}</datalist>
+        <button class="mini-btn" type="button" data-facet-add="true">Add</button>
+      </div>
+      ${
+        sections ||
+        `<div class="array-note">No facets yet. Add a path above.</div>`
+      }
+    </aside>
+  `;
+}
+
+/**
+ * Wire the facet toggle button and panel.
+ * @param {any[]} arr
+ * @param {any} entry
+ */
+function wireFacetPanel(arr, entry) {
+  const toggle = els.viewer.querySelector('[data-facets-toggle]');
+  if (toggle) {
+    toggle.addEventListener('click', () => {
+      entry.facetsOpen = !entry.facetsOpen;
+      renderViewer();
+    });
+  }
+
+  const panel = els.viewer.querySelector('.facet-panel');
+  if (!panel) return;
+
+  const setFacets = (paths) => {
+    entry.facets = paths;
+    renderViewer();
+  };
+
+  panel.querySelectorAll('[data-facet-index]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const path = btn.getAttribute('data-facet-path') || '';
+      const c = computeFacetCounts(arr, path)[
+        Number(btn.getAttribute('data-facet-index'))
+      ];
+      const clause = c ? buildFacetClause(path, c.value) : null;
+      if (!clause) return;
+
+      entry.filter = toggleFilterClause(entry.filter, clause).filter;
+      entry.jumpIndex = null;
+      renderViewer();
+    });
+  });
+
+  panel.querySelectorAll('[data-facet-remove]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const path = btn.getAttribute('data-facet-remove');
+      setFacets(getFacetPaths(arr, entry).filter((p) => p !== path));
+    });
+  });
+
+  panel.querySelectorAll('[data-facet-more]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const path = btn.getAttribute('data-facet-more') || '';
+      const list = entry.facetShowAll.filter((p) => p !== path);
+      if (list.length === entry.facetShowAll.length) list.push(path);
+      entry.facetShowAll = list;
+      renderViewer();
+    });
+  });
+
+  const input = panel.querySelector('[data-facet-add-input]');
+  const add = () => {
+    const path = String(input.value || '').trim();
+    if (!path) return;
+    const paths = getFacetPaths(arr, entry).filter((p) => p !== path);
+    setFacets([...paths, path]);
+  };
+  panel.querySelector('[data-facet-add]').addEventListener('click', add);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      add();
+    }
+  });
+}
+
+/* ------------------------------------------------------------
+    Dataset rows: filter + sort
+------------------------------------------------------------ */
+
+// Last filter/sort result per dataset, so re-renders (column changes,
+// layout switches) do not filter and sort 100k rows again
+/** @type {WeakMap<any[], { key: string, rows: { row: any, idx: number }[] }>} */
+const datasetRowsCache = new WeakMap();
+
+/**
+ * Rows to show for a dataset: filtered, then sorted by entry.sort.
+ * Each row keeps its original index (idx), so "Row N" never changes.
+ * @param {any[]} arr
+ * @param {{ filter?: string, sort?: { path: string, dir: 'asc'|'desc' }[] }} entry
+ * @returns {{ row: any, idx: number }[]}
+ */
+function getDatasetRows(arr, entry) {
+  const filter = entry.filter || '';
+  const sort = entry.sort || [];
+  const key = JSON.stringify([filter, sort]);
+
+  const cached = datasetRowsCache.get(arr);
+  if (cached && cached.key === key) return cached.rows;
+
+  // A filter with a syntax error is not applied (the error shows instead)
+  const compiled = compileDatasetFilter(filter);
+  const indexed = arr.map((row, idx) => ({ row, idx }));
+  const matches =
+    filter && !compiled.error
+      ? indexed.filter(({ row }) => compiled.test(row))
+      : indexed;
+
+  const rows = sort.length ? sortDatasetRows(matches, sort) : matches;
+  datasetRowsCache.set(arr, { key, rows });
+  return rows;
+}
+
+/**
+ * Stable multi-key sort. Missing and null values go last in either
+ * direction; ties keep source order.
+ * @param {{ row: any, idx: number }[]} rows
+ * @param {{ path: string, dir: 'asc'|'desc' }[]} sort
+ */
+function sortDatasetRows(rows, sort) {
+  // Work out each row's sort keys once, not on every comparison
+  const decorated = rows.map((r) => ({
+    r,
+    keys: sort.map((s) => toSortKey(getColumnValue(r.row, s.path))),
+  }));
+
+  decorated.sort((a, b) => {
+    for (let i = 0; i < sort.length; i++) {
+      const ka = a.keys[i];
+      const kb = b.keys[i];
+
+      // Empty values stay at the bottom regardless of direction
+      if (ka.rank === SORT_RANK_EMPTY || kb.rank === SORT_RANK_EMPTY) {
+        if (ka.rank !== kb.rank) return ka.rank === SORT_RANK_EMPTY ? 1 : -1;
+        continue;
+      }
+
+      const c = compareSortKeys(ka, kb);
+      if (c) return sort[i].dir === 'desc' ? -c : c;
+    }
+    return a.r.idx - b.r.idx;
+  });
+
+  return decorated.map((d) => d.r);
+}
+
+// Mixed columns sort by kind first: numbers, dates, text, true/false, other
+const SORT_RANK_NUMBER = 0;
+const SORT_RANK_DATE = 1;
+const SORT_RANK_TEXT = 2;
+const SORT_RANK_BOOL = 3;
+const SORT_RANK_OTHER = 4;
+const SORT_RANK_EMPTY = 5;
+
+// Date-only or date-time ISO strings ("2026-11-01", "2023-01-05T23:21:29.59Z")
+const ISO_DATE_RE =
+  /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const sortCollator = new Intl.Collator(undefined, {
+  numeric: true,
+  sensitivity: 'base',
+});
+
+/**
+ * Comparable form of a cell value.
+ * @param {any} v
+ * @returns {{ rank: number, value: any }}
+ */
+function toSortKey(v) {
+  if (v == null || v === '') return { rank: SORT_RANK_EMPTY, value: null };
+
+  if (isLosslessNumber(v)) {
+    // Big integers compare exactly; long decimals are close enough as floats
+    return /^-?\d+$/.test(v.text)
+      ? { rank: SORT_RANK_NUMBER, value: BigInt(v.text) }
+      : { rank: SORT_RANK_NUMBER, value: Number(v.text) };
+  }
+  if (typeof v === 'number') return { rank: SORT_RANK_NUMBER, value: v };
+  if (typeof v === 'boolean') return { rank: SORT_RANK_BOOL, value: v ? 1 : 0 };
+
+  if (typeof v === 'string') {
+    const d = ISO_DATE_RE.test(v.trim()) ? parseDateTime(v.trim()) : null;
+    return d
+      ? { rank: SORT_RANK_DATE, value: d.getTime() }
+      : { rank: SORT_RANK_TEXT, value: v };
+  }
+
+  // Arrays/objects: sort by their short cell text
+  return { rank: SORT_RANK_OTHER, value: formatGridCell(v).text };
+}
+
+/**
+ * @param {{ rank: number, value: any }} a
+ * @param {{ rank: number, value: any }} b
+ */
+function compareSortKeys(a, b) {
+  if (a.rank !== b.rank) return a.rank - b.rank;
+
+  if (typeof a.value === 'string') {
+    return sortCollator.compare(a.value, b.value);
+  }
+
+  // Numbers (mixed BigInt/Number compare fine with < and >)
+  return a.value < b.value ? -1 : a.value > b.value ? 1 : 0;
+}
+
+/**
+ * Sort keys after clicking a column header.
+ * Plain click: sort by this column only (asc, then desc, then off).
+ * Shift+click: add/flip/remove this column as an extra key.
+ * @param {{ path: string, dir: 'asc'|'desc' }[]} sort
+ * @param {string} path
+ * @param {boolean} additive
+ */
+function nextDatasetSort(sort, path, additive) {
+  const current = sort.find((k) => k.path === path);
+
+  if (!additive) {
+    if (!current || sort.length > 1) return [{ path, dir: 'asc' }];
+    return current.dir === 'asc' ? [{ path, dir: 'desc' }] : [];
+  }
+
+  if (!current) return [...sort, { path, dir: 'asc' }];
+  if (current.dir === 'asc') {
+    return sort.map((k) => (k.path === path ? { path, dir: 'desc' } : k));
+  }
+  return sort.filter((k) => k.path !== path);
+}
+
+/**
+ * Sort panel: current keys (flip or remove) and a box to add any path.
+ * @param {string[]} available Column paths offered as suggestions
+ * @param {{ sort?: { path: string, dir: 'asc'|'desc' }[], sortOpen?: boolean }} entry
+ */
+function renderDatasetSortPanel(available, entry) {
+  const sort = entry.sort || [];
+
+  const keys = sort
+    .map(
+      (k, i) => `
+      <li class="sort-key">
+        <span class="sort-key-path" title="${escapeHtml(k.path)}">${
+        i + 1
+      }. ${escapeHtml(k.path)}</span>
+        <button class="mini-btn" type="button" data-sort-dir="${i}" title="Flip direction">${
+        k.dir === 'desc' ? 'Descending' : 'Ascending'
+      }</button>
+        <button class="mini-btn" type="button" data-sort-remove="${i}" aria-label="Remove sort by ${escapeHtml(
+        k.path
+      )}">Remove</button>
+      </li>`
+    )
+    .join('');
+
+  return `
+    <details class="dataset-sort"${entry.sortOpen ? ' open' : ''}>
+      <summary>Sort${sort.length ? ` (${sort.length})` : ''}</summary>
+      ${
+        keys
+          ? `<ol class="sort-keys">${keys}</ol>`
+          : `<div class="array-note">Source order. Click a column header, or add any path below.</div>`
+      }
+      <div class="sort-add">
+        <input type="text" list="datasetSortPaths" data-sort-add-input="true" placeholder="Path, e.g. Status.Name" autocomplete="off" spellcheck="false" aria-label="Sort by path" />
+        <datalist id="datasetSortPaths">${available
+          .map((p) => `<option value="${escapeHtml(p)}"></option>`)
+          .join('')}</datalist>
+        <button class="mini-btn" type="button" data-sort-add="true">Add sort key</button>
+      </div>
+    </details>
+  `;
+}
+
+/* ------------------------------------------------------------
+    Dataset export: the rows on screen (filtered + sorted) as a file
+    Built in the browser; nothing is uploaded.
+------------------------------------------------------------ */
+
+const DATASET_EXPORT_FORMATS = {
+  csv: { label: 'CSV', ext: 'csv', type: 'text/csv' },
+  tsv: { label: 'TSV', ext: 'tsv', type: 'text/tab-separated-values' },
+  json: { label: 'JSON', ext: 'json', type: 'application/json' },
+  ndjson: { label: 'NDJSON', ext: 'ndjson', type: 'application/x-ndjson' },
+};
+
+/**
+ * @param {number} rowCount Rows that would be exported
+ * @param {string[]} available
+ * @param {{ exportOpen?: boolean, exportAllColumns?: boolean, columns?: string[]|null }} entry
+ */
+function renderDatasetExportPanel(rowCount, available, entry) {
+  const columnCount = entry.exportAllColumns
+    ? 'all fields'
+    : `${getVisibleDatasetColumns(available, entry).length} visible columns`;
+
+  const buttons = Object.entries(DATASET_EXPORT_FORMATS)
+    .map(
+      ([format, f]) =>
+        `<button class="mini-btn" type="button" data-export-format="${format}"${
+          rowCount ? '' : ' disabled'
+        }>${f.label}</button>`
+    )
+    .join('');
+
+  return `
+    <details class="dataset-export"${entry.exportOpen ? ' open' : ''}>
+      <summary>Export</summary>
+      <div class="array-note">${rowCount} ${
+    rowCount === 1 ? 'row' : 'rows'
+  } in the current filter and sort order. CSV/TSV use ${columnCount}; JSON/NDJSON keep whole rows.</div>
+      ${
+        available.length
+          ? `<label class="toggle">
+        <input type="checkbox" data-export-all-columns="true"${
+          entry.exportAllColumns ? ' checked' : ''
+        } />
+        <span>CSV/TSV: all fields, not just visible columns</span>
+      </label>`
+          : ''
+      }
+      <div class="export-actions">${buttons}</div>
+    </details>
+  `;
+}
+
+/**
+ * Text for one CSV/TSV cell. Objects and arrays are written as JSON.
+ * @param {any} value
+ */
+function formatDelimitedCell(value) {
+  if (value == null) return '';
+  if (isLosslessNumber(value)) return value.text;
+  if (typeof value === 'object') return stringifyJson(value);
+  return String(value);
+}
+
+/**
+ * Keep spreadsheets from running cell text as a formula: text that starts
+ * with = + - @ (or a tab or carriage return) gets a leading '. Plain
+ * numbers such as -5 are left as they are.
+ * @param {string} text
+ */
+function guardDelimitedFormula(text) {
+  if (
+    !/^[=+\-@\t\r]/.test(text) ||
+    /^[+-]?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(text)
+  ) {
+    return text;
+  }
+  return `'${text}`;
+}
+
+/**
+ * Quote a cell when it holds the delimiter, a quote or a line break
+ * (quotes inside are doubled, RFC 4180 style).
+ * @param {string} text
+ * @param {string} delimiter
+ */
+function quoteDelimitedCell(text, delimiter) {
+  if (
+    !text.includes(delimiter) &&
+    !/["\r\n]/.test(text) &&
+    text.trim() === text
+  ) {
+    return text;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * File text for rows in one of DATASET_EXPORT_FORMATS.
+ * @param {any[]} rows
+ * @param {string[]} columns Used by CSV/TSV only
+ * @param {'csv'|'tsv'|'json'|'ndjson'} format
+ */
+function buildDatasetExport(rows, columns, format) {
+  if (format === 'json') return stringifyJson(rows, 2) + '\n';
+  if (format === 'ndjson') {
+    return rows.map((row) => stringifyJson(row)).join('\n') + '\n';
+  }
+
+  return buildDelimitedText(
+    columns.map(guardDelimitedFormula),
+    rows.map((row) =>
+      columns.map((path) =>
+        guardDelimitedFormula(formatDelimitedCell(getColumnValue(row, path)))
+      )
+    ),
+    format === 'tsv' ? '\t' : ','
+  );
+}
+
+/**
+ * CSV/TSV text from a header and rows of cell text.
+ * @param {string[]} header
+ * @param {string[][]} rows
+ * @param {string} delimiter
+ */
+function buildDelimitedText(header, rows, delimiter) {
+  const line = (cells) =>
+    cells.map((c) => quoteDelimitedCell(c, delimiter)).join(delimiter);
+
+  // BOM so Excel reads the file as UTF-8
+  return '\ufeff' + [header, ...rows].map(line).join('\r\n') + '\r\n';
+}
+
+/**
+ * File name without .json/.jsonl/.ndjson (and .gz), for exports.
+ * @param {LoadedFile} lf
+ */
+function getExportBaseName(lf) {
+  return lf.name.replace(/\.(json|jsonl|ndjson)(\.gz)?$/i, '') || 'export';
+}
+
+/**
+ * Download the dataset rows currently shown (filter + sort applied).
+ * @param {LoadedFile} lf
+ * @param {'csv'|'tsv'|'json'|'ndjson'} format
+ */
+function exportDatasetRows(lf, format) {
+  const f = DATASET_EXPORT_FORMATS[format];
+  if (!f || !Array.isArray(lf.json)) return;
+
+  const entry = getDatasetUi(lf.id);
+  const rows = getDatasetRows(lf.json, entry).map((m) => m.row);
+  const columns = entry.exportAllColumns
+    ? buildDatasetColumns(lf.json, Infinity)
+    : getVisibleDatasetColumns(buildDatasetColumns(lf.json), entry);
+
+  const suffix = entry.filter ? '-filtered' : '';
+
+  downloadFile(
+    `${getExportBaseName(lf)}${suffix}.${f.ext}`,
+    buildDatasetExport(rows, columns, format),
+    f.type
+  );
+}
+
+/* ------------------------------------------------------------
+    Dataset grid (table view with column chooser)
+------------------------------------------------------------ */
+
+const GRID_DEFAULT_COLUMNS = 10;
+const GRID_COLUMN_SAMPLE = 200;
+const GRID_MIN_COLUMN_WIDTH = 60;
+const GRID_ROW_HEIGHT = 29;
+
+/**
+ * Dataset UI entry for a file, created (and back-filled) with defaults.
+ * @param {number} lfId
+ */
+function getDatasetUi(lfId) {
+  const entry = state.datasetUiByFileId[lfId] || {
+    filter: '',
+    jumpIndex: null,
+    lastJumpInput: '',
+  };
+
+  if (entry.layout !== 'cards' && entry.layout !== 'profile') {
+    entry.layout = 'grid';
+  }
+  if (!Array.isArray(entry.columns)) entry.columns = null;
+  if (!entry.columnWidths || typeof entry.columnWidths !== 'object') {
+    entry.columnWidths = {};
+  }
+  entry.columnsOpen = Boolean(entry.columnsOpen);
+  if (!Array.isArray(entry.sort)) entry.sort = [];
+  entry.sortOpen = Boolean(entry.sortOpen);
+  if (!Array.isArray(entry.facets)) entry.facets = null;
+  entry.facetsOpen = Boolean(entry.facetsOpen);
+  if (!Array.isArray(entry.facetShowAll)) entry.facetShowAll = [];
+  entry.exportOpen = Boolean(entry.exportOpen);
+  entry.exportAllColumns = Boolean(entry.exportAllColumns);
+
+  state.datasetUiByFileId[lfId] = entry;
+  return entry;
+}
+
+/**
+ * Value for a grid column. Keys that contain dots ("@odata.etag") are
+ * looked up as-is first; otherwise the path is walked (Status.Name).
+ * @param {any} row
+ * @param {string} path
+ */
+function getColumnValue(row, path) {
+  if (!row || typeof row !== 'object') return undefined;
+  if (Object.prototype.hasOwnProperty.call(row, path)) return row[path];
+  return getValueAtPath(row, path);
+}
+
+/**
+ * All columns the grid can show, most common first.
+ * Nested objects are flattened into dotted paths (Status.Name), two
+ * levels deep. Arrays stay a single column.
+ * @param {any[]} arr
+ * @param {number} [sampleSize] Rows to look at (profile passes Infinity)
+ * @returns {string[]}
+ */
+function buildDatasetColumns(arr, sampleSize = GRID_COLUMN_SAMPLE) {
+  const sample = arr
+    .filter((x) => x && typeof x === 'object' && !Array.isArray(x))
+    .slice(0, sampleSize);
+
+  const out = [];
+
+  const walk = (rows, prefix, depth) => {
+    for (const key of commonKeysFromArrayOfObjects(rows, Infinity)) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      const values = rows.map((r) => r[key]).filter((v) => v != null);
+      const objects = values.filter(
+        (v) =>
+          typeof v === 'object' && !Array.isArray(v) && !isLosslessNumber(v)
+      );
+
+      // Mostly objects: show their fields instead of "{n keys}"
+      if (
+        depth < 2 &&
+        !key.includes('.') &&
+        objects.length &&
+        objects.length >= values.length / 2
+      ) {
+        const before = out.length;
+        walk(objects, path, depth + 1);
+        if (out.length > before) continue;
+      }
+
+      out.push(path);
+    }
+  };
+
+  walk(sample, '', 0);
+  return out;
+}
+
+/**
+ * Columns in display order: the user's choice, or the first few available.
+ * @param {string[]} available
+ * @param {{ columns?: string[]|null }} entry
+ */
+function getVisibleDatasetColumns(available, entry) {
+  return entry.columns
+    ? entry.columns
+    : available.slice(0, GRID_DEFAULT_COLUMNS);
+}
+
+/**
+ * Short text for a grid cell (full value stays in the row card).
+ * @param {any} value
+ * @returns {{ text: string, cls: string }}
+ */
+function formatGridCell(value) {
+  if (value === undefined) return { text: '', cls: 'is-missing' };
+  if (value === null) return { text: 'null', cls: 'is-null' };
+  if (isLosslessNumber(value)) return { text: value.text, cls: 'is-number' };
+  if (typeof value === 'number')
+    return { text: String(value), cls: 'is-number' };
+  if (typeof value === 'boolean')
+    return { text: String(value), cls: 'is-bool' };
+
+  if (Array.isArray(value)) {
+    const prims = value.every((v) => v == null || !isContainer(v));
+    if (prims && value.length <= 5) {
+      return { text: value.map((v) => String(v)).join(', '), cls: 'is-nested' };
+    }
+    return {
+      text: `[${value.length} ${value.length === 1 ? 'item' : 'items'}]`,
+      cls: 'is-nested',
+    };
+  }
+
+  if (typeof value === 'object') {
+    const n = Object.keys(value).length;
+    return { text: `{${n} ${n === 1 ? 'key' : 'keys'}}`, cls: 'is-nested' };
+  }
+
+  const text = String(value);
+  return { text: text.length > 300 ? `${text.slice(0, 300)}…` : text, cls: '' };
+}
+
+/** @param {'grid'|'cards'|'profile'} layout */
+function renderDatasetLayoutSwitch(layout) {
+  const btn = (value, label) =>
+    `<button class="mini-btn${
+      layout === value ? ' is-active' : ''
+    }" type="button" data-dataset-layout="${value}" aria-pressed="${
+      layout === value ? 'true' : 'false'
+    }">${label}</button>`;
+
+  return `<div class="dataset-layout" role="group" aria-label="Dataset layout">${btn(
+    'grid',
+    'Grid'
+  )}${btn('cards', 'Cards')}${btn('profile', 'Profile')}</div>`;
+}
+
+/**
+ * Column chooser: tick columns on/off, move them up/down, or reset.
+ * Header cells can also be dragged to reorder.
+ * @param {string[]} available
+ * @param {{ columns?: string[]|null, columnsOpen?: boolean }} entry
+ */
+function renderDatasetColumnChooser(available, entry) {
+  const visible = getVisibleDatasetColumns(available, entry);
+  const hidden = available.filter((p) => !visible.includes(p));
+
+  const item = (path, on, i) => `
+    <li class="column-choice">
+      <label>
+        <input type="checkbox" data-column-toggle="${escapeHtml(path)}"${
+    on ? ' checked' : ''
+  } />
+        <span title="${escapeHtml(path)}">${escapeHtml(path)}</span>
+      </label>
+      ${
+        on
+          ? `<button class="mini-btn" type="button" data-column-move="${escapeHtml(
+              path
+            )}" data-dir="-1" aria-label="Move ${escapeHtml(path)} left"${
+              i === 0 ? ' disabled' : ''
+            }>&lt;</button><button class="mini-btn" type="button" data-column-move="${escapeHtml(
+              path
+            )}" data-dir="1" aria-label="Move ${escapeHtml(path)} right"${
+              i === visible.length - 1 ? ' disabled' : ''
+            }>&gt;</button>`
+          : ''
+      }
+    </li>`;
+
+  return `
+    <details class="dataset-columns"${entry.columnsOpen ? ' open' : ''}>
+      <summary>Columns (${visible.length} of ${available.length})</summary>
+      <ul class="column-choices">
+        ${visible.map((p, i) => item(p, true, i)).join('')}
+        ${hidden.map((p) => item(p, false, -1)).join('')}
+      </ul>
+      <button class="mini-btn" type="button" data-columns-reset="true">Reset columns</button>
+    </details>
+  `;
+}
+
+/**
+ * The grid itself. Rows are a virtual list; each row remembers its
+ * original index, so clicking a cell opens the right row card.
+ * @param {{ row: any, idx: number }[]} rows
+ * @param {string[]} columns
+ * @param {{ columnWidths?: Record<string, number> }} entry
+ */
+function renderDatasetGrid(rows, columns, entry) {
+  const widths = entry.columnWidths || {};
+
+  const cols = columns
+    .map((p) => {
+      const w = Number(widths[p]);
+      return `<col${
+        Number.isFinite(w) && w > 0 ? ` style="width:${Math.round(w)}px"` : ''
+      } />`;
+    })
+    .join('');
+
+  const sort = entry.sort || [];
+  const head = columns
+    .map((p) => {
+      const k = sort.findIndex((s) => s.path === p);
+      const key = k >= 0 ? sort[k] : null;
+      const mark = key
+        ? `<span class="sort-mark">${key.dir === 'desc' ? '▼' : '▲'}${
+            sort.length > 1 ? k + 1 : ''
+          }</span>`
+        : '';
+      const ariaSort =
+        k === 0
+          ? ` aria-sort="${key.dir === 'desc' ? 'descending' : 'ascending'}"`
+          : '';
+
+      return `<th scope="col" draggable="true" data-col-path="${escapeHtml(
+        p
+      )}"${ariaSort} title="${escapeHtml(
+        `${p} (click to sort, Shift+click to add a sort key)`
+      )}"><span class="th-label">${escapeHtml(
+        p
+      )}${mark}</span><span class="col-resizer" data-col-resize="${escapeHtml(
+        p
+      )}" aria-hidden="true"></span></th>`;
+    })
+    .join('');
+
+  const renderRow = (i) => {
+    const { row, idx } = rows[i];
+    const cells = columns
+      .map((p) => {
+        const c = formatGridCell(getColumnValue(row, p));
+        return `<td class="${c.cls}" title="${escapeHtml(
+          c.text.slice(0, 500)
+        )}">${escapeHtml(c.text)}</td>`;
+      })
+      .join('');
+    return `<tr data-row-index="${idx}"><th scope="row" class="row-num">${
+      idx + 1
+    }</th>${cells}</tr>`;
+  };
+
+  return `
+    <div class="dataset-grid-wrap">
+      <table class="dataset-grid">
+        <colgroup><col class="row-num-col" />${cols}</colgroup>
+        <thead><tr><th scope="col" class="row-num">Row</th>${head}</tr></thead>
+        ${renderVirtualList({
+          count: rows.length,
+          estimate: GRID_ROW_HEIGHT,
+          renderItem: renderRow,
+          table: true,
+          colSpan: columns.length + 1,
+        })}
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Wire dataset view controls (layout switch, facets, column chooser, grid).
+ * Runs after renderDatasetView() output is in the viewer.
+ * @param {number} lfId
+ */
+function wireDatasetView(lfId) {
+  const entry = getDatasetUi(lfId);
+  const lf = getActiveFile();
+  const available =
+    lf && Array.isArray(lf.json) ? buildDatasetColumns(lf.json) : [];
+  const currentColumns = () => [...getVisibleDatasetColumns(available, entry)];
+
+  els.viewer.querySelectorAll('[data-dataset-layout]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const layout = btn.getAttribute('data-dataset-layout');
+      entry.layout =
+        layout === 'cards' || layout === 'profile' ? layout : 'grid';
+      renderViewer();
+    });
+  });
+
+  if (lf && Array.isArray(lf.json)) wireFacetPanel(lf.json, entry);
+
+  const back = els.viewer.querySelector('[data-dataset-back]');
+  if (back) {
+    back.addEventListener('click', () => {
+      entry.jumpIndex = null;
+      entry.lastJumpInput = '';
+      renderViewer();
+    });
+  }
+
+  // Column chooser
+  const chooser = els.viewer.querySelector('.dataset-columns');
+  if (chooser) {
+    chooser.addEventListener('toggle', () => {
+      entry.columnsOpen = chooser.open;
+      scheduleWorkspaceSave();
+    });
+  }
+
+  els.viewer.querySelectorAll('[data-column-toggle]').forEach((box) => {
+    box.addEventListener('change', () => {
+      const path = box.getAttribute('data-column-toggle') || '';
+      const cols = currentColumns().filter((p) => p !== path);
+      if (box.checked) cols.push(path);
+      entry.columns = cols;
+      renderViewer();
+    });
+  });
+
+  els.viewer.querySelectorAll('[data-column-move]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const path = btn.getAttribute('data-column-move') || '';
+      const dir = Number(btn.getAttribute('data-dir')) || 0;
+      const cols = currentColumns();
+      const from = cols.indexOf(path);
+      const to = from + dir;
+      if (from < 0 || to < 0 || to >= cols.length) return;
+      cols.splice(to, 0, cols.splice(from, 1)[0]);
+      entry.columns = cols;
+      renderViewer();
+    });
+  });
+
+  const reset = els.viewer.querySelector('[data-columns-reset]');
+  if (reset) {
+    reset.addEventListener('click', () => {
+      entry.columns = null;
+      entry.columnWidths = {};
+      renderViewer();
+    });
+  }
+
+  // Sort panel (any dotted path, also in Cards layout)
+  const sortPanel = els.viewer.querySelector('.dataset-sort');
+  if (sortPanel) {
+    sortPanel.addEventListener('toggle', () => {
+      entry.sortOpen = sortPanel.open;
+      scheduleWorkspaceSave();
+    });
+
+    sortPanel.querySelectorAll('[data-sort-dir]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const key = entry.sort[Number(btn.getAttribute('data-sort-dir'))];
+        if (!key) return;
+        key.dir = key.dir === 'desc' ? 'asc' : 'desc';
+        renderViewer();
+      });
+    });
+
+    sortPanel.querySelectorAll('[data-sort-remove]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        entry.sort.splice(Number(btn.getAttribute('data-sort-remove')), 1);
+        renderViewer();
+      });
+    });
+
+    const input = sortPanel.querySelector('[data-sort-add-input]');
+    const addKey = () => {
+      const path = String(input.value || '').trim();
+      if (!path) return;
+      entry.sort = entry.sort.filter((k) => k.path !== path);
+      entry.sort.push({ path, dir: 'asc' });
+      renderViewer();
+    };
+    sortPanel
+      .querySelector('[data-sort-add]')
+      .addEventListener('click', addKey);
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        addKey();
+      }
+    });
+  }
+
+  // Export panel
+  const exportPanel = els.viewer.querySelector('.dataset-export');
+  if (exportPanel && lf) {
+    exportPanel.addEventListener('toggle', () => {
+      entry.exportOpen = exportPanel.open;
+      scheduleWorkspaceSave();
+    });
+
+    const allColumns = exportPanel.querySelector('[data-export-all-columns]');
+    if (allColumns) {
+      allColumns.addEventListener('change', () => {
+        entry.exportAllColumns = allColumns.checked;
+        renderViewer();
+      });
+    }
+
+    exportPanel.querySelectorAll('[data-export-format]').forEach((btn) => {
+      btn.addEventListener('click', () =>
+        exportDatasetRows(lf, btn.getAttribute('data-export-format'))
+      );
+    });
+  }
+
+  const table = els.viewer.querySelector('.dataset-grid');
+  if (!table) return;
+
+  // Click a row to open it in the row card (same as jumping to it)
+  table.querySelector('tbody').addEventListener('click', (e) => {
+    const tr = e.target instanceof Element ? e.target.closest('tr') : null;
+    if (!tr || !tr.hasAttribute('data-row-index')) return;
+    const idx = Number(tr.getAttribute('data-row-index'));
+    if (!Number.isFinite(idx)) return;
+
+    entry.jumpIndex = idx;
+    entry.lastJumpInput = String(idx + 1);
+    renderViewer();
+  });
+
+  // A resize that ends over a header cell also clicks it; that click must
+  // not sort. Any new press starts fresh (the resize may have ended outside).
+  let justResized = false;
+  table.addEventListener(
+    'mousedown',
+    () => {
+      justResized = false;
+    },
+    true
+  );
+
+  // Drag header cells to reorder columns
+  let dragPath = null;
+  table.querySelectorAll('th[data-col-path]').forEach((th) => {
+    const path = th.getAttribute('data-col-path') || '';
+
+    th.addEventListener('dragstart', (e) => {
+      dragPath = path;
+      if (e.dataTransfer) {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', path);
+      }
+    });
+    th.addEventListener('dragover', (e) => {
+      if (dragPath == null) return;
+      e.preventDefault();
+      th.classList.add('is-drop-target');
+    });
+    th.addEventListener('dragleave', () => {
+      th.classList.remove('is-drop-target');
+    });
+    th.addEventListener('dragend', () => {
+      dragPath = null;
+    });
+
+    // Click sorts by this column; Shift+click adds it as another key
+    th.addEventListener('click', (e) => {
+      if (justResized) {
+        justResized = false;
+        return;
+      }
+      entry.sort = nextDatasetSort(entry.sort, path, e.shiftKey);
+      renderViewer();
+    });
+    th.addEventListener('drop', (e) => {
+      e.preventDefault();
+      th.classList.remove('is-drop-target');
+      if (dragPath == null || dragPath === path) return;
+
+      // Take it out, then put it where the target was (before it when
+      // moving left, after it when moving right)
+      const cols = currentColumns();
+      const from = cols.indexOf(dragPath);
+      const to = cols.indexOf(path);
+      if (from < 0 || to < 0) return;
+      cols.splice(from, 1);
+      cols.splice(to, 0, dragPath);
+      dragPath = null;
+      entry.columns = cols;
+      renderViewer();
+    });
+  });
+
+  // Drag the right edge of a header cell to resize its column
+  const colEls = table.querySelectorAll('colgroup col');
+  table.querySelectorAll('[data-col-resize]').forEach((handle) => {
+    handle.addEventListener('mousedown', (e) => {
+      // Stop the header from starting a column drag
+      e.preventDefault();
+      e.stopPropagation();
+
+      const th = handle.closest('th');
+      const path = handle.getAttribute('data-col-resize') || '';
+      const col = colEls[th.cellIndex];
+      const startX = e.clientX;
+      const startW = th.getBoundingClientRect().width;
+
+      const onMove = (ev) => {
+        const w = Math.max(GRID_MIN_COLUMN_WIDTH, startW + ev.clientX - startX);
+        col.style.width = `${Math.round(w)}px`;
+      };
+      const onUp = (ev) => {
+        window.removeEventListener('mousemove', onMove);
+        window.removeEventListener('mouseup', onUp);
+        justResized = true;
+        entry.columnWidths[path] = Math.round(
+          Math.max(GRID_MIN_COLUMN_WIDTH, startW + ev.clientX - startX)
+        );
+        scheduleWorkspaceSave();
+      };
+
+      window.addEventListener('mousemove', onMove);
+      window.addEventListener('mouseup', onUp);
+    });
+
+    // A click on the handle should not open the row card or sort later
+    handle.addEventListener('click', (e) => e.stopPropagation());
+  });
+}
+
+/**
+ * Detect record type for a single object record.
+ * Uses:
+ * - explicit "type/entity/resource" string hints if present
+ * - otherwise key-based heuristics
+ * @param {any} obj
+ * @returns {RecordType}
+ */
+function detectRecordTypeFromObject(obj) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return 'Generic';
+
+  // 1) Explicit hint fields (string values)
+  const hint = firstString(obj, [
+    'type',
+    'Type',
+    'entity',
+    'Entity',
+    'resource',
+    'Resource',
+    'recordType',
+    'RecordType',
+  ]);
+  if (hint) {
+    const norm = hint.toLowerCase();
+    if (norm.includes('issue')) return 'Issue';
+    if (norm === 'rfi' || norm.includes('request for information'))
+      return 'RFI';
+    if (norm.includes('submittal')) return 'Submittal';
+  }
+
+  // 2) Shape sniffing (heuristics)
+  // Your Issue example has many of these: Title, Number, Status, Priority, AssignedTo, Viewpoints, History
+  const has = (k) => Object.prototype.hasOwnProperty.call(obj, k);
+
+  // Issue signals
+  const issueSignals =
+    (has('Title') || has('title')) &&
+    (has('Status') || has('status')) &&
+    (has('Priority') || has('priority')) &&
+    (has('AssignedTo') || has('assignedTo') || has('Author') || has('author'));
+
+  const issueExtraSignals =
+    has('Viewpoints') ||
+    has('viewpoints') ||
+    has('Disciplines') ||
+    has('disciplines') ||
+    has('History') ||
+    has('history');
+
+  if (issueSignals && issueExtraSignals) return 'Issue';
+
+  // RFI signals (common-ish naming patterns across systems)
+  // We keep this broad, because RFI schemas vary wildly.
+  const rfiSignals =
+    hasAny(obj, ['Question', 'question', 'RfiQuestion', 'rfiQuestion']) ||
+    hasAny(obj, ['Answer', 'answer', 'Response', 'response']) ||
+    (hasAny(obj, ['BallInCourt', 'ballInCourt', 'DueDate', 'dueDate']) &&
+      hasAny(obj, ['RfiNumber', 'rfiNumber', 'RfiId', 'rfiId']));
+
+  if (rfiSignals) return 'RFI';
+
+  // Submittal signals
+  const submittalSignals =
+    hasAny(obj, ['SpecSection', 'specSection', 'SpecificationSection']) ||
+    hasAny(obj, ['Revision', 'revision', 'RevisionNumber']) ||
+    hasAny(obj, [
+      'SubmittalNumber',
+      'submittalNumber',
+      'SubmittalId',
+      'submittalId',
+    ]) ||
+    (hasAny(obj, [
+      'ReviewStatus',
+      'reviewStatus',
+      'ReviewDate',
+      'reviewDate',
+    ]) &&
+      hasAny(obj, ['DueDate', 'dueDate']));
+
+  if (submittalSignals) return 'Submittal';
+
+  return 'Generic';
+}
+
+/**
+ * Return the first non-empty string found in obj for the given keys.
+ * @param {any} obj
+ * @param {string[]} keys
+ * @returns {string|null}
+ */
+function firstString(obj, keys) {
+  for (const k of keys) {
+    if (
+      obj &&
+      typeof obj === 'object' &&
+      typeof obj[k] === 'string' &&
+      obj[k].trim()
+    ) {
+      return obj[k].trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * True if any key exists on obj.
+ * @param {any} obj
+ * @param {string[]} keys
+ */
+function hasAny(obj, keys) {
+  return keys.some((k) => Object.prototype.hasOwnProperty.call(obj, k));
+}
+
+function isUsablePrimitive(v) {
+  if (v == null) return false;
+  if (isLosslessNumber(v)) return true;
+  const t = typeof v;
+  return t === 'string' || t === 'number' || t === 'boolean';
+}
+
+function pickFirstPrimitive(obj, keys) {
+  const v = pickFirst(obj, keys);
+  return isUsablePrimitive(v) ? v : null;
+}
+
+function pickIdLike(obj) {
+  return pickFirstPrimitive(obj, [
+    'Id',
     'id',
     'ID',
     'uid',
@@ -1441,2449 +5664,5367 @@ function pickIdLike(obj) {
   ]);
 }
 
-function pickCodeLike(obj) {
-  return pickFirstPrimitive(obj, [
-    'Number',
-    'number',
-    'No',
-    'no',
-    'code',
-    'Code',
-    'ref',
-    'Ref',
-    'reference',
-    'Reference',
-  ]);
+function pickCodeLike(obj) {
+  return pickFirstPrimitive(obj, [
+    'Number',
+    'number',
+    'No',
+    'no',
+    'code',
+    'Code',
+    'ref',
+    'Ref',
+    'reference',
+    'Reference',
+  ]);
+}
+
+function pickNameLike(obj) {
+  return pickFirstPrimitive(obj, [
+    'Title',
+    'title',
+    'Name',
+    'name',
+    'Subject',
+    'subject',
+    'Summary',
+    'summary',
+    'DisplayName',
+    'displayName',
+  ]);
+}
+
+function pickEmailLike(obj) {
+  return pickFirstPrimitive(obj, ['Email', 'email', 'mail', 'Mail']);
+}
+
+function pickStatusLike(obj) {
+  const v = pickFirst(obj, ['Status', 'status', 'State', 'state']);
+  if (typeof v === 'string' && v.trim()) return v.trim();
+  if (v && typeof v === 'object') {
+    const n = pickFirstPrimitive(v, ['Name', 'name', 'Label', 'label']);
+    if (n != null) return String(n).trim();
+  }
+  return null;
+}
+
+function buildGenericIdentityLabel(obj, base) {
+  if (!obj || typeof obj !== 'object') return base;
+
+  const name = pickNameLike(obj);
+  const email = pickEmailLike(obj);
+  const code = pickCodeLike(obj);
+  const id = pickIdLike(obj);
+  const status = pickStatusLike(obj);
+
+  // Deterministic: always build in the same order.
+  // Goal: show something humans recognize first (name/email), then identifiers.
+  let main = '';
+
+  if (name) main = safeOneLine(name, 70);
+  else if (email) main = safeOneLine(email, 70);
+  else if (code != null) main = `#${safeOneLine(code, 40)}`;
+  else if (id != null) main = `Id ${safeOneLine(id, 40)}`;
+  else main = base;
+
+  const bits = [main];
+
+  // Add a second bit only if it adds real value and isn’t duplicative noise
+  if (name && code != null) bits.push(`#${safeOneLine(code, 30)}`);
+  else if (name && id != null) bits.push(`Id ${safeOneLine(id, 30)}`);
+  else if (email && name) bits.push(safeOneLine(name, 40));
+  else if (email && id != null) bits.push(`Id ${safeOneLine(id, 30)}`);
+  else if (code != null && id != null) bits.push(`Id ${safeOneLine(id, 30)}`);
+
+  // Status is useful, but keep it short
+  if (status) bits.push(`(${safeOneLine(status, 22)})`);
+
+  // Always include base at the end if main isn't already the base
+  if (main !== base) bits.push(base);
+
+  // Dedupe exact repeats
+  const seen = new Set();
+  const out = [];
+  for (const b of bits) {
+    const t = String(b || '').trim();
+    if (!t) continue;
+    if (seen.has(t)) continue;
+    seen.add(t);
+    out.push(t);
+  }
+
+  return out.join(' • ');
+}
+
+/**
+ * Build a human-friendly label for the record dropdown.
+ * Template-aware:
+ * - If a template with recordLabel.fields is active, use it first.
+ * - Otherwise fall back to Issue/Generic heuristics.
+ *
+ * @param {RecordType} recordType
+ * @param {any} record
+ * @param {number} index
+ * @param {any|null} activeTemplateObj  // pass template.template here
+ */
+function buildRecordLabel(recordType, record, index, activeTemplateObj) {
+  const base = `Record ${index + 1}`;
+  if (!record || typeof record !== 'object') return base;
+
+  // 1) Template-driven labels (highest priority)
+  const tplLabel = buildTemplateRecordLabel(activeTemplateObj, record, index);
+  if (tplLabel) return tplLabel;
+
+  // 2) Built-in Issue labels (v1 special-case)
+  if (recordType === 'Issue') {
+    const num = pickFirstPrimitive(record, ['Number', 'number']);
+    const title = pickFirstPrimitive(record, [
+      'Title',
+      'title',
+      'Name',
+      'name',
+    ]);
+    const id = pickIdLike(record);
+    const status = pickStatusLike(record);
+
+    const t = title ? safeOneLine(title, 70) : '';
+    const s = status ? safeOneLine(status, 22) : '';
+
+    if (num != null && t) {
+      return [`#${num}`, t, s ? `(${s})` : '', base]
+        .filter(Boolean)
+        .join(' • ');
+    }
+    if (num != null) {
+      return [`#${num}`, s ? `(${s})` : '', base].filter(Boolean).join(' • ');
+    }
+    if (t && id != null) {
+      return [t, `Id ${safeOneLine(id, 30)}`, s ? `(${s})` : '', base]
+        .filter(Boolean)
+        .join(' • ');
+    }
+    if (t) return [t, s ? `(${s})` : '', base].filter(Boolean).join(' • ');
+    if (id != null)
+      return [`Id ${safeOneLine(id, 30)}`, s ? `(${s})` : '', base]
+        .filter(Boolean)
+        .join(' • ');
+
+    return base;
+  }
+
+  // 3) Generic fallback
+  return buildGenericIdentityLabel(record, base);
+}
+
+/**
+ * Build a label using template.recordLabel.fields.
+ * Missing fields are skipped silently.
+ *
+ * @param {any|null} tpl
+ * @param {any} record
+ * @param {number} index
+ * @returns {string}
+ */
+function buildTemplateRecordLabel(tpl, record, index) {
+  if (!tpl || typeof tpl !== 'object') return '';
+
+  const rl = tpl.recordLabel;
+  if (!rl || typeof rl !== 'object') return '';
+
+  const fields = Array.isArray(rl.fields) ? rl.fields : [];
+  const fallback =
+    typeof rl.fallback === 'string' && rl.fallback.trim()
+      ? rl.fallback
+      : `Record {n}`;
+
+  const parts = [];
+
+  for (const f of fields) {
+    if (!f || typeof f !== 'object') continue;
+
+    const path = String(f.path || '').trim();
+    if (!path) continue;
+
+    let raw = getTemplateValue(record, path);
+    if (raw == null) continue;
+
+    // [*] paths join their plain values ("Civil, Structural")
+    if (isProjectedList(path, raw))
+      raw = formatProjectedItems(raw, 'text').join(', ');
+
+    // Only use primitives for labels (keeps dropdown readable)
+    const t = typeof raw;
+    if (
+      t !== 'string' &&
+      t !== 'number' &&
+      t !== 'boolean' &&
+      !isLosslessNumber(raw)
+    )
+      continue;
+
+    let text = String(raw).trim();
+    if (!text) continue;
+
+    // Optional: show only the last N characters (useful for VINs, GUIDs, long ids)
+    if (Number.isFinite(f.lastChars)) {
+      const n = Math.max(1, Math.floor(f.lastChars));
+      if (text.length > n) text = text.slice(text.length - n);
+    }
+
+    const maxLen = Number.isFinite(f.maxLen)
+      ? Math.max(1, Math.floor(f.maxLen))
+      : 80;
+
+    if (text.length > maxLen) text = `${text.slice(0, maxLen)}…`;
+
+    const prefix = typeof f.prefix === 'string' ? f.prefix : '';
+    const suffix = typeof f.suffix === 'string' ? f.suffix : '';
+
+    parts.push(`${prefix}${text}${suffix}`);
+  }
+
+  if (parts.length) return parts.join('');
+
+  // Fallback supports {n}
+  return fallback.replaceAll('{n}', String(index + 1));
+}
+
+/**
+ * ===============================
+ * Session 11 – Templates (Apply + Render)
+ * Records Mode ONLY (Dataset Mode must not use templates).
+ * ===============================
+ */
+
+/**
+ * @typedef {{ key: string, value: string|number|boolean|null, text: string }} PathSelector
+ * An exact-match step: [Name="Building"] (text is the value as written,
+ * so big numbers compare by their digits).
+ */
+
+/**
+ * @typedef {string|number|PathSelector} PathStep
+ * A key, an [n] index, '*' for [*], or a selector.
+ */
+
+const PATH_CACHE_LIMIT = 500;
+
+/** @type {Map<string, PathStep[]>} */
+const pathStepCache = new Map();
+
+/**
+ * Split a path into steps. Brackets hold an index ([0]), [*], a quoted key
+ * (["@odata.etag"], for keys with dots or brackets in them), or an
+ * exact-match selector ([Name="Building"], [Id=42], [Active=true]); anything
+ * else in brackets is read as a plain key, and reported in `invalid`.
+ * Quoted text may contain dots and brackets.
+ * @param {string} path
+ * @returns {{ steps: PathStep[], invalid: string[] }}
+ */
+function parsePathSteps(path) {
+  /** @type {PathStep[]} */
+  const steps = [];
+  const invalid = [];
+  let key = '';
+
+  const flush = () => {
+    if (key) steps.push(key);
+    key = '';
+  };
+
+  let i = 0;
+  while (i < path.length) {
+    const ch = path[i];
+    if (ch === '.' || ch === ']') {
+      flush();
+      i++;
+      continue;
+    }
+    if (ch !== '[') {
+      key += ch;
+      i++;
+      continue;
+    }
+
+    flush();
+    const end = findPathBracketEnd(path, i + 1);
+    if (end < 0) {
+      // Unclosed bracket: keep reading the rest as a key
+      i++;
+      continue;
+    }
+
+    const inner = path.slice(i + 1, end);
+    const quotedKey = parseQuotedPathKey(inner);
+    const selector = quotedKey == null ? parsePathSelector(inner) : null;
+    if (/^\d+$/.test(inner)) steps.push(Number(inner));
+    else if (inner === '*') steps.push('*');
+    else if (quotedKey != null) steps.push(quotedKey);
+    else if (selector) steps.push(selector);
+    else {
+      invalid.push(inner);
+      inner.split('.').forEach((k) => k && steps.push(k));
+    }
+    i = end + 1;
+  }
+  flush();
+
+  return { steps, invalid };
+}
+
+/**
+ * Index of the "]" that closes a bracket, skipping quoted text.
+ * @param {string} path
+ * @param {number} from
+ * @returns {number} -1 when unclosed
+ */
+function findPathBracketEnd(path, from) {
+  let quote = '';
+  for (let j = from; j < path.length; j++) {
+    const ch = path[j];
+    if (quote && ch === '\\') j++;
+    else if (quote) quote = ch === quote ? '' : quote;
+    else if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === ']') return j;
+  }
+  return -1;
+}
+
+/**
+ * Key from a quoted bracket step: ["@odata.etag"] or ['@odata.etag'].
+ * @param {string} inner
+ * @returns {string|null} null when inner is not one quoted string
+ */
+function parseQuotedPathKey(inner) {
+  const m = /^"(?:[^"\\]|\\.)*"$|^'((?:[^'\\]|\\.)*)'$/.exec(inner);
+  if (!m) return null;
+  if (m[1] != null) return m[1].replace(/\\(.)/g, '$1');
+  try {
+    return JSON.parse(inner);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read Key="Value" (or Key=42, Key=true, Key=null) from inside brackets.
+ * Exact matches only: no operators, no expressions.
+ * @param {string} inner
+ * @returns {PathSelector|null}
+ */
+function parsePathSelector(inner) {
+  const m = /^\s*([^="\s][^="]*?)\s*=\s*(.+?)\s*$/.exec(inner);
+  if (!m) return null;
+
+  const key = m[1];
+  const text = m[2];
+
+  if (text[0] === '"') {
+    try {
+      const value = JSON.parse(text);
+      return typeof value === 'string' ? { key, value, text: value } : null;
+    } catch {
+      return null;
+    }
+  }
+  if (/^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(text)) {
+    return { key, value: Number(text), text };
+  }
+  if (text === 'true' || text === 'false') {
+    return { key, value: text === 'true', text };
+  }
+  if (text === 'null') return { key, value: null, text };
+  return null;
+}
+
+/**
+ * Steps of a path, parsed once (the grid reads the same few paths for
+ * every row).
+ * @param {string} path
+ * @returns {PathStep[]}
+ */
+function getPathSteps(path) {
+  let steps = pathStepCache.get(path);
+  if (!steps) {
+    if (pathStepCache.size >= PATH_CACHE_LIMIT) pathStepCache.clear();
+    steps = parsePathSteps(path).steps;
+    pathStepCache.set(path, steps);
+  }
+  return steps;
+}
+
+/**
+ * True when an array item passes a selector: the value at selector.key is
+ * exactly the selector value (same type; "12" does not match 12).
+ * @param {any} item
+ * @param {PathSelector} sel
+ */
+function matchesPathSelector(item, sel) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return false;
+
+  const actual = getValueAtPath(item, sel.key);
+  if (isLosslessNumber(actual)) {
+    return typeof sel.value === 'number' && actual.text === sel.text;
+  }
+  return actual === sel.value;
+}
+
+/**
+ * Get a nested value from an object using a simple path.
+ * Supported:
+ * - Dot paths: "Status.Name"
+ * - Bracket indexes: "Items[0].Title"
+ * - Mixed: "Foo.Bar[2].Baz"
+ * - Selectors: "CustomAttributes[Name=\"Building\"].TextValue" picks the
+ *   first item whose Name is exactly "Building"
+ *
+ * Guardrails:
+ * - No execution
+ * - No wildcards (see getValuesAtPath)
+ * - Exact-match selectors only (no operators or expressions)
+ * - Missing path returns undefined
+ *
+ * @param {any} obj
+ * @param {string} path
+ * @returns {any}
+ */
+function getValueAtPath(obj, path) {
+  if (!path || typeof path !== 'string') return undefined;
+  if (obj == null) return undefined;
+
+  let cur = obj;
+  for (const t of getPathSteps(path)) {
+    if (cur == null) return undefined;
+
+    if (typeof t === 'number') {
+      if (!Array.isArray(cur)) return undefined;
+      cur = cur[t];
+      continue;
+    }
+
+    if (typeof t === 'object') {
+      // On an array: the first match. On an item: keep it if it matches.
+      if (Array.isArray(cur)) cur = cur.find((x) => matchesPathSelector(x, t));
+      else if (!matchesPathSelector(cur, t)) return undefined;
+      continue;
+    }
+
+    if (typeof cur !== 'object') return undefined;
+    cur = cur[t];
+  }
+
+  return cur;
+}
+
+/**
+ * Like getValueAtPath(), but [*] steps into every item of an array:
+ * "Disciplines[*].Name" gives every discipline name. A selector after [*]
+ * keeps every matching item: "CustomAttributes[*][Name=\"Area\"].TextValue".
+ * @param {any} obj
+ * @param {string} path
+ * @returns {any[]} Every value reached (missing branches are skipped)
+ */
+function getValuesAtPath(obj, path) {
+  if (!path || typeof path !== 'string') return [];
+
+  let cur = [obj];
+  for (const t of getPathSteps(path)) {
+    const next = [];
+    for (const c of cur) {
+      if (c == null) continue;
+
+      if (t === '*') {
+        if (Array.isArray(c)) next.push(...c);
+      } else if (typeof t === 'number') {
+        if (Array.isArray(c)) next.push(c[t]);
+      } else if (typeof t === 'object') {
+        if (!Array.isArray(c)) {
+          if (matchesPathSelector(c, t)) next.push(c);
+        } else {
+          const hit = c.find((x) => matchesPathSelector(x, t));
+          if (hit !== undefined) next.push(hit);
+        }
+      } else if (typeof c === 'object') {
+        next.push(c[t]);
+      }
+    }
+    cur = next;
+  }
+
+  return cur.filter((v) => v !== undefined);
+}
+
+/**
+ * True when a template path projects over an array ("Disciplines[*].Name").
+ * @param {string} path
+ */
+function isProjectionPath(path) {
+  return typeof path === 'string' && path.includes('[*]');
+}
+
+/**
+ * Value of a template path. Plain paths read like getValueAtPath(); a [*]
+ * path returns every value it reaches as an array, or undefined when it
+ * reaches none (so the field is skipped like any missing path).
+ * Read-only, like every template path.
+ * @param {any} record
+ * @param {string} path
+ * @returns {any}
+ */
+function getTemplateValue(record, path) {
+  if (!isProjectionPath(path)) return getValueAtPath(record, path);
+
+  const values = getValuesAtPath(record, path).filter((v) => v !== null);
+  return values.length ? values : undefined;
+}
+
+/**
+ * Items of a projected value as display text for a format (blank items
+ * dropped). Objects and arrays are not handled here: those render as JSON.
+ * @param {any[]} values
+ * @param {string} format
+ * @returns {string[]}
+ */
+function formatProjectedItems(values, format) {
+  return values
+    .map((v) => {
+      if (format === 'date') return formatDateTime(v);
+      if (format === 'link' || format === 'multiline') {
+        return typeof v === 'string' ? v : '';
+      }
+      if (format === 'badge') return safeOneLine(String(v), 60);
+      return isLosslessNumber(v) ? v.text : String(v);
+    })
+    .filter(Boolean);
+}
+
+/**
+ * True when a template value came from a [*] path and holds only plain
+ * values, so it is shown joined (text, dates) or listed (badges, links).
+ * @param {string} path
+ * @param {any} value
+ */
+function isProjectedList(path, value) {
+  return (
+    isProjectionPath(path) &&
+    Array.isArray(value) &&
+    !value.some((v) => isContainer(v))
+  );
+}
+
+/* ------------------------------------------------------------
+    Rendering (viewer, cards, formatting)
+------------------------------------------------------------ */
+
+/**
+ * Template field renderer.
+ * Missing values return '' (silent, no warnings).
+ *
+ * Template formats (v1):
+ * - text (default)
+ * - multiline (string with line breaks)
+ * - badge (small pill)
+ * - link (URL-ish string)
+ * - date (ISO-like string -> local time)
+ * - json (shows value with collapsible rendering)
+ *
+ * [*] paths give one value per array item: text and dates are joined with
+ * commas, badges and links are listed.
+ *
+ * @param {any} record
+ * @param {{ path: string, label: string, format?: string }} field
+ * @returns {string}
+ */
+function renderTemplateField(record, field) {
+  const path = String(field.path || '').trim();
+  const label = String(field.label || '').trim();
+  const format = String(field.format || 'text')
+    .trim()
+    .toLowerCase();
+
+  if (!path || !label) return '';
+
+  const value = getTemplateValue(record, path);
+
+  // Missing path renders empty (silent)
+  if (value === undefined) return '';
+
+  // What the row's copy actions copy (the raw value, not the formatted text)
+  const source = { path: `$.${path}`, value, format };
+
+  if (
+    format !== 'json' &&
+    format !== 'kvlist' &&
+    isProjectedList(path, value)
+  ) {
+    const items = formatProjectedItems(value, format);
+    if (!items.length) return '';
+
+    if (format === 'badge') {
+      const html = items
+        .map((t) => `<span class="badge">${escapeHtml(t)}</span>`)
+        .join(' ');
+      return renderKVHtml(label, html, { source });
+    }
+    if (format === 'link') {
+      const html = items.map((t) => renderValue(t, { link: true })).join('\n');
+      return renderKVHtml(label, html, { source });
+    }
+    const sep = format === 'multiline' ? '\n' : ', ';
+    return renderKV(label, items.join(sep), { rich: true, source });
+  }
+
+  // Projected objects read like a json field
+  const isProjection = isProjectionPath(path);
+
+  // Normalize formatting behavior
+  if (format === 'badge') {
+    // Keep badges readable; null shows as a "null" badge like the generic renderer
+    const badgeText =
+      value == null ? 'null' : safeOneLine(String(value), 60) || '';
+    if (!badgeText) return '';
+
+    // IMPORTANT: we generate the <span> ourselves (not from user input),
+    // and we still escape the text inside it.
+    return renderKVHtml(
+      label,
+      `<span class="badge">${escapeHtml(badgeText)}</span>`,
+      { source }
+    );
+  }
+
+  if (format === 'date') {
+    const dt = formatDateTime(value);
+    if (!dt) return '';
+    return renderKV(label, dt, { source });
+  }
+
+  if (format === 'link') {
+    // Let renderValue create a real <a> when it looks like a URL
+    if (typeof value !== 'string') return '';
+    return renderKV(label, value, { link: true, source });
+  }
+
+  if (format === 'multiline') {
+    if (typeof value !== 'string') return '';
+    return renderKV(label, value, { rich: true, source });
+  }
+
+  if (format === 'kvlist') {
+    const html = renderKvListValue(value, field);
+    if (!html) return '';
+    return renderKVHtml(label, html, { path: `$.$TEMPLATE.${path}`, source });
+  }
+
+  if (format === 'json' || isProjection) {
+    const isHeavy = value && typeof value === 'object';
+    return renderKV(label, value, {
+      collapsible: Boolean(isHeavy),
+      path: `$.$TEMPLATE.${path}`,
+      link: false,
+      rich: false,
+      source,
+    });
+  }
+
+  // Default: text
+  return renderKV(label, value, { source });
+}
+
+/**
+ * Count how many template fields actually exist on the record.
+ * We treat "exists" as getValueAtPath(record, path) !== undefined.
+ * This helps us show a friendly message when a template doesn't fit.
+ *
+ * @param {any} template
+ * @param {any} record
+ * @returns {number}
+ */
+function countTemplateFieldHits(template, record) {
+  if (!template || typeof template !== 'object') return 0;
+  if (!record || typeof record !== 'object') return 0;
+  if (!Array.isArray(template.layout)) return 0;
+
+  let hits = 0;
+
+  for (const sec of template.layout) {
+    if (!sec || typeof sec !== 'object') continue;
+    const fields = Array.isArray(sec.fields) ? sec.fields : [];
+    for (const f of fields) {
+      if (templateFieldHasValue(record, f)) hits++;
+    }
+  }
+
+  return hits;
+}
+
+/**
+ * True when a template field finds something to show on the record.
+ * @param {any} record
+ * @param {any} f Layout field
+ */
+function templateFieldHasValue(record, f) {
+  if (!f || typeof f !== 'object') return false;
+  const p = String(f.path || '').trim();
+  if (!p) return false;
+
+  const v = getTemplateValue(record, p);
+  if (v === undefined) return false;
+
+  const fmt = String(f.format || 'text')
+    .trim()
+    .toLowerCase();
+  if (fmt === 'kvlist') {
+    // Count as a hit if the list renders anything.
+    // If showEmpty is true, this will still count even when values are blank,
+    // as long as the attribute Name exists.
+    return getKvListEntries(v, f).length > 0;
+  }
+
+  return true;
+}
+
+/**
+ * Render a template-driven record view (Records Mode only).
+ * Respects section order and field order.
+ * Missing fields simply don't render.
+ *
+ * If the template doesn't "hit" any paths for this record,
+ * show a friendly hint card and a collapsed full record as fallback.
+ *
+ * @param {any} template
+ * @param {any} record
+ * @returns {string}
+ */
+function renderTemplateRecordView(template, record) {
+  if (!template || typeof template !== 'object')
+    return renderGenericPrettyView(record);
+  if (!Array.isArray(template.layout)) return renderGenericPrettyView(record);
+
+  const hitCount = countTemplateFieldHits(template, record);
+
+  // If no fields exist on this record, show a clear hint and a safe fallback.
+  if (hitCount === 0) {
+    const tplName =
+      typeof template.templateName === 'string' && template.templateName.trim()
+        ? template.templateName.trim()
+        : 'Selected template';
+
+    return `
+      <div class="card">
+        <div class="card-header">
+          <h3 class="card-title">No fields from this template were found</h3>
+          <div class="chevron">Hint</div>
+        </div>
+        <div class="card-body">
+          ${renderKV('Template', tplName)}
+          ${renderKV(
+            'What happened',
+            'This record does not contain any of the fields defined in the template.'
+          )}
+          ${renderKV(
+            'What to do',
+            'Check your template paths, or adjust match.requiredKeys so the template only applies to the right records.'
+          )}
+          ${renderKV('Fallback', 'Showing the full record below (collapsed).')}
+          ${renderKV('Record', record, { collapsible: true, path: '$' })}
+        </div>
+      </div>
+    `;
+  }
+
+  const sections = template.layout.map((sec, i) => {
+    const title = String(sec.section || '').trim() || `Section ${i + 1}`;
+    const fields = Array.isArray(sec.fields) ? sec.fields : [];
+
+    const bodyParts = fields
+      .map((f) => renderTemplateField(record, f))
+      .filter(Boolean);
+
+    // First section open by default, others closed
+    const open = i === 0;
+
+    return renderCollapsibleCard(title, open, bodyParts);
+  });
+
+  return sections.join('');
+}
+
+/**
+ * Render a record view based on detected type.
+ * Template has priority if active (Records Mode will decide whether templates apply).
+ *
+ * @param {RecordType} recordType
+ * @param {any} record
+ * @param {any|null} activeTemplate
+ */
+function renderRecordView(recordType, record, activeTemplate) {
+  if (activeTemplate) {
+    return renderTemplateRecordView(activeTemplate, record);
+  }
+  if (recordType === 'Issue') return renderIssueTemplate(record);
+  return renderGenericPrettyView(record);
+}
+
+/**
+ * Issue Template (v1)
+ * Focus on the fields that usually matter first.
+ * Everything else can be explored later via Raw JSON.
+ * @param {any} issue
+ */
+function renderIssueTemplate(issue) {
+  if (!issue || typeof issue !== 'object')
+    return renderGenericPrettyView(issue);
+
+  // Summary picks
+  const id = pickFirst(issue, ['Id', 'id']);
+  const number = pickFirst(issue, ['Number', 'number']);
+  const title = pickFirst(issue, ['Title', 'title']);
+  const desc = pickFirst(issue, ['Description', 'description']);
+
+  // People
+  const author = pickPerson(issue, ['Author', 'author']);
+  const assigned = pickPerson(issue, ['AssignedTo', 'assignedTo']);
+  const lastModBy = pickPerson(issue, [
+    'LastModificationAuthor',
+    'lastModificationAuthor',
+  ]);
+
+  // Dates
+  const created = pickFirst(issue, ['CreationDate', 'creationDate']);
+  const modified = pickFirst(issue, [
+    'LastModificationDate',
+    'lastModificationDate',
+  ]);
+  const due = pickFirst(issue, ['DueDate', 'dueDate']);
+  const closed = pickFirst(issue, ['ClosingDate', 'closingDate']);
+
+  // Classification objects often have Name/Color/Id
+  const status = pickNamed(issue, ['Status', 'status']);
+  const priority = pickNamed(issue, ['Priority', 'priority']);
+  const type = pickNamed(issue, ['Type', 'type']);
+  const phase = pickNamed(issue, ['ProjectPhase', 'projectPhase']);
+  const zone = pickNamed(issue, ['ProjectZone', 'projectZone']);
+
+  // Arrays and other heavy stuff
+  const disciplines = pickFirst(issue, ['Disciplines', 'disciplines']);
+  const custom = pickFirst(issue, ['CustomAttributes', 'customAttributes']);
+  const comments = pickFirst(issue, ['Comments', 'comments']);
+  const attachments = pickFirst(issue, ['Attachments', 'attachments']);
+  const viewpoints = pickFirst(issue, ['Viewpoints', 'viewpoints']);
+  const history = pickFirst(issue, ['History', 'history']);
+
+  const headerTitle = title ? escapeHtml(String(title)) : 'Issue';
+  const headerBadge =
+    number != null
+      ? `<span class="badge">#${escapeHtml(String(number))}</span>`
+      : '';
+
+  return `
+    <div class="card">
+      <div class="card-header">
+        <div style="display:flex; align-items:center; gap:10px;">
+          <h3 class="card-title">${headerTitle}</h3>
+          ${headerBadge}
+        </div>
+        <div class="chevron">Issue</div>
+      </div>
+      <div class="card-body">
+        ${renderKV('Id', id)}
+        ${renderKV('Number', number)}
+        ${renderKV('Title', title)}
+        ${renderKV('Status', status?.Name || status?.name)}
+        ${renderKV('Priority', priority?.Name || priority?.name)}
+        ${renderKV('Type', type?.Name || type?.name)}
+      </div>
+    </div>
+
+    ${renderCollapsibleCard('Summary', true, [
+      renderKV('Description', desc, { rich: true }),
+      renderKV('Group', pickFirst(issue, ['Group', 'group'])),
+      renderKV(
+        'Creation Source',
+        pickFirst(issue, ['CreationSource', 'creationSource'])
+      ),
+      renderKV(
+        'Restricted',
+        pickFirst(issue, ['IsRestricted', 'isRestricted'])
+      ),
+      renderKV('Viewer URL', pickFirst(issue, ['ViewerUrl', 'viewerUrl']), {
+        link: true,
+      }),
+    ])}
+
+    ${renderCollapsibleCard('People', false, [
+      renderKV('Author', formatPerson(author)),
+      renderKV('Assigned To', formatPerson(assigned)),
+      renderKV('Last Modified By', formatPerson(lastModBy)),
+    ])}
+
+    ${renderCollapsibleCard('Dates', false, [
+      renderKV('Created', formatDateTime(created)),
+      renderKV('Last Modified', formatDateTime(modified)),
+      renderKV('Due', formatDateTime(due)),
+      renderKV('Closed', formatDateTime(closed)),
+    ])}
+
+    ${renderCollapsibleCard('Classification', false, [
+      renderKV('Disciplines', disciplines, { collapsible: true }),
+      renderKV('Phase', phase?.Name || phase?.name),
+      renderKV('Zone', zone?.Name || zone?.name),
+    ])}
+
+    ${renderCollapsibleCard('Custom Attributes', false, [
+      renderKV('Custom Attributes', custom, { collapsible: true }),
+    ])}
+
+    ${renderCollapsibleCard('Comments', false, [
+      renderKV('Comments', comments, { collapsible: true }),
+    ])}
+
+    ${renderCollapsibleCard('Attachments', false, [
+      renderKV('Attachments', attachments, { collapsible: true }),
+    ])}
+
+    ${renderCollapsibleCard('Viewpoints', false, [
+      renderKV('Viewpoints', viewpoints, { collapsible: true }),
+    ])}
+
+    ${renderCollapsibleCard('History', false, [
+      renderKV('History', history, { collapsible: true }),
+    ])}
+  `;
+}
+
+/**
+ * Generic pretty view: shows top-level keys and lets user expand arrays/objects.
+ * Keeps v1 safe for unknown shapes.
+ * @param {any} record
+ */
+function renderGenericPrettyView(record) {
+  const summary = buildGenericSummary(record);
+
+  return `
+    ${renderCollapsibleCard('Generic Pretty View', true, [
+      renderKV('Top-level type', summary.topType),
+      summary.topSummary
+        ? renderKV('Top-level summary', summary.topSummary)
+        : '',
+      summary.highValue.length
+        ? renderCollapsibleCard(
+            'Likely important fields',
+            true,
+            summary.highValue
+          )
+        : '',
+      renderKV('Record', record, { collapsible: true, path: '$' }),
+    ])}
+  `;
+}
+
+/**
+ * Render a collapsible card. Body starts open or closed.
+ * @param {string} title
+ * @param {boolean} open
+ * @param {string[]} bodyParts
+ */
+function renderCollapsibleCard(title, open, bodyParts) {
+  const content = bodyParts.filter(Boolean).join('');
+  const isOpen = open ? 'true' : 'false';
+  const bodyStyle = open ? '' : 'style="display:none;"';
+  const chevron = open ? 'v' : '>';
+
+  return `
+    <div class="card" data-collapsible="true" data-open="${isOpen}">
+      <div class="card-header">
+        <button class="card-header-button" type="button" aria-expanded="${isOpen}">
+          <h3 class="card-title">${escapeHtml(title)}</h3>
+          <div class="card-actions">
+            <div class="chevron" data-chevron="true">${chevron}</div>
+          </div>
+        </button>
+      </div>
+      <div class="card-body" data-collapsible-body="true" ${bodyStyle}>
+        ${content || `<div class="empty-state">Nothing here.</div>`}
+      </div>
+    </div>
+  `;
+}
+
+function buildGenericSummary(value) {
+  const topType = Array.isArray(value) ? 'array' : typeof value;
+
+  // Summary line (short, stable, readable)
+  const topSummary = summarizeTopLevel(value);
+
+  // "Likely important fields" (only for objects, and arrays of objects)
+  const highValue = buildHighValueFieldRows(value);
+
+  return { topType, topSummary, highValue };
+}
+
+function summarizeTopLevel(value) {
+  if (value == null) return 'null';
+  if (typeof value !== 'object') return String(value);
+
+  if (Array.isArray(value)) {
+    const len = value.length;
+    const dist = arrayTypeDistribution(value);
+    const distText = Object.entries(dist)
+      .sort((a, b) => b[1] - a[1])
+      .map(([k, n]) => `${k}: ${n}`)
+      .join(', ');
+
+    // If it is an array of objects, show a tiny key hint
+    const objKeys = commonKeysFromArrayOfObjects(value, 8);
+    const keyHint = objKeys.length
+      ? ` • Common keys: ${objKeys.join(', ')}`
+      : '';
+
+    return `Length: ${len}${
+      distText ? ` • Contents: ${distText}` : ''
+    }${keyHint}`;
+  }
+
+  function topLevelValueStats(obj) {
+    const stats = {
+      string: 0,
+      number: 0,
+      boolean: 0,
+      null: 0,
+      array: 0,
+      object: 0,
+      other: 0,
+    };
+
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return stats;
+
+    for (const k of Object.keys(obj)) {
+      const v = obj[k];
+      if (v == null) {
+        stats.null++;
+      } else if (Array.isArray(v)) {
+        stats.array++;
+      } else if (isLosslessNumber(v)) {
+        stats.number++;
+      } else {
+        const t = typeof v;
+        if (t === 'string') stats.string++;
+        else if (t === 'number') stats.number++;
+        else if (t === 'boolean') stats.boolean++;
+        else if (t === 'object') stats.object++;
+        else stats.other++;
+      }
+    }
+
+    return stats;
+  }
+
+  // Plain object
+  const keys = Object.keys(value);
+  if (!keys.length) return '(no keys)';
+
+  const stats = topLevelValueStats(value);
+  const statsText = Object.entries(stats)
+    .filter(([, n]) => n > 0)
+    .map(([k, n]) => `${k}: ${n}`)
+    .join(', ');
+
+  const preview = keys.slice(0, 18).join(', ');
+  const more = keys.length > 18 ? `, … (+${keys.length - 18})` : '';
+
+  return `Keys: ${keys.length}${
+    statsText ? ` • Top-level: ${statsText}` : ''
+  } • Preview: ${preview}${more}`;
+}
+
+function buildHighValueFieldRows(value, basePath = '$') {
+  // If it is an array of objects, try the first object as a "representative"
+  if (Array.isArray(value)) {
+    const idx = value.findIndex(
+      (x) => x && typeof x === 'object' && !Array.isArray(x)
+    );
+    if (idx >= 0) return buildHighValueFieldRows(value[idx], `$[${idx}]`);
+    return [];
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return [];
+
+  const candidates = [
+    { label: 'Id', keys: ['Id', 'id', 'ID', 'uid', 'guid', 'uuid'] },
+    { label: 'Number', keys: ['Number', 'number', 'No', 'no', 'code', 'Code'] },
+    {
+      label: 'Title',
+      keys: ['Title', 'title', 'Subject', 'subject', 'Summary', 'summary'],
+    },
+    { label: 'Name', keys: ['Name', 'name', 'DisplayName', 'displayName'] },
+    { label: 'Status', keys: ['Status', 'status', 'State', 'state'] },
+    { label: 'Type', keys: ['Type', 'type', 'Category', 'category'] },
+    { label: 'Priority', keys: ['Priority', 'priority'] },
+    {
+      label: 'Created',
+      keys: [
+        'CreationDate',
+        'creationDate',
+        'createdAt',
+        'CreatedAt',
+        'created',
+      ],
+    },
+    {
+      label: 'Updated',
+      keys: [
+        'LastModificationDate',
+        'lastModificationDate',
+        'updatedAt',
+        'UpdatedAt',
+        'modified',
+      ],
+    },
+    { label: 'Due', keys: ['DueDate', 'dueDate', 'due'] },
+    {
+      label: 'URL',
+      keys: ['Url', 'url', 'Link', 'link', 'ViewerUrl', 'viewerUrl'],
+    },
+  ];
+
+  const rows = [];
+
+  for (const c of candidates) {
+    const key = c.keys.find((k) => value[k] != null);
+    if (key == null) continue;
+    const v = value[key];
+
+    // Keep it readable. If the value is a big object/array, render it collapsed.
+    const isHeavy = isContainer(v);
+    rows.push(
+      renderKV(c.label, v, {
+        collapsible: isHeavy,
+        link: c.label === 'URL',
+        path: appendJsonPath(basePath, key),
+      })
+    );
+  }
+
+  // Add one extra: "Owner-like" fields if present
+  const owner = pickFirst(value, [
+    'Owner',
+    'owner',
+    'Author',
+    'author',
+    'CreatedBy',
+    'createdBy',
+  ]);
+  if (owner != null) {
+    rows.push(
+      renderKV('Owner-like', owner, { collapsible: typeof owner === 'object' })
+    );
+  }
+
+  return rows;
+}
+
+function arrayTypeDistribution(arr) {
+  const dist = {};
+  for (const item of arr) {
+    const t =
+      item == null
+        ? 'null'
+        : Array.isArray(item)
+        ? 'array'
+        : isLosslessNumber(item)
+        ? 'number'
+        : typeof item;
+    dist[t] = (dist[t] || 0) + 1;
+  }
+  return dist;
 }
 
-function pickNameLike(obj) {
-  return pickFirstPrimitive(obj, [
-    'Title',
-    'title',
-    'Name',
-    'name',
-    'Subject',
-    'subject',
-    'Summary',
-    'summary',
-    'DisplayName',
-    'displayName',
-  ]);
+function commonKeysFromArrayOfObjects(arr, limit) {
+  const counts = new Map();
+
+  for (const item of arr) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) continue;
+
+    for (const k of Object.keys(item)) {
+      counts.set(k, (counts.get(k) || 0) + 1);
+    }
+  }
+
+  const sorted = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, Math.max(0, limit));
+
+  return sorted.map(([k]) => k);
 }
 
-function pickEmailLike(obj) {
-  return pickFirstPrimitive(obj, ['Email', 'email', 'mail', 'Mail']);
+/**
+ * Render a key-value row with smart value rendering.
+ * @param {string} key
+ * @param {any} value
+ * @param {{ collapsible?: boolean, link?: boolean, rich?: boolean, path?: string }=} opts
+ */
+function renderKV(key, value, opts) {
+  const o = opts || {};
+  const v = renderValue(value, o);
+  if (v === '') return '';
+
+  const kvId = registerKvRow(key, value, o);
+
+  const pathHtml =
+    state.showPaths && o.path
+      ? `<div class="path-hint" title="${escapeHtml(o.path)}">${escapeHtml(
+          o.path
+        )}</div>`
+      : '';
+
+  // Build without template-literal indentation/newlines.
+  // This prevents extra blank lines when the parent uses white-space: pre-wrap.
+  return [
+    `<div class="kv" data-kv="${kvId}">`,
+    `<div class="k" title="${escapeHtml(key)}">${escapeHtml(key)}</div>`,
+    `<div class="v">`,
+    pathHtml,
+    v,
+    `</div>`,
+    renderKvActions(kvId),
+    `</div>`,
+  ].join('');
 }
 
-function pickStatusLike(obj) {
-  const v = pickFirst(obj, ['Status', 'status', 'State', 'state']);
-  if (typeof v === 'string' && v.trim()) return v.trim();
-  if (v && typeof v === 'object') {
-    const n = pickFirstPrimitive(v, ['Name', 'name', 'Label', 'label']);
-    if (n != null) return String(n).trim();
+/**
+ * Render a KV row where the value is already-built HTML.
+ * Use this ONLY when the HTML is generated by our code (not user JSON).
+ *
+ * @param {string} key
+ * @param {string} htmlValue
+ * @param {{ path?: string, source?: KvRowSource }=} opts
+ */
+function renderKVHtml(key, htmlValue, opts) {
+  const o = opts || {};
+  const v = String(htmlValue || '');
+  if (!v) return '';
+
+  const kvId = registerKvRow(key, undefined, o);
+
+  const pathHtml =
+    state.showPaths && o.path
+      ? `<div class="path-hint" title="${escapeHtml(o.path)}">${escapeHtml(
+          o.path
+        )}</div>`
+      : '';
+
+  // Same no-whitespace strategy as renderKV().
+  return [
+    `<div class="kv" data-kv="${kvId}">`,
+    `<div class="k" title="${escapeHtml(key)}">${escapeHtml(key)}</div>`,
+    `<div class="v">`,
+    pathHtml,
+    v,
+    `</div>`,
+    renderKvActions(kvId),
+    `</div>`,
+  ].join('');
+}
+
+/* ------------------------------------------------------------
+    Field row actions: copy value, JSONPath, template snippet
+    Rows keep their raw value here (by id) so nothing large ends up in
+    the HTML. Cleared on every full render, like virtualLists.
+------------------------------------------------------------ */
+
+/**
+ * @typedef {Object} KvRowSource
+ * @property {string=} path JSONPath of the value ($.Status.Name)
+ * @property {any=} value Raw value (when the row shows formatted text)
+ * @property {string=} format Template format the row was rendered with
+ */
+
+/** @type {Map<string, { label: string, value: any, path: string|null, format: string|null }>} */
+const kvRowSources = new Map();
+let kvRowSeq = 0;
+
+/**
+ * Remember what a row shows, for its copy actions.
+ * @param {string} key Row label
+ * @param {any} value Value passed to renderKV (undefined for renderKVHtml)
+ * @param {{ path?: string, source?: KvRowSource }} o
+ * @returns {string} Row id
+ */
+function registerKvRow(key, value, o) {
+  const src = o.source || {};
+  const id = `kv${++kvRowSeq}`;
+
+  // Template path hints read "$.$TEMPLATE.Path"; the data path is "$.Path"
+  const path =
+    src.path ||
+    (o.path ? String(o.path).replace(/^\$\.\$TEMPLATE\./, '$.') : null);
+
+  kvRowSources.set(id, {
+    label: String(key),
+    value: 'value' in src ? src.value : value,
+    path,
+    format: src.format || null,
+  });
+  return id;
+}
+
+/**
+ * Drop the sources of rows under root before it is redrawn (partial
+ * redraws, like virtual list windows, do not go through renderViewer()).
+ * @param {Element} root
+ */
+function forgetKvRows(root) {
+  root.querySelectorAll('[data-kv]').forEach((el) => {
+    kvRowSources.delete(el.getAttribute('data-kv') || '');
+  });
+}
+
+/** @param {string} kvId */
+function renderKvActions(kvId) {
+  const src = kvRowSources.get(kvId);
+  const hasPath = Boolean(src && src.path);
+
+  return [
+    `<div class="kv-actions" role="group" aria-label="Field actions">`,
+    `<button class="kv-action" type="button" data-kv-copy="value" title="Copy value (JSON for objects and arrays)">Copy</button>`,
+    hasPath
+      ? `<button class="kv-action" type="button" data-kv-copy="path" title="Copy JSONPath">Path</button>` +
+        `<button class="kv-action" type="button" data-kv-copy="snippet" title="Copy a template field for this value">Field</button>`
+      : '',
+    // Template designer: shown by CSS in the pick view only
+    hasPath && isDesignerOpen()
+      ? `<button class="kv-action kv-action-add" type="button" data-kv-add="true" title="Add to the template draft">Add</button>`
+      : '',
+    `</div>`,
+  ].join('');
+}
+
+/**
+ * Text a copy action puts on the clipboard.
+ * @param {{ label: string, value: any, path: string|null, format: string|null }} src
+ * @param {'value'|'path'|'snippet'} what
+ */
+function getKvCopyText(src, what) {
+  if (what === 'path') return src.path || '';
+
+  if (what === 'snippet') {
+    // One line, spaced like hand-written JSON: { "path": ..., "label": ... }
+    const field = {
+      path: toTemplatePath(src.path || ''),
+      label: src.label,
+      format: src.format || guessTemplateFormat(src.value),
+    };
+    const parts = Object.entries(field).map(
+      ([k, v]) => `${JSON.stringify(k)}: ${JSON.stringify(v)}`
+    );
+    return `{ ${parts.join(', ')} }`;
   }
-  return null;
+
+  const v = src.value;
+  if (v === undefined) return '';
+  if (typeof v === 'string') return v;
+  if (isContainer(v)) return stringifyJson(v, 2);
+  return formatDelimitedCell(v) || String(v);
 }
 
-function buildGenericIdentityLabel(obj, base) {
-  if (!obj || typeof obj !== 'object') return base;
+/**
+ * Template path for a JSONPath: "$.Status.Name" -> "Status.Name".
+ * Dataset row paths ("$[12].Title") are relative to the row. Keys a dotted
+ * path cannot spell stay in brackets: "$['@odata.etag']" -> '["@odata.etag"]'.
+ * @param {string} jsonPath
+ */
+function toTemplatePath(jsonPath) {
+  return String(jsonPath)
+    .replace(/^\$/, '')
+    .replace(/^\[\d+\]/, '')
+    .replace(/\['((?:[^'\\]|\\.)*)'\]/g, (m, key) =>
+      appendTemplatePath('', key.replace(/\\(.)/g, '$1'), true)
+    )
+    .replace(/^\./, '');
+}
 
-  const name = pickNameLike(obj);
-  const email = pickEmailLike(obj);
-  const code = pickCodeLike(obj);
-  const id = pickIdLike(obj);
-  const status = pickStatusLike(obj);
+/**
+ * Add a key to a template path: ".Key", or ["Key"] when the key has dots,
+ * brackets or quotes in it (or would read as something else).
+ * @param {string} base
+ * @param {string} key
+ * @param {boolean=} leadingDot Keep the "." even when base is empty
+ */
+function appendTemplatePath(base, key, leadingDot) {
+  if (!key || /[.[\]"']/.test(key) || key.trim() !== key) {
+    return `${base}[${JSON.stringify(key)}]`;
+  }
+  return base || leadingDot ? `${base}.${key}` : key;
+}
 
-  // Deterministic: always build in the same order.
-  // Goal: show something humans recognize first (name/email), then identifiers.
-  let main = '';
+/**
+ * Best template format for a value.
+ * @param {any} value
+ */
+function guessTemplateFormat(value) {
+  if (typeof value === 'string') {
+    if (looksLikeUrl(value)) return 'link';
+    if (ISO_DATE_RE.test(value.trim()) && parseDateTime(value.trim())) {
+      return 'date';
+    }
+    if (value.includes('\n')) return 'multiline';
+    return 'text';
+  }
 
-  if (name) main = safeOneLine(name, 70);
-  else if (email) main = safeOneLine(email, 70);
-  else if (code != null) main = `#${safeOneLine(code, 40)}`;
-  else if (id != null) main = `Id ${safeOneLine(id, 40)}`;
-  else main = base;
+  // Name/value attribute lists (CustomAttributes and similar)
+  if (
+    Array.isArray(value) &&
+    value.length &&
+    value.every((x) => x && typeof x === 'object' && !Array.isArray(x)) &&
+    getKvListEntries(value).length
+  ) {
+    return 'kvlist';
+  }
 
-  const bits = [main];
+  return isContainer(value) ? 'json' : 'text';
+}
+
+/**
+ * JSONPath for a key under a base path, with brackets when the key is not
+ * a plain identifier: $.Status, $['@odata.etag'].
+ * @param {string} base
+ * @param {string} key
+ */
+function appendJsonPath(base, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key)
+    ? `${base}.${key}`
+    : `${base}['${key.replace(/['\\]/g, '\\$&')}']`;
+}
+
+/** @param {MouseEvent} e */
+async function onKvActionClick(e) {
+  const target = e.target instanceof Element ? e.target : null;
+
+  // Template designer: the Add button or the field name adds the row
+  const add =
+    target && isDesignerOpen()
+      ? target.closest('[data-kv-add], .designer-pick .kv > .k')
+      : null;
+  if (add) {
+    const row = add.closest('[data-kv]');
+    const src = row
+      ? kvRowSources.get(row.getAttribute('data-kv') || '')
+      : null;
+    if (src && src.path) addDesignerField(src);
+    return;
+  }
+
+  const btn = target ? target.closest('[data-kv-copy]') : null;
+  if (!btn) return;
+
+  const row = btn.closest('[data-kv]');
+  const src = row ? kvRowSources.get(row.getAttribute('data-kv') || '') : null;
+  if (!src) return;
+
+  const ok = await copyText(
+    getKvCopyText(src, btn.getAttribute('data-kv-copy'))
+  );
+  flashButtonLabel(btn, ok ? 'Copied' : 'Failed');
+}
+
+/**
+ * Key/value rows for a kvlist field, as plain text.
+ * Designed for NFK CustomAttributes where each item has Name + (TextValue or
+ * PredefinedValues); the paths are configurable for other shapes.
+ *
+ * @param {any} arrValue
+ * @param {{
+ *   itemKeyPath?: string,
+ *   valuePaths?: string[],
+ *   maxItems?: number,
+ *   showEmpty?: boolean,
+ *   emptyText?: string
+ * }=} cfg
+ * @returns {{ key: string, text: string, isEmpty: boolean }[]}
+ */
+function getKvListEntries(arrValue, cfg) {
+  if (!Array.isArray(arrValue) || arrValue.length === 0) return [];
+
+  const c = cfg || {};
+  const itemKeyPath = String(c.itemKeyPath || 'Name').trim() || 'Name';
+
+  // Default: NFK-style (text OR predefined dropdown names)
+  const valuePaths =
+    Array.isArray(c.valuePaths) && c.valuePaths.length
+      ? c.valuePaths.map((p) => String(p || '').trim()).filter(Boolean)
+      : ['TextValue', 'PredefinedValues.Name', 'PredefinedValues[0].Name'];
+
+  const maxItems = Number.isFinite(c.maxItems)
+    ? Math.max(1, Math.floor(c.maxItems))
+    : 6;
+
+  const showEmpty = Boolean(c.showEmpty);
+  const emptyText =
+    typeof c.emptyText === 'string' && c.emptyText.trim()
+      ? c.emptyText.trim()
+      : '(empty)';
+
+  const entries = [];
+
+  for (const item of arrValue) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) continue;
+
+    const kRaw = getValueAtPath(item, itemKeyPath);
+    const key = kRaw == null ? '' : String(kRaw).trim();
+    if (!key) continue;
+
+    // Find first “real” value using the configured paths.
+    let val = null;
+
+    for (const vp of valuePaths) {
+      const v = getValueAtPath(item, vp);
+
+      // Special handling: arrays like PredefinedValues (could be 0..n)
+      if (Array.isArray(v)) {
+        const names = v
+          .map((x) => (x && typeof x === 'object' ? x.Name ?? x.name : x))
+          .filter((x) => x != null)
+          .map((x) => String(x).trim())
+          .filter(Boolean);
+
+        if (names.length) {
+          val = names.join(', ');
+          break;
+        }
+        continue;
+      }
 
-  // Add a second bit only if it adds real value and isn’t duplicative noise
-  if (name && code != null) bits.push(`#${safeOneLine(code, 30)}`);
-  else if (name && id != null) bits.push(`Id ${safeOneLine(id, 30)}`);
-  else if (email && name) bits.push(safeOneLine(name, 40));
-  else if (email && id != null) bits.push(`Id ${safeOneLine(id, 30)}`);
-  else if (code != null && id != null) bits.push(`Id ${safeOneLine(id, 30)}`);
+      if (v != null && String(v).trim() !== '') {
+        val = v;
+        break;
+      }
+    }
 
-  // Status is useful, but keep it short
-  if (status) bits.push(`(${safeOneLine(status, 22)})`);
+    const isEmpty = val == null || String(val).trim() === '';
+    if (isEmpty && !showEmpty) continue;
 
-  // Always include base at the end if main isn't already the base
-  if (main !== base) bits.push(base);
+    entries.push({ key, text: isEmpty ? emptyText : String(val), isEmpty });
 
-  // Dedupe exact repeats
-  const seen = new Set();
-  const out = [];
-  for (const b of bits) {
-    const t = String(b || '').trim();
-    if (!t) continue;
-    if (seen.has(t)) continue;
-    seen.add(t);
-    out.push(t);
+    if (entries.length >= maxItems) break;
   }
 
-  return out.join(' • ');
+  return entries;
 }
 
 /**
- * Build a human-friendly label for the record dropdown.
- * Template-aware:
- * - If a template with recordLabel.fields is active, use it first.
- * - Otherwise fall back to Issue/Generic heuristics.
+ * Render an array-of-objects as key/value rows inside a single template field.
+ * Supports showing empty values when showEmpty is true.
  *
- * @param {RecordType} recordType
- * @param {any} record
- * @param {number} index
- * @param {any|null} activeTemplateObj  // pass template.template here
+ * @param {any} arrValue
+ * @param {Parameters<typeof getKvListEntries>[1]} cfg
+ * @returns {string} HTML (safe, generated by us)
  */
-function buildRecordLabel(recordType, record, index, activeTemplateObj) {
-  const base = `Record ${index + 1}`;
-  if (!record || typeof record !== 'object') return base;
+function renderKvListValue(arrValue, cfg) {
+  const entries = getKvListEntries(arrValue, cfg);
+  if (!entries.length) return '';
 
-  // 1) Template-driven labels (highest priority)
-  const tplLabel = buildTemplateRecordLabel(activeTemplateObj, record, index);
-  if (tplLabel) return tplLabel;
+  const rows = entries.map(
+    (e) =>
+      `<div class="kvlist-row">` +
+      `<div class="kvlist-k" title="${escapeHtml(e.key)}">${escapeHtml(
+        e.key
+      )}</div>` +
+      `<div class="kvlist-v${e.isEmpty ? ' is-empty' : ''}">${escapeHtml(
+        e.text
+      )}</div>` +
+      `</div>`
+  );
 
-  // 2) Built-in Issue labels (v1 special-case)
-  if (recordType === 'Issue') {
-    const num = pickFirstPrimitive(record, ['Number', 'number']);
-    const title = pickFirstPrimitive(record, [
-      'Title',
-      'title',
-      'Name',
-      'name',
-    ]);
-    const id = pickIdLike(record);
-    const status = pickStatusLike(record);
+  return `<div class="kvlist">${rows.join('')}</div>`;
+}
 
-    const t = title ? safeOneLine(title, 70) : '';
-    const s = status ? safeOneLine(status, 22) : '';
+/**
+ * Render values safely. Arrays and objects are collapsed by default if collapsible is true.
+ * @param {any} value
+ * @param {{ collapsible?: boolean, link?: boolean, rich?: boolean }=} opts
+ */
+function renderValue(value, opts) {
+  const o = opts || {};
 
-    if (num != null && t) {
-      return [`#${num}`, t, s ? `(${s})` : '', base]
-        .filter(Boolean)
-        .join(' • ');
+  if (value == null) return `<span class="badge">null</span>`;
+
+  // Big IDs / long decimals: show the exact source digits
+  if (isLosslessNumber(value)) {
+    return `${escapeHtml(value.text)}${renderLosslessMark(value)}`;
+  }
+
+  // If link option is set and it looks like a URL, make it clickable
+  if (o.link && typeof value === 'string' && looksLikeUrl(value)) {
+    return `<a href="${escapeHtml(
+      value
+    )}" target="_blank" rel="noreferrer">${escapeHtml(value)}</a>`;
+  }
+
+  // Rich text: preserve line breaks, but still escape HTML
+  if (o.rich && typeof value === 'string') {
+    return escapeHtml(value);
+  }
+
+  // Primitive types
+  if (typeof value === 'string') return escapeHtml(value);
+  if (typeof value === 'number' || typeof value === 'boolean')
+    return escapeHtml(String(value));
+
+  // Arrays
+  if (Array.isArray(value)) {
+    const isEmpty = value.length === 0;
+    const emptyClass = isEmpty ? ' is-empty-array' : '';
+
+    // Non-collapsible arrays are printed as JSON text
+    if (!o.collapsible) {
+      return escapeHtml(stringifyJson(value, 2));
     }
-    if (num != null) {
-      return [`#${num}`, s ? `(${s})` : '', base].filter(Boolean).join(' • ');
+
+    // Keep preview short and optional
+    const previewCount = Math.min(3, value.length);
+    const preview = previewCount ? buildArrayPreview(value, previewCount) : '';
+
+    // Build markup with string joining so we do NOT emit newline/indent whitespace nodes.
+    // This matters because .kv .v uses white-space: pre-wrap, which will preserve those.
+    const parts = [
+      `<div data-value-collapsible="true" data-open="false" class="value-array${emptyClass}">`,
+      `<button class="mini-btn" type="button" data-toggle-value="true">`,
+      isEmpty ? `Expand array (0)` : `Expand array (${value.length})`,
+      `</button>`,
+    ];
+
+    // Only show preview for non-empty arrays (empty previews add visual noise)
+    if (!isEmpty) {
+      parts.push(
+        `<span class="array-preview">`,
+        `Preview: ${escapeHtml(preview)}${
+          value.length > previewCount ? ', …' : ''
+        }`,
+        `</span>`
+      );
     }
-    if (t && id != null) {
-      return [t, `Id ${safeOneLine(id, 30)}`, s ? `(${s})` : '', base]
-        .filter(Boolean)
-        .join(' • ');
+
+    parts.push(
+      `<div data-value-body="true" style="display:none; margin-top:10px;">`,
+      renderArrayAsList(value, o.path || ''),
+      `</div>`,
+      `</div>`
+    );
+
+    return parts.join('');
+  }
+
+  // Objects
+  if (typeof value === 'object') {
+    if (!o.collapsible) {
+      return escapeHtml(stringifyJson(value, 2));
     }
-    if (t) return [t, s ? `(${s})` : '', base].filter(Boolean).join(' • ');
-    if (id != null)
-      return [`Id ${safeOneLine(id, 30)}`, s ? `(${s})` : '', base]
-        .filter(Boolean)
-        .join(' • ');
 
-    return base;
+    const keys = Object.keys(value);
+    const preview = buildObjectPreview(value, 3);
+
+    // Same strategy as arrays: no newline/indent whitespace nodes.
+    return [
+      `<div data-value-collapsible="true" data-open="false" class="value-object">`,
+      `<button class="mini-btn" type="button" data-toggle-value="true">Expand object (${keys.length} keys)</button>`,
+      `<span class="object-preview">Preview: ${escapeHtml(preview)}</span>`,
+      `<div data-value-body="true" style="display:none; margin-top:10px;">`,
+      renderObjectAsKv(value, o.path || ''),
+      `</div>`,
+      `</div>`,
+    ].join('');
   }
 
-  // 3) Generic fallback
-  return buildGenericIdentityLabel(record, base);
+  // Anything else
+  return escapeHtml(String(value));
 }
 
-/**
- * Build a label using template.recordLabel.fields.
- * Missing fields are skipped silently.
- *
- * @param {any|null} tpl
- * @param {any} record
- * @param {number} index
- * @returns {string}
- */
-function buildTemplateRecordLabel(tpl, record, index) {
-  if (!tpl || typeof tpl !== 'object') return '';
+function buildArrayPreview(arr, previewCount) {
+  if (!Array.isArray(arr) || arr.length === 0) return '(empty)';
 
-  const rl = tpl.recordLabel;
-  if (!rl || typeof rl !== 'object') return '';
+  const parts = arr.slice(0, previewCount).map((x) => {
+    if (x == null) return 'null';
+    if (Array.isArray(x)) return `Array(${x.length})`;
+    if (typeof x !== 'object') return String(x);
 
-  const fields = Array.isArray(rl.fields) ? rl.fields : [];
-  const fallback =
-    typeof rl.fallback === 'string' && rl.fallback.trim()
-      ? rl.fallback
-      : `Record {n}`;
+    // Object item: show a couple of useful pairs
+    const pairs = pickPreviewPairs(x, 2);
+    if (!pairs.length) return '{…}';
+    return `{ ${pairs.map(([k, v]) => `${k}: ${v}`).join(', ')} }`;
+  });
 
-  const parts = [];
+  return parts.join(', ');
+}
 
-  for (const f of fields) {
-    if (!f || typeof f !== 'object') continue;
+function buildObjectPreview(obj, maxPairs) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return String(obj);
 
-    const path = String(f.path || '').trim();
-    if (!path) continue;
+  const pairs = pickPreviewPairs(obj, maxPairs);
+  const nested = countNestedTopLevel(obj);
 
-    const raw = getValueAtPath(record, path);
-    if (raw == null) continue;
+  const pairText = pairs.length
+    ? pairs.map(([k, v]) => `${k}: ${v}`).join(', ')
+    : '(no simple fields)';
 
-    // Only use primitives for labels (keeps dropdown readable)
-    const t = typeof raw;
-    if (t !== 'string' && t !== 'number' && t !== 'boolean') continue;
+  const nestedBits = [];
+  if (nested.objects) nestedBits.push(`obj: ${nested.objects}`);
+  if (nested.arrays) nestedBits.push(`arr: ${nested.arrays}`);
+  const nestedText = nestedBits.length
+    ? ` • Nested: ${nestedBits.join(', ')}`
+    : '';
 
-    let text = String(raw).trim();
-    if (!text) continue;
+  return `${pairText}${nestedText}`;
+}
 
-    // Optional: show only the last N characters (useful for VINs, GUIDs, long ids)
-    if (Number.isFinite(f.lastChars)) {
-      const n = Math.max(1, Math.floor(f.lastChars));
-      if (text.length > n) text = text.slice(text.length - n);
-    }
+function pickPreviewPairs(obj, maxPairs) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return [];
 
-    const maxLen = Number.isFinite(f.maxLen)
-      ? Math.max(1, Math.floor(f.maxLen))
-      : 80;
+  // Prefer human-friendly keys first
+  const preferred = [
+    'Title',
+    'title',
+    'Name',
+    'name',
+    'Subject',
+    'subject',
+    'Number',
+    'number',
+    'Id',
+    'id',
+    'Status',
+    'status',
+    'Type',
+    'type',
+  ];
+
+  const out = [];
+  const used = new Set();
 
-    if (text.length > maxLen) text = `${text.slice(0, maxLen)}…`;
+  // 1) preferred keys
+  for (const k of preferred) {
+    if (out.length >= maxPairs) break;
+    if (!Object.prototype.hasOwnProperty.call(obj, k)) continue;
 
-    const prefix = typeof f.prefix === 'string' ? f.prefix : '';
-    const suffix = typeof f.suffix === 'string' ? f.suffix : '';
+    const v = obj[k];
+    const sv = simplePreviewValue(v);
+    if (sv == null) continue;
 
-    parts.push(`${prefix}${text}${suffix}`);
+    out.push([k, sv]);
+    used.add(k);
   }
 
-  if (parts.length) return parts.join('');
-
-  // Fallback supports {n}
-  return fallback.replaceAll('{n}', String(index + 1));
-}
+  // 2) fill from remaining keys
+  for (const k of Object.keys(obj)) {
+    if (out.length >= maxPairs) break;
+    if (used.has(k)) continue;
 
-/**
- * ===============================
- * Session 11 – Templates (Apply + Render)
- * Records Mode ONLY (Dataset Mode must not use templates).
- * ===============================
- */
+    const v = obj[k];
+    const sv = simplePreviewValue(v);
+    if (sv == null) continue;
 
-/**
- * Get a nested value from an object using a simple path.
- * Supported:
- * - Dot paths: "Status.Name"
- * - Bracket indexes: "Items[0].Title"
- * - Mixed: "Foo.Bar[2].Baz"
- *
- * Guardrails:
- * - No execution
- * - No wildcards
- * - No filters
- * - Missing path returns undefined
- *
- * @param {any} obj
- * @param {string} path
- * @returns {any}
- */
-function getValueAtPath(obj, path) {
-  if (!path || typeof path !== 'string') return undefined;
-  if (obj == null) return undefined;
+    out.push([k, sv]);
+  }
 
-  // Tokenize: words between dots, and [number] indexes
-  const tokens = [];
-  const re = /[^.[\]]+|\[(\d+)\]/g;
+  return out;
+}
 
-  let m;
-  while ((m = re.exec(path))) {
-    if (m[0][0] === '[') {
-      tokens.push(Number(m[1]));
-    } else {
-      tokens.push(m[0]);
-    }
+function simplePreviewValue(v) {
+  if (v == null) return 'null';
+  if (typeof v === 'string') {
+    const s = v.trim();
+    if (!s) return null;
+    return s.length > 40 ? `${s.slice(0, 40)}…` : s;
   }
+  if (typeof v === 'number' || typeof v === 'boolean') return String(v);
+  if (isLosslessNumber(v)) return v.text;
 
-  let cur = obj;
-  for (const t of tokens) {
-    if (cur == null) return undefined;
+  // If it is an array/object, keep it short
+  if (Array.isArray(v)) return `Array(${v.length})`;
+  if (typeof v === 'object') return 'Object';
+  return null;
+}
 
-    if (typeof t === 'number') {
-      if (!Array.isArray(cur)) return undefined;
-      cur = cur[t];
-      continue;
-    }
+function countNestedTopLevel(obj) {
+  let arrays = 0;
+  let objects = 0;
 
-    if (typeof cur !== 'object') return undefined;
-    cur = cur[t];
+  for (const k of Object.keys(obj || {})) {
+    const v = obj[k];
+    if (Array.isArray(v)) arrays++;
+    else if (isContainer(v)) objects++;
   }
 
-  return cur;
+  return { arrays, objects };
 }
 
-/* ------------------------------------------------------------
-    Rendering (viewer, cards, formatting)
------------------------------------------------------------- */
+function renderObjectAsKv(obj, basePath) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return '';
 
-/**
- * Template field renderer.
- * Missing values return '' (silent, no warnings).
- *
- * Template formats (v1):
- * - text (default)
- * - multiline (string with line breaks)
- * - badge (small pill)
- * - link (URL-ish string)
- * - date (ISO-like string -> local time)
- * - json (shows value with collapsible rendering)
- *
- * @param {any} record
- * @param {{ path: string, label: string, format?: string }} field
- * @returns {string}
- */
-function renderTemplateField(record, field) {
-  const path = String(field.path || '').trim();
-  const label = String(field.label || '').trim();
-  const format = String(field.format || 'text')
-    .trim()
-    .toLowerCase();
+  const base = basePath || '$';
 
-  if (!path || !label) return '';
+  const keys = Object.keys(obj);
+  if (!keys.length) return `<div class="empty-state">(no keys)</div>`;
+
+  // Sort keys so the "human" ones appear first, then the rest alphabetically.
+  const preferred = [
+    'Id',
+    'id',
+    'Number',
+    'number',
+    'Title',
+    'title',
+    'Name',
+    'name',
+    'Subject',
+    'subject',
+    'Status',
+    'status',
+    'Type',
+    'type',
+    'Priority',
+    'priority',
+    'CreationDate',
+    'creationDate',
+    'LastModificationDate',
+    'lastModificationDate',
+    'DueDate',
+    'dueDate',
+    'Url',
+    'url',
+    'ViewerUrl',
+    'viewerUrl',
+  ];
 
-  const value = getValueAtPath(record, path);
+  const preferredSet = new Set(preferred);
 
-  // Missing path renders empty (silent)
-  if (value === undefined) return '';
+  const sorted = [
+    ...keys.filter((k) => preferredSet.has(k)),
+    ...keys
+      .filter((k) => !preferredSet.has(k))
+      .sort((a, b) => a.localeCompare(b)),
+  ];
 
-  // Normalize formatting behavior
-  if (format === 'badge') {
-    // Keep badges readable; null shows as a "null" badge like the generic renderer
-    const badgeText =
-      value == null ? 'null' : safeOneLine(String(value), 60) || '';
-    if (!badgeText) return '';
+  return sorted
+    .map((k) => {
+      const v = obj[k];
 
-    // IMPORTANT: we generate the <span> ourselves (not from user input),
-    // and we still escape the text inside it.
-    return renderKVHtml(
-      label,
-      `<span class="badge">${escapeHtml(badgeText)}</span>`
-    );
-  }
+      // Keep nesting safe:
+      // - objects and arrays remain collapsible (so no runaway render)
+      const isHeavy = isContainer(v);
+      const isUrlKey =
+        String(k).toLowerCase().includes('url') ||
+        String(k).toLowerCase().includes('link');
 
-  if (format === 'date') {
-    const dt = formatDateTime(value);
-    if (!dt) return '';
-    return renderKV(label, dt);
-  }
+      // No base path (row without a known location): no child paths either
+      const nextPath = basePath ? appendJsonPath(base, k) : undefined;
 
-  if (format === 'link') {
-    // Let renderValue create a real <a> when it looks like a URL
-    if (typeof value !== 'string') return '';
-    return renderKV(label, value, { link: true });
-  }
+      return renderKV(k, v, {
+        collapsible: isHeavy,
+        link: isUrlKey && typeof v === 'string',
+        rich: typeof v === 'string' && v.includes('\n'),
+        path: nextPath,
+      });
+    })
+    .join('');
+}
 
-  if (format === 'multiline') {
-    if (typeof value !== 'string') return '';
-    return renderKV(label, value, { rich: true });
-  }
+function renderArrayAsList(arr, arrayPath) {
+  if (!Array.isArray(arr)) return '';
 
-  if (format === 'kvlist') {
-    const html = renderKvListValue(value, field);
-    if (!html) return '';
-    return renderKVHtml(label, html, { path: `$.$TEMPLATE.${path}` });
+  if (arr.length === 0) {
+    return `<div class="empty-state">(empty array)</div>`;
   }
 
-  if (format === 'kvlist') {
-    const html = renderKvListValue(value, field);
-    if (!html) return '';
-    return renderKVHtml(label, html, { path: `$.$TEMPLATE.${path}` });
-  }
+  // Big arrays scroll in a virtual list (only visible items in the DOM).
+  // Print output has no scrolling, so it gets every item.
+  const listHtml =
+    arr.length > VIRTUAL_LIST_MIN_ITEMS && !printRendering
+      ? renderVirtualList({
+          count: arr.length,
+          estimate: 44,
+          renderItem: (idx) => renderArrayItem(arr, arr[idx], idx, arrayPath),
+        })
+      : [
+          `<div class="array-list">`,
+          arr
+            .map((item, idx) => renderArrayItem(arr, item, idx, arrayPath))
+            .join(''),
+          `</div>`,
+        ].join('');
 
-  if (format === 'kvlist') {
-    const html = renderKvListValue(value, field);
-    if (!html) return '';
-    return renderKVHtml(label, html, { path: `$.$TEMPLATE.${path}` });
-  }
+  // Important: build without template-literal indentation/newlines.
+  // This prevents extra vertical whitespace because the parent uses white-space: pre-wrap.
+  return [
+    `<div class="array-meta-row">`,
+    `<div class="array-meta">${escapeHtml(`Items: ${arr.length}`)}</div>`,
+    `</div>`,
+    listHtml,
+  ].join('');
+}
 
-  if (format === 'json') {
-    const isHeavy = value && typeof value === 'object';
-    return renderKV(label, value, {
-      collapsible: Boolean(isHeavy),
-      path: `$.$TEMPLATE.${path}`,
-      link: false,
-      rich: false,
-    });
-  }
+/* ------------------------------------------------------------
+    Virtual lists
+    Long lists (dataset rows, big nested arrays) render only the items
+    in view, plus a few extra. Spacers above/below keep the scrollbar
+    honest. Item heights are measured once rendered; unseen items use
+    an estimate.
+------------------------------------------------------------ */
 
-  if (format === 'kvlist') {
-    const html = renderKvListValue(value, field);
-    if (!html) return '';
-    return renderKVHtml(label, html, { path: `$.$TEMPLATE.${path}` });
+const VIRTUAL_LIST_MIN_ITEMS = 50;
+const VIRTUAL_OVERSCAN = 6;
+// Used when the list is not laid out yet (e.g. inside a collapsed card)
+const VIRTUAL_FALLBACK_HEIGHT = 480;
+
+/**
+ * Lists rendered in the current viewer, by id. Cleared on every full render.
+ * @type {Map<string, { count: number, estimate: number, renderItem: (i: number) => string, table?: boolean, colSpan?: number, heights?: Float64Array, start?: number, end?: number }>}
+ */
+const virtualLists = new Map();
+let virtualListSeq = 0;
+
+/**
+ * Placeholder HTML for a virtual list; mountVirtualLists() fills it in.
+ * Tables pass table: true and get a <tbody> (rows are the items).
+ * @param {{ count: number, estimate: number, renderItem: (i: number) => string, table?: boolean, colSpan?: number }} spec
+ */
+function renderVirtualList(spec) {
+  const id = `vl${++virtualListSeq}`;
+  virtualLists.set(id, spec);
+
+  if (spec.table) {
+    return `<tbody data-virtual-list="${id}"></tbody>`;
   }
 
-  // Default: text
-  return renderKV(label, value);
+  return [
+    `<div class="virtual-scroll" data-virtual-list="${id}">`,
+    `<div data-virtual-pad="top"></div>`,
+    `<div class="array-list" data-virtual-items="true"></div>`,
+    `<div data-virtual-pad="bottom"></div>`,
+    `</div>`,
+  ].join('');
 }
 
 /**
- * Count how many template fields actually exist on the record.
- * We treat "exists" as getValueAtPath(record, path) !== undefined.
- * This helps us show a friendly message when a template doesn't fit.
- *
- * @param {any} template
- * @param {any} record
- * @returns {number}
+ * Start every virtual list under root (call after setting innerHTML).
+ * @param {Element} root
  */
-function countTemplateFieldHits(template, record) {
-  if (!template || typeof template !== 'object') return 0;
-  if (!record || typeof record !== 'object') return 0;
-  if (!Array.isArray(template.layout)) return 0;
+function mountVirtualLists(root) {
+  root.querySelectorAll('[data-virtual-list]').forEach((host) => {
+    const spec = virtualLists.get(host.getAttribute('data-virtual-list') || '');
+    if (!spec || spec.heights) return;
+
+    spec.heights = new Float64Array(spec.count).fill(spec.estimate);
+    spec.start = -1;
+    spec.end = -1;
+
+    const scroller = spec.table ? host.closest('.dataset-grid-wrap') : host;
+    if (!scroller) return;
+
+    let queued = false;
+    scroller.addEventListener('scroll', () => {
+      if (queued) return;
+      queued = true;
+      requestAnimationFrame(() => {
+        queued = false;
+        renderVirtualWindow(host, scroller, spec);
+      });
+    });
 
-  let hits = 0;
+    // Expanding a collapsed card changes its height: measure again
+    host.addEventListener('click', () => {
+      requestAnimationFrame(() =>
+        renderVirtualWindow(host, scroller, spec, true)
+      );
+    });
 
-  for (const sec of template.layout) {
-    if (!sec || typeof sec !== 'object') continue;
-    const fields = Array.isArray(sec.fields) ? sec.fields : [];
-    for (const f of fields) {
-      if (!f || typeof f !== 'object') continue;
-      const p = String(f.path || '').trim();
-      if (!p) continue;
-
-      const v = getValueAtPath(record, p);
-      if (v === undefined) continue;
-
-      const fmt = String(f.format || 'text')
-        .trim()
-        .toLowerCase();
-      if (fmt === 'kvlist') {
-        // Count as a hit if the list renders anything.
-        // If showEmpty is true, this will still count even when values are blank,
-        // as long as the attribute Name exists.
-        const html = renderKvListValue(v, f);
-        if (html) hits++;
-        continue;
-      }
+    renderVirtualWindow(host, scroller, spec);
+  });
+}
 
-      hits++;
-    }
+/**
+ * Render the items that are (nearly) in view.
+ * @param {HTMLElement} host
+ * @param {HTMLElement} scroller
+ * @param {any} spec
+ * @param {boolean=} remeasure Measure even if the window did not move
+ */
+function renderVirtualWindow(host, scroller, spec, remeasure) {
+  const h = spec.heights;
+  const n = spec.count;
+  const top = scroller.scrollTop;
+  const view = scroller.clientHeight || VIRTUAL_FALLBACK_HEIGHT;
+
+  // First item in view, then back off by the overscan
+  let start = 0;
+  let y = 0;
+  while (start < n - 1 && y + h[start] <= top) y += h[start++];
+  for (let k = 0; k < VIRTUAL_OVERSCAN && start > 0; k++) y -= h[--start];
+  const padTop = y;
+
+  let end = start;
+  while (end < n && y < top + view) y += h[end++];
+  end = Math.min(n, end + VIRTUAL_OVERSCAN);
+
+  if (start === spec.start && end === spec.end) {
+    if (remeasure) measureVirtualItems(host, spec);
+    return;
+  }
+  spec.start = start;
+  spec.end = end;
+
+  let total = 0;
+  for (let i = 0; i < n; i++) total += h[i];
+  let shown = 0;
+  for (let i = start; i < end; i++) shown += h[i];
+  const padBottom = Math.max(0, total - padTop - shown);
+
+  const items = spec.table
+    ? host
+    : host.querySelector('[data-virtual-items="true"]');
+
+  // Forget nested lists and rows from the window we are replacing
+  items.querySelectorAll('[data-virtual-list]').forEach((el) => {
+    virtualLists.delete(el.getAttribute('data-virtual-list') || '');
+  });
+  forgetKvRows(items);
+
+  const html = [];
+  for (let i = start; i < end; i++) html.push(spec.renderItem(i));
+
+  if (spec.table) {
+    const pad = (px) =>
+      px > 0
+        ? `<tr class="virtual-pad" aria-hidden="true"><td colspan="${
+            spec.colSpan || 1
+          }" style="height:${Math.round(px)}px"></td></tr>`
+        : '';
+    host.innerHTML = pad(padTop) + html.join('') + pad(padBottom);
+  } else {
+    items.innerHTML = html.join('');
+    host.querySelector('[data-virtual-pad="top"]').style.height = `${padTop}px`;
+    host.querySelector(
+      '[data-virtual-pad="bottom"]'
+    ).style.height = `${padBottom}px`;
   }
 
-  return hits;
+  wireViewerInteractions(items);
+  highlightJsonIn(items);
+  mountVirtualLists(items);
+  measureVirtualItems(host, spec);
+
+  // Keep record search marks on freshly rendered items
+  const lf = getActiveFile();
+  if (lf && state.searchQuery) applySearchToViewer(lf.recordType);
 }
 
 /**
- * Render a template-driven record view (Records Mode only).
- * Respects section order and field order.
- * Missing fields simply don't render.
- *
- * If the template doesn't "hit" any paths for this record,
- * show a friendly hint card and a collapsed full record as fallback.
- *
- * @param {any} template
- * @param {any} record
- * @returns {string}
+ * Store real heights for rendered items (hidden lists measure 0: skip).
+ * @param {HTMLElement} host
+ * @param {any} spec
  */
-function renderTemplateRecordView(template, record) {
-  if (!template || typeof template !== 'object')
-    return renderGenericPrettyView(record);
-  if (!Array.isArray(template.layout)) return renderGenericPrettyView(record);
+function measureVirtualItems(host, spec) {
+  const items = spec.table
+    ? Array.from(host.children).filter(
+        (el) => !el.classList.contains('virtual-pad')
+      )
+    : Array.from(host.querySelector('[data-virtual-items="true"]').children);
+
+  // Grid gap between list items counts toward each item's height
+  const gap =
+    spec.table || !items.length
+      ? 0
+      : parseFloat(getComputedStyle(items[0].parentElement).rowGap) || 0;
+
+  items.forEach((el, k) => {
+    const height = el.getBoundingClientRect().height;
+    if (height > 0) spec.heights[spec.start + k] = height + gap;
+  });
+}
 
-  const hitCount = countTemplateFieldHits(template, record);
+function renderArrayItem(parentArr, item, idx, basePath = '$') {
+  const itemPath = basePath ? `${basePath}[${idx}]` : undefined;
 
-  // If no fields exist on this record, show a clear hint and a safe fallback.
-  if (hitCount === 0) {
-    const tplName =
-      typeof template.templateName === 'string' && template.templateName.trim()
-        ? template.templateName.trim()
-        : 'Selected template';
+  // Primitives: show as a single KV row
+  if (item == null || typeof item !== 'object') {
+    return [
+      `<div class="array-item">`,
+      renderKV(`[${idx}]`, item, { path: itemPath }),
+      `</div>`,
+    ].join('');
+  }
 
-    return `
-      <div class="card">
-        <div class="card-header">
-          <h3 class="card-title">No fields from this template were found</h3>
-          <div class="chevron">Hint</div>
-        </div>
-        <div class="card-body">
-          ${renderKV('Template', tplName)}
-          ${renderKV(
-            'What happened',
-            'This record does not contain any of the fields defined in the template.'
-          )}
-          ${renderKV(
-            'What to do',
-            'Check your template paths, or adjust match.requiredKeys so the template only applies to the right records.'
-          )}
-          ${renderKV('Fallback', 'Showing the full record below (collapsed).')}
-          ${renderKV('Record', record, { collapsible: true })}
-        </div>
-      </div>
-    `;
+  // Arrays inside arrays: keep it collapsible
+  if (Array.isArray(item)) {
+    return [
+      `<div class="array-item">`,
+      renderKV(`[${idx}]`, item, { collapsible: true, path: itemPath }),
+      `</div>`,
+    ].join('');
   }
 
-  const sections = template.layout.map((sec, i) => {
-    const title = String(sec.section || '').trim() || `Section ${i + 1}`;
-    const fields = Array.isArray(sec.fields) ? sec.fields : [];
+  // Object item: collapsible block with a compact title
+  const summary = buildItemSummary(item, idx);
 
-    const bodyParts = fields
-      .map((f) => renderTemplateField(record, f))
-      .filter(Boolean);
+  // Important: add array-item-card so compact CSS applies.
+  // Also build with join('') to avoid whitespace nodes.
+  return [
+    `<div class="card array-item-card" data-collapsible="true" data-open="false">`,
+    `<div class="card-header">`,
+    `<button class="card-header-button" type="button" aria-expanded="false">`,
+    `<h3 class="card-title">${escapeHtml(summary)}</h3>`,
+    `<div class="card-actions"><div class="chevron" data-chevron="true">&gt;</div></div>`,
+    `</button>`,
+    `</div>`,
+    `<div class="card-body" data-collapsible-body="true" style="display:none;">`,
+    renderObjectAsKv(item, itemPath),
+    `</div>`,
+    `</div>`,
+  ].join('');
+}
 
-    // First section open by default, others closed
-    const open = i === 0;
+function buildItemSummary(obj, idx) {
+  // Use same “human” keys we already favor
+  const id = pickFirst(obj, ['Id', 'id', 'ID', 'uid', 'guid', 'uuid']);
+  const num = pickFirst(obj, ['Number', 'number', 'No', 'no', 'code', 'Code']);
+  const title = pickFirst(obj, [
+    'Title',
+    'title',
+    'Subject',
+    'subject',
+    'Name',
+    'name',
+    'Summary',
+    'summary',
+  ]);
+  const status = pickFirst(obj, [
+    'Status',
+    'status',
+    'State',
+    'state',
+    'ReviewStatus',
+    'reviewStatus',
+  ]);
 
-    return renderCollapsibleCard(title, open, bodyParts);
-  });
+  const bits = [];
 
-  return sections.join('');
-}
+  bits.push(`[${idx}]`);
 
-/**
- * Render a record view based on detected type.
- * Template has priority if active (Records Mode will decide whether templates apply).
- *
- * @param {RecordType} recordType
- * @param {any} record
- * @param {any|null} activeTemplate
- */
-function renderRecordView(recordType, record, activeTemplate) {
-  if (activeTemplate) {
-    return renderTemplateRecordView(activeTemplate, record);
+  if (id != null) bits.push(`Id ${String(id)}`);
+  if (num != null) bits.push(`#${String(num)}`);
+
+  if (title && typeof title === 'string' && title.trim()) {
+    const t = title.trim();
+    bits.push(t.length > 60 ? `${t.slice(0, 60)}…` : t);
   }
-  if (recordType === 'Issue') return renderIssueTemplate(record);
-  return renderGenericPrettyView(record);
+
+  if (status && typeof status === 'string' && status.trim()) {
+    bits.push(`(${status.trim()})`);
+  } else if (status && typeof status === 'object') {
+    const sName = pickFirst(status, ['Name', 'name']);
+    if (typeof sName === 'string' && sName.trim())
+      bits.push(`(${sName.trim()})`);
+  }
+
+  // Fallback: if it has no obvious identifiers, show key count
+  if (bits.length === 1) {
+    bits.push(`Object (${Object.keys(obj).length} keys)`);
+  }
+
+  return bits.join(' • ');
 }
 
 /**
- * Issue Template (v1)
- * Focus on the fields that usually matter first.
- * Everything else can be explored later via Raw JSON.
- * @param {any} issue
+ * Wire up collapsible cards and value expanders inside the viewer.
+ * Runs after els.viewer.innerHTML is set (and on each freshly rendered
+ * window of a virtual list, via root).
+ * @param {Element=} root
  */
-function renderIssueTemplate(issue) {
-  if (!issue || typeof issue !== 'object')
-    return renderGenericPrettyView(issue);
+function wireViewerInteractions(root) {
+  const scope = root || els.viewer;
 
-  // Summary picks
-  const id = pickFirst(issue, ['Id', 'id']);
-  const number = pickFirst(issue, ['Number', 'number']);
-  const title = pickFirst(issue, ['Title', 'title']);
-  const desc = pickFirst(issue, ['Description', 'description']);
+  // Collapsible cards
+  scope.querySelectorAll('[data-collapsible="true"]').forEach((card) => {
+    const btn = card.querySelector('.card-header-button');
+    const body = card.querySelector('[data-collapsible-body="true"]');
+    const chev = card.querySelector('[data-chevron="true"]');
+    if (!btn || !body || !chev) return;
 
-  // People
-  const author = pickPerson(issue, ['Author', 'author']);
-  const assigned = pickPerson(issue, ['AssignedTo', 'assignedTo']);
-  const lastModBy = pickPerson(issue, [
-    'LastModificationAuthor',
-    'lastModificationAuthor',
-  ]);
+    btn.addEventListener('click', () => {
+      const open = card.getAttribute('data-open') === 'true';
+      const next = !open;
+      card.setAttribute('data-open', next ? 'true' : 'false');
+      btn.setAttribute('aria-expanded', next ? 'true' : 'false');
+      body.style.display = next ? '' : 'none';
+      chev.textContent = next ? 'v' : '>';
+    });
+  });
 
-  // Dates
-  const created = pickFirst(issue, ['CreationDate', 'creationDate']);
-  const modified = pickFirst(issue, [
-    'LastModificationDate',
-    'lastModificationDate',
-  ]);
-  const due = pickFirst(issue, ['DueDate', 'dueDate']);
-  const closed = pickFirst(issue, ['ClosingDate', 'closingDate']);
+  // Collapsible values (arrays/objects)
+  scope.querySelectorAll('[data-value-collapsible="true"]').forEach((wrap) => {
+    const btn = wrap.querySelector('[data-toggle-value="true"]');
+    const body = wrap.querySelector('[data-value-body="true"]');
+    if (!btn || !body) return;
 
-  // Classification objects often have Name/Color/Id
-  const status = pickNamed(issue, ['Status', 'status']);
-  const priority = pickNamed(issue, ['Priority', 'priority']);
-  const type = pickNamed(issue, ['Type', 'type']);
-  const phase = pickNamed(issue, ['ProjectPhase', 'projectPhase']);
-  const zone = pickNamed(issue, ['ProjectZone', 'projectZone']);
+    const expandLabel = btn.textContent;
+    const collapseLabel = expandLabel.replace(/^Expand\b/, 'Collapse');
 
-  // Arrays and other heavy stuff
-  const disciplines = pickFirst(issue, ['Disciplines', 'disciplines']);
-  const custom = pickFirst(issue, ['CustomAttributes', 'customAttributes']);
-  const comments = pickFirst(issue, ['Comments', 'comments']);
-  const attachments = pickFirst(issue, ['Attachments', 'attachments']);
-  const viewpoints = pickFirst(issue, ['Viewpoints', 'viewpoints']);
-  const history = pickFirst(issue, ['History', 'history']);
+    btn.addEventListener('click', () => {
+      const open = wrap.getAttribute('data-open') === 'true';
+      const next = !open;
+      wrap.setAttribute('data-open', next ? 'true' : 'false');
+      body.style.display = next ? '' : 'none';
+      btn.textContent = next ? collapseLabel : expandLabel;
 
-  const headerTitle = title ? escapeHtml(String(title)) : 'Issue';
-  const headerBadge =
-    number != null
-      ? `<span class="badge">#${escapeHtml(String(number))}</span>`
-      : '';
+      // If we just opened it, highlight any JSON inside
+      if (next) highlightJsonIn(wrap);
+    });
+  });
+}
 
-  return `
-    <div class="card">
-      <div class="card-header">
-        <div style="display:flex; align-items:center; gap:10px;">
-          <h3 class="card-title">${headerTitle}</h3>
-          ${headerBadge}
-        </div>
-        <div class="chevron">Issue</div>
-      </div>
-      <div class="card-body">
-        ${renderKV('Id', id)}
-        ${renderKV('Number', number)}
-        ${renderKV('Title', title)}
-        ${renderKV('Status', status?.Name || status?.name)}
-        ${renderKV('Priority', priority?.Name || priority?.name)}
-        ${renderKV('Type', type?.Name || type?.name)}
-      </div>
-    </div>
+/**
+ * Apply search styling to the currently rendered viewer.
+ * Session 2: Works for any template that renders .kv rows (Issue + Generic today).
+ * - Matches label OR value text (case-insensitive)
+ * - Highlights hits, dims non-hits
+ * - Optional: include/exclude collapsed content
+ * - Marks section headers when matches exist inside (when include collapsed is on)
+ * @param {RecordType} recordType
+ */
+function applySearchToViewer(recordType) {
+  // Raw view is just a <pre>, do not try to mark it up
+  if (state.showRaw) {
+    clearSearchMarks();
+    clearTextHighlights();
+    clearSectionMarks();
+    return;
+  }
 
-    ${renderCollapsibleCard('Summary', true, [
-      renderKV('Description', desc, { rich: true }),
-      renderKV('Group', pickFirst(issue, ['Group', 'group'])),
-      renderKV(
-        'Creation Source',
-        pickFirst(issue, ['CreationSource', 'creationSource'])
-      ),
-      renderKV(
-        'Restricted',
-        pickFirst(issue, ['IsRestricted', 'isRestricted'])
-      ),
-      renderKV('Viewer URL', pickFirst(issue, ['ViewerUrl', 'viewerUrl']), {
-        link: true,
-      }),
-    ])}
+  const q = (state.searchQuery || '').trim();
+  if (!q) {
+    clearSearchMarks();
+    clearTextHighlights();
+    clearSectionMarks();
+    return;
+  }
 
-    ${renderCollapsibleCard('People', false, [
-      renderKV('Author', formatPerson(author)),
-      renderKV('Assigned To', formatPerson(assigned)),
-      renderKV('Last Modified By', formatPerson(lastModBy)),
-    ])}
+  const needle = q.toLowerCase();
+  const includeCollapsed = Boolean(state.includeCollapsedInSearch);
 
-    ${renderCollapsibleCard('Dates', false, [
-      renderKV('Created', formatDateTime(created)),
-      renderKV('Last Modified', formatDateTime(modified)),
-      renderKV('Due', formatDateTime(due)),
-      renderKV('Closed', formatDateTime(closed)),
-    ])}
+  // Start clean each time to avoid stacking <mark> tags
+  clearSearchMarks();
+  clearTextHighlights();
+  clearSectionMarks();
 
-    ${renderCollapsibleCard('Classification', false, [
-      renderKV('Disciplines', disciplines, { collapsible: true }),
-      renderKV('Phase', phase?.Name || phase?.name),
-      renderKV('Zone', zone?.Name || zone?.name),
-    ])}
+  /** @type {NodeListOf<HTMLElement>} */
+  const rows = els.viewer.querySelectorAll('.kv');
+  if (!rows.length) return;
 
-    ${renderCollapsibleCard('Custom Attributes', false, [
-      renderKV('Custom Attributes', custom, { collapsible: true }),
-    ])}
+  rows.forEach((row) => {
+    // If we are NOT including collapsed content, skip rows not currently visible.
+    if (!includeCollapsed && !isElementVisible(row)) return;
 
-    ${renderCollapsibleCard('Comments', false, [
-      renderKV('Comments', comments, { collapsible: true }),
-    ])}
+    const k = row.querySelector('.k');
+    const v = row.querySelector('.v');
 
-    ${renderCollapsibleCard('Attachments', false, [
-      renderKV('Attachments', attachments, { collapsible: true }),
-    ])}
+    const labelText = (k?.textContent || '').toLowerCase();
+    const valueText = (v?.textContent || '').toLowerCase();
 
-    ${renderCollapsibleCard('Viewpoints', false, [
-      renderKV('Viewpoints', viewpoints, { collapsible: true }),
-    ])}
+    const hit = labelText.includes(needle) || valueText.includes(needle);
 
-    ${renderCollapsibleCard('History', false, [
-      renderKV('History', history, { collapsible: true }),
-    ])}
-  `;
-}
+    row.classList.toggle('is-hit', hit);
+    row.classList.toggle('is-dim', !hit);
 
-/**
- * Generic pretty view: shows top-level keys and lets user expand arrays/objects.
- * Keeps v1 safe for unknown shapes.
- * @param {any} record
- */
-function renderGenericPrettyView(record) {
-  const summary = buildGenericSummary(record);
+    // Highlight matched fragments in label/value text (but only for hits)
+    if (hit) {
+      if (k) highlightTextInElement(k, q);
+      if (v) highlightTextInElement(v, q);
+    }
+  });
 
-  return `
-    ${renderCollapsibleCard('Generic Pretty View', true, [
-      renderKV('Top-level type', summary.topType),
-      summary.topSummary
-        ? renderKV('Top-level summary', summary.topSummary)
-        : '',
-      summary.highValue.length
-        ? renderCollapsibleCard(
-            'Likely important fields',
-            true,
-            summary.highValue
-          )
-        : '',
-      renderKV('Record', record, { collapsible: true }),
-    ])}
-  `;
+  // If include-collapsed is on, mark section headers that contain hits
+  if (includeCollapsed) {
+    markSectionsWithHits();
+  }
 }
 
 /**
- * Render a collapsible card. Body starts open or closed.
- * @param {string} title
- * @param {boolean} open
- * @param {string[]} bodyParts
+ * True if element is visible (not display:none up the tree).
+ * This is cheap and avoids searching inside collapsed sections unless enabled.
+ * @param {HTMLElement} el
  */
-function renderCollapsibleCard(title, open, bodyParts) {
-  const content = bodyParts.filter(Boolean).join('');
-  const isOpen = open ? 'true' : 'false';
-  const bodyStyle = open ? '' : 'style="display:none;"';
-  const chevron = open ? 'v' : '>';
-
-  return `
-    <div class="card" data-collapsible="true" data-open="${isOpen}">
-      <div class="card-header">
-        <button class="card-header-button" type="button" aria-expanded="${isOpen}">
-          <h3 class="card-title">${escapeHtml(title)}</h3>
-          <div class="card-actions">
-            <div class="chevron" data-chevron="true">${chevron}</div>
-          </div>
-        </button>
-      </div>
-      <div class="card-body" data-collapsible-body="true" ${bodyStyle}>
-        ${content || `<div class="empty-state">Nothing here.</div>`}
-      </div>
-    </div>
-  `;
-}
-
-function buildGenericSummary(value) {
-  const topType = Array.isArray(value) ? 'array' : typeof value;
+function isElementVisible(el) {
+  // offsetParent is null for display:none (and for some fixed elements),
+  // so we add a computed-style fallback.
+  if (el.offsetParent !== null) return true;
 
-  // Summary line (short, stable, readable)
-  const topSummary = summarizeTopLevel(value);
+  const style = window.getComputedStyle(el);
+  if (style.display === 'none' || style.visibility === 'hidden') return false;
 
-  // "Likely important fields" (only for objects, and arrays of objects)
-  const highValue = buildHighValueFieldRows(value);
+  // Walk up for a parent with display:none
+  let p = el.parentElement;
+  while (p) {
+    const s = window.getComputedStyle(p);
+    if (s.display === 'none' || s.visibility === 'hidden') return false;
+    p = p.parentElement;
+  }
+  return true;
+}
 
-  return { topType, topSummary, highValue };
+/** Clear any prior search styling in the viewer. */
+function clearSearchMarks() {
+  els.viewer
+    .querySelectorAll('.kv.is-hit, .kv.is-dim, .field.is-hit, .field.is-dim')
+    .forEach((el) => el.classList.remove('is-hit', 'is-dim'));
 }
 
-function summarizeTopLevel(value) {
-  if (value == null) return 'null';
-  if (typeof value !== 'object') return String(value);
+/** Remove any existing <mark> highlights we previously added. */
+function clearTextHighlights() {
+  els.viewer.querySelectorAll('mark.jtf-mark').forEach((m) => {
+    const parent = m.parentNode;
+    if (!parent) return;
 
-  if (Array.isArray(value)) {
-    const len = value.length;
-    const dist = arrayTypeDistribution(value);
-    const distText = Object.entries(dist)
-      .sort((a, b) => b[1] - a[1])
-      .map(([k, n]) => `${k}: ${n}`)
-      .join(', ');
+    // Replace the <mark> with its text content
+    parent.replaceChild(document.createTextNode(m.textContent || ''), m);
 
-    // If it is an array of objects, show a tiny key hint
-    const objKeys = commonKeysFromArrayOfObjects(value, 8);
-    const keyHint = objKeys.length
-      ? ` • Common keys: ${objKeys.join(', ')}`
-      : '';
+    // Merge adjacent text nodes to keep DOM tidy
+    parent.normalize();
+  });
+}
 
-    return `Length: ${len}${
-      distText ? ` • Contents: ${distText}` : ''
-    }${keyHint}`;
-  }
+/**
+ * Highlight occurrences of query inside an element, without touching nested elements
+ * like links and buttons. This avoids breaking controls.
+ * @param {Element} el
+ * @param {string} query
+ */
+function highlightTextInElement(el, query) {
+  const q = (query || '').trim();
+  if (!q) return;
 
-  function topLevelValueStats(obj) {
-    const stats = {
-      string: 0,
-      number: 0,
-      boolean: 0,
-      null: 0,
-      array: 0,
-      object: 0,
-      other: 0,
-    };
+  // Do not highlight inside these, it can break behavior or semantics
+  const blockedTags = new Set([
+    'A',
+    'BUTTON',
+    'INPUT',
+    'SELECT',
+    'TEXTAREA',
+    'PRE',
+    'CODE',
+  ]);
+  if (blockedTags.has(el.tagName)) return;
 
-    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return stats;
+  // We only highlight within direct text nodes, not inside child elements
+  const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT, {
+    acceptNode(node) {
+      // Skip empty/whitespace-only nodes
+      if (!node.nodeValue || !node.nodeValue.trim())
+        return NodeFilter.FILTER_REJECT;
+      return NodeFilter.FILTER_ACCEPT;
+    },
+  });
 
-    for (const k of Object.keys(obj)) {
-      const v = obj[k];
-      if (v == null) {
-        stats.null++;
-      } else if (Array.isArray(v)) {
-        stats.array++;
-      } else {
-        const t = typeof v;
-        if (t === 'string') stats.string++;
-        else if (t === 'number') stats.number++;
-        else if (t === 'boolean') stats.boolean++;
-        else if (t === 'object') stats.object++;
-        else stats.other++;
-      }
-    }
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
 
-    return stats;
-  }
+  if (!nodes.length) return;
 
-  // Plain object
-  const keys = Object.keys(value);
-  if (!keys.length) return '(no keys)';
+  const qLower = q.toLowerCase();
 
-  const stats = topLevelValueStats(value);
-  const statsText = Object.entries(stats)
-    .filter(([, n]) => n > 0)
-    .map(([k, n]) => `${k}: ${n}`)
-    .join(', ');
+  nodes.forEach((textNode) => {
+    const text = textNode.nodeValue || '';
+    const lower = text.toLowerCase();
+    const idx = lower.indexOf(qLower);
+    if (idx === -1) return;
 
-  const preview = keys.slice(0, 18).join(', ');
-  const more = keys.length > 18 ? `, … (+${keys.length - 18})` : '';
+    // Split and wrap all matches (not just the first)
+    const frag = document.createDocumentFragment();
+    let start = 0;
 
-  return `Keys: ${keys.length}${
-    statsText ? ` • Top-level: ${statsText}` : ''
-  } • Preview: ${preview}${more}`;
-}
+    while (true) {
+      const i = lower.indexOf(qLower, start);
+      if (i === -1) break;
 
-function buildHighValueFieldRows(value) {
-  // If it is an array of objects, try the first object as a "representative"
-  if (Array.isArray(value)) {
-    const firstObj = value.find(
-      (x) => x && typeof x === 'object' && !Array.isArray(x)
-    );
-    if (firstObj) return buildHighValueFieldRows(firstObj);
-    return [];
-  }
+      // Text before match
+      if (i > start) {
+        frag.appendChild(document.createTextNode(text.slice(start, i)));
+      }
 
-  if (!value || typeof value !== 'object' || Array.isArray(value)) return [];
+      // Matched text wrapped in <mark>
+      const mark = document.createElement('mark');
+      mark.className = 'jtf-mark';
+      mark.textContent = text.slice(i, i + q.length);
+      frag.appendChild(mark);
 
-  const candidates = [
-    { label: 'Id', keys: ['Id', 'id', 'ID', 'uid', 'guid', 'uuid'] },
-    { label: 'Number', keys: ['Number', 'number', 'No', 'no', 'code', 'Code'] },
-    {
-      label: 'Title',
-      keys: ['Title', 'title', 'Subject', 'subject', 'Summary', 'summary'],
-    },
-    { label: 'Name', keys: ['Name', 'name', 'DisplayName', 'displayName'] },
-    { label: 'Status', keys: ['Status', 'status', 'State', 'state'] },
-    { label: 'Type', keys: ['Type', 'type', 'Category', 'category'] },
-    { label: 'Priority', keys: ['Priority', 'priority'] },
-    {
-      label: 'Created',
-      keys: [
-        'CreationDate',
-        'creationDate',
-        'createdAt',
-        'CreatedAt',
-        'created',
-      ],
-    },
-    {
-      label: 'Updated',
-      keys: [
-        'LastModificationDate',
-        'lastModificationDate',
-        'updatedAt',
-        'UpdatedAt',
-        'modified',
-      ],
-    },
-    { label: 'Due', keys: ['DueDate', 'dueDate', 'due'] },
-    {
-      label: 'URL',
-      keys: ['Url', 'url', 'Link', 'link', 'ViewerUrl', 'viewerUrl'],
-    },
-  ];
+      start = i + q.length;
+    }
 
-  const rows = [];
+    // Remaining text after last match
+    if (start < text.length) {
+      frag.appendChild(document.createTextNode(text.slice(start)));
+    }
 
-  for (const c of candidates) {
-    const v = pickFirst(value, c.keys);
-    if (v == null) continue;
+    // Replace original text node
+    const parent = textNode.parentNode;
+    if (!parent) return;
+    parent.replaceChild(frag, textNode);
+  });
+}
 
-    // Keep it readable. If the value is a big object/array, render it collapsed.
-    const isHeavy = typeof v === 'object';
-    rows.push(
-      renderKV(c.label, v, { collapsible: isHeavy, link: c.label === 'URL' })
-    );
-  }
+/** Clear section header marks and counts. */
+function clearSectionMarks() {
+  els.viewer.querySelectorAll('.card.search-hit').forEach((card) => {
+    card.classList.remove('search-hit');
+  });
+  els.viewer.querySelectorAll('.search-count').forEach((n) => n.remove());
+}
 
-  // Add one extra: "Owner-like" fields if present
-  const owner = pickFirst(value, [
-    'Owner',
-    'owner',
-    'Author',
-    'author',
-    'CreatedBy',
-    'createdBy',
-  ]);
-  if (owner != null) {
-    rows.push(
-      renderKV('Owner-like', owner, { collapsible: typeof owner === 'object' })
-    );
-  }
+/**
+ * Mark collapsible cards that contain any hits and add a match count badge.
+ * Looks for .kv.is-hit inside each card body.
+ */
+function markSectionsWithHits() {
+  els.viewer
+    .querySelectorAll('.card[data-collapsible="true"]')
+    .forEach((card) => {
+      const body = card.querySelector('[data-collapsible-body="true"]');
+      const headerTitle = card.querySelector('.card-title');
+      if (!body || !headerTitle) return;
 
-  return rows;
+      const hits = body.querySelectorAll('.kv.is-hit');
+      if (!hits.length) return;
+
+      card.classList.add('search-hit');
+
+      // Add a count badge to the title
+      const badge = document.createElement('span');
+      badge.className = 'search-count';
+      badge.textContent = `${hits.length}`;
+      headerTitle.appendChild(badge);
+    });
 }
 
-function arrayTypeDistribution(arr) {
-  const dist = {};
-  for (const item of arr) {
-    const t =
-      item == null ? 'null' : Array.isArray(item) ? 'array' : typeof item;
-    dist[t] = (dist[t] || 0) + 1;
+/**
+ * Pick first matching value from a list of keys.
+ * @param {any} obj
+ * @param {string[]} keys
+ */
+function pickFirst(obj, keys) {
+  if (!obj || typeof obj !== 'object') return null;
+  for (const k of keys) {
+    if (Object.prototype.hasOwnProperty.call(obj, k)) return obj[k];
   }
-  return dist;
+  return null;
 }
 
-function commonKeysFromArrayOfObjects(arr, limit) {
-  const counts = new Map();
+/**
+ * Pick "named" object like Status/Priority/Type with Name/Color/Id
+ * @param {any} obj
+ * @param {string[]} keys
+ */
+function pickNamed(obj, keys) {
+  const v = pickFirst(obj, keys);
+  if (!v || typeof v !== 'object') return null;
+  return v;
+}
 
-  for (const item of arr) {
-    if (!item || typeof item !== 'object' || Array.isArray(item)) continue;
+/**
+ * Pick a person object and return a normalized shape.
+ * @param {any} obj
+ * @param {string[]} keys
+ */
+function pickPerson(obj, keys) {
+  const p = pickFirst(obj, keys);
+  if (!p || typeof p !== 'object') return null;
+  return {
+    firstName: pickFirst(p, ['FirstName', 'firstName']) || '',
+    lastName: pickFirst(p, ['LastName', 'lastName']) || '',
+    email: pickFirst(p, ['Email', 'email']) || '',
+    userName: pickFirst(p, ['UserName', 'userName']) || '',
+    id: pickFirst(p, ['Id', 'id']),
+  };
+}
 
-    for (const k of Object.keys(item)) {
-      counts.set(k, (counts.get(k) || 0) + 1);
-    }
-  }
+function formatPerson(p) {
+  if (!p) return '';
+  const name = `${p.firstName || ''} ${p.lastName || ''}`.trim();
+  if (name && p.email) return `${name} <${p.email}>`;
+  if (name) return name;
+  if (p.email) return p.email;
+  if (p.userName) return p.userName;
+  if (p.id != null) return `Id ${p.id}`;
+  return '';
+}
 
-  const sorted = [...counts.entries()]
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, Math.max(0, limit));
+function formatDateTime(value) {
+  if (!value) return '';
+  if (typeof value !== 'string') return String(value);
 
-  return sorted.map(([k]) => k);
+  const d = parseDateTime(value);
+  if (!d) return value;
+  return d.toLocaleString();
 }
 
 /**
- * Render a key-value row with smart value rendering.
- * @param {string} key
- * @param {any} value
- * @param {{ collapsible?: boolean, link?: boolean, rich?: boolean, path?: string }=} opts
+ * Parse a date string the way formatDateTime() does.
+ * Handles "2023-01-05T23:21:29.59" and ISO-like strings.
+ * @param {string} value
+ * @returns {Date|null}
  */
-function renderKV(key, value, opts) {
-  const o = opts || {};
-  const v = renderValue(value, o);
-  if (v === '') return '';
+function parseDateTime(value) {
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
 
-  const pathHtml =
-    state.showPaths && o.path
-      ? `<div class="path-hint" title="${escapeHtml(o.path)}">${escapeHtml(
-          o.path
-        )}</div>`
-      : '';
+// ===============================
+// Session 10 – Templates (Step 2)
+// Upload + parse + validate
+// ===============================
 
-  // Build without template-literal indentation/newlines.
-  // This prevents extra blank lines when the parent uses white-space: pre-wrap.
-  return [
-    `<div class="kv">`,
-    `<div class="k" title="${escapeHtml(key)}">${escapeHtml(key)}</div>`,
-    `<div class="v">`,
-    pathHtml,
-    v,
-    `</div>`,
-    `</div>`,
-  ].join('');
+/**
+ * Parse JSON or JSONC (JSON with // and /* *\/ comments).
+ * We only support a simple, safe subset:
+ * - Line comments: // ...
+ * - Block comments: /* ... *\/
+ * - Trailing commas in objects/arrays are NOT supported (keep it strict)
+ * @param {string} text
+ * @returns {any}
+ */
+function parseJsonOrJsonc(text) {
+  const stripped = stripJsoncComments(text);
+  return JSON.parse(stripped);
 }
 
 /**
- * Render a KV row where the value is already-built HTML.
- * Use this ONLY when the HTML is generated by our code (not user JSON).
- *
- * @param {string} key
- * @param {string} htmlValue
- * @param {{ path?: string }=} opts
+ * Remove // and / * * / comments, while trying not to break strings.
+ * This is a small state machine, not a regex hack.
+ * Comments become spaces (line breaks kept), so a line/column found in the
+ * result is the same spot in the input.
+ * @param {string} input
  */
-function renderKVHtml(key, htmlValue, opts) {
-  const o = opts || {};
-  const v = String(htmlValue || '');
-  if (!v) return '';
+function stripJsoncComments(input) {
+  let out = '';
+  let i = 0;
 
-  const pathHtml =
-    state.showPaths && o.path
-      ? `<div class="path-hint" title="${escapeHtml(o.path)}">${escapeHtml(
-          o.path
-        )}</div>`
-      : '';
+  let inString = false;
+  let stringQuote = '"';
+  let escaped = false;
 
-  // Same no-whitespace strategy as renderKV().
-  return [
-    `<div class="kv">`,
-    `<div class="k" title="${escapeHtml(key)}">${escapeHtml(key)}</div>`,
-    `<div class="v">`,
-    pathHtml,
-    v,
-    `</div>`,
-    `</div>`,
-  ].join('');
-}
+  while (i < input.length) {
+    const c = input[i];
+    const next = input[i + 1];
 
-function renderKvListValue(arrValue, cfg) {
-  if (!Array.isArray(arrValue) || arrValue.length === 0) return '';
+    if (inString) {
+      out += c;
 
-  const c = cfg || {};
-  const itemKeyPath = String(c.itemKeyPath || 'Name').trim() || 'Name';
+      if (escaped) {
+        escaped = false;
+      } else if (c === '\\') {
+        escaped = true;
+      } else if (c === stringQuote) {
+        inString = false;
+      }
 
-  const valuePaths =
-    Array.isArray(c.valuePaths) && c.valuePaths.length
-      ? c.valuePaths.map((p) => String(p || '').trim()).filter(Boolean)
-      : ['TextValue', 'PredefinedValues.Name', 'PredefinedValues[0].Name'];
+      i++;
+      continue;
+    }
 
-  const maxItems = Number.isFinite(c.maxItems)
-    ? Math.max(1, Math.floor(c.maxItems))
-    : 6;
+    // Enter string
+    if (c === '"' || c === "'") {
+      inString = true;
+      stringQuote = c;
+      out += c;
+      i++;
+      continue;
+    }
 
-  const showEmpty = Boolean(c.showEmpty);
-  const emptyText =
-    typeof c.emptyText === 'string' && c.emptyText.trim()
-      ? c.emptyText.trim()
-      : '(empty)';
+    // Line comment //
+    if (c === '/' && next === '/') {
+      i += 2;
+      out += '  ';
+      while (i < input.length && input[i] !== '\n') {
+        out += ' ';
+        i++;
+      }
+      continue;
+    }
 
-  const rows = [];
+    // Block comment /* */
+    if (c === '/' && next === '*') {
+      i += 2;
+      out += '  ';
+      while (i < input.length) {
+        if (input[i] === '*' && input[i + 1] === '/') {
+          i += 2;
+          out += '  ';
+          break;
+        }
+        out += input[i] === '\n' ? '\n' : ' ';
+        i++;
+      }
+      continue;
+    }
 
-  for (const item of arrValue) {
-    if (!item || typeof item !== 'object' || Array.isArray(item)) continue;
+    out += c;
+    i++;
+  }
 
-    const kRaw = getValueAtPath(item, itemKeyPath);
-    const key = kRaw == null ? '' : String(kRaw).trim();
-    if (!key) continue;
+  return out;
+}
 
-    let val = null;
+/**
+ * @typedef {Object} TemplateProblem
+ * @property {'error'|'warning'} severity Errors reject the template;
+ *   warnings load it (the setting is ignored or falls back to a default)
+ * @property {string} message
+ * @property {(string|number)[]} path Keys/indexes of the offending spot
+ * @property {string} at The same spot as text: layout[0].fields[2].format
+ */
 
-    for (const vp of valuePaths) {
-      const v = getValueAtPath(item, vp);
+const TEMPLATE_FORMATS = [
+  'text',
+  'badge',
+  'date',
+  'link',
+  'multiline',
+  'json',
+  'kvlist',
+];
+
+// kvlist options (see getKvListEntries for defaults)
+const KVLIST_OPTION_KEYS = [
+  'itemKeyPath',
+  'valuePaths',
+  'maxItems',
+  'showEmpty',
+  'emptyText',
+];
+
+// Keys JTF reads, per object; anything else is probably a typo
+const TEMPLATE_KNOWN_KEYS = {
+  template: [
+    'templateVersion',
+    'templateName',
+    'description',
+    'match',
+    'recordLabel',
+    'layout',
+  ],
+  match: ['requiredKeys', 'typeField', 'typeValue'],
+  recordLabel: ['fields', 'fallback'],
+  labelField: ['path', 'prefix', 'suffix', 'maxLen', 'lastChars'],
+  section: ['section', 'fields'],
+  field: ['path', 'label', 'format', ...KVLIST_OPTION_KEYS],
+};
 
-      // Handle dropdown values (arrays like PredefinedValues)
-      if (Array.isArray(v)) {
-        const names = v
-          .map((x) => (x && typeof x === 'object' ? x.Name ?? x.name : x))
-          .filter((x) => x != null)
-          .map((x) => String(x).trim())
-          .filter(Boolean);
+/**
+ * Check a template and list every problem, not just the first.
+ * We are NOT supporting logic, loops, conditions, mutation, or anything fancy.
+ * ok is false when there is at least one error; error/path repeat the
+ * first error for callers that only show one.
+ * @param {any} t
+ * @returns {{ ok: boolean, error: string|null, path: (string|number)[]|null, problems: TemplateProblem[] }}
+ */
+function validateTemplate(t) {
+  /** @type {TemplateProblem[]} */
+  const problems = [];
+  const report = (severity, path, message) =>
+    problems.push({ severity, message, path, at: formatTemplatePath(path) });
+  const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+  const isNonEmptyString = (v) => typeof v === 'string' && v.trim() !== '';
+
+  const checkKeys = (obj, known, path) => {
+    for (const key of Object.keys(obj)) {
+      if (known.includes(key)) continue;
+      const guess = suggestKnownKey(key, known);
+      report(
+        'warning',
+        [...path, key],
+        `Unknown key "${key}" is ignored${
+          guess ? ` (did you mean "${guess}"?)` : ''
+        }.`
+      );
+    }
+  };
 
-        if (names.length) {
-          val = names.join(', ');
-          break;
-        }
+  if (!isObject(t)) {
+    report('error', [], 'Template must be a JSON object.');
+    return summarizeTemplateProblems(problems);
+  }
+  checkKeys(t, TEMPLATE_KNOWN_KEYS.template, []);
+
+  if (t.templateVersion !== 1) {
+    report('error', ['templateVersion'], 'templateVersion must be 1.');
+  }
+  if (!isNonEmptyString(t.templateName)) {
+    report(
+      'error',
+      ['templateName'],
+      'templateName must be a non-empty string.'
+    );
+  }
+
+  if (!Array.isArray(t.layout)) {
+    report('error', ['layout'], 'layout must be an array of sections.');
+  } else {
+    for (const [si, section] of t.layout.entries()) {
+      const sp = ['layout', si];
+      if (!isObject(section)) {
+        report('error', sp, 'Each section must be an object.');
+        continue;
+      }
+      checkKeys(section, TEMPLATE_KNOWN_KEYS.section, sp);
+      if (!isNonEmptyString(section.section)) {
+        report('error', [...sp, 'section'], 'section must be a string.');
+      }
+      if (!Array.isArray(section.fields)) {
+        report('error', [...sp, 'fields'], 'fields must be an array.');
         continue;
       }
+      for (const [fi, f] of section.fields.entries()) {
+        validateTemplateField(f, [...sp, 'fields', fi], report, checkKeys);
+      }
+    }
+  }
 
-      // Handle text value
-      if (v != null && String(v).trim() !== '') {
-        val = v;
-        break;
+  // Optional blocks: match, recordLabel
+  if (t.match != null) {
+    const m = t.match;
+    if (!isObject(m)) {
+      report('error', ['match'], 'match must be an object if provided.');
+    } else {
+      checkKeys(m, TEMPLATE_KNOWN_KEYS.match, ['match']);
+      if (m.requiredKeys != null && !Array.isArray(m.requiredKeys)) {
+        report(
+          'error',
+          ['match', 'requiredKeys'],
+          'match.requiredKeys must be an array if provided.'
+        );
+      } else if (Array.isArray(m.requiredKeys)) {
+        m.requiredKeys.forEach((k, i) => {
+          if (!isNonEmptyString(k)) {
+            report(
+              'warning',
+              ['match', 'requiredKeys', i],
+              'Required keys must be non-empty strings; this one is skipped.'
+            );
+          } else {
+            checkPathSyntax(k, ['match', 'requiredKeys', i], report);
+          }
+        });
+      }
+      if (m.typeField != null && typeof m.typeField !== 'string') {
+        report(
+          'warning',
+          ['match', 'typeField'],
+          'match.typeField must be a string (or null); type matching is off.'
+        );
+      } else if (isNonEmptyString(m.typeField)) {
+        checkPathSyntax(m.typeField, ['match', 'typeField'], report);
+      }
+      if (m.typeValue != null && isContainer(m.typeValue)) {
+        report(
+          'warning',
+          ['match', 'typeValue'],
+          'match.typeValue must be a string, number or boolean.'
+        );
+      }
+      if (isNonEmptyString(m.typeField) && m.typeValue == null) {
+        report(
+          'warning',
+          ['match', 'typeField'],
+          'match.typeField has no typeValue, so it is not checked.'
+        );
       }
     }
+  }
 
-    const finalText =
-      val == null || String(val).trim() === ''
-        ? showEmpty
-          ? emptyText
-          : ''
-        : String(val);
+  if (t.recordLabel != null) {
+    const rl = t.recordLabel;
+    if (!isObject(rl)) {
+      report(
+        'error',
+        ['recordLabel'],
+        'recordLabel must be an object if provided.'
+      );
+    } else {
+      checkKeys(rl, TEMPLATE_KNOWN_KEYS.recordLabel, ['recordLabel']);
+      if (rl.fallback != null && typeof rl.fallback !== 'string') {
+        report(
+          'warning',
+          ['recordLabel', 'fallback'],
+          'recordLabel.fallback must be a string; "Record {n}" is used.'
+        );
+      }
+      if (rl.fields != null && !Array.isArray(rl.fields)) {
+        report(
+          'error',
+          ['recordLabel', 'fields'],
+          'recordLabel.fields must be an array if provided.'
+        );
+      } else if (Array.isArray(rl.fields)) {
+        rl.fields.forEach((f, i) => {
+          const fp = ['recordLabel', 'fields', i];
+          if (!isObject(f)) {
+            report('warning', fp, 'Label fields must be objects; skipped.');
+            return;
+          }
+          checkKeys(f, TEMPLATE_KNOWN_KEYS.labelField, fp);
+          if (!isNonEmptyString(f.path)) {
+            report('warning', [...fp, 'path'], 'path is missing; skipped.');
+          } else {
+            checkPathSyntax(f.path, [...fp, 'path'], report);
+          }
+          for (const key of ['maxLen', 'lastChars']) {
+            if (f[key] != null && !(Number.isFinite(f[key]) && f[key] >= 1)) {
+              report(
+                'warning',
+                [...fp, key],
+                `${key} must be a number of at least 1; it is ignored.`
+              );
+            }
+          }
+          for (const key of ['prefix', 'suffix']) {
+            if (f[key] != null && typeof f[key] !== 'string') {
+              report(
+                'warning',
+                [...fp, key],
+                `${key} must be a string; it is ignored.`
+              );
+            }
+          }
+        });
+      }
+    }
+  }
 
-    if (!finalText) continue;
+  return summarizeTemplateProblems(problems);
+}
 
-    rows.push(
-      [
-        `<div class="kvlist-row">`,
-        `<div class="kvlist-k" title="${escapeHtml(key)}">${escapeHtml(
-          key
-        )}</div>`,
-        `<div class="kvlist-v${
-          finalText === emptyText ? ' is-empty' : ''
-        }">${escapeHtml(finalText)}</div>`,
-        `</div>`,
-      ].join('')
+/**
+ * Warn about brackets in a path that are not [0], [*] or an exact-match
+ * selector like [Name="Building"] (they are read as plain keys instead).
+ * @param {string} path
+ * @param {(string|number)[]} at
+ * @param {(severity: 'error'|'warning', path: (string|number)[], message: string) => void} report
+ */
+function checkPathSyntax(path, at, report) {
+  for (const inner of parsePathSteps(path).invalid) {
+    report(
+      'warning',
+      at,
+      `[${inner}] is not an index, [*] or a selector like [Name="Building"] (quoted text, a number, true, false or null); it is read as a key.`
     );
-
-    if (rows.length >= maxItems) break;
   }
-
-  if (!rows.length) return '';
-  return `<div class="kvlist">${rows.join('')}</div>`;
 }
 
 /**
- * Render an array-of-objects as key/value rows inside a single template field.
- * Designed for NFK CustomAttributes where each item has Name + (TextValue or PredefinedValues).
- *
- * @param {any} arrValue
- * @param {{
- *   itemKeyPath?: string,
- *   valuePaths?: string[],
- *   maxItems?: number,
- *   showEmpty?: boolean,
- *   emptyText?: string
- * }=} cfg
- * @returns {string} HTML (safe, generated by us)
+ * Check one layout field: required path/label, known format, kvlist options.
+ * @param {any} f
+ * @param {(string|number)[]} fp
+ * @param {(severity: 'error'|'warning', path: (string|number)[], message: string) => void} report
+ * @param {(obj: any, known: string[], path: (string|number)[]) => void} checkKeys
  */
-function renderKvListValue(arrValue, cfg) {
-  if (!Array.isArray(arrValue) || arrValue.length === 0) return '';
-
-  const c = cfg || {};
-  const itemKeyPath = String(c.itemKeyPath || 'Name').trim() || 'Name';
-
-  const valuePaths =
-    Array.isArray(c.valuePaths) && c.valuePaths.length
-      ? c.valuePaths.map((p) => String(p || '').trim()).filter(Boolean)
-      : ['TextValue', 'PredefinedValues.Name', 'PredefinedValues[0].Name'];
-
-  const maxItems = Number.isFinite(c.maxItems)
-    ? Math.max(1, Math.floor(c.maxItems))
-    : 6;
-
-  const showEmpty = Boolean(c.showEmpty);
-  const emptyText =
-    typeof c.emptyText === 'string' && c.emptyText.trim()
-      ? c.emptyText.trim()
-      : '(empty)';
+function validateTemplateField(f, fp, report, checkKeys) {
+  if (!f || typeof f !== 'object' || Array.isArray(f)) {
+    report('error', fp, 'Each field must be an object.');
+    return;
+  }
+  checkKeys(f, TEMPLATE_KNOWN_KEYS.field, fp);
 
-  const rows = [];
+  if (typeof f.path !== 'string' || !f.path.trim()) {
+    report('error', [...fp, 'path'], 'path must be a string.');
+  } else {
+    checkPathSyntax(f.path, [...fp, 'path'], report);
+  }
+  if (typeof f.label !== 'string' || !f.label.trim()) {
+    report('error', [...fp, 'label'], 'label must be a string.');
+  }
 
-  for (const item of arrValue) {
-    if (!item || typeof item !== 'object' || Array.isArray(item)) continue;
+  const format = f.format == null ? 'text' : f.format;
+  if (
+    typeof format !== 'string' ||
+    !TEMPLATE_FORMATS.includes(format.trim().toLowerCase())
+  ) {
+    report(
+      'warning',
+      [...fp, 'format'],
+      `Unknown format ${JSON.stringify(
+        format
+      )}; shown as text. Formats: ${TEMPLATE_FORMATS.join(', ')}.`
+    );
+  }
 
-    const kRaw = getValueAtPath(item, itemKeyPath);
-    const key = kRaw == null ? '' : String(kRaw).trim();
-    if (!key) continue;
+  const isKvList =
+    typeof format === 'string' && format.trim().toLowerCase() === 'kvlist';
+  const optionProblem = {
+    itemKeyPath: (v) => typeof v !== 'string' || !v.trim(),
+    valuePaths: (v) =>
+      !Array.isArray(v) || v.some((p) => typeof p !== 'string' || !p.trim()),
+    maxItems: (v) => !Number.isFinite(v) || v < 1,
+    showEmpty: (v) => typeof v !== 'boolean',
+    emptyText: (v) => typeof v !== 'string',
+  };
+  const optionExpected = {
+    itemKeyPath: 'a path string',
+    valuePaths: 'an array of path strings',
+    maxItems: 'a number of at least 1',
+    showEmpty: 'true or false',
+    emptyText: 'a string',
+  };
 
-    let val = null;
+  for (const key of KVLIST_OPTION_KEYS) {
+    if (!(key in f)) continue;
+    if (!isKvList) {
+      report(
+        'warning',
+        [...fp, key],
+        `${key} only applies to format "kvlist"; it is ignored.`
+      );
+    } else if (optionProblem[key](f[key])) {
+      report(
+        'warning',
+        [...fp, key],
+        `${key} must be ${optionExpected[key]}; the default is used.`
+      );
+    }
+  }
+}
 
-    for (const vp of valuePaths) {
-      const v = getValueAtPath(item, vp);
+/**
+ * Result of validateTemplate from its problem list.
+ * @param {TemplateProblem[]} problems
+ */
+function summarizeTemplateProblems(problems) {
+  const first = problems.find((p) => p.severity === 'error') || null;
+  return {
+    ok: !first,
+    error: first ? first.message : null,
+    path: first ? first.path : null,
+    problems,
+  };
+}
 
-      // If path returns an array (e.g., PredefinedValues), join names.
-      if (Array.isArray(v)) {
-        const names = v
-          .map((x) => (x && typeof x === 'object' ? x.Name ?? x.name : x))
-          .filter((x) => x != null)
-          .map((x) => String(x).trim())
-          .filter(Boolean);
+/**
+ * Template location as text: ['layout', 0, 'fields', 2] -> layout[0].fields[2]
+ * @param {(string|number)[]} path
+ */
+function formatTemplatePath(path) {
+  return path
+    .map((seg, i) =>
+      typeof seg === 'number' ? `[${seg}]` : i === 0 ? seg : `.${seg}`
+    )
+    .join('');
+}
 
-        if (names.length) {
-          val = names.join(', ');
-          break;
-        }
-        continue;
-      }
+/**
+ * Closest known key for a probable typo ("lable" -> "label"), or null.
+ * @param {string} key
+ * @param {string[]} known
+ */
+function suggestKnownKey(key, known) {
+  const lower = key.toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+  for (const k of known) {
+    if (k.toLowerCase() === lower) return k;
+    const d = editDistance(lower, k.toLowerCase());
+    if (d < bestDistance) {
+      bestDistance = d;
+      best = k;
+    }
+  }
+  return bestDistance <= Math.max(1, Math.floor(key.length / 3)) ? best : null;
+}
 
-      if (v != null && String(v).trim() !== '') {
-        val = v;
-        break;
+/**
+ * Edit distance: insert, delete, replace, or swap two neighbouring
+ * characters ("lable" -> "label") = 1 each.
+ * @param {string} a
+ * @param {string} b
+ */
+function editDistance(a, b) {
+  if (a === b) return 0;
+  let before = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        prev[j] + 1,
+        row[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], before[j - 2] + 1);
       }
     }
+    before = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
 
-    const finalText =
-      val == null || String(val).trim() === ''
-        ? showEmpty
-          ? emptyText
-          : ''
-        : String(val);
-
-    if (!finalText) continue;
+/**
+ * @typedef {TemplateProblem & { line: number, column: number }} TemplateTextProblem
+ */
 
-    rows.push(
-      `<div class="kvlist-row">` +
-        `<div class="kvlist-k" title="${escapeHtml(key)}">${escapeHtml(
-          key
-        )}</div>` +
-        `<div class="kvlist-v${
-          finalText === emptyText ? ' is-empty' : ''
-        }">${escapeHtml(finalText)}</div>` +
-        `</div>`
-    );
+/**
+ * Parse (JSONC) and validate template text.
+ * Problems carry the line/column they point at; template is null when
+ * any of them is an error.
+ * @param {string} text
+ * @returns {{ template: any, problems: TemplateTextProblem[] }}
+ */
+function checkTemplateText(text) {
+  const stripped = stripJsoncComments(text);
 
-    if (rows.length >= maxItems) break;
+  let parsed;
+  try {
+    parsed = JSON.parse(stripped);
+  } catch (err) {
+    const loc = locateJsonError(stripped) || {
+      ...offsetToLineColumn(stripped, stripped.length),
+      message: err instanceof Error ? err.message : 'Invalid JSON',
+    };
+    return {
+      template: null,
+      problems: [
+        {
+          severity: 'error',
+          message: `Invalid JSON: ${loc.message}`,
+          path: [],
+          at: '',
+          line: loc.line,
+          column: loc.column,
+        },
+      ],
+    };
   }
 
-  if (!rows.length) return '';
-  return `<div class="kvlist">${rows.join('')}</div>`;
+  const v = validateTemplate(parsed);
+  const problems = v.problems
+    .map((p) => ({
+      ...p,
+      ...offsetToLineColumn(stripped, findJsonPathOffset(stripped, p.path)),
+    }))
+    .sort((a, b) => a.line - b.line || a.column - b.column);
+
+  return { template: v.ok ? parsed : null, problems };
 }
 
 /**
- * Render an array-of-objects as key/value rows inside a single template field.
- * Designed for things like NFK CustomAttributes where shape varies by project.
- *
- * Supports showing empty values when showEmpty is true.
- *
- * @param {any} arrValue
- * @param {{
- *   itemKeyPath?: string,
- *   valuePaths?: string[],
- *   maxItems?: number,
- *   showEmpty?: boolean,
- *   emptyText?: string
- * }=} cfg
- * @returns {string} HTML (safe, generated by us)
+ * Offset of a key/index path inside valid JSON text: the property name for
+ * object keys, the value for array items. Stops at the deepest part of the
+ * path that exists (a missing key points at its parent).
+ * @param {string} text
+ * @param {(string|number)[]} path
  */
-function renderKvListValue(arrValue, cfg) {
-  if (!Array.isArray(arrValue) || arrValue.length === 0) return '';
+function findJsonPathOffset(text, path) {
+  let i = 0;
 
-  const c = cfg || {};
-  const itemKeyPath = String(c.itemKeyPath || 'Name').trim() || 'Name';
+  const skipWs = () => {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  };
+  const skipString = () => {
+    i++;
+    while (i < text.length && text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+    i++;
+  };
+  const skipValue = () => {
+    skipWs();
+    if (text[i] === '"') return skipString();
+    if (text[i] !== '{' && text[i] !== '[') {
+      while (i < text.length && !/[\s,}\]]/.test(text[i])) i++;
+      return;
+    }
+    let depth = 0;
+    while (i < text.length) {
+      const c = text[i];
+      if (c === '"') {
+        skipString();
+        continue;
+      }
+      i++;
+      if (c === '{' || c === '[') depth++;
+      else if ((c === '}' || c === ']') && --depth === 0) return;
+    }
+  };
 
-  // Default: NFK-style (text OR predefined dropdown names)
-  const valuePaths =
-    Array.isArray(c.valuePaths) && c.valuePaths.length
-      ? c.valuePaths.map((p) => String(p || '').trim()).filter(Boolean)
-      : ['TextValue', 'PredefinedValues.Name', 'PredefinedValues[0].Name'];
+  skipWs();
+  let found = i;
 
-  const maxItems = Number.isFinite(c.maxItems)
-    ? Math.max(1, Math.floor(c.maxItems))
-    : 6;
+  for (const seg of path) {
+    skipWs();
 
-  // New: show empties
-  const showEmpty = Boolean(c.showEmpty);
-  const emptyText =
-    typeof c.emptyText === 'string' && c.emptyText.trim()
-      ? c.emptyText.trim()
-      : '(empty)';
+    if (typeof seg === 'number' && text[i] === '[') {
+      i++;
+      for (let n = 0; n < seg; n++) {
+        skipValue();
+        skipWs();
+        if (text[i] !== ',') return found;
+        i++;
+      }
+      skipWs();
+      if (text[i] === ']') return found;
+      found = i;
+      continue;
+    }
 
-  const rows = [];
+    if (typeof seg === 'string' && text[i] === '{') {
+      i++;
+      let hit = false;
+      while (!hit) {
+        skipWs();
+        if (text[i] !== '"') return found;
+        const keyStart = i;
+        skipString();
+        const key = JSON.parse(text.slice(keyStart, i));
+        skipWs();
+        i++; // ':'
+        if (key === seg) {
+          found = keyStart;
+          hit = true;
+          continue;
+        }
+        skipValue();
+        skipWs();
+        if (text[i] !== ',') return found;
+        i++;
+      }
+      continue;
+    }
 
-  for (const item of arrValue) {
-    if (!item || typeof item !== 'object' || Array.isArray(item)) continue;
+    return found;
+  }
 
-    const kRaw = getValueAtPath(item, itemKeyPath);
-    const key = kRaw == null ? '' : String(kRaw).trim();
-    if (!key) continue;
+  return found;
+}
 
-    // Find first “real” value using the configured paths.
-    let val = null;
+/**
+ * Add template files to state.
+ * Accepts .json and .jsonc. Invalid templates are ignored with console warnings.
+ * @param {File[]} files
+ */
+async function addTemplateFiles(files) {
+  const candidates = files.filter((f) => {
+    const n = f.name.toLowerCase();
+    return (
+      n.endsWith('.json') ||
+      n.endsWith('.jsonc') ||
+      f.type === 'application/json'
+    );
+  });
 
-    for (const vp of valuePaths) {
-      const v = getValueAtPath(item, vp);
+  if (!candidates.length) return;
 
-      // Special handling: arrays like PredefinedValues (could be 0..n)
-      if (Array.isArray(v)) {
-        const names = v
-          .map((x) => (x && typeof x === 'object' ? x.Name ?? x.name : x))
-          .filter((x) => x != null)
-          .map((x) => String(x).trim())
-          .filter(Boolean);
+  // Files with problems (rejected, or loaded with warnings)
+  /** @type {{ fileName: string, rejected: boolean, problems: Partial<TemplateTextProblem>[] }[]} */
+  const reports = [];
 
-        if (names.length) {
-          val = names.join(', ');
-          break;
-        }
+  for (const f of candidates) {
+    try {
+      const raw = await f.text();
+      const { template: parsed, problems } = checkTemplateText(raw);
+
+      if (problems.length) {
+        reports.push({ fileName: f.name, rejected: !parsed, problems });
+      }
+      if (!parsed) {
+        const first = problems.find((p) => p.severity === 'error');
+        console.warn(
+          `JTF: Template rejected (${f.name}): ${first ? first.message : ''}`
+        );
         continue;
       }
 
-      if (v != null && String(v).trim() !== '') {
-        val = v;
-        break;
+      const id = newTemplateId();
+      state.templates.push({
+        id,
+        name: String(parsed.templateName),
+        rawText: raw,
+        template: parsed,
+        sourceFileName: f.name,
+      });
+
+      // If nothing active yet, set the first valid one
+      if (!state.activeTemplateId) {
+        state.activeTemplateId = id;
       }
+    } catch (err) {
+      console.warn(`JTF: Template failed to load (${f.name}):`, err);
+      reports.push({
+        fileName: f.name,
+        rejected: true,
+        problems: [{ severity: 'error', message: 'Could not read this file.' }],
+      });
+      continue;
     }
+  }
+
+  state.templateReport = reports;
+  renderTemplateReport();
+  renderTemplateSelect();
+}
 
-    // New behavior: show empty if enabled
-    const finalText =
-      val == null || String(val).trim() === ''
-        ? showEmpty
-          ? emptyText
+/**
+ * Problems as a list: location (and line) first, then the message.
+ * @param {Partial<TemplateTextProblem>[]} problems
+ */
+function renderTemplateProblemList(problems) {
+  if (!problems.length) return '';
+
+  const items = problems.map((p) => {
+    const where = [p.at, p.line ? `line ${p.line}` : '']
+      .filter(Boolean)
+      .join(' · ');
+    return `<li class="template-problem is-${p.severity}">
+      <span class="template-problem-kind">${
+        p.severity === 'error' ? 'Error' : 'Warning'
+      }</span>
+      ${
+        where
+          ? `<span class="template-problem-at">${escapeHtml(where)}</span>`
           : ''
-        : String(val);
+      }
+      <span class="template-problem-message">${escapeHtml(p.message)}</span>
+    </li>`;
+  });
 
-    if (!finalText) continue;
+  return `<ul class="template-problems">${items.join('')}</ul>`;
+}
 
-    rows.push(
-      `<div class="kvlist-row">` +
-        `<div class="kvlist-k" title="${escapeHtml(key)}">${escapeHtml(
-          key
-        )}</div>` +
-        `<div class="kvlist-v${
-          finalText === emptyText ? ' is-empty' : ''
-        }">${escapeHtml(finalText)}</div>` +
-        `</div>`
-    );
+/** Show (or hide) the report of the last template upload. */
+function renderTemplateReport() {
+  if (!els.templateReport) return;
 
-    if (rows.length >= maxItems) break;
+  const reports = state.templateReport;
+  els.templateReport.hidden = !reports.length;
+  if (!reports.length) {
+    els.templateReport.innerHTML = '';
+    return;
   }
 
-  if (!rows.length) return '';
+  const files = reports.map((r) => {
+    const errors = r.problems.filter((p) => p.severity === 'error').length;
+    const warnings = r.problems.length - errors;
+    const counts = [
+      errors ? `${errors} error${errors === 1 ? '' : 's'}` : '',
+      warnings ? `${warnings} warning${warnings === 1 ? '' : 's'}` : '',
+    ]
+      .filter(Boolean)
+      .join(', ');
 
-  return `<div class="kvlist">${rows.join('')}</div>`;
-}
+    return `
+      <details class="template-report-file" open>
+        <summary>
+          <span class="template-report-status ${
+            r.rejected ? 'is-error' : 'is-warning'
+          }">${r.rejected ? 'Not loaded' : 'Loaded'}</span>
+          ${escapeHtml(
+            r.fileName
+          )} <span class="template-report-counts">(${counts})</span>
+        </summary>
+        ${renderTemplateProblemList(r.problems)}
+      </details>
+    `;
+  });
 
-/**
- * Render an array-of-objects as key/value rows inside a single template field.
- * Designed for things like NFK CustomAttributes where shape varies by project.
- *
- * @param {any} arrValue
- * @param {{
- *   itemKeyPath?: string,
- *   valuePaths?: string[],
- *   maxItems?: number
- * }=} cfg
- * @returns {string} HTML (safe, generated by us)
- */
-function renderKvListValue(arrValue, cfg) {
-  if (!Array.isArray(arrValue) || arrValue.length === 0) return '';
+  els.templateReport.innerHTML = `
+    <div class="template-report-head">
+      <span>Template check</span>
+      <button class="mini-btn" type="button" data-template-report-close="true">Dismiss</button>
+    </div>
+    ${files.join('')}
+  `;
+}
 
-  const c = cfg || {};
-  const itemKeyPath = String(c.itemKeyPath || 'Name').trim() || 'Name';
+/** Refresh the Template dropdown UI from state. */
+function renderTemplateSelect() {
+  if (!els.templateSelect) return;
+  scheduleWorkspaceSave();
 
-  // Default: NFK-style (text OR predefined dropdown names)
-  const valuePaths =
-    Array.isArray(c.valuePaths) && c.valuePaths.length
-      ? c.valuePaths.map((p) => String(p || '').trim()).filter(Boolean)
-      : ['TextValue', 'PredefinedValues.Name', 'PredefinedValues[0].Name'];
+  const hasAny = state.templates.length > 0;
+  els.templateSelect.disabled = !hasAny;
 
-  const maxItems = Number.isFinite(c.maxItems) ? Math.max(1, c.maxItems) : 6;
+  const options = [
+    `<option value="">None</option>`,
 
-  const rows = [];
+    // Only show Auto if there is at least one uploaded template
+    ...(hasAny
+      ? [
+          `<option value="${TEMPLATE_AUTO_ID}">Auto (best match per record)</option>`,
+        ]
+      : []),
 
-  for (const item of arrValue) {
-    if (!item || typeof item !== 'object' || Array.isArray(item)) continue;
+    ...state.templates.map((t) => {
+      const label = `${t.name} (${t.sourceFileName})`;
+      return `<option value="${escapeHtml(t.id)}">${escapeHtml(
+        label
+      )}</option>`;
+    }),
+  ].join('');
 
-    const kRaw = getValueAtPath(item, itemKeyPath);
-    const key = kRaw == null ? '' : String(kRaw).trim();
-    if (!key) continue;
+  els.templateSelect.innerHTML = options;
+  els.templateSelect.value = state.activeTemplateId || '';
+}
 
-    // Find first “real” value using the configured paths.
-    let val = null;
+/* ------------------------------------------------------------
+    Template system (parse, validate, match, apply)
+------------------------------------------------------------ */
 
-    for (const vp of valuePaths) {
-      const v = getValueAtPath(item, vp);
+/**
+ * Return the explicitly selected template registry entry (not “Auto”).
+ * @returns {{ id: string, name: string, rawText: string, template: any, sourceFileName: string } | null}
+ */
+function getExplicitActiveTemplate() {
+  const id = state.activeTemplateId;
+  if (!id) return null;
+  if (id === TEMPLATE_AUTO_ID) return null;
+  return state.templates.find((t) => t.id === id) || null;
+}
 
-      // Special handling: arrays like PredefinedValues (could be 0..n)
-      if (Array.isArray(v)) {
-        const names = v
-          .map((x) => (x && typeof x === 'object' ? x.Name ?? x.name : x))
-          .filter((x) => x != null)
-          .map((x) => String(x).trim())
-          .filter(Boolean);
+/**
+ * Compute a “best match” template for a specific record.
+ *
+ * Strategy (simple + predictable):
+ * 1) Only consider templates that pass templateMatchesRecord().
+ * 2) Prefer templates that actually “hit” more fields (countTemplateFieldHits).
+ * 3) Break ties by “specificity” (more requiredKeys, then typeField present).
+ *
+ * Guardrail:
+ * - If a template matches but hits 0 fields, we do NOT auto-apply it.
+ *
+ * @param {any} record
+ * @returns {{ entry: any, templateObj: any } | null}
+ */
+function getBestTemplateForRecord(record) {
+  if (!record || typeof record !== 'object') return null;
+  if (!state.templates.length) return null;
 
-        if (names.length) {
-          val = names.join(', ');
-          break;
-        }
-        continue;
-      }
+  let best = null;
+  let bestScore = -1;
 
-      if (v != null && String(v).trim() !== '') {
-        val = v;
-        break;
-      }
-    }
+  for (const entry of state.templates) {
+    const tpl = entry.template;
 
-    if (val == null || String(val).trim() === '') continue;
+    // Must pass match rules first
+    if (!templateMatchesRecord(tpl, record)) continue;
 
-    rows.push(
-      `<div class="kvlist-row">` +
-        `<div class="kvlist-k">${escapeHtml(key)}</div>` +
-        `<div class="kvlist-v">${escapeHtml(String(val))}</div>` +
-        `</div>`
+    // Must actually have useful fields on this record
+    const hits = countTemplateFieldHits(tpl, record);
+    if (hits <= 0) continue;
+
+    const m = tpl && typeof tpl === 'object' ? tpl.match : null;
+    const requiredKeysCount =
+      m && Array.isArray(m.requiredKeys)
+        ? m.requiredKeys.filter(Boolean).length
+        : 0;
+    const hasTypeField = Boolean(
+      m && typeof m.typeField === 'string' && m.typeField.trim()
     );
 
-    if (rows.length >= maxItems) break;
-  }
+    // Score: hits dominate, then specificity
+    const score =
+      hits * 1000 + requiredKeysCount * 10 + (hasTypeField ? 100 : 0);
 
-  if (!rows.length) return '';
+    if (score > bestScore) {
+      bestScore = score;
+      best = { entry, templateObj: tpl };
+    }
+  }
 
-  return `<div class="kvlist">${rows.join('')}</div>`;
+  return best;
 }
 
 /**
- * Render values safely. Arrays and objects are collapsed by default if collapsible is true.
- * @param {any} value
- * @param {{ collapsible?: boolean, link?: boolean, rich?: boolean }=} opts
+ * Resolve the template to use for a given record, based on the template dropdown.
+ * - None: null
+ * - Explicit template: only if it matches the record
+ * - Auto: best match for this record
+ *
+ * @param {any} record
+ * @returns {{ entry: any, templateObj: any } | null}
  */
-function renderValue(value, opts) {
-  const o = opts || {};
-
-  if (value == null) return `<span class="badge">null</span>`;
+function getTemplateForRecord(record) {
+  const sel = state.activeTemplateId;
 
-  // If link option is set and it looks like a URL, make it clickable
-  if (o.link && typeof value === 'string' && looksLikeUrl(value)) {
-    return `<a href="${escapeHtml(
-      value
-    )}" target="_blank" rel="noreferrer">${escapeHtml(value)}</a>`;
-  }
+  // None selected
+  if (!sel) return null;
 
-  // Rich text: preserve line breaks, but still escape HTML
-  if (o.rich && typeof value === 'string') {
-    return escapeHtml(value);
+  // Auto
+  if (sel === TEMPLATE_AUTO_ID) {
+    return getBestTemplateForRecord(record);
   }
 
-  // Primitive types
-  if (typeof value === 'string') return escapeHtml(value);
-  if (typeof value === 'number' || typeof value === 'boolean')
-    return escapeHtml(String(value));
+  // Explicit
+  const explicit = getExplicitActiveTemplate();
+  if (!explicit) return null;
 
-  // Arrays
-  if (Array.isArray(value)) {
-    const isEmpty = value.length === 0;
-    const emptyClass = isEmpty ? ' is-empty-array' : '';
+  const tplObj = explicit.template;
+  if (!templateMatchesRecord(tplObj, record)) return null;
 
-    // Non-collapsible arrays are printed as JSON text
-    if (!o.collapsible) {
-      return escapeHtml(JSON.stringify(value, null, 2));
-    }
+  // Even for explicit selection, we keep your existing behavior:
+  // if it matches but has 0 hits, the renderer will show the friendly hint + fallback.
+  return { entry: explicit, templateObj: tplObj };
+}
 
-    // Keep preview short and optional
-    const previewCount = Math.min(3, value.length);
-    const preview = previewCount ? buildArrayPreview(value, previewCount) : '';
+/**
+ * Returns true if a template "matches" a record.
+ * v1 rules (simple + predictable):
+ * - requiredKeys: every key must exist on the record (top-level keys, or
+ *   paths such as "CustomAttributes[Name=\"Building\"]")
+ * - typeField/typeValue: if both are set, the value at typeField must equal
+ *   typeValue (any value, for a [*] path)
+ *
+ * @param {any} tpl
+ * @param {any} record
+ */
+function templateMatchesRecord(tpl, record) {
+  if (!tpl || typeof tpl !== 'object') return false;
+  if (!record || typeof record !== 'object') return false;
 
-    // Build markup with string joining so we do NOT emit newline/indent whitespace nodes.
-    // This matters because .kv .v uses white-space: pre-wrap, which will preserve those.
-    const parts = [
-      `<div data-value-collapsible="true" data-open="false" class="value-array${emptyClass}">`,
-      `<button class="mini-btn" type="button" data-toggle-value="true">`,
-      isEmpty ? `Expand array (0)` : `Expand array (${value.length})`,
-      `</button>`,
-    ];
+  const m = tpl.match;
+  if (!m || typeof m !== 'object') return true; // no match block means "apply broadly"
 
-    // Only show preview for non-empty arrays (empty previews add visual noise)
-    if (!isEmpty) {
-      parts.push(
-        `<span class="array-preview">`,
-        `Preview: ${escapeHtml(preview)}${
-          value.length > previewCount ? ', …' : ''
-        }`,
-        `</span>`
-      );
+  // requiredKeys: top-level keys first, so keys that contain dots still work
+  if (Array.isArray(m.requiredKeys) && m.requiredKeys.length) {
+    for (const k of m.requiredKeys) {
+      if (typeof k !== 'string' || !k.trim()) continue;
+      if (getMatchValue(record, k) === undefined) return false;
     }
+  }
 
-    parts.push(
-      `<div data-value-body="true" style="display:none; margin-top:10px;">`,
-      renderArrayAsList(value, o.path || '$'),
-      `</div>`,
-      `</div>`
-    );
+  // typeField/typeValue: optional
+  if (
+    typeof m.typeField === 'string' &&
+    m.typeField.trim() &&
+    m.typeValue != null
+  ) {
+    const field = m.typeField.trim();
+    const expected = String(m.typeValue).trim();
+    const actual = getMatchValue(record, field);
 
-    return parts.join('');
-  }
+    if (actual == null) return false;
 
-  // Objects
-  if (typeof value === 'object') {
-    if (!o.collapsible) {
-      return escapeHtml(JSON.stringify(value, null, 2));
+    const values =
+      isProjectionPath(field) && Array.isArray(actual) ? actual : [actual];
+    if (!values.some((v) => v != null && String(v).trim() === expected)) {
+      return false;
     }
+  }
 
-    const keys = Object.keys(value);
-    const preview = buildObjectPreview(value, 3);
+  return true;
+}
 
-    // Same strategy as arrays: no newline/indent whitespace nodes.
-    return [
-      `<div data-value-collapsible="true" data-open="false" class="value-object">`,
-      `<button class="mini-btn" type="button" data-toggle-value="true">Expand object (${keys.length} keys)</button>`,
-      `<span class="object-preview">Preview: ${escapeHtml(preview)}</span>`,
-      `<div data-value-body="true" style="display:none; margin-top:10px;">`,
-      renderObjectAsKv(value, o.path || '$'),
-      `</div>`,
-      `</div>`,
-    ].join('');
-  }
+/**
+ * Value a match rule checks: the top-level key when the record has it
+ * (even "@odata.type"), otherwise the key read as a template path.
+ * @param {any} record
+ * @param {string} key
+ */
+function getMatchValue(record, key) {
+  if (Object.prototype.hasOwnProperty.call(record, key)) return record[key];
+  return getTemplateValue(record, key);
+}
 
-  // Anything else
-  return escapeHtml(String(value));
+/* ------------------------------------------------------------
+    Record actions (Records mode toolbar above the record view)
+------------------------------------------------------------ */
+
+function renderRecordActions() {
+  const hasTemplate = Boolean(state.activeTemplateId);
+  const designing = isDesignerOpen();
+  const editing = isTemplateEditorOpen();
+  const exportTitle = hasTemplate
+    ? 'One row per record, one column per template field label'
+    : 'Pick a template (or Auto) first';
+
+  return `
+    <div class="record-actions" role="toolbar" aria-label="Record actions">
+      <span class="record-actions-label">Print</span>
+      <button class="mini-btn" type="button" data-print="record" title="Print this record (or save it as PDF)">This record</button>
+      <button class="mini-btn" type="button" data-print="all" title="Print every record in the file, one per page">All records</button>
+      <span class="record-actions-label">Share</span>
+      <button class="mini-btn" type="button" data-record-share="markdown" title="Copy this record as Markdown (for tickets, emails, wikis)">Copy as Markdown</button>
+      <button class="mini-btn" type="button" data-record-share="html" title="Download this record as a single HTML file that opens offline">Download HTML</button>
+      <span class="record-actions-label">Template table</span>
+      <button class="mini-btn" type="button" data-template-export="csv" title="${exportTitle}"${
+    hasTemplate ? '' : ' disabled'
+  }>CSV</button>
+      <button class="mini-btn" type="button" data-template-export="xlsx" title="${exportTitle}"${
+    hasTemplate ? '' : ' disabled'
+  }>Excel</button>
+      <span class="record-actions-label">Template</span>
+      <button class="mini-btn${
+        designing ? ' is-active' : ''
+      }" type="button" data-designer-toggle="true" aria-pressed="${designing}" title="Build a template by clicking fields in this record">Design</button>
+      <button class="mini-btn${
+        editing ? ' is-active' : ''
+      }" type="button" data-editor-toggle="true" aria-pressed="${editing}" title="${
+    state.templates.length
+      ? 'Edit the selected template and see this record change as you type'
+      : 'Upload or design a template first'
+  }"${state.templates.length ? '' : ' disabled'}>Edit</button>
+      <button class="mini-btn${
+        isCoverageOpen() ? ' is-active' : ''
+      }" type="button" data-coverage-toggle="true" aria-pressed="${isCoverageOpen()}" title="${
+    state.templates.length
+      ? 'How often each template path resolves across every record in this file'
+      : 'Upload or design a template first'
+  }"${state.templates.length ? '' : ' disabled'}>Coverage</button>
+    </div>
+  `;
 }
 
-function buildArrayPreview(arr, previewCount) {
-  if (!Array.isArray(arr) || arr.length === 0) return '(empty)';
+/** @param {LoadedFile} lf */
+function wireRecordActions(lf) {
+  els.viewer.querySelectorAll('[data-record-share]').forEach((btn) => {
+    btn.addEventListener('click', async () => {
+      const { records } = extractRecords(lf.json);
+      const list = records && records.length ? records : [lf.json];
+      const index = clamp(
+        state.selectedRecordIndexByFileId[lf.id] ?? 0,
+        0,
+        list.length - 1
+      );
+      const doc = buildRecordDocument(lf, list[index], index);
 
-  const parts = arr.slice(0, previewCount).map((x) => {
-    if (x == null) return 'null';
-    if (Array.isArray(x)) return `Array(${x.length})`;
-    if (typeof x !== 'object') return String(x);
+      if (btn.getAttribute('data-record-share') === 'html') {
+        downloadFile(
+          `${getExportBaseName(lf)}-record-${index + 1}.html`,
+          recordDocumentToHtml(doc),
+          'text/html'
+        );
+        return;
+      }
 
-    // Object item: show a couple of useful pairs
-    const pairs = pickPreviewPairs(x, 2);
-    if (!pairs.length) return '{…}';
-    return `{ ${pairs.map(([k, v]) => `${k}: ${v}`).join(', ')} }`;
+      const ok = await copyText(recordDocumentToMarkdown(doc));
+      flashButtonLabel(btn, ok ? 'Copied' : 'Copy failed');
+    });
   });
 
-  return parts.join(', ');
-}
+  els.viewer.querySelectorAll('[data-print]').forEach((btn) => {
+    btn.addEventListener('click', () =>
+      printRecords(lf, btn.getAttribute('data-print') === 'all')
+    );
+  });
 
-function buildObjectPreview(obj, maxPairs) {
-  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return String(obj);
+  els.viewer.querySelectorAll('[data-template-export]').forEach((btn) => {
+    btn.addEventListener('click', () =>
+      exportTemplateTable(lf, btn.getAttribute('data-template-export'))
+    );
+  });
 
-  const pairs = pickPreviewPairs(obj, maxPairs);
-  const nested = countNestedTopLevel(obj);
+  const designBtn = els.viewer.querySelector('[data-designer-toggle]');
+  if (designBtn) designBtn.addEventListener('click', toggleTemplateDesigner);
 
-  const pairText = pairs.length
-    ? pairs.map(([k, v]) => `${k}: ${v}`).join(', ')
-    : '(no simple fields)';
+  const editBtn = els.viewer.querySelector('[data-editor-toggle]');
+  if (editBtn) {
+    editBtn.addEventListener('click', () => toggleTemplateEditor());
+  }
 
-  const nestedBits = [];
-  if (nested.objects) nestedBits.push(`obj: ${nested.objects}`);
-  if (nested.arrays) nestedBits.push(`arr: ${nested.arrays}`);
-  const nestedText = nestedBits.length
-    ? ` • Nested: ${nestedBits.join(', ')}`
-    : '';
+  const coverageBtn = els.viewer.querySelector('[data-coverage-toggle]');
+  if (coverageBtn) {
+    coverageBtn.addEventListener('click', toggleTemplateCoverage);
+  }
+}
 
-  return `${pairText}${nestedText}`;
+/* ------------------------------------------------------------
+    Template designer: click fields in the record to build a template
+    The draft lives in state.designer until it is saved to the
+    Templates list; it survives closing the designer and switching files.
+------------------------------------------------------------ */
+
+/** New id for a state.templates entry. */
+function newTemplateId() {
+  return `tpl_${Date.now()}_${Math.random().toString(16).slice(2)}`;
 }
 
-function pickPreviewPairs(obj, maxPairs) {
-  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return [];
+function createDesignerDraft() {
+  return {
+    templateVersion: 1,
+    templateName: 'New template',
+    layout: [{ section: 'Main', fields: [] }],
+  };
+}
 
-  // Prefer human-friendly keys first
-  const preferred = [
-    'Title',
-    'title',
-    'Name',
-    'name',
-    'Subject',
-    'subject',
-    'Number',
-    'number',
-    'Id',
-    'id',
-    'Status',
-    'status',
-    'Type',
-    'type',
-  ];
+function isDesignerOpen() {
+  return Boolean(state.designer && state.designer.open);
+}
 
-  const out = [];
-  const used = new Set();
+function toggleTemplateDesigner() {
+  if (!state.designer) {
+    state.designer = {
+      open: false,
+      draft: createDesignerDraft(),
+      targetSection: 0,
+      savedId: null,
+      message: '',
+    };
+  }
+  state.designer.open = !state.designer.open;
+  state.designer.message = '';
 
-  // 1) preferred keys
-  for (const k of preferred) {
-    if (out.length >= maxPairs) break;
-    if (!Object.prototype.hasOwnProperty.call(obj, k)) continue;
+  // One side panel at a time
+  if (state.designer.open && state.templateEditor) {
+    state.templateEditor.open = false;
+  }
+  renderViewer();
+}
+
+/**
+ * Designer view: the record (generic view, every field pickable) next to
+ * the draft panel.
+ * @param {any} record
+ */
+function renderTemplateDesigner(record) {
+  return `
+    <div class="designer">
+      <div class="designer-pick">
+        <div class="array-note">Click a field name (or its Add button) to add it to the highlighted section.</div>
+        ${renderGenericPrettyView(record)}
+      </div>
+      <aside class="designer-panel" aria-label="Template draft" data-designer-panel="true">
+        ${renderDesignerDraft()}
+      </aside>
+    </div>
+  `;
+}
 
-    const v = obj[k];
-    const sv = simplePreviewValue(v);
-    if (sv == null) continue;
+function renderDesignerDraft() {
+  const d = state.designer;
+  const layout = d.draft.layout;
+  const canRemoveSection = layout.length > 1;
 
-    out.push([k, sv]);
-    used.add(k);
-  }
+  const sections = layout
+    .map((sec, si) => {
+      const fields = sec.fields.length
+        ? sec.fields.map((f, fi) => renderDesignerField(f, si, fi)).join('')
+        : `<li class="designer-empty">No fields yet</li>`;
+      const isTarget = si === d.targetSection;
 
-  // 2) fill from remaining keys
-  for (const k of Object.keys(obj)) {
-    if (out.length >= maxPairs) break;
-    if (used.has(k)) continue;
+      return `
+      <li class="designer-section${
+        isTarget ? ' is-target' : ''
+      }" data-section="${si}">
+        <div class="designer-section-head">
+          <span class="drag-handle" draggable="true" data-drag-section="${si}" title="Drag to reorder sections" aria-hidden="true">⠿</span>
+          <input type="text" value="${escapeHtml(
+            sec.section
+          )}" data-section-name="${si}" aria-label="Section name" spellcheck="false" />
+          <button class="mini-btn${
+            isTarget ? ' is-active' : ''
+          }" type="button" data-section-target="${si}" aria-pressed="${isTarget}" title="New fields go into this section">Add here</button>
+          <button class="mini-btn" type="button" data-section-remove="${si}" title="Remove this section and its fields"${
+        canRemoveSection ? '' : ' disabled'
+      }>Remove</button>
+        </div>
+        <ol class="designer-fields" data-fields-of="${si}">${fields}</ol>
+      </li>`;
+    })
+    .join('');
 
-    const v = obj[k];
-    const sv = simplePreviewValue(v);
-    if (sv == null) continue;
+  return `
+    <div class="designer-head">
+      <h3 class="designer-title">Template draft</h3>
+      <button class="mini-btn" type="button" data-designer-close="true">Close</button>
+    </div>
+    <label class="designer-name">
+      <span>Name</span>
+      <input type="text" value="${escapeHtml(
+        d.draft.templateName
+      )}" data-designer-name="true" spellcheck="false" />
+    </label>
+    <ol class="designer-sections">${sections}</ol>
+    <div class="designer-actions">
+      <button class="mini-btn" type="button" data-designer-add-section="true">Add section</button>
+      <button class="mini-btn" type="button" data-designer-save="true" title="Add to the Templates list and select it">${
+        d.savedId ? 'Update template' : 'Save to templates'
+      }</button>
+      <button class="mini-btn" type="button" data-designer-download="true">Download</button>
+      <button class="mini-btn" type="button" data-designer-reset="true">Start over</button>
+    </div>
+    <div class="designer-message" role="status">${escapeHtml(d.message)}</div>
+    <div class="designer-preview">
+      <div class="designer-preview-title">Preview</div>
+      <div data-designer-preview="true"></div>
+    </div>
+  `;
+}
 
-    out.push([k, sv]);
-  }
+/**
+ * One draft field: path, label, format, and kvlist options when needed.
+ * @param {any} f
+ * @param {number} si
+ * @param {number} fi
+ */
+function renderDesignerField(f, si, fi) {
+  const at = `${si}:${fi}`;
+  const options = TEMPLATE_FORMATS.map(
+    (fmt) =>
+      `<option value="${fmt}"${
+        fmt === f.format ? ' selected' : ''
+      }>${fmt}</option>`
+  ).join('');
+
+  const kvlist =
+    f.format === 'kvlist'
+      ? `
+      <div class="designer-kvlist">
+        <label>Item key <input type="text" value="${escapeHtml(
+          f.itemKeyPath || ''
+        )}" placeholder="Name" data-kvlist-option="itemKeyPath" spellcheck="false" /></label>
+        <label>Value paths <input type="text" value="${escapeHtml(
+          (f.valuePaths || []).join(', ')
+        )}" placeholder="TextValue, PredefinedValues.Name" data-kvlist-option="valuePaths" spellcheck="false" /></label>
+        <label>Max items <input type="number" min="1" step="1" value="${escapeHtml(
+          f.maxItems ?? ''
+        )}" placeholder="6" data-kvlist-option="maxItems" /></label>
+        <label>Empty text <input type="text" value="${escapeHtml(
+          f.emptyText || ''
+        )}" placeholder="(empty)" data-kvlist-option="emptyText" /></label>
+        <label class="designer-check"><input type="checkbox" data-kvlist-option="showEmpty"${
+          f.showEmpty ? ' checked' : ''
+        } /> Show empty values</label>
+      </div>`
+      : '';
 
-  return out;
+  return `
+    <li class="designer-field" data-field="${at}">
+      <div class="designer-field-row">
+        <span class="drag-handle" draggable="true" data-drag-field="${at}" title="Drag to reorder (also into another section)" aria-hidden="true">⠿</span>
+        <input type="text" value="${escapeHtml(
+          f.label
+        )}" data-field-label="true" aria-label="Label for ${escapeHtml(
+    f.path
+  )}" />
+        <select data-field-format="true" aria-label="Format">${options}</select>
+        <button class="mini-btn" type="button" data-field-remove="true" aria-label="Remove ${escapeHtml(
+          f.path
+        )}">×</button>
+      </div>
+      <code class="designer-path" title="${escapeHtml(f.path)}">${escapeHtml(
+    f.path
+  )}</code>
+      ${kvlist}
+    </li>`;
 }
 
-function simplePreviewValue(v) {
-  if (v == null) return 'null';
-  if (typeof v === 'string') {
-    const s = v.trim();
-    if (!s) return null;
-    return s.length > 40 ? `${s.slice(0, 40)}…` : s;
+/**
+ * Add a clicked row to the draft (into the target section).
+ * @param {{ label: string, value: any, path: string|null, format: string|null }} src
+ */
+function addDesignerField(src) {
+  const d = state.designer;
+  const path = toTemplatePath(src.path || '');
+
+  if (!path) {
+    d.message = 'Pick a field inside the record, not the whole record.';
+  } else if (
+    d.draft.layout.some((sec) => sec.fields.some((f) => f.path === path))
+  ) {
+    d.message = `${path} is already in the draft.`;
+  } else {
+    const si = clamp(d.targetSection, 0, d.draft.layout.length - 1);
+    d.draft.layout[si].fields.push({
+      path,
+      label: src.label,
+      format: src.format || guessTemplateFormat(src.value),
+    });
+    d.message = `Added ${path}.`;
   }
-  if (typeof v === 'number' || typeof v === 'boolean') return String(v);
 
-  // If it is an array/object, keep it short
-  if (Array.isArray(v)) return `Array(${v.length})`;
-  if (typeof v === 'object') return 'Object';
-  return null;
+  refreshDesignerPanel();
 }
 
-function countNestedTopLevel(obj) {
-  let arrays = 0;
-  let objects = 0;
+/**
+ * The draft as a template file: trimmed, with blank names filled in and
+ * unset kvlist options left out.
+ */
+function buildDesignerTemplate() {
+  const draft = state.designer.draft;
 
-  for (const k of Object.keys(obj || {})) {
-    const v = obj[k];
-    if (Array.isArray(v)) arrays++;
-    else if (v && typeof v === 'object') objects++;
-  }
+  return {
+    templateVersion: 1,
+    templateName: draft.templateName.trim() || 'New template',
+    layout: draft.layout.map((sec, si) => ({
+      section: sec.section.trim() || `Section ${si + 1}`,
+      fields: sec.fields.map((f) => {
+        const out = {
+          path: f.path,
+          label: f.label.trim() || f.path,
+          format: f.format,
+        };
+        if (f.format !== 'kvlist') return out;
 
-  return { arrays, objects };
+        if (f.itemKeyPath && f.itemKeyPath.trim()) {
+          out.itemKeyPath = f.itemKeyPath.trim();
+        }
+        if (Array.isArray(f.valuePaths) && f.valuePaths.length) {
+          out.valuePaths = f.valuePaths.slice();
+        }
+        if (Number.isFinite(f.maxItems)) out.maxItems = f.maxItems;
+        if (f.showEmpty) out.showEmpty = true;
+        if (f.emptyText && f.emptyText.trim()) {
+          out.emptyText = f.emptyText.trim();
+        }
+        return out;
+      }),
+    })),
+  };
 }
 
-function renderObjectAsKv(obj, basePath) {
-  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return '';
-
-  const base = basePath || '$';
+/** Add the draft to state.templates (or update it) and select it. */
+function saveDesignerDraft() {
+  const d = state.designer;
+  const tpl = buildDesignerTemplate();
 
-  const keys = Object.keys(obj);
-  if (!keys.length) return `<div class="empty-state">(no keys)</div>`;
+  if (!tpl.layout.some((sec) => sec.fields.length)) {
+    d.message = 'Add at least one field first.';
+    return false;
+  }
 
-  // Sort keys so the "human" ones appear first, then the rest alphabetically.
-  const preferred = [
-    'Id',
-    'id',
-    'Number',
-    'number',
-    'Title',
-    'title',
-    'Name',
-    'name',
-    'Subject',
-    'subject',
-    'Status',
-    'status',
-    'Type',
-    'type',
-    'Priority',
-    'priority',
-    'CreationDate',
-    'creationDate',
-    'LastModificationDate',
-    'lastModificationDate',
-    'DueDate',
-    'dueDate',
-    'Url',
-    'url',
-    'ViewerUrl',
-    'viewerUrl',
-  ];
+  const v = validateTemplate(tpl);
+  if (!v.ok) {
+    d.message = v.error;
+    return false;
+  }
 
-  const preferredSet = new Set(preferred);
+  const rawText = JSON.stringify(tpl, null, 2) + '\n';
+  const existing = state.templates.find((t) => t.id === d.savedId);
 
-  const sorted = [
-    ...keys.filter((k) => preferredSet.has(k)),
-    ...keys
-      .filter((k) => !preferredSet.has(k))
-      .sort((a, b) => a.localeCompare(b)),
-  ];
+  if (existing) {
+    existing.name = tpl.templateName;
+    existing.rawText = rawText;
+    existing.template = tpl;
+  } else {
+    d.savedId = newTemplateId();
+    state.templates.push({
+      id: d.savedId,
+      name: tpl.templateName,
+      rawText,
+      template: tpl,
+      sourceFileName: 'designer',
+    });
+  }
 
-  return sorted
-    .map((k) => {
-      const v = obj[k];
+  state.activeTemplateId = d.savedId;
+  renderTemplateSelect();
+  d.message = `Saved "${tpl.templateName}" and selected it in the Template list.`;
+  return true;
+}
 
-      // Keep nesting safe:
-      // - objects and arrays remain collapsible (so no runaway render)
-      const isHeavy = v && typeof v === 'object';
-      const isUrlKey =
-        String(k).toLowerCase().includes('url') ||
-        String(k).toLowerCase().includes('link');
+/**
+ * File name for a template download: "Issue basics" -> issue-basics.json
+ * @param {string} templateName
+ */
+function getTemplateFileName(templateName) {
+  const slug = String(templateName)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return `${slug || 'jtf-template'}.json`;
+}
 
-      const nextPath = `${base}.${k}`;
+// Record the preview renders against (set by wireTemplateDesigner)
+let designerRecord = null;
 
-      return renderKV(k, v, {
-        collapsible: isHeavy,
-        link: isUrlKey && typeof v === 'string',
-        rich: typeof v === 'string' && v.includes('\n'),
-        path: nextPath,
-      });
-    })
-    .join('');
+/** Redraw the draft panel (after structural changes) and its preview. */
+function refreshDesignerPanel() {
+  const panel = els.viewer.querySelector('[data-designer-panel]');
+  if (!panel) return;
+  panel.innerHTML = renderDesignerDraft();
+  updateDesignerPreview();
 }
 
-function renderArrayAsList(arr, arrayPath) {
-  if (!Array.isArray(arr)) return '';
+/** Redraw only the preview (while typing, so inputs keep focus). */
+function updateDesignerPreview() {
+  const host = els.viewer.querySelector('[data-designer-preview]');
+  if (!host) return;
 
-  if (arr.length === 0) {
-    return `<div class="empty-state">(empty array)</div>`;
-  }
+  const tpl = buildDesignerTemplate();
+  forgetKvRows(host);
+  host.innerHTML = tpl.layout.some((sec) => sec.fields.length)
+    ? renderTemplateRecordView(tpl, designerRecord)
+    : `<div class="array-note">Add fields to see the record the way this template shows it.</div>`;
 
-  const HARD_MAX = 50; // guardrail against huge arrays freezing the UI
-  const showCount = Math.min(arr.length, HARD_MAX);
+  wireViewerInteractions(host);
+  highlightJsonIn(host);
+  mountVirtualLists(host);
+}
 
-  const metaLeft =
-    arr.length > showCount
-      ? `Showing 1–${showCount} of ${arr.length}`
-      : `Items: ${arr.length}`;
+/**
+ * Draft location from a data-field / data-drag-field value ("1:3").
+ * @param {string|null} at
+ */
+function parseDesignerFieldRef(at) {
+  const [si, fi] = String(at || '')
+    .split(':')
+    .map(Number);
+  return { si, fi };
+}
 
-  const hardMaxNote =
-    arr.length > HARD_MAX
-      ? `<div class="array-note">Note: showing the first ${HARD_MAX} items for performance.</div>`
-      : '';
+/** @param {any} record */
+function wireTemplateDesigner(record) {
+  const panel = els.viewer.querySelector('[data-designer-panel]');
+  if (!panel) return;
+  designerRecord = record;
+  updateDesignerPreview();
+
+  const d = state.designer;
+  const draftField = (el) => {
+    const li = el.closest('[data-field]');
+    if (!li) return null;
+    const { si, fi } = parseDesignerFieldRef(li.getAttribute('data-field'));
+    return d.draft.layout[si]?.fields[fi] || null;
+  };
 
-  const itemsHtml = arr
-    .slice(0, showCount)
-    .map((item, idx) => renderArrayItem(arr, item, idx))
-    .join('');
+  // Typing: update the draft and the preview, keep the inputs as they are
+  panel.addEventListener('input', (e) => {
+    const t = e.target;
+    if (!(t instanceof HTMLInputElement)) return;
+
+    if (t.hasAttribute('data-designer-name')) {
+      d.draft.templateName = t.value;
+    } else if (t.hasAttribute('data-section-name')) {
+      d.draft.layout[Number(t.getAttribute('data-section-name'))].section =
+        t.value;
+    } else if (t.hasAttribute('data-field-label')) {
+      const f = draftField(t);
+      if (f) f.label = t.value;
+    } else if (t.hasAttribute('data-kvlist-option')) {
+      const f = draftField(t);
+      if (!f) return;
+      const key = t.getAttribute('data-kvlist-option');
+      if (key === 'valuePaths') {
+        f.valuePaths = t.value
+          .split(',')
+          .map((p) => p.trim())
+          .filter(Boolean);
+      } else if (key === 'maxItems') {
+        const n = Number(t.value);
+        f.maxItems = t.value.trim() && n >= 1 ? Math.floor(n) : undefined;
+      } else if (key === 'showEmpty') {
+        f.showEmpty = t.checked;
+      } else {
+        f[key] = t.value;
+      }
+    } else {
+      return;
+    }
+    updateDesignerPreview();
+  });
 
-  // Important: build without template-literal indentation/newlines.
-  // This prevents extra vertical whitespace because the parent uses white-space: pre-wrap.
-  return [
-    `<div class="array-meta-row">`,
-    `<div class="array-meta">${escapeHtml(metaLeft)}</div>`,
-    `</div>`,
-    hardMaxNote,
-    `<div class="array-list">`,
-    itemsHtml,
-    `</div>`,
-  ].join('');
-}
+  panel.addEventListener('change', (e) => {
+    const t = e.target;
+    if (
+      !(t instanceof HTMLSelectElement) ||
+      !t.hasAttribute('data-field-format')
+    )
+      return;
+    const f = draftField(t);
+    if (!f) return;
+    f.format = t.value;
+    if (f.format !== 'kvlist') {
+      for (const key of KVLIST_OPTION_KEYS) delete f[key];
+    }
+    refreshDesignerPanel();
+  });
 
-function renderArrayItem(parentArr, item, idx) {
-  // Primitives: show as a single KV row
-  if (item == null || typeof item !== 'object') {
-    return [
-      `<div class="array-item">`,
-      renderKV(`[${idx}]`, item),
-      `</div>`,
-    ].join('');
-  }
+  panel.addEventListener('click', (e) => {
+    const btn = e.target instanceof Element ? e.target.closest('button') : null;
+    if (!btn) return;
+    const layout = d.draft.layout;
+    d.message = '';
 
-  // Arrays inside arrays: keep it collapsible
-  if (Array.isArray(item)) {
-    return [
-      `<div class="array-item">`,
-      renderKV(`[${idx}]`, item, { collapsible: true }),
-      `</div>`,
-    ].join('');
-  }
+    if (btn.hasAttribute('data-designer-close')) {
+      toggleTemplateDesigner();
+      return;
+    }
+    if (btn.hasAttribute('data-designer-save')) {
+      // Record labels and the Template list change, so redraw everything
+      if (saveDesignerDraft()) renderViewer();
+      else refreshDesignerPanel();
+      return;
+    }
+    if (btn.hasAttribute('data-designer-download')) {
+      const tpl = buildDesignerTemplate();
+      downloadJsonFile(getTemplateFileName(tpl.templateName), tpl);
+      return;
+    }
+    if (btn.hasAttribute('data-designer-reset')) {
+      const hasFields = layout.some((sec) => sec.fields.length);
+      if (hasFields && !window.confirm('Discard this draft and start over?'))
+        return;
+      d.draft = createDesignerDraft();
+      d.targetSection = 0;
+      d.savedId = null;
+    } else if (btn.hasAttribute('data-designer-add-section')) {
+      layout.push({ section: `Section ${layout.length + 1}`, fields: [] });
+      d.targetSection = layout.length - 1;
+    } else if (btn.hasAttribute('data-section-target')) {
+      d.targetSection = Number(btn.getAttribute('data-section-target'));
+    } else if (btn.hasAttribute('data-section-remove')) {
+      const si = Number(btn.getAttribute('data-section-remove'));
+      if (layout.length < 2) return;
+      layout.splice(si, 1);
+      d.targetSection = clamp(
+        d.targetSection > si ? d.targetSection - 1 : d.targetSection,
+        0,
+        layout.length - 1
+      );
+    } else if (btn.hasAttribute('data-field-remove')) {
+      const li = btn.closest('[data-field]');
+      const { si, fi } = parseDesignerFieldRef(li.getAttribute('data-field'));
+      layout[si].fields.splice(fi, 1);
+    } else {
+      return;
+    }
+    refreshDesignerPanel();
+  });
 
-  // Object item: collapsible block with a compact title
-  const summary = buildItemSummary(item, idx);
+  // Drag the ⠿ handles: fields move within or across sections, sections
+  // move among sections. Same "before when moving up, after when moving
+  // down" rule as the grid columns.
+  let drag = null;
+  const clearDropMarks = () =>
+    panel
+      .querySelectorAll('.is-drop-target')
+      .forEach((el) => el.classList.remove('is-drop-target'));
+  const dropTarget = (e) => {
+    const el = e.target instanceof Element ? e.target : null;
+    if (!el || !drag) return null;
+    if (drag.kind === 'section') return el.closest('[data-section]');
+    return el.closest('[data-field]') || el.closest('[data-fields-of]');
+  };
 
-  // Important: add array-item-card so compact CSS applies.
-  // Also build with join('') to avoid whitespace nodes.
-  return [
-    `<div class="card array-item-card" data-collapsible="true" data-open="false">`,
-    `<div class="card-header">`,
-    `<button class="card-header-button" type="button" aria-expanded="false">`,
-    `<h3 class="card-title">${escapeHtml(summary)}</h3>`,
-    `<div class="card-actions"><div class="chevron" data-chevron="true">&gt;</div></div>`,
-    `</button>`,
-    `</div>`,
-    `<div class="card-body" data-collapsible-body="true" style="display:none;">`,
-    renderObjectAsKv(item, `$[${idx}]`),
-    `</div>`,
-    `</div>`,
-  ].join('');
+  panel.addEventListener('dragstart', (e) => {
+    const el = e.target instanceof Element ? e.target : null;
+    if (el && el.hasAttribute('data-drag-section')) {
+      drag = {
+        kind: 'section',
+        si: Number(el.getAttribute('data-drag-section')),
+      };
+    } else if (el && el.hasAttribute('data-drag-field')) {
+      drag = {
+        kind: 'field',
+        ...parseDesignerFieldRef(el.getAttribute('data-drag-field')),
+      };
+    } else {
+      return;
+    }
+    if (e.dataTransfer) {
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', '');
+    }
+  });
+  panel.addEventListener('dragover', (e) => {
+    const target = dropTarget(e);
+    if (!target) return;
+    e.preventDefault();
+    clearDropMarks();
+    target.classList.add('is-drop-target');
+  });
+  panel.addEventListener('dragleave', (e) => {
+    if (e.target instanceof Element) {
+      e.target.classList.remove('is-drop-target');
+    }
+  });
+  panel.addEventListener('dragend', () => {
+    drag = null;
+    clearDropMarks();
+  });
+  panel.addEventListener('drop', (e) => {
+    const target = dropTarget(e);
+    if (!target) return;
+    e.preventDefault();
+    const layout = d.draft.layout;
+
+    if (drag.kind === 'section') {
+      const to = Number(target.getAttribute('data-section'));
+      if (to !== drag.si) {
+        const [sec] = layout.splice(drag.si, 1);
+        layout.splice(to, 0, sec);
+        d.targetSection = to;
+      }
+    } else {
+      const [f] = layout[drag.si].fields.splice(drag.fi, 1);
+      if (target.hasAttribute('data-field')) {
+        const { si, fi } = parseDesignerFieldRef(
+          target.getAttribute('data-field')
+        );
+        layout[si].fields.splice(fi, 0, f);
+      } else {
+        layout[Number(target.getAttribute('data-fields-of'))].fields.push(f);
+      }
+    }
+
+    drag = null;
+    refreshDesignerPanel();
+  });
 }
 
-function buildItemSummary(obj, idx) {
-  // Use same “human” keys we already favor
-  const id = pickFirst(obj, ['Id', 'id', 'ID', 'uid', 'guid', 'uuid']);
-  const num = pickFirst(obj, ['Number', 'number', 'No', 'no', 'code', 'Code']);
-  const title = pickFirst(obj, [
-    'Title',
-    'title',
-    'Subject',
-    'subject',
-    'Name',
-    'name',
-    'Summary',
-    'summary',
-  ]);
-  const status = pickFirst(obj, [
-    'Status',
-    'status',
-    'State',
-    'state',
-    'ReviewStatus',
-    'reviewStatus',
-  ]);
+/* ------------------------------------------------------------
+    Template editor: edit an uploaded template next to the record
+    Every change is parsed and validated; valid text replaces the
+    template in state.templates and the record redraws with it.
+------------------------------------------------------------ */
+
+function isTemplateEditorOpen() {
+  return Boolean(
+    state.templateEditor &&
+      state.templateEditor.open &&
+      getEditedTemplateEntry()
+  );
+}
 
-  const bits = [];
+/**
+ * Open the editor on a template (the selected one by default), or close it.
+ * @param {string=} templateId
+ */
+function toggleTemplateEditor(templateId) {
+  if (isTemplateEditorOpen() && !templateId) {
+    state.templateEditor.open = false;
+    renderViewer();
+    return;
+  }
 
-  bits.push(`[${idx}]`);
+  const entry =
+    state.templates.find((t) => t.id === templateId) ||
+    getExplicitActiveTemplate() ||
+    state.templates[0];
+  if (!entry) return;
 
-  if (id != null) bits.push(`Id ${String(id)}`);
-  if (num != null) bits.push(`#${String(num)}`);
+  // One side panel at a time
+  if (state.designer) state.designer.open = false;
 
-  if (title && typeof title === 'string' && title.trim()) {
-    const t = title.trim();
-    bits.push(t.length > 60 ? `${t.slice(0, 60)}…` : t);
-  }
+  state.templateEditor = {
+    open: true,
+    templateId: entry.id,
+    originalText: entry.rawText,
+  };
+  renderViewer();
+}
 
-  if (status && typeof status === 'string' && status.trim()) {
-    bits.push(`(${status.trim()})`);
-  } else if (status && typeof status === 'object') {
-    const sName = pickFirst(status, ['Name', 'name']);
-    if (typeof sName === 'string' && sName.trim())
-      bits.push(`(${sName.trim()})`);
-  }
+function getEditedTemplateEntry() {
+  const id = state.templateEditor ? state.templateEditor.templateId : null;
+  return state.templates.find((t) => t.id === id) || null;
+}
 
-  // Fallback: if it has no obvious identifiers, show key count
-  if (bits.length === 1) {
-    bits.push(`Object (${Object.keys(obj).length} keys)`);
-  }
+/** @param {any} record */
+function renderTemplateEditor(record) {
+  const entry = getEditedTemplateEntry();
+  if (!entry) return renderGenericPrettyView(record);
+
+  const options = state.templates
+    .map(
+      (t) =>
+        `<option value="${escapeHtml(t.id)}"${
+          t.id === entry.id ? ' selected' : ''
+        }>${escapeHtml(`${t.name} (${t.sourceFileName})`)}</option>`
+    )
+    .join('');
 
-  return bits.join(' • ');
+  return `
+    <div class="designer">
+      <div data-editor-record="true"></div>
+      <aside class="designer-panel template-editor" aria-label="Template editor">
+        <div class="designer-head">
+          <h3 class="designer-title">Edit template</h3>
+          <button class="mini-btn" type="button" data-editor-close="true">Close</button>
+        </div>
+        <label class="designer-name">
+          <span>Template</span>
+          <select data-editor-template="true">${options}</select>
+        </label>
+        <div class="code-editor">
+          <pre class="code-editor-highlight" aria-hidden="true"><code class="language-json"></code></pre>
+          <textarea class="code-editor-input" wrap="off" spellcheck="false" autocomplete="off" aria-label="Template JSON (comments allowed)" aria-describedby="templateEditorStatus">${escapeHtml(
+            entry.rawText
+          )}</textarea>
+        </div>
+        <div id="templateEditorStatus" class="designer-message" role="status"></div>
+        <div class="designer-actions">
+          <button class="mini-btn" type="button" data-editor-download="true">Download</button>
+          <button class="mini-btn" type="button" data-editor-revert="true" title="Undo every change made since the editor opened">Revert</button>
+        </div>
+      </aside>
+    </div>
+  `;
 }
 
 /**
- * Wire up collapsible cards and value expanders inside the viewer.
- * Runs after els.viewer.innerHTML is set.
+ * Highlight the editor text (Prism's JSON grammar also colors comments)
+ * and mark every problem line. Only the first problem gets its message
+ * inline (the status below lists them all).
+ * @param {HTMLElement} pre
+ * @param {string} text
+ * @param {TemplateTextProblem[]} problems
  */
-function wireViewerInteractions() {
-  // Collapsible cards
-  els.viewer.querySelectorAll('[data-collapsible="true"]').forEach((card) => {
-    const btn = card.querySelector('.card-header-button');
-    const body = card.querySelector('[data-collapsible-body="true"]');
-    const chev = card.querySelector('[data-chevron="true"]');
-    if (!btn || !body || !chev) return;
+function paintCodeEditor(pre, text, problems) {
+  const code = pre.querySelector('code');
+  // A trailing line break needs a character after it to get a line box
+  code.textContent = text.endsWith('\n') ? `${text} ` : text;
+  if (window.Prism && typeof window.Prism.highlightElement === 'function') {
+    window.Prism.highlightElement(code);
+  }
 
-    btn.addEventListener('click', () => {
-      const open = card.getAttribute('data-open') === 'true';
-      const next = !open;
-      card.setAttribute('data-open', next ? 'true' : 'false');
-      btn.setAttribute('aria-expanded', next ? 'true' : 'false');
-      body.style.display = next ? '' : 'none';
-      chev.textContent = next ? 'v' : '>';
-    });
+  pre.querySelectorAll('.code-editor-mark').forEach((el) => el.remove());
+  if (!problems.length) return;
+
+  const cs = window.getComputedStyle(code);
+  const lineHeight =
+    parseFloat(cs.lineHeight) || (parseFloat(cs.fontSize) || 12) * 1.5;
+  const preStyle = window.getComputedStyle(pre);
+  const padTop = parseFloat(preStyle.paddingTop) || 0;
+  const padLeft = parseFloat(preStyle.paddingLeft) || 0;
+
+  // Errors first, so the inline message is the one blocking the template
+  const ordered = problems
+    .filter((p) => p.severity === 'error')
+    .concat(problems.filter((p) => p.severity !== 'error'));
+
+  ordered.forEach((problem, i) => {
+    const mark = document.createElement('div');
+    mark.className = `code-editor-mark is-${problem.severity}`;
+    mark.style.top = `${padTop + (problem.line - 1) * lineHeight}px`;
+    mark.style.height = `${lineHeight}px`;
+    mark.innerHTML = `<span class="code-editor-caret" style="left: calc(${
+      problem.column - 1
+    }ch + ${padLeft}px)"></span>${
+      i === 0
+        ? `<span class="code-editor-note">${escapeHtml(problem.message)}</span>`
+        : ''
+    }`;
+    pre.appendChild(mark);
   });
+}
 
-  // Collapsible values (arrays/objects)
-  els.viewer
-    .querySelectorAll('[data-value-collapsible="true"]')
-    .forEach((wrap) => {
-      const btn = wrap.querySelector('[data-toggle-value="true"]');
-      const body = wrap.querySelector('[data-value-body="true"]');
-      if (!btn || !body) return;
+/** @param {any} record */
+function wireTemplateEditor(record) {
+  const root = els.viewer.querySelector('.template-editor');
+  const entry = getEditedTemplateEntry();
+  if (!root || !entry) return;
 
-      const expandLabel = btn.textContent;
-      const collapseLabel = expandLabel.replace(/^Expand\b/, 'Collapse');
+  const input = root.querySelector('.code-editor-input');
+  const pre = root.querySelector('.code-editor-highlight');
+  const status = root.querySelector('#templateEditorStatus');
+  const recordHost = els.viewer.querySelector('[data-editor-record]');
 
-      btn.addEventListener('click', () => {
-        const open = wrap.getAttribute('data-open') === 'true';
-        const next = !open;
-        wrap.setAttribute('data-open', next ? 'true' : 'false');
-        body.style.display = next ? '' : 'none';
-        btn.textContent = next ? collapseLabel : expandLabel;
-
-        // If we just opened it, highlight any JSON inside
-        if (next) highlightJsonIn(wrap);
-      });
-    });
-}
+  const renderEditedRecord = () => {
+    const tpl = entry.template;
+    const note = templateMatchesRecord(tpl, record)
+      ? ''
+      : `<div class="array-note">The match rules of this template skip this record. It is shown anyway so you can check the fields.</div>`;
+    forgetKvRows(recordHost);
+    recordHost.innerHTML = note + renderTemplateRecordView(tpl, record);
+    wireViewerInteractions(recordHost);
+    highlightJsonIn(recordHost);
+    mountVirtualLists(recordHost);
+  };
 
-/**
- * Apply search styling to the currently rendered viewer.
- * Session 2: Works for any template that renders .kv rows (Issue + Generic today).
- * - Matches label OR value text (case-insensitive)
- * - Highlights hits, dims non-hits
- * - Optional: include/exclude collapsed content
- * - Marks section headers when matches exist inside (when include collapsed is on)
- * @param {RecordType} recordType
- */
-function applySearchToViewer(recordType) {
-  // Raw view is just a <pre>, do not try to mark it up
-  if (state.showRaw) {
-    clearSearchMarks();
-    clearTextHighlights();
-    clearSectionMarks();
-    return;
-  }
+  const check = () => {
+    const text = input.value;
+    const { template, problems } = checkTemplateText(text);
+    paintCodeEditor(pre, text, problems);
+    pre.scrollTop = input.scrollTop;
+    pre.scrollLeft = input.scrollLeft;
+
+    input.setAttribute('aria-invalid', template ? 'false' : 'true');
+    status.classList.toggle('is-error', !template);
+    status.innerHTML = `${
+      template
+        ? 'Valid. The record shows this version.'
+        : 'Not applied until the errors are fixed.'
+    }${renderTemplateProblemList(problems)}`;
+
+    if (template && text !== entry.rawText) {
+      entry.rawText = text;
+      entry.template = template;
+      entry.name = String(template.templateName);
+      renderTemplateSelect();
+      renderEditedRecord();
+    }
+  };
 
-  const q = (state.searchQuery || '').trim();
-  if (!q) {
-    clearSearchMarks();
-    clearTextHighlights();
-    clearSectionMarks();
-    return;
-  }
+  renderEditedRecord();
+  check();
 
-  const needle = q.toLowerCase();
-  const includeCollapsed = Boolean(state.includeCollapsedInSearch);
+  input.addEventListener('input', check);
+  input.addEventListener('scroll', () => {
+    pre.scrollTop = input.scrollTop;
+    pre.scrollLeft = input.scrollLeft;
+  });
 
-  // Start clean each time to avoid stacking <mark> tags
-  clearSearchMarks();
-  clearTextHighlights();
-  clearSectionMarks();
+  root
+    .querySelector('[data-editor-template]')
+    .addEventListener('change', (e) => toggleTemplateEditor(e.target.value));
+  root
+    .querySelector('[data-editor-close]')
+    .addEventListener('click', () => toggleTemplateEditor());
+  root.querySelector('[data-editor-revert]').addEventListener('click', () => {
+    input.value = state.templateEditor.originalText;
+    check();
+  });
+  root.querySelector('[data-editor-download]').addEventListener('click', () => {
+    const name = /\.jsonc?$/i.test(entry.sourceFileName)
+      ? entry.sourceFileName
+      : getTemplateFileName(entry.name);
+    downloadFile(name, input.value, 'application/json');
+  });
+}
 
-  /** @type {NodeListOf<HTMLElement>} */
-  const rows = els.viewer.querySelectorAll('.kv');
-  if (!rows.length) return;
+/* ------------------------------------------------------------
+    Template coverage: how often each template path resolves in
+    the active file, and what the data calls the ones that miss.
+------------------------------------------------------------ */
 
-  rows.forEach((row) => {
-    // If we are NOT including collapsed content, skip rows not currently visible.
-    if (!includeCollapsed && !isElementVisible(row)) return;
+// Records scanned for real key paths (suggestions), and the cap on paths
+const COVERAGE_PATH_SAMPLE = 1000;
+const COVERAGE_MAX_PATHS = 3000;
+const COVERAGE_SUGGESTIONS = 3;
 
-    const k = row.querySelector('.k');
-    const v = row.querySelector('.v');
+// Last coverage result: the viewer redraws on every search keystroke, and
+// coverage only changes with the file or the template (edits replace the
+// template object). Opening the card recomputes it.
+/** @type {{ lf: LoadedFile, template: any, result: any }|null} */
+let coverageCache = null;
 
-    const labelText = (k?.textContent || '').toLowerCase();
-    const valueText = (v?.textContent || '').toLowerCase();
+function isCoverageOpen() {
+  return Boolean(state.coverage && state.coverage.open);
+}
 
-    const hit = labelText.includes(needle) || valueText.includes(needle);
+function toggleTemplateCoverage() {
+  const open = !isCoverageOpen();
+  coverageCache = null;
+  state.coverage = {
+    open,
+    templateId:
+      (state.coverage && state.coverage.templateId) ||
+      (getExplicitActiveTemplate() || state.templates[0] || {}).id ||
+      null,
+  };
+  renderViewer();
+}
 
-    row.classList.toggle('is-hit', hit);
-    row.classList.toggle('is-dim', !hit);
+/**
+ * Every key path in the records ("Status.Name", "Attachments[*].FileName"),
+ * for suggestions. Arrays are entered through their first object.
+ * @param {any[]} records
+ * @returns {string[]}
+ */
+function collectRecordPaths(records) {
+  const seen = new Set();
 
-    // Highlight matched fragments in label/value text (but only for hits)
-    if (hit) {
-      if (k) highlightTextInElement(k, q);
-      if (v) highlightTextInElement(v, q);
+  const walk = (value, prefix, depth) => {
+    if (seen.size >= COVERAGE_MAX_PATHS || depth > 6) return;
+
+    if (Array.isArray(value)) {
+      const idx = value.findIndex((x) => x && typeof x === 'object');
+      if (idx >= 0) walk(value[idx], `${prefix}[*]`, depth + 1);
+      return;
+    }
+    if (!value || typeof value !== 'object' || isLosslessNumber(value)) {
+      return;
     }
-  });
 
-  // If include-collapsed is on, mark section headers that contain hits
-  if (includeCollapsed) {
-    markSectionsWithHits();
-  }
+    for (const key of Object.keys(value)) {
+      const path = appendTemplatePath(prefix, key);
+      seen.add(path);
+      walk(value[key], path, depth + 1);
+    }
+  };
+
+  for (const rec of records.slice(0, COVERAGE_PATH_SAMPLE)) walk(rec, '', 0);
+  return Array.from(seen);
 }
 
 /**
- * True if element is visible (not display:none up the tree).
- * This is cheap and avoids searching inside collapsed sections unless enabled.
- * @param {HTMLElement} el
+ * Real paths that a missing template path probably meant: same path in
+ * other casing, the path inside (or outside) a wrapper object, or a few
+ * edits away.
+ * @param {string} path
+ * @param {string[]} candidates
+ * @returns {{ path: string, reason: string }[]}
  */
-function isElementVisible(el) {
-  // offsetParent is null for display:none (and for some fixed elements),
-  // so we add a computed-style fallback.
-  if (el.offsetParent !== null) return true;
+function suggestTemplatePaths(path, candidates) {
+  const lower = path.toLowerCase();
+  const out = [];
+  const add = (p, reason) => {
+    if (p !== path && !out.some((o) => o.path === p))
+      out.push({ path: p, reason });
+  };
 
-  const style = window.getComputedStyle(el);
-  if (style.display === 'none' || style.visibility === 'hidden') return false;
+  for (const c of candidates) {
+    if (c.toLowerCase() === lower) add(c, 'different casing');
+  }
 
-  // Walk up for a parent with display:none
-  let p = el.parentElement;
-  while (p) {
-    const s = window.getComputedStyle(p);
-    if (s.display === 'none' || s.visibility === 'hidden') return false;
-    p = p.parentElement;
+  for (const c of candidates) {
+    const lc = c.toLowerCase();
+    if (lc.endsWith(`.${lower}`)) add(c, 'inside a wrapper');
+    else if (lower.endsWith(`.${lc}`)) add(c, 'without the wrapper');
   }
-  return true;
-}
 
-/** Clear any prior search styling in the viewer. */
-function clearSearchMarks() {
-  els.viewer
-    .querySelectorAll('.kv.is-hit, .kv.is-dim, .field.is-hit, .field.is-dim')
-    .forEach((el) => el.classList.remove('is-hit', 'is-dim'));
+  const maxDistance = Math.max(2, Math.floor(path.length / 4));
+  candidates
+    .map((c) => ({ c, d: editDistance(lower, c.toLowerCase()) }))
+    .filter((x) => x.d > 0 && x.d <= maxDistance)
+    .sort((a, b) => a.d - b.d || a.c.localeCompare(b.c))
+    .forEach((x) => add(x.c, `${x.d} edit${x.d === 1 ? '' : 's'} away`));
+
+  return out.slice(0, COVERAGE_SUGGESTIONS);
 }
 
-/** Remove any existing <mark> highlights we previously added. */
-function clearTextHighlights() {
-  els.viewer.querySelectorAll('mark.jtf-mark').forEach((m) => {
-    const parent = m.parentNode;
-    if (!parent) return;
+/**
+ * Hit rate of every layout and record label path.
+ * Rates are over the records the match rules accept (all records when
+ * they accept none, so a too-strict match still gets a report).
+ * @param {any} tpl
+ * @param {any[]} records
+ */
+function computeTemplateCoverage(tpl, records) {
+  const objects = records.filter((r) => r && typeof r === 'object');
+  const matched = objects.filter((r) => templateMatchesRecord(tpl, r));
+  const scope = matched.length ? matched : objects;
 
-    // Replace the <mark> with its text content
-    parent.replaceChild(document.createTextNode(m.textContent || ''), m);
+  /** @type {{ where: string, label: string, path: string, hits: number, suggestions: { path: string, reason: string }[] }[]} */
+  const rows = [];
 
-    // Merge adjacent text nodes to keep DOM tidy
-    parent.normalize();
+  (Array.isArray(tpl.layout) ? tpl.layout : []).forEach((sec, si) => {
+    const where =
+      String((sec && sec.section) || '').trim() || `Section ${si + 1}`;
+    const fields = sec && Array.isArray(sec.fields) ? sec.fields : [];
+    for (const f of fields) {
+      if (!f || typeof f !== 'object' || !String(f.path || '').trim()) continue;
+      rows.push({
+        where,
+        label: String(f.label || ''),
+        path: String(f.path).trim(),
+        hits: scope.filter((r) => templateFieldHasValue(r, f)).length,
+        suggestions: [],
+      });
+    }
   });
+
+  const labelFields =
+    tpl.recordLabel && Array.isArray(tpl.recordLabel.fields)
+      ? tpl.recordLabel.fields
+      : [];
+  for (const f of labelFields) {
+    if (!f || typeof f !== 'object' || !String(f.path || '').trim()) continue;
+    const path = String(f.path).trim();
+    rows.push({
+      where: 'Record label',
+      label: '',
+      path,
+      hits: scope.filter((r) => getTemplateValue(r, path) != null).length,
+      suggestions: [],
+    });
+  }
+
+  // Suggestions only where a path misses somewhere
+  const missing = rows.filter((row) => row.hits < scope.length);
+  if (missing.length) {
+    const candidates = collectRecordPaths(scope);
+    for (const row of missing) {
+      row.suggestions = suggestTemplatePaths(row.path, candidates);
+    }
+  }
+
+  return {
+    total: objects.length,
+    matched: matched.length,
+    scope: scope.length,
+    rows,
+  };
 }
 
 /**
- * Highlight occurrences of query inside an element, without touching nested elements
- * like links and buttons. This avoids breaking controls.
- * @param {Element} el
- * @param {string} query
+ * @param {LoadedFile} lf
+ * @param {any[]} records
  */
-function highlightTextInElement(el, query) {
-  const q = (query || '').trim();
-  if (!q) return;
+function renderTemplateCoverage(lf, records) {
+  const entry =
+    state.templates.find((t) => t.id === state.coverage.templateId) ||
+    state.templates[0];
+  if (!entry) return '';
 
-  // Do not highlight inside these, it can break behavior or semantics
-  const blockedTags = new Set([
-    'A',
-    'BUTTON',
-    'INPUT',
-    'SELECT',
-    'TEXTAREA',
-    'PRE',
-    'CODE',
-  ]);
-  if (blockedTags.has(el.tagName)) return;
+  if (
+    !coverageCache ||
+    coverageCache.lf !== lf ||
+    coverageCache.template !== entry.template
+  ) {
+    coverageCache = {
+      lf,
+      template: entry.template,
+      result: computeTemplateCoverage(entry.template, records),
+    };
+  }
+  const cov = coverageCache.result;
+  const options = state.templates
+    .map(
+      (t) =>
+        `<option value="${escapeHtml(t.id)}"${
+          t.id === entry.id ? ' selected' : ''
+        }>${escapeHtml(`${t.name} (${t.sourceFileName})`)}</option>`
+    )
+    .join('');
 
-  // We only highlight within direct text nodes, not inside child elements
-  const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT, {
-    acceptNode(node) {
-      // Skip empty/whitespace-only nodes
-      if (!node.nodeValue || !node.nodeValue.trim())
-        return NodeFilter.FILTER_REJECT;
-      return NodeFilter.FILTER_ACCEPT;
-    },
-  });
+  const scopeNote = cov.matched
+    ? `Match rules accept ${cov.matched} of ${cov.total} records; hit rates are over those ${cov.matched}.`
+    : `Match rules accept none of the ${cov.total} records; hit rates are over all of them.`;
+
+  const never = cov.rows.filter((row) => row.hits === 0);
+  const partial = cov.rows.filter(
+    (row) => row.hits > 0 && row.hits < cov.scope
+  );
+
+  const renderSuggestions = (row) =>
+    row.suggestions.length
+      ? row.suggestions
+          .map(
+            (s) =>
+              `<code>${escapeHtml(
+                s.path
+              )}</code> <span class="profile-sub">${escapeHtml(
+                s.reason
+              )}</span>`
+          )
+          .join('<br />')
+      : row.hits === 0
+      ? '<span class="profile-sub">No close match</span>'
+      : '';
+
+  const body = cov.rows
+    .map((row) => {
+      const pct = cov.scope ? (row.hits / cov.scope) * 100 : 0;
+      return `
+        <tr class="${row.hits === 0 ? 'is-never' : ''}">
+          <td>${escapeHtml(row.where)}</td>
+          <td>${escapeHtml(row.label)}</td>
+          <td class="profile-path">${escapeHtml(row.path)}</td>
+          <td>
+            <span class="coverage-bar" aria-hidden="true"><span style="width: ${pct.toFixed(
+              1
+            )}%"></span></span>
+            ${formatPercent(row.hits, cov.scope)}
+            <span class="profile-sub">${row.hits}/${cov.scope}</span>
+          </td>
+          <td>${renderSuggestions(row)}</td>
+        </tr>`;
+    })
+    .join('');
+
+  return `
+    <section class="card coverage-card" aria-label="Template coverage">
+      <div class="card-header">
+        <h3 class="card-title">Template coverage</h3>
+        <div class="coverage-controls">
+          <select data-coverage-template="true" aria-label="Template">${options}</select>
+          <button class="mini-btn" type="button" data-coverage-close="true">Close</button>
+        </div>
+      </div>
+      <div class="card-body">
+        <div class="array-note">${escapeHtml(scopeNote)} ${
+    cov.rows.length
+  } paths: ${never.length} never resolve, ${
+    partial.length
+  } sometimes miss.</div>
+        ${
+          never.length
+            ? `<div class="coverage-never"><strong>Never resolve:</strong> ${never
+                .map((row) => `<code>${escapeHtml(row.path)}</code>`)
+                .join(', ')}</div>`
+            : ''
+        }
+        ${
+          cov.rows.length
+            ? `<div class="profile-wrap">
+          <table class="profile-table coverage-table">
+            <thead><tr><th>Section</th><th>Label</th><th>Path</th><th>Hit rate</th><th>Did you mean</th></tr></thead>
+            <tbody>${body}</tbody>
+          </table>
+        </div>`
+            : '<div class="array-note">This template has no field paths.</div>'
+        }
+      </div>
+    </section>
+  `;
+}
+
+function wireTemplateCoverage() {
+  const card = els.viewer.querySelector('.coverage-card');
+  if (!card) return;
+
+  card
+    .querySelector('[data-coverage-template]')
+    .addEventListener('change', (e) => {
+      state.coverage.templateId = e.target.value;
+      renderViewer();
+    });
+  card
+    .querySelector('[data-coverage-close]')
+    .addEventListener('click', toggleTemplateCoverage);
+}
+
+/* ------------------------------------------------------------
+    Record as Markdown / HTML
+    Both are written from one small document model: sections with
+    label/value fields, so they follow the template layout the same way.
+    Without a template, the record's own keys are used (generic view).
+------------------------------------------------------------ */
+
+// Generic fallback: how deep nested objects become nested lists
+const RECORD_DOC_MAX_DEPTH = 6;
+const RECORD_DOC_MAX_ITEMS = 100;
+
+/**
+ * @typedef {Object} RecordDocField
+ * @property {string} label
+ * @property {'text'|'multiline'|'link'|'list'|'json'} kind
+ * @property {string=} text
+ * @property {RecordDocField[]=} items For kind 'list'
+ */
 
-  const nodes = [];
-  while (walker.nextNode()) nodes.push(walker.currentNode);
+/**
+ * @param {LoadedFile} lf
+ * @param {any} record
+ * @param {number} index
+ * @returns {{ title: string, source: string, sections: { title: string, fields: RecordDocField[] }[] }}
+ */
+function buildRecordDocument(lf, record, index) {
+  const resolved = getTemplateForRecord(record);
+  const tpl = resolved ? resolved.templateObj : null;
+  const title = buildRecordLabel(lf.recordType, record, index, tpl);
+  const source = getFileDisplayPath(lf);
 
-  if (!nodes.length) return;
+  // Same rule as renderTemplateRecordView(): no hits means no template
+  if (
+    tpl &&
+    Array.isArray(tpl.layout) &&
+    countTemplateFieldHits(tpl, record) > 0
+  ) {
+    const sections = tpl.layout
+      .map((sec, i) => ({
+        title: String((sec && sec.section) || '').trim() || `Section ${i + 1}`,
+        fields: (sec && Array.isArray(sec.fields) ? sec.fields : [])
+          .map((f) => buildTemplateDocField(record, f))
+          .filter(Boolean),
+      }))
+      .filter((sec) => sec.fields.length);
+
+    return { title, source, sections };
+  }
 
-  const qLower = q.toLowerCase();
+  const fields =
+    record && typeof record === 'object'
+      ? buildGenericDocFields(record, 0)
+      : [{ label: 'Value', kind: 'text', text: formatDelimitedCell(record) }];
 
-  nodes.forEach((textNode) => {
-    const text = textNode.nodeValue || '';
-    const lower = text.toLowerCase();
-    const idx = lower.indexOf(qLower);
-    if (idx === -1) return;
+  return { title, source, sections: [{ title: 'Fields', fields }] };
+}
 
-    // Split and wrap all matches (not just the first)
-    const frag = document.createDocumentFragment();
-    let start = 0;
+/**
+ * One template field, formatted like renderTemplateField().
+ * @param {any} record
+ * @param {any} field
+ * @returns {RecordDocField|null}
+ */
+function buildTemplateDocField(record, field) {
+  if (!field || typeof field !== 'object') return null;
 
-    while (true) {
-      const i = lower.indexOf(qLower, start);
-      if (i === -1) break;
+  const label = String(field.label || '').trim();
+  const path = String(field.path || '').trim();
+  if (!label || !path) return null;
 
-      // Text before match
-      if (i > start) {
-        frag.appendChild(document.createTextNode(text.slice(start, i)));
-      }
+  const format = String(field.format || 'text')
+    .trim()
+    .toLowerCase();
+  const value = getTemplateValue(record, path);
+  if (value === undefined) return null;
 
-      // Matched text wrapped in <mark>
-      const mark = document.createElement('mark');
-      mark.className = 'jtf-mark';
-      mark.textContent = text.slice(i, i + q.length);
-      frag.appendChild(mark);
+  if (format === 'kvlist') {
+    const items = getKvListEntries(value, field).map((e) => ({
+      label: e.key,
+      kind: 'text',
+      text: e.text,
+    }));
+    return items.length ? { label, kind: 'list', items } : null;
+  }
 
-      start = i + q.length;
-    }
+  // [*] over objects reads as JSON, like the viewer shows it
+  const asJson = isProjectionPath(path)
+    ? !isProjectedList(path, value)
+    : format === 'text' && isContainer(value);
 
-    // Remaining text after last match
-    if (start < text.length) {
-      frag.appendChild(document.createTextNode(text.slice(start)));
-    }
+  if (format === 'json' || asJson) {
+    return { label, kind: 'json', text: stringifyJson(value, 2) };
+  }
 
-    // Replace original text node
-    const parent = textNode.parentNode;
-    if (!parent) return;
-    parent.replaceChild(frag, textNode);
-  });
-}
+  const text = String(formatTemplateFieldText(record, field));
+  if (!text) return null;
 
-/** Clear section header marks and counts. */
-function clearSectionMarks() {
-  els.viewer.querySelectorAll('.card.search-hit').forEach((card) => {
-    card.classList.remove('search-hit');
-  });
-  els.viewer.querySelectorAll('.search-count').forEach((n) => n.remove());
+  if (format === 'link' && isLinkableUrl(text)) {
+    return { label, kind: 'link', text };
+  }
+  return { label, kind: text.includes('\n') ? 'multiline' : 'text', text };
 }
 
 /**
- * Mark collapsible cards that contain any hits and add a match count badge.
- * Looks for .kv.is-hit inside each card body.
+ * Keys of an object (or items of an array) as nested fields.
+ * @param {any} value Object or array
+ * @param {number} depth
+ * @returns {RecordDocField[]}
  */
-function markSectionsWithHits() {
-  els.viewer
-    .querySelectorAll('.card[data-collapsible="true"]')
-    .forEach((card) => {
-      const body = card.querySelector('[data-collapsible-body="true"]');
-      const headerTitle = card.querySelector('.card-title');
-      if (!body || !headerTitle) return;
+function buildGenericDocFields(value, depth) {
+  const entries = Array.isArray(value)
+    ? value.slice(0, RECORD_DOC_MAX_ITEMS).map((v, i) => [`[${i}]`, v])
+    : Object.entries(value);
+
+  const fields = entries.map(([label, v]) => {
+    if (!isContainer(v)) {
+      const text = v === null ? 'null' : formatDelimitedCell(v);
+      if (isLinkableUrl(v)) {
+        return { label, kind: 'link', text };
+      }
+      return { label, kind: text.includes('\n') ? 'multiline' : 'text', text };
+    }
 
-      const hits = body.querySelectorAll('.kv.is-hit');
-      if (!hits.length) return;
+    // Short primitive arrays read best on one line
+    if (Array.isArray(v) && v.every((x) => !isContainer(x))) {
+      return {
+        label,
+        kind: 'text',
+        text: v.length ? v.map(formatDelimitedCell).join(', ') : '(empty)',
+      };
+    }
 
-      card.classList.add('search-hit');
+    if (depth + 1 >= RECORD_DOC_MAX_DEPTH) {
+      return { label, kind: 'json', text: stringifyJson(v, 2) };
+    }
 
-      // Add a count badge to the title
-      const badge = document.createElement('span');
-      badge.className = 'search-count';
-      badge.textContent = `${hits.length}`;
-      headerTitle.appendChild(badge);
-    });
-}
+    const items = buildGenericDocFields(v, depth + 1);
+    return items.length
+      ? { label, kind: 'list', items }
+      : { label, kind: 'text', text: '(empty)' };
+  });
 
-/**
- * Pick first matching value from a list of keys.
- * @param {any} obj
- * @param {string[]} keys
- */
-function pickFirst(obj, keys) {
-  if (!obj || typeof obj !== 'object') return null;
-  for (const k of keys) {
-    if (Object.prototype.hasOwnProperty.call(obj, k)) return obj[k];
+  if (Array.isArray(value) && value.length > RECORD_DOC_MAX_ITEMS) {
+    fields.push({
+      label: '…',
+      kind: 'text',
+      text: `${value.length - RECORD_DOC_MAX_ITEMS} more items`,
+    });
   }
-  return null;
+
+  return fields;
 }
 
-/**
- * Pick "named" object like Status/Priority/Type with Name/Color/Id
- * @param {any} obj
- * @param {string[]} keys
- */
-function pickNamed(obj, keys) {
-  const v = pickFirst(obj, keys);
-  if (!v || typeof v !== 'object') return null;
-  return v;
+/** @param {string} s */
+function escapeMarkdown(s) {
+  return String(s).replace(/[\\`*_[\]<>|]/g, '\\$&');
 }
 
 /**
- * Pick a person object and return a normalized shape.
- * @param {any} obj
- * @param {string[]} keys
+ * @param {ReturnType<typeof buildRecordDocument>} doc
+ * @returns {string}
  */
-function pickPerson(obj, keys) {
-  const p = pickFirst(obj, keys);
-  if (!p || typeof p !== 'object') return null;
-  return {
-    firstName: pickFirst(p, ['FirstName', 'firstName']) || '',
-    lastName: pickFirst(p, ['LastName', 'lastName']) || '',
-    email: pickFirst(p, ['Email', 'email']) || '',
-    userName: pickFirst(p, ['UserName', 'userName']) || '',
-    id: pickFirst(p, ['Id', 'id']),
-  };
-}
+function recordDocumentToMarkdown(doc) {
+  const lines = [`# ${escapeMarkdown(doc.title)}`, ''];
 
-function formatPerson(p) {
-  if (!p) return '';
-  const name = `${p.firstName || ''} ${p.lastName || ''}`.trim();
-  if (name && p.email) return `${name} <${p.email}>`;
-  if (name) return name;
-  if (p.email) return p.email;
-  if (p.userName) return p.userName;
-  if (p.id != null) return `Id ${p.id}`;
-  return '';
-}
+  /**
+   * @param {RecordDocField} f
+   * @param {string} indent
+   */
+  const field = (f, indent) => {
+    const head = `${indent}- **${escapeMarkdown(f.label)}:**`;
 
-function formatDateTime(value) {
-  if (!value) return '';
-  if (typeof value !== 'string') return String(value);
+    if (f.kind === 'list') {
+      lines.push(head);
+      f.items.forEach((item) => field(item, `${indent}  `));
+      return;
+    }
+    if (f.kind === 'json') {
+      // Fence one backtick longer than any backtick run in the text
+      const runs = f.text.match(/`+/g) || [];
+      const fence = '`'.repeat(Math.max(3, ...runs.map((r) => r.length + 1)));
+      lines.push(head, '');
+      lines.push(`${indent}  ${fence}json`);
+      f.text.split('\n').forEach((l) => lines.push(`${indent}  ${l}`));
+      lines.push(`${indent}  ${fence}`, '');
+      return;
+    }
+    if (f.kind === 'link') {
+      lines.push(`${head} <${f.text}>`);
+      return;
+    }
+    if (f.kind === 'multiline') {
+      // Hard line breaks (two trailing spaces) inside the list item
+      const [first, ...rest] = f.text.split(/\r?\n/);
+      lines.push(`${head} ${escapeMarkdown(first)}  `);
+      rest.forEach((l) => lines.push(`${indent}  ${escapeMarkdown(l)}  `));
+      return;
+    }
+    lines.push(`${head} ${escapeMarkdown(f.text)}`);
+  };
 
-  // Handles "2023-01-05T23:21:29.59" and ISO-like strings
-  const d = new Date(value);
-  if (Number.isNaN(d.getTime())) return value;
-  return d.toLocaleString();
+  for (const sec of doc.sections) {
+    lines.push(`## ${escapeMarkdown(sec.title)}`, '');
+    sec.fields.forEach((f) => field(f, ''));
+    lines.push('');
+  }
+
+  return (
+    lines
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim() + '\n'
+  );
 }
 
-// ===============================
-// Session 10 – Templates (Step 2)
-// Upload + parse + validate
-// ===============================
+// Styles for the downloaded HTML (it has to open offline, on its own)
+const RECORD_HTML_STYLES = `
+  body { margin: 0; background: #f6f8fb; color: #0b1220; font: 14px/1.5 system-ui, -apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; }
+  main { max-width: 860px; margin: 0 auto; padding: 24px 16px 40px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  .source { color: #4a5b73; font-size: 12px; margin: 0 0 20px; }
+  section { background: #fff; border: 1px solid rgba(11, 18, 32, 0.14); border-radius: 12px; padding: 12px 16px; margin: 0 0 14px; }
+  h2 { font-size: 15px; margin: 0 0 8px; }
+  dl { margin: 0; }
+  .row { display: grid; grid-template-columns: minmax(120px, 220px) 1fr; gap: 12px; padding: 6px 0; border-top: 1px solid rgba(11, 18, 32, 0.08); }
+  .row:first-child { border-top: 0; }
+  dt { color: #4a5b73; font-weight: 600; overflow-wrap: anywhere; }
+  dd { margin: 0; white-space: pre-wrap; overflow-wrap: anywhere; }
+  dd ul { margin: 0; padding-left: 18px; white-space: normal; }
+  pre { margin: 0; padding: 8px; background: #f1f4f9; border-radius: 8px; overflow: auto; font: 12px/1.4 ui-monospace, Menlo, Consolas, monospace; }
+  a { color: #0059c2; }
+  @media print { body { background: #fff; } section { break-inside: avoid; } }
+`;
 
 /**
- * Parse JSON or JSONC (JSON with // and /* *\/ comments).
- * We only support a simple, safe subset:
- * - Line comments: // ...
- * - Block comments: /* ... *\/
- * - Trailing commas in objects/arrays are NOT supported (keep it strict)
- * @param {string} text
- * @returns {any}
+ * Self-contained HTML page for a record (styles inline, no scripts).
+ * @param {ReturnType<typeof buildRecordDocument>} doc
+ * @returns {string}
  */
-function parseJsonOrJsonc(text) {
-  const stripped = stripJsoncComments(text);
-  return JSON.parse(stripped);
+function recordDocumentToHtml(doc) {
+  /** @param {RecordDocField} f */
+  const value = (f) => {
+    if (f.kind === 'list') {
+      return `<ul>${f.items
+        .map(
+          (item) =>
+            `<li><strong>${escapeHtml(item.label)}:</strong> ${value(
+              item
+            )}</li>`
+        )
+        .join('')}</ul>`;
+    }
+    if (f.kind === 'json') return `<pre>${escapeHtml(f.text)}</pre>`;
+    if (f.kind === 'link') {
+      return `<a href="${escapeHtml(f.text)}" rel="noreferrer">${escapeHtml(
+        f.text
+      )}</a>`;
+    }
+    return escapeHtml(f.text);
+  };
+
+  const sections = doc.sections
+    .map(
+      (sec) => `
+    <section>
+      <h2>${escapeHtml(sec.title)}</h2>
+      <dl>
+        ${sec.fields
+          .map(
+            (f) =>
+              `<div class="row"><dt>${escapeHtml(f.label)}</dt><dd>${value(
+                f
+              )}</dd></div>`
+          )
+          .join('\n        ')}
+      </dl>
+    </section>`
+    )
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${escapeHtml(doc.title)}</title>
+<style>${RECORD_HTML_STYLES}</style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(doc.title)}</h1>
+    <p class="source">${escapeHtml(
+      `${
+        doc.source
+      } • Exported ${new Date().toLocaleString()} with Just the Fields`
+    )}</p>${sections}
+  </main>
+</body>
+</html>
+`;
 }
 
 /**
- * Remove // and / * * / comments, while trying not to break strings.
- * This is a small state machine, not a regex hack.
- * @param {string} input
+ * Copy text to the clipboard. Falls back to a hidden textarea where the
+ * async Clipboard API is missing (older browsers, non-secure pages).
+ * @param {string} text
+ * @returns {Promise<boolean>}
  */
-function stripJsoncComments(input) {
-  let out = '';
-  let i = 0;
-
-  let inString = false;
-  let stringQuote = '"';
-  let escaped = false;
-
-  while (i < input.length) {
-    const c = input[i];
-    const next = input[i + 1];
+async function copyText(text) {
+  try {
+    if (navigator.clipboard && window.isSecureContext) {
+      await navigator.clipboard.writeText(text);
+      return true;
+    }
+  } catch (err) {
+    console.warn('JTF: clipboard write failed, trying fallback:', err);
+  }
 
-    if (inString) {
-      out += c;
+  const ta = document.createElement('textarea');
+  ta.value = text;
+  ta.setAttribute('readonly', '');
+  ta.style.position = 'fixed';
+  ta.style.opacity = '0';
+  document.body.appendChild(ta);
+  ta.select();
 
-      if (escaped) {
-        escaped = false;
-      } else if (c === '\\') {
-        escaped = true;
-      } else if (c === stringQuote) {
-        inString = false;
-      }
+  let ok = false;
+  try {
+    ok = document.execCommand('copy');
+  } catch {
+    ok = false;
+  }
+  ta.remove();
+  return ok;
+}
 
-      i++;
-      continue;
-    }
+/**
+ * Show a short confirmation on a button, then restore its label.
+ * @param {HTMLElement} btn
+ * @param {string} text
+ */
+function flashButtonLabel(btn, text) {
+  const original = btn.getAttribute('data-label') || btn.textContent;
+  btn.setAttribute('data-label', original);
+  btn.textContent = text;
+
+  clearTimeout(Number(btn.getAttribute('data-flash-timer')));
+  const timer = setTimeout(() => {
+    btn.textContent = original;
+    btn.removeAttribute('data-flash-timer');
+  }, 1500);
+  btn.setAttribute('data-flash-timer', String(timer));
+}
 
-    // Enter string
-    if (c === '"' || c === "'") {
-      inString = true;
-      stringQuote = c;
-      out += c;
-      i++;
-      continue;
-    }
+/* ------------------------------------------------------------
+    Print / PDF
+    Records are rendered into a separate print root with every section
+    open; print CSS hides the app around it. Plain Ctrl+P prints the
+    viewer as it is, without the panels and controls.
+------------------------------------------------------------ */
 
-    // Line comment //
-    if (c === '/' && next === '/') {
-      i += 2;
-      while (i < input.length && input[i] !== '\n') i++;
-      continue;
-    }
+// True while print output is rendered (lists render every item)
+let printRendering = false;
 
-    // Block comment /* */
-    if (c === '/' && next === '*') {
-      i += 2;
-      while (i < input.length) {
-        if (input[i] === '*' && input[i + 1] === '/') {
-          i += 2;
-          break;
-        }
-        i++;
-      }
-      continue;
-    }
+/**
+ * Print the current record, or every record, with the active template.
+ * @param {LoadedFile} lf
+ * @param {boolean} all
+ */
+function printRecords(lf, all) {
+  const { records } = extractRecords(lf.json);
+  const list = records && records.length ? records : [lf.json];
+  const current = clamp(
+    state.selectedRecordIndexByFileId[lf.id] ?? 0,
+    0,
+    list.length - 1
+  );
+  const indexes = all ? list.map((_, i) => i) : [current];
 
-    out += c;
-    i++;
+  let html = '';
+  printRendering = true;
+  try {
+    html = indexes
+      .map((i) => {
+        const resolved = getTemplateForRecord(list[i]);
+        const tpl = resolved ? resolved.templateObj : null;
+        const label = buildRecordLabel(lf.recordType, list[i], i, tpl);
+
+        return `
+          <section class="print-record">
+            <h2 class="print-record-title">${escapeHtml(label)}</h2>
+            ${renderRecordView(lf.recordType, list[i], tpl)}
+          </section>
+        `;
+      })
+      .join('');
+  } finally {
+    printRendering = false;
   }
 
-  return out;
+  const root = document.createElement('div');
+  root.className = 'print-root';
+  root.innerHTML = `
+    <div class="print-head">
+      <div class="print-file">${escapeHtml(getFileDisplayPath(lf))}</div>
+      <div class="print-meta">${escapeHtml(
+        `${indexes.length} of ${list.length} ${
+          list.length === 1 ? 'record' : 'records'
+        } • Printed ${new Date().toLocaleString()}`
+      )}</div>
+    </div>
+    ${html}
+  `;
+
+  // Everything open: cards, nested objects and arrays
+  root
+    .querySelectorAll(
+      '[data-collapsible="true"], [data-value-collapsible="true"]'
+    )
+    .forEach((el) => el.setAttribute('data-open', 'true'));
+  root
+    .querySelectorAll(
+      '[data-collapsible-body="true"], [data-value-body="true"]'
+    )
+    .forEach((el) => (el.style.display = ''));
+
+  highlightJsonIn(root);
+
+  document.body.appendChild(root);
+  document.body.classList.add('is-printing');
+
+  const cleanup = () => {
+    document.body.classList.remove('is-printing');
+    root.remove();
+  };
+  window.addEventListener('afterprint', cleanup, { once: true });
+
+  window.print();
 }
 
+/* ------------------------------------------------------------
+    Template table export
+    Every record, resolved through its template, as spreadsheet rows.
+------------------------------------------------------------ */
+
+const XLSX_MIME =
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
 /**
- * Minimal template validation for Step 2.
- * We are NOT supporting logic, loops, conditions, mutation, or anything fancy.
- * If invalid: return { ok:false, error:"..." }
- * @param {any} t
+ * Plain-text twin of renderTemplateField(): same value, same formatting
+ * rules, no HTML. Plain numbers stay numbers (spreadsheets can sum them).
+ * @param {any} record
+ * @param {{ path: string, label: string, format?: string }} field
+ * @returns {string|number}
  */
-function validateTemplate(t) {
-  if (!t || typeof t !== 'object' || Array.isArray(t)) {
-    return { ok: false, error: 'Template must be a JSON object.' };
-  }
-
-  if (t.templateVersion !== 1) {
-    return { ok: false, error: 'templateVersion must be 1.' };
-  }
+function formatTemplateFieldText(record, field) {
+  const path = String(field.path || '').trim();
+  const format = String(field.format || 'text')
+    .trim()
+    .toLowerCase();
 
-  if (typeof t.templateName !== 'string' || !t.templateName.trim()) {
-    return { ok: false, error: 'templateName must be a non-empty string.' };
-  }
+  const value = getTemplateValue(record, path);
+  if (value === undefined) return '';
 
-  if (!Array.isArray(t.layout)) {
-    return { ok: false, error: 'layout must be an array of sections.' };
+  if (
+    format !== 'json' &&
+    format !== 'kvlist' &&
+    isProjectedList(path, value)
+  ) {
+    const sep = format === 'link' || format === 'multiline' ? '\n' : ', ';
+    return formatProjectedItems(value, format).join(sep);
   }
 
-  for (const [si, section] of t.layout.entries()) {
-    if (!section || typeof section !== 'object' || Array.isArray(section)) {
-      return { ok: false, error: `layout[${si}] must be an object.` };
-    }
-    if (typeof section.section !== 'string' || !section.section.trim()) {
-      return { ok: false, error: `layout[${si}].section must be a string.` };
-    }
-    if (!Array.isArray(section.fields)) {
-      return { ok: false, error: `layout[${si}].fields must be an array.` };
-    }
-
-    for (const [fi, f] of section.fields.entries()) {
-      if (!f || typeof f !== 'object' || Array.isArray(f)) {
-        return {
-          ok: false,
-          error: `layout[${si}].fields[${fi}] must be an object.`,
-        };
-      }
-      if (typeof f.path !== 'string' || !f.path.trim()) {
-        return {
-          ok: false,
-          error: `layout[${si}].fields[${fi}].path must be a string.`,
-        };
-      }
-      if (typeof f.label !== 'string' || !f.label.trim()) {
-        return {
-          ok: false,
-          error: `layout[${si}].fields[${fi}].label must be a string.`,
-        };
-      }
-    }
+  if (format === 'badge') {
+    return value == null ? 'null' : safeOneLine(String(value), 60) || '';
   }
-
-  // Optional blocks: match, recordLabel. We only sanity check types.
-  if (t.match != null) {
-    if (typeof t.match !== 'object' || Array.isArray(t.match)) {
-      return { ok: false, error: 'match must be an object if provided.' };
-    }
-    if (t.match.requiredKeys != null && !Array.isArray(t.match.requiredKeys)) {
-      return {
-        ok: false,
-        error: 'match.requiredKeys must be an array if provided.',
-      };
-    }
+  if (format === 'date') return formatDateTime(value);
+  if (format === 'link' || format === 'multiline') {
+    return typeof value === 'string' ? value : '';
   }
-
-  if (t.recordLabel != null) {
-    if (typeof t.recordLabel !== 'object' || Array.isArray(t.recordLabel)) {
-      return { ok: false, error: 'recordLabel must be an object if provided.' };
-    }
-    if (t.recordLabel.fields != null && !Array.isArray(t.recordLabel.fields)) {
-      return {
-        ok: false,
-        error: 'recordLabel.fields must be an array if provided.',
-      };
-    }
+  if (format === 'kvlist') {
+    return getKvListEntries(value, field)
+      .map((e) => `${e.key}: ${e.text}`)
+      .join('\n');
   }
 
-  return { ok: true, error: null };
+  if (value === null) return 'null';
+  if (isLosslessNumber(value)) return value.text;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'object') return stringifyJson(value);
+  return String(value);
 }
 
 /**
- * Add template files to state.
- * Accepts .json and .jsonc. Invalid templates are ignored with console warnings.
- * @param {File[]} files
+ * One row per record, one column per field label (in template order).
+ * With Auto, records can use different templates: their labels are merged
+ * and a Template column says which one applied.
+ * @param {any[]} records
+ * @returns {{ header: string[], rows: (string|number)[][] }}
  */
-async function addTemplateFiles(files) {
-  const candidates = files.filter((f) => {
-    const n = f.name.toLowerCase();
-    return (
-      n.endsWith('.json') ||
-      n.endsWith('.jsonc') ||
-      f.type === 'application/json'
-    );
+function buildTemplateTable(records) {
+  const resolved = records.map((rec) => {
+    const r = getTemplateForRecord(rec);
+    return r ? r.templateObj : null;
   });
 
-  if (!candidates.length) return;
+  const used = [...new Set(resolved.filter(Boolean))];
+  const fieldsOf = (tpl) =>
+    (Array.isArray(tpl.layout) ? tpl.layout : [])
+      .flatMap((sec) => (sec && Array.isArray(sec.fields) ? sec.fields : []))
+      .filter(
+        (f) => f && String(f.path || '').trim() && String(f.label || '').trim()
+      );
 
-  for (const f of candidates) {
-    try {
-      const raw = await f.text();
-      const parsed = parseJsonOrJsonc(raw);
+  const labels = [];
+  for (const tpl of used) {
+    for (const f of fieldsOf(tpl)) {
+      const label = String(f.label).trim();
+      if (!labels.includes(label)) labels.push(label);
+    }
+  }
 
-      const v = validateTemplate(parsed);
-      if (!v.ok) {
-        console.warn(`JTF: Template rejected (${f.name}): ${v.error}`);
-        continue;
-      }
+  const showTemplate = used.length > 1;
+  const header = showTemplate ? ['Template', ...labels] : labels;
 
-      const id = `tpl_${Date.now()}_${Math.random().toString(16).slice(2)}`;
-      state.templates.push({
-        id,
-        name: String(parsed.templateName),
-        rawText: raw,
-        template: parsed,
-        sourceFileName: f.name,
-      });
+  const rows = records.map((rec, i) => {
+    const tpl = resolved[i];
+    const cells = new Map();
 
-      // If nothing active yet, set the first valid one
-      if (!state.activeTemplateId) {
-        state.activeTemplateId = id;
+    if (tpl) {
+      for (const f of fieldsOf(tpl)) {
+        const label = String(f.label).trim();
+        // Same label twice: first non-empty value wins
+        if (cells.get(label) !== undefined && cells.get(label) !== '') continue;
+        cells.set(label, formatTemplateFieldText(rec, f));
       }
-    } catch (err) {
-      console.warn(`JTF: Template failed to load (${f.name}):`, err);
-      continue;
     }
-  }
 
-  renderTemplateSelect();
-}
-
-/** Refresh the Template dropdown UI from state. */
-function renderTemplateSelect() {
-  if (!els.templateSelect) return;
+    const row = labels.map((label) =>
+      cells.has(label) ? cells.get(label) : ''
+    );
+    if (!showTemplate) return row;
 
-  const hasAny = state.templates.length > 0;
-  els.templateSelect.disabled = !hasAny;
+    const name = tpl ? String(tpl.templateName || '').trim() : '';
+    return [tpl ? name || 'Template' : '(none)', ...row];
+  });
 
-  const options = [
-    `<option value="">None</option>`,
+  return { header, rows };
+}
 
-    // Only show Auto if there is at least one uploaded template
-    ...(hasAny
-      ? [
-          `<option value="${TEMPLATE_AUTO_ID}">Auto (best match per record)</option>`,
-        ]
-      : []),
+/**
+ * Download every record of a file as a template table.
+ * @param {LoadedFile} lf
+ * @param {'csv'|'xlsx'} format
+ */
+function exportTemplateTable(lf, format) {
+  const { records } = extractRecords(lf.json);
+  const { header, rows } = buildTemplateTable(records || []);
+  const base = `${getExportBaseName(lf)}-template`;
 
-    ...state.templates.map((t) => {
-      const label = `${t.name} (${t.sourceFileName})`;
-      return `<option value="${escapeHtml(t.id)}">${escapeHtml(
-        label
-      )}</option>`;
-    }),
-  ].join('');
+  if (format === 'xlsx') {
+    downloadFile(`${base}.xlsx`, buildXlsx(header, rows), XLSX_MIME);
+    return;
+  }
 
-  els.templateSelect.innerHTML = options;
-  els.templateSelect.value = state.activeTemplateId || '';
+  downloadFile(
+    `${base}.csv`,
+    buildDelimitedText(
+      header.map(guardDelimitedFormula),
+      rows.map((r) =>
+        r.map((c) =>
+          typeof c === 'number' ? String(c) : guardDelimitedFormula(c)
+        )
+      ),
+      ','
+    ),
+    'text/csv'
+  );
 }
 
 /* ------------------------------------------------------------
-    Template system (parse, validate, match, apply)
+    Minimal .xlsx writer
+    An .xlsx file is a zip of a few XML parts. One sheet, inline strings,
+    a bold header and wrapped text; enough for Excel, LibreOffice and
+    Google Sheets. The zip entries are stored (not compressed).
 ------------------------------------------------------------ */
 
+// Excel refuses longer cell text
+const XLSX_MAX_CELL_TEXT = 32767;
+
+/** @param {string} s */
+function escapeXml(s) {
+  return (
+    String(s)
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  );
+}
+
 /**
- * Return the explicitly selected template registry entry (not “Auto”).
- * @returns {{ id: string, name: string, rawText: string, template: any, sourceFileName: string } | null}
+ * Column letters for a 0-based index: 0 -> A, 26 -> AA.
+ * @param {number} i
  */
-function getExplicitActiveTemplate() {
-  const id = state.activeTemplateId;
-  if (!id) return null;
-  if (id === TEMPLATE_AUTO_ID) return null;
-  return state.templates.find((t) => t.id === id) || null;
+function xlsxColumnName(i) {
+  let name = '';
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
 }
 
 /**
- * Compute a “best match” template for a specific record.
- *
- * Strategy (simple + predictable):
- * 1) Only consider templates that pass templateMatchesRecord().
- * 2) Prefer templates that actually “hit” more fields (countTemplateFieldHits).
- * 3) Break ties by “specificity” (more requiredKeys, then typeField present).
- *
- * Guardrail:
- * - If a template matches but hits 0 fields, we do NOT auto-apply it.
- *
- * @param {any} record
- * @returns {{ entry: any, templateObj: any } | null}
+ * Workbook bytes for one sheet.
+ * @param {string[]} header
+ * @param {(string|number)[][]} rows
+ * @returns {Uint8Array}
  */
-function getBestTemplateForRecord(record) {
-  if (!record || typeof record !== 'object') return null;
-  if (!state.templates.length) return null;
-
-  let best = null;
-  let bestScore = -1;
-
-  for (const entry of state.templates) {
-    const tpl = entry.template;
+function buildXlsx(header, rows) {
+  const cell = (value, ref, style) => {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return `<c r="${ref}"${style}><v>${value}</v></c>`;
+    }
+    const text = String(value ?? '').slice(0, XLSX_MAX_CELL_TEXT);
+    if (!text) return '';
+    return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(
+      text
+    )}</t></is></c>`;
+  };
 
-    // Must pass match rules first
-    if (!templateMatchesRecord(tpl, record)) continue;
+  const sheetRows = [header, ...rows]
+    .map((cells, r) => {
+      // Style 1 = bold header, 2 = wrapped text
+      const style = r === 0 ? ' s="1"' : ' s="2"';
+      const xml = cells
+        .map((v, c) => cell(v, `${xlsxColumnName(c)}${r + 1}`, style))
+        .join('');
+      return `<row r="${r + 1}">${xml}</row>`;
+    })
+    .join('');
 
-    // Must actually have useful fields on this record
-    const hits = countTemplateFieldHits(tpl, record);
-    if (hits <= 0) continue;
+  const cols = header
+    .map((h, i) => {
+      const width = Math.min(60, Math.max(10, String(h).length + 2));
+      return `<col min="${i + 1}" max="${
+        i + 1
+      }" width="${width}" customWidth="1"/>`;
+    })
+    .join('');
 
-    const m = tpl && typeof tpl === 'object' ? tpl.match : null;
-    const requiredKeysCount =
-      m && Array.isArray(m.requiredKeys)
-        ? m.requiredKeys.filter(Boolean).length
-        : 0;
-    const hasTypeField = Boolean(
-      m && typeof m.typeField === 'string' && m.typeField.trim()
-    );
+  const xmlHead = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const ns = 'http://schemas.openxmlformats.org';
+
+  const parts = {
+    '[Content_Types].xml': `${xmlHead}<Types xmlns="${ns}/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>`,
+    '_rels/.rels': `${xmlHead}<Relationships xmlns="${ns}/package/2006/relationships"><Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    'xl/workbook.xml': `${xmlHead}<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships"><sheets><sheet name="Records" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels': `${xmlHead}<Relationships xmlns="${ns}/package/2006/relationships"><Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="${ns}/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`,
+    'xl/styles.xml': `${xmlHead}<styleSheet xmlns="${ns}/spreadsheetml/2006/main"><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf></cellXfs><cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles></styleSheet>`,
+    'xl/worksheets/sheet1.xml': `${xmlHead}<worksheet xmlns="${ns}/spreadsheetml/2006/main"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>${
+      cols ? `<cols>${cols}</cols>` : ''
+    }<sheetData>${sheetRows}</sheetData></worksheet>`,
+  };
 
-    // Score: hits dominate, then specificity
-    const score =
-      hits * 1000 + requiredKeysCount * 10 + (hasTypeField ? 100 : 0);
+  return buildZip(
+    Object.entries(parts).map(([name, text]) => ({ name, text }))
+  );
+}
 
-    if (score > bestScore) {
-      bestScore = score;
-      best = { entry, templateObj: tpl };
+/** @type {Uint32Array|null} */
+let crc32Table = null;
+
+/** @param {Uint8Array} bytes */
+function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crc32Table[n] = c >>> 0;
     }
   }
 
-  return best;
-}
-
-/**
- * Resolve the template to use for a given record, based on the template dropdown.
- * - None: null
- * - Explicit template: only if it matches the record
- * - Auto: best match for this record
- *
- * @param {any} record
- * @returns {{ entry: any, templateObj: any } | null}
- */
-function getTemplateForRecord(record) {
-  const sel = state.activeTemplateId;
-
-  // None selected
-  if (!sel) return null;
-
-  // Auto
-  if (sel === TEMPLATE_AUTO_ID) {
-    return getBestTemplateForRecord(record);
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
   }
-
-  // Explicit
-  const explicit = getExplicitActiveTemplate();
-  if (!explicit) return null;
-
-  const tplObj = explicit.template;
-  if (!templateMatchesRecord(tplObj, record)) return null;
-
-  // Even for explicit selection, we keep your existing behavior:
-  // if it matches but has 0 hits, the renderer will show the friendly hint + fallback.
-  return { entry: explicit, templateObj: tplObj };
+  return (crc ^ 0xffffffff) >>> 0;
 }
 
 /**
- * Returns true if a template "matches" a record.
- * v1 rules (simple + predictable):
- * - requiredKeys: every key must exist on the record (top-level keys)
- * - typeField/typeValue: if both are set, record[typeField] must equal typeValue
- *
- * @param {any} tpl
- * @param {any} record
+ * Zip archive with stored (uncompressed) entries.
+ * Same record layout listZipJsonEntries() reads; no Zip64 (under 4 GB).
+ * @param {{ name: string, text: string }[]} files
+ * @returns {Uint8Array}
  */
-function templateMatchesRecord(tpl, record) {
-  if (!tpl || typeof tpl !== 'object') return false;
-  if (!record || typeof record !== 'object') return false;
-
-  const m = tpl.match;
-  if (!m || typeof m !== 'object') return true; // no match block means "apply broadly"
-
-  // requiredKeys: top-level keys only (by design for v1)
-  if (Array.isArray(m.requiredKeys) && m.requiredKeys.length) {
-    for (const k of m.requiredKeys) {
-      if (typeof k !== 'string' || !k.trim()) continue;
-      if (!Object.prototype.hasOwnProperty.call(record, k)) return false;
-    }
+function buildZip(files) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  for (const f of files) {
+    const name = encoder.encode(f.name);
+    const data = encoder.encode(f.text);
+    const crc = crc32(data);
+
+    // Local file header (30 bytes) + name + data
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    chunks.push(new Uint8Array(local.buffer), name, data);
+
+    // Central directory header (46 bytes) + name
+    const dir = new DataView(new ArrayBuffer(46));
+    dir.setUint32(0, 0x02014b50, true);
+    dir.setUint16(4, 20, true); // version made by
+    dir.setUint16(6, 20, true);
+    dir.setUint16(8, 0x0800, true);
+    dir.setUint16(10, 0, true);
+    dir.setUint32(16, crc, true);
+    dir.setUint32(20, data.length, true);
+    dir.setUint32(24, data.length, true);
+    dir.setUint16(28, name.length, true);
+    dir.setUint32(42, offset, true);
+    central.push(new Uint8Array(dir.buffer), name);
+
+    offset += 30 + name.length + data.length;
   }
 
-  // typeField/typeValue: optional
-  if (
-    typeof m.typeField === 'string' &&
-    m.typeField.trim() &&
-    m.typeValue != null
-  ) {
-    const field = m.typeField.trim();
-    const expected = String(m.typeValue).trim();
-    const actual = record[field];
-
-    if (actual == null) return false;
-    if (String(actual).trim() !== expected) return false;
+  const centralSize = central.reduce((n, c) => n + c.length, 0);
+
+  // End of central directory (22 bytes)
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const all = [...chunks, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(all.reduce((n, c) => n + c.length, 0));
+  let pos = 0;
+  for (const c of all) {
+    out.set(c, pos);
+    pos += c.length;
   }
-
-  return true;
+  return out;
 }
 
 // ===============================
@@ -3962,15 +11103,15 @@ const DEFAULT_STARTER_TEMPLATE = {
 };
 
 /**
- * Download a JSON file from an object.
+ * Download text or bytes as a file.
  * Uses a Blob + temporary <a> click.
  * Safe, offline-friendly, GitHub Pages friendly.
  * @param {string} filename
- * @param {any} data
+ * @param {string|Uint8Array} data
+ * @param {string} type MIME type
  */
-function downloadJsonFile(filename, data) {
-  const jsonText = JSON.stringify(data, null, 2) + '\n';
-  const blob = new Blob([jsonText], { type: 'application/json' });
+function downloadFile(filename, data, type) {
+  const blob = new Blob([data], { type });
   const url = URL.createObjectURL(blob);
 
   const a = document.createElement('a');
@@ -3986,6 +11127,18 @@ function downloadJsonFile(filename, data) {
   URL.revokeObjectURL(url);
 }
 
+/**
+ * Download a JSON file from an object.
+ * Uses a Blob + temporary <a> click.
+ * Safe, offline-friendly, GitHub Pages friendly.
+ * @param {string} filename
+ * @param {any} data
+ */
+function downloadJsonFile(filename, data) {
+  const jsonText = JSON.stringify(data, null, 2) + '\n';
+  downloadFile(filename, jsonText, 'application/json');
+}
+
 /** Trigger download of the default starter template. */
 function downloadDefaultStarterTemplate() {
   const filename = 'jtf-template-starter.json';